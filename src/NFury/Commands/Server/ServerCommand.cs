@@ -52,6 +52,10 @@ public class ServerCommand : AsyncCommand<ServerSettings>
         builder.Services.AddSingleton<ExecutionService>();
         builder.Services.AddSingleton<ProjectService>();
         builder.Services.AddSingleton<LoadTestService>();
+        builder.Services.AddSingleton<ScheduleService>();
+        builder.Services.AddSingleton<TestQueueService>();
+        builder.Services.AddHostedService(provider => provider.GetRequiredService<TestQueueService>());
+        builder.Services.AddHostedService<SchedulerService>();
         builder.Services.AddCors(options =>
         {
             options.AddDefaultPolicy(policy =>
@@ -70,12 +74,15 @@ public class ServerCommand : AsyncCommand<ServerSettings>
 
         app.MapHub<LoadTestHub>("/hubs/loadtest");
 
-        app.MapPost("/api/endpoints/{endpointId:int}/test/start", async (int endpointId, EndpointTestStartRequest? request, LoadTestService service) =>
+        app.MapPost("/api/endpoints/{endpointId:int}/test/start", async (int endpointId, EndpointTestStartRequest? request, HttpContext context, TestQueueService service) =>
         {
             try
             {
-                var testId = await service.StartEndpointTestAsync(endpointId, request?.UsersOverride);
-                return Results.Ok(new TestIdResponse(testId));
+                var startedBy = context.Connection.RemoteIpAddress?.ToString();
+                var result = await service.StartEndpointTestAsync(endpointId, request?.UsersOverride, request?.EnvironmentId, startedBy: startedBy);
+                return result.QueuedTest != null
+                    ? Results.Accepted(value: result.QueuedTest)
+                    : Results.Ok(new TestIdResponse(result.TestId!));
             }
             catch (InvalidOperationException ex)
             {
@@ -83,12 +90,14 @@ public class ServerCommand : AsyncCommand<ServerSettings>
             }
         });
 
-        app.MapPost("/api/test/start", async (LoadTestRequest request, LoadTestService service) =>
+        app.MapPost("/api/test/start", async (LoadTestRequest request, HttpContext context, TestQueueService service) =>
         {
             try
             {
-                var testId = await service.StartAdHocTestAsync(request);
-                return Results.Ok(new TestIdResponse(testId));
+                var result = await service.StartAdHocTestAsync(request, context.Connection.RemoteIpAddress?.ToString());
+                return result.QueuedTest != null
+                    ? Results.Accepted(value: result.QueuedTest)
+                    : Results.Ok(new TestIdResponse(result.TestId!));
             }
             catch (InvalidOperationException ex)
             {
@@ -102,9 +111,26 @@ public class ServerCommand : AsyncCommand<ServerSettings>
             return Results.Ok();
         });
 
-        app.MapGet("/api/test/status", (LoadTestService service) =>
+        app.MapGet("/api/test/status", (LoadTestService service, TestQueueService queueService) =>
         {
-            return Results.Ok(new IsRunningResponse(service.IsRunning));
+            return Results.Ok(new IsRunningResponse(service.IsRunning, queueService.Count, service.CurrentTest));
+        });
+
+        app.MapGet("/api/queue", (TestQueueService service) =>
+        {
+            return Results.Ok(service.GetQueue());
+        });
+
+        app.MapPost("/api/queue/{id}/move", async (string id, QueueMoveRequest request, TestQueueService service) =>
+        {
+            var result = await service.MoveAsync(id, request.Position);
+            return result ? Results.Ok(service.GetQueue()) : Results.NotFound();
+        });
+
+        app.MapDelete("/api/queue/{id}", async (string id, TestQueueService service) =>
+        {
+            var result = await service.CancelAsync(id);
+            return result ? Results.Ok() : Results.NotFound();
         });
 
         app.MapPost("/api/auth/test", async (AuthTestRequest request, LoadTestService service) =>
@@ -175,6 +201,90 @@ public class ServerCommand : AsyncCommand<ServerSettings>
             return Results.Ok(endpoints);
         });
 
+        app.MapGet("/api/projects/{projectId:int}/environments", async (int projectId, ProjectService service) =>
+        {
+            var environments = await service.GetProjectEnvironmentsAsync(projectId);
+            return Results.Ok(environments);
+        });
+
+        app.MapPost("/api/projects/{projectId:int}/environments", async (int projectId, EnvironmentDto dto, ProjectService service) =>
+        {
+            try
+            {
+                var environment = await service.CreateEnvironmentAsync(projectId, dto);
+                return environment != null
+                    ? Results.Created($"/api/environments/{environment.Id}", environment)
+                    : Results.NotFound();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        });
+
+        app.MapGet("/api/environments", async (ProjectService service) =>
+        {
+            var environments = await service.GetAllEnvironmentsAsync();
+            return Results.Ok(environments);
+        });
+
+        app.MapPut("/api/environments/{id:int}", async (int id, EnvironmentDto dto, ProjectService service) =>
+        {
+            try
+            {
+                var environment = await service.UpdateEnvironmentAsync(id, dto);
+                return environment != null ? Results.Ok(environment) : Results.NotFound();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        });
+
+        app.MapDelete("/api/environments/{id:int}", async (int id, ProjectService service) =>
+        {
+            var result = await service.DeleteEnvironmentAsync(id);
+            return result ? Results.Ok() : Results.NotFound();
+        });
+
+        app.MapGet("/api/schedules", async (ScheduleService service) =>
+        {
+            var schedules = await service.GetSchedulesAsync();
+            return Results.Ok(schedules);
+        });
+
+        app.MapPut("/api/endpoints/{endpointId:int}/schedule", async (int endpointId, ScheduleDto dto, ScheduleService service) =>
+        {
+            try
+            {
+                var schedule = await service.SaveEndpointScheduleAsync(endpointId, dto);
+                return Results.Ok(schedule);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        });
+
+        app.MapPut("/api/projects/{projectId:int}/schedule", async (int projectId, ScheduleDto dto, ScheduleService service) =>
+        {
+            try
+            {
+                var schedule = await service.SaveProjectScheduleAsync(projectId, dto);
+                return Results.Ok(schedule);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        });
+
+        app.MapDelete("/api/schedules/{id:int}", async (int id, ScheduleService service) =>
+        {
+            var result = await service.DeleteScheduleAsync(id);
+            return result ? Results.Ok() : Results.NotFound();
+        });
+
         app.MapGet("/api/endpoints/{id:int}", async (int id, ProjectService service) =>
         {
             var endpoint = await service.GetEndpointByIdAsync(id);
@@ -199,6 +309,25 @@ public class ServerCommand : AsyncCommand<ServerSettings>
             return result ? Results.Ok() : Results.NotFound();
         });
 
+        app.MapPut("/api/endpoints/{id:int}/baseline", async (int id, PinBaselineRequest request, ProjectService service) =>
+        {
+            try
+            {
+                var result = await service.SetEndpointBaselineAsync(id, request.ExecutionId);
+                return result ? Results.Ok() : Results.NotFound();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        });
+
+        app.MapDelete("/api/endpoints/{id:int}/baseline", async (int id, ProjectService service) =>
+        {
+            var result = await service.SetEndpointBaselineAsync(id, null);
+            return result ? Results.Ok() : Results.NotFound();
+        });
+
         app.MapGet("/api/endpoints/{endpointId:int}/executions", async (int endpointId, int page, int pageSize, ProjectService service) =>
         {
             var executions = await service.GetEndpointExecutionsAsync(endpointId, page > 0 ? page : 1, pageSize > 0 ? pageSize : 20);
@@ -218,6 +347,18 @@ public class ServerCommand : AsyncCommand<ServerSettings>
             return execution != null ? Results.Ok(execution) : Results.NotFound();
         });
 
+        app.MapGet("/api/executions/test/{testId}", async (string testId, ExecutionService service) =>
+        {
+            var execution = await service.GetExecutionByTestIdAsync(testId);
+            return execution != null ? Results.Ok(execution) : Results.NotFound();
+        });
+
+        app.MapGet("/api/executions/test/{testId}/baseline-comparison", async (string testId, ExecutionService service) =>
+        {
+            var result = await service.CompareWithBaselineAsync(testId);
+            return result != null ? Results.Ok(result) : Results.NoContent();
+        });
+
         app.MapGet("/api/executions/{id:int}/metrics", async (int id, ExecutionService service) =>
         {
             var execution = await service.GetExecutionWithMetricsAsync(id);
@@ -230,6 +371,38 @@ public class ServerCommand : AsyncCommand<ServerSettings>
             return result ? Results.Ok() : Results.NotFound();
         });
 
+        app.MapPost("/api/executions/bulk-delete", async (BulkDeleteExecutionsRequest request, ExecutionService service) =>
+        {
+            try
+            {
+                var deleted = await service.DeleteExecutionsAsync(request.ExecutionIds);
+                return Results.Ok(new BulkDeleteResponse(deleted));
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        });
+
+        app.MapPut("/api/executions/{id:int}/annotations", async (int id, ExecutionAnnotationRequest request, ExecutionService service) =>
+        {
+            try
+            {
+                var execution = await service.UpdateExecutionAnnotationsAsync(id, request.Notes, request.Tags);
+                return execution != null ? Results.Ok(execution) : Results.NotFound();
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        });
+
+        app.MapGet("/api/executions/tags", async (ExecutionService service) =>
+        {
+            var tags = await service.GetExecutionTagsAsync();
+            return Results.Ok(tags);
+        });
+
         app.MapGet("/api/executions/statistics", async (int? projectId, int? endpointId, ExecutionService service) =>
         {
             var stats = await service.GetStatisticsAsync(projectId, endpointId);
@@ -244,11 +417,13 @@ public class ServerCommand : AsyncCommand<ServerSettings>
             DateTime? to,
             int page,
             int pageSize,
+            string? sort,
+            string? tag,
             ExecutionService service) =>
         {
             var executions = await service.SearchExecutionsAsync(
                 endpointId, projectId, status, from, to,
-                page > 0 ? page : 1, pageSize > 0 ? pageSize : 20);
+                page > 0 ? page : 1, pageSize > 0 ? pageSize : 20, sort, tag);
             return Results.Ok(executions);
         });
 
@@ -258,6 +433,19 @@ public class ServerCommand : AsyncCommand<ServerSettings>
             return result != null ? Results.Ok(result) : Results.NotFound(new ErrorResponse("One or both executions not found"));
         });
 
+        app.MapPost("/api/executions/compare/multi", async (MultiExecutionComparisonRequest request, ExecutionService service) =>
+        {
+            try
+            {
+                var result = await service.CompareManyExecutionsAsync(request.ExecutionIds);
+                return result != null ? Results.Ok(result) : Results.NotFound(new ErrorResponse("One or more executions not found"));
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        });
+
         AnsiConsole.MarkupLine($"[bold green]NFury Web Server started![/]");
         AnsiConsole.MarkupLine($"[blue]Open your browser at:[/] [link]http://{settings.Host}:{settings.Port}[/]");
         AnsiConsole.MarkupLine($"[dim]Database:[/] {dbPath}");
@@ -272,5 +460,6 @@ public class ServerCommand : AsyncCommand<ServerSettings>
 public class EndpointTestStartRequest
 {
     public int? UsersOverride { get; set; }
+    public int? EnvironmentId { get; set; }
 }
 
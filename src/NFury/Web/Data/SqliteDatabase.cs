@@ -40,7 +40,7 @@ public sealed class SqliteDatabase : IDisposable
     /// Initializes the database schema, creating tables and indexes if they don't exist
     /// </summary>
     /// <remarks>
-    /// Creates the following tables: Projects, Endpoints, Executions, and MetricSnapshots.
+    /// Creates the following tables: Projects, Endpoints, Environments, Executions, MetricSnapshots, and Schedules.
     /// Also sets up foreign key relationships and performance indexes.
     /// </remarks>
     public void InitializeDatabase()
@@ -84,6 +84,14 @@ public sealed class SqliteDatabase : IDisposable
                 RequiresAuth INTEGER NOT NULL DEFAULT 0,
                 HeadersJson TEXT,
                 AuthenticationJson TEXT,
+                ThresholdsJson TEXT,
+                AbortRulesJson TEXT,
+                LoadProfileJson TEXT,
+                StepsJson TEXT,
+                DatasetJson TEXT,
+                AssertionsJson TEXT,
+                BaselineExecutionId INTEGER,
+                RegressionToleranceJson TEXT,
                 CreatedAt TEXT NOT NULL,
                 UpdatedAt TEXT NOT NULL,
                 FOREIGN KEY (ProjectId) REFERENCES Projects(Id) ON DELETE CASCADE
@@ -92,6 +100,19 @@ public sealed class SqliteDatabase : IDisposable
             CREATE INDEX IF NOT EXISTS IX_Endpoints_Name ON Endpoints(Name);
             """;
 
+        var createEnvironmentsTable = """
+            CREATE TABLE IF NOT EXISTS Environments (
+                Id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ProjectId INTEGER NOT NULL,
+                Name TEXT NOT NULL,
+                VariablesJson TEXT,
+                CreatedAt TEXT NOT NULL,
+                UpdatedAt TEXT NOT NULL,
+                FOREIGN KEY (ProjectId) REFERENCES Projects(Id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS IX_Environments_ProjectId ON Environments(ProjectId);
+            """;
+
         var createExecutionsTable = """
             CREATE TABLE IF NOT EXISTS Executions (
                 Id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -120,6 +141,16 @@ public sealed class SqliteDatabase : IDisposable
                 Percentile99 REAL NOT NULL DEFAULT 0,
                 StatusCodesJson TEXT,
                 ErrorMessage TEXT,
+                ThresholdsJson TEXT,
+                ThresholdsPassed INTEGER,
+                AbortReason TEXT,
+                LoadProfileJson TEXT,
+                StepResultsJson TEXT,
+                AssertionFailures INTEGER NOT NULL DEFAULT 0,
+                AssertionResultsJson TEXT,
+                Notes TEXT,
+                TagsJson TEXT,
+                TriggeredBy TEXT NOT NULL DEFAULT 'Manual',
                 FOREIGN KEY (EndpointId) REFERENCES Endpoints(Id) ON DELETE SET NULL
             );
             CREATE INDEX IF NOT EXISTS IX_Executions_TestId ON Executions(TestId);
@@ -139,12 +170,37 @@ public sealed class SqliteDatabase : IDisposable
                 AverageResponseTime REAL NOT NULL DEFAULT 0,
                 CurrentRps REAL NOT NULL DEFAULT 0,
                 StatusCode INTEGER NOT NULL DEFAULT 0,
+                ActiveUsers INTEGER NOT NULL DEFAULT 0,
                 FOREIGN KEY (ExecutionId) REFERENCES Executions(Id) ON DELETE CASCADE
             );
             CREATE INDEX IF NOT EXISTS IX_MetricSnapshots_Timestamp ON MetricSnapshots(Timestamp);
             CREATE INDEX IF NOT EXISTS IX_MetricSnapshots_ExecutionId_Timestamp ON MetricSnapshots(ExecutionId, Timestamp);
             """;
 
+        var createSchedulesTable = """
+            CREATE TABLE IF NOT EXISTS Schedules (
+                Id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ProjectId INTEGER,
+                EndpointId INTEGER,
+                Mode TEXT NOT NULL DEFAULT 'interval',
+                IntervalHours INTEGER,
+                CronExpression TEXT,
+                EnvironmentId INTEGER,
+                Enabled INTEGER NOT NULL DEFAULT 1,
+                NextRunAt TEXT,
+                LastRunAt TEXT,
+                LastError TEXT,
+                CreatedAt TEXT NOT NULL,
+                UpdatedAt TEXT NOT NULL,
+                FOREIGN KEY (ProjectId) REFERENCES Projects(Id) ON DELETE CASCADE,
+                FOREIGN KEY (EndpointId) REFERENCES Endpoints(Id) ON DELETE CASCADE,
+                FOREIGN KEY (EnvironmentId) REFERENCES Environments(Id) ON DELETE SET NULL
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS IX_Schedules_ProjectId ON Schedules(ProjectId);
+            CREATE UNIQUE INDEX IF NOT EXISTS IX_Schedules_EndpointId ON Schedules(EndpointId);
+            CREATE INDEX IF NOT EXISTS IX_Schedules_NextRunAt ON Schedules(NextRunAt);
+            """;
+
         using var cmd = conn.CreateCommand();
         cmd.CommandText = createProjectsTable;
         cmd.ExecuteNonQuery();
@@ -152,12 +208,18 @@ public sealed class SqliteDatabase : IDisposable
         cmd.CommandText = createEndpointsTable;
         cmd.ExecuteNonQuery();
 
+        cmd.CommandText = createEnvironmentsTable;
+        cmd.ExecuteNonQuery();
+
         cmd.CommandText = createExecutionsTable;
         cmd.ExecuteNonQuery();
 
         cmd.CommandText = createMetricsTable;
         cmd.ExecuteNonQuery();
 
+        cmd.CommandText = createSchedulesTable;
+        cmd.ExecuteNonQuery();
+
         MigrateDatabase(conn);
     }
 
@@ -193,6 +255,8 @@ public sealed class SqliteDatabase : IDisposable
 
         MigrateProjectsTable(conn);
         MigrateEndpointsTable(conn);
+        MigrateExecutionsTable(conn);
+        MigrateMetricSnapshotsTable(conn);
     }
 
     /// <summary>
@@ -237,7 +301,8 @@ public sealed class SqliteDatabase : IDisposable
     }
 
     /// <summary>
-    /// Migrates the Endpoints table to add the RequiresAuth column
+    /// Migrates the Endpoints table to add the RequiresAuth, ThresholdsJson, AbortRulesJson, LoadProfileJson, StepsJson, DatasetJson, AssertionsJson,
+    /// BaselineExecutionId and RegressionToleranceJson columns
     /// </summary>
     /// <param name="conn">The database connection</param>
     private static void MigrateEndpointsTable(SqliteConnection conn)
@@ -247,11 +312,35 @@ public sealed class SqliteDatabase : IDisposable
         using var reader = cmd.ExecuteReader();
 
         var hasRequiresAuth = false;
+        var hasThresholds = false;
+        var hasAbortRules = false;
+        var hasLoadProfile = false;
+        var hasSteps = false;
+        var hasDataset = false;
+        var hasAssertions = false;
+        var hasBaseline = false;
+        var hasRegressionTolerance = false;
         while (reader.Read())
         {
             var columnName = reader.GetString(1);
             if (columnName == "RequiresAuth")
                 hasRequiresAuth = true;
+            if (columnName == "ThresholdsJson")
+                hasThresholds = true;
+            if (columnName == "AbortRulesJson")
+                hasAbortRules = true;
+            if (columnName == "LoadProfileJson")
+                hasLoadProfile = true;
+            if (columnName == "StepsJson")
+                hasSteps = true;
+            if (columnName == "DatasetJson")
+                hasDataset = true;
+            if (columnName == "AssertionsJson")
+                hasAssertions = true;
+            if (columnName == "BaselineExecutionId")
+                hasBaseline = true;
+            if (columnName == "RegressionToleranceJson")
+                hasRegressionTolerance = true;
         }
         reader.Close();
 
@@ -260,6 +349,188 @@ public sealed class SqliteDatabase : IDisposable
             cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN RequiresAuth INTEGER NOT NULL DEFAULT 0";
             cmd.ExecuteNonQuery();
         }
+
+        if (!hasThresholds)
+        {
+            cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN ThresholdsJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasAbortRules)
+        {
+            cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN AbortRulesJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasLoadProfile)
+        {
+            cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN LoadProfileJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasSteps)
+        {
+            cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN StepsJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasDataset)
+        {
+            cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN DatasetJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasAssertions)
+        {
+            cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN AssertionsJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasBaseline)
+        {
+            cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN BaselineExecutionId INTEGER";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasRegressionTolerance)
+        {
+            cmd.CommandText = "ALTER TABLE Endpoints ADD COLUMN RegressionToleranceJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+    }
+
+    /// <summary>
+    /// Migrates the Executions table to add the ThresholdsJson, AbortReason, LoadProfileJson, StepResultsJson, AssertionFailures, AssertionResultsJson,
+    /// Notes, TagsJson, TriggeredBy and ThresholdsPassed columns
+    /// </summary>
+    /// <param name="conn">The database connection</param>
+    private static void MigrateExecutionsTable(SqliteConnection conn)
+    {
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "PRAGMA table_info(Executions)";
+        using var reader = cmd.ExecuteReader();
+
+        var hasThresholds = false;
+        var hasAbortReason = false;
+        var hasLoadProfile = false;
+        var hasStepResults = false;
+        var hasAssertionFailures = false;
+        var hasAssertionResults = false;
+        var hasNotes = false;
+        var hasTags = false;
+        var hasTriggeredBy = false;
+        var hasThresholdsPassed = false;
+        while (reader.Read())
+        {
+            var columnName = reader.GetString(1);
+            if (columnName == "ThresholdsJson")
+                hasThresholds = true;
+            if (columnName == "AbortReason")
+                hasAbortReason = true;
+            if (columnName == "LoadProfileJson")
+                hasLoadProfile = true;
+            if (columnName == "StepResultsJson")
+                hasStepResults = true;
+            if (columnName == "AssertionFailures")
+                hasAssertionFailures = true;
+            if (columnName == "AssertionResultsJson")
+                hasAssertionResults = true;
+            if (columnName == "Notes")
+                hasNotes = true;
+            if (columnName == "TagsJson")
+                hasTags = true;
+            if (columnName == "TriggeredBy")
+                hasTriggeredBy = true;
+            if (columnName == "ThresholdsPassed")
+                hasThresholdsPassed = true;
+        }
+        reader.Close();
+
+        if (!hasThresholds)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN ThresholdsJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasAbortReason)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN AbortReason TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasLoadProfile)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN LoadProfileJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasStepResults)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN StepResultsJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasAssertionFailures)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN AssertionFailures INTEGER NOT NULL DEFAULT 0";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasAssertionResults)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN AssertionResultsJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasNotes)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN Notes TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasTags)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN TagsJson TEXT";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasTriggeredBy)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN TriggeredBy TEXT NOT NULL DEFAULT 'Manual'";
+            cmd.ExecuteNonQuery();
+        }
+
+        if (!hasThresholdsPassed)
+        {
+            cmd.CommandText = "ALTER TABLE Executions ADD COLUMN ThresholdsPassed INTEGER";
+            cmd.ExecuteNonQuery();
+        }
+    }
+
+    /// <summary>
+    /// Migrates the MetricSnapshots table to add the ActiveUsers column
+    /// </summary>
+    /// <param name="conn">The database connection</param>
+    private static void MigrateMetricSnapshotsTable(SqliteConnection conn)
+    {
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "PRAGMA table_info(MetricSnapshots)";
+        using var reader = cmd.ExecuteReader();
+
+        var hasActiveUsers = false;
+        while (reader.Read())
+        {
+            var columnName = reader.GetString(1);
+            if (columnName == "ActiveUsers")
+                hasActiveUsers = true;
+        }
+        reader.Close();
+
+        if (!hasActiveUsers)
+        {
+            cmd.CommandText = "ALTER TABLE MetricSnapshots ADD COLUMN ActiveUsers INTEGER NOT NULL DEFAULT 0";
+            cmd.ExecuteNonQuery();
+        }
     }
 
     /// <inheritdoc/>
@@ -314,6 +585,14 @@ public class TestEndpoint
     public bool RequiresAuth { get; set; } // If true, uses project's auth endpoint before testing
     public string? HeadersJson { get; set; }
     public string? AuthenticationJson { get; set; }
+    public string? ThresholdsJson { get; set; }
+    public string? AbortRulesJson { get; set; }
+    public string? LoadProfileJson { get; set; }
+    public string? StepsJson { get; set; }
+    public string? DatasetJson { get; set; }
+    public string? AssertionsJson { get; set; }
+    public int? BaselineExecutionId { get; set; } // Execution new runs are compared against for regressions
+    public string? RegressionToleranceJson { get; set; }
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
     public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
 
@@ -321,6 +600,19 @@ public class TestEndpoint
     public List<TestExecution> Executions { get; set; } = [];
 }
 
+/// <summary>
+/// Represents a named set of variables used to resolve {{placeholders}} in a project's endpoints
+/// </summary>
+public class ProjectEnvironment
+{
+    public int Id { get; set; }
+    public int ProjectId { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string? VariablesJson { get; set; }
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+}
+
 /// <summary>
 /// Represents a single execution of a load test
 /// </summary>
@@ -353,6 +645,16 @@ public class TestExecution
     public double Percentile99 { get; set; }
     public string? StatusCodesJson { get; set; }
     public string? ErrorMessage { get; set; }
+    public string? ThresholdsJson { get; set; } // Snapshot of the endpoint thresholds when the run started
+    public string? AbortReason { get; set; } // Why the run was stopped early by an abort rule, if it was
+    public string? LoadProfileJson { get; set; } // Snapshot of the load profile the run followed, if any
+    public string? StepResultsJson { get; set; } // Per-step results when the run was a scenario
+    public long AssertionFailures { get; set; } // Successful responses that failed at least one assertion
+    public string? AssertionResultsJson { get; set; } // Failures per assertion, if the run had assertions
+    public string? Notes { get; set; }
+    public string? TagsJson { get; set; }
+    public string TriggeredBy { get; set; } = "Manual"; // Whether the run was started by hand or by a schedule
+    public bool? ThresholdsPassed { get; set; } // Threshold verdict stored when the run finished, null without thresholds
 
     public List<TestMetricSnapshot> Metrics { get; set; } = [];
 }
@@ -371,6 +673,30 @@ public class TestMetricSnapshot
     public double AverageResponseTime { get; set; }
     public double CurrentRps { get; set; }
     public int StatusCode { get; set; }
+    public int ActiveUsers { get; set; }
+}
+
+/// <summary>
+/// Represents a recurring run of an endpoint, or of every endpoint in a project
+/// </summary>
+public class TestSchedule
+{
+    public int Id { get; set; }
+    public int? ProjectId { get; set; } // Set for project schedules
+    public int? EndpointId { get; set; } // Set for endpoint schedules
+    public string Mode { get; set; } = "interval";
+    public int? IntervalHours { get; set; }
+    public string? CronExpression { get; set; }
+    public int? EnvironmentId { get; set; }
+    public bool Enabled { get; set; } = true;
+    public DateTime? NextRunAt { get; set; }
+    public DateTime? LastRunAt { get; set; }
+    public string? LastError { get; set; } // Why the last scheduled run could not start, if it failed
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+    public string? TargetName { get; set; } // Name of the scheduled endpoint or project
+    public string? ProjectName { get; set; }
 }
 
 #endregion
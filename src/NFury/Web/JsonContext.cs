@@ -7,11 +7,22 @@ namespace NFury.Web;
 
 public record TestIdResponse(string TestId);
 public record ErrorResponse(string Error);
-public record IsRunningResponse(bool IsRunning);
+public record IsRunningResponse(bool IsRunning, int QueueLength, RunningTestInfo? Test);
 public record ExecutionListResponse(List<TestExecution> Executions, int Total);
+public record BulkDeleteResponse(int Deleted);
 
 [JsonSerializable(typeof(LoadTestRequest))]
 [JsonSerializable(typeof(AuthenticationConfig))]
+[JsonSerializable(typeof(ThresholdConfig))]
+[JsonSerializable(typeof(AbortRuleConfig))]
+[JsonSerializable(typeof(LoadProfile))]
+[JsonSerializable(typeof(LoadStage))]
+[JsonSerializable(typeof(ScenarioStep))]
+[JsonSerializable(typeof(StepExtractor))]
+[JsonSerializable(typeof(StepResult))]
+[JsonSerializable(typeof(DatasetConfig))]
+[JsonSerializable(typeof(ResponseAssertion))]
+[JsonSerializable(typeof(AssertionResult))]
 [JsonSerializable(typeof(AuthenticationResult))]
 [JsonSerializable(typeof(AuthTestRequest))]
 [JsonSerializable(typeof(LoadTestResult))]
@@ -22,6 +33,9 @@ public record ExecutionListResponse(List<TestExecution> Executions, int Total);
 [JsonSerializable(typeof(ErrorResponse))]
 [JsonSerializable(typeof(IsRunningResponse))]
 [JsonSerializable(typeof(ExecutionListResponse))]
+[JsonSerializable(typeof(BulkDeleteResponse))]
+[JsonSerializable(typeof(BulkDeleteExecutionsRequest))]
+[JsonSerializable(typeof(ExecutionAnnotationRequest))]
 [JsonSerializable(typeof(Project))]
 [JsonSerializable(typeof(TestEndpoint))]
 [JsonSerializable(typeof(TestExecution))]
@@ -29,6 +43,12 @@ public record ExecutionListResponse(List<TestExecution> Executions, int Total);
 [JsonSerializable(typeof(ProjectDto))]
 [JsonSerializable(typeof(ProjectAuthDto))]
 [JsonSerializable(typeof(EndpointDto))]
+[JsonSerializable(typeof(EnvironmentDto))]
+[JsonSerializable(typeof(ProjectEnvironment))]
+[JsonSerializable(typeof(TestSchedule))]
+[JsonSerializable(typeof(QueuedTest))]
+[JsonSerializable(typeof(QueueMoveRequest))]
+[JsonSerializable(typeof(ScheduleDto))]
 [JsonSerializable(typeof(EndpointTestStartRequest))]
 [JsonSerializable(typeof(ExecutionStatistics))]
 [JsonSerializable(typeof(ProjectExportDto))]
@@ -38,19 +58,34 @@ public record ExecutionListResponse(List<TestExecution> Executions, int Total);
 [JsonSerializable(typeof(ProjectImportResult))]
 [JsonSerializable(typeof(ExecutionComparisonRequest))]
 [JsonSerializable(typeof(ExecutionComparisonResult))]
+[JsonSerializable(typeof(MultiExecutionComparisonRequest))]
+[JsonSerializable(typeof(MultiExecutionComparisonResult))]
+[JsonSerializable(typeof(RegressionTolerance))]
+[JsonSerializable(typeof(PinBaselineRequest))]
 [JsonSerializable(typeof(ExecutionSummary))]
 [JsonSerializable(typeof(PerformanceDelta))]
 [JsonSerializable(typeof(List<EndpointExportData>))]
 [JsonSerializable(typeof(List<ExecutionExportData>))]
 [JsonSerializable(typeof(List<Project>))]
 [JsonSerializable(typeof(List<TestEndpoint>))]
+[JsonSerializable(typeof(List<ProjectEnvironment>))]
+[JsonSerializable(typeof(List<TestSchedule>))]
+[JsonSerializable(typeof(List<QueuedTest>))]
+[JsonSerializable(typeof(List<EnvironmentDto>))]
 [JsonSerializable(typeof(List<TestExecution>))]
 [JsonSerializable(typeof(List<TestMetricSnapshot>))]
+[JsonSerializable(typeof(List<ScenarioStep>))]
+[JsonSerializable(typeof(List<StepResult>))]
+[JsonSerializable(typeof(List<ResponseAssertion>))]
+[JsonSerializable(typeof(List<AssertionResult>))]
+[JsonSerializable(typeof(List<string>))]
 [JsonSerializable(typeof(Dictionary<string, string>))]
 [JsonSerializable(typeof(Dictionary<int, StatusCodeResult>))]
 [JsonSerializable(typeof(SignalRConnectedMessage))]
 [JsonSerializable(typeof(SignalRTestIdMessage))]
 [JsonSerializable(typeof(SignalRTestErrorMessage))]
+[JsonSerializable(typeof(RunningTestInfo))]
+[JsonSerializable(typeof(SignalRQueuedTestMessage))]
 [JsonSerializable(typeof(string))]
 [JsonSerializable(typeof(bool))]
 [JsonSerializable(typeof(int))]
@@ -54,6 +54,330 @@ public record LoadTestRequest
     /// Optional authentication configuration for obtaining tokens
     /// </summary>
     public AuthenticationConfig? Authentication { get; init; }
+
+    /// <summary>
+    /// Optional pass/fail thresholds the run is evaluated against
+    /// </summary>
+    public ThresholdConfig? Thresholds { get; init; }
+
+    /// <summary>
+    /// Optional rules that stop the run early while it is in progress
+    /// </summary>
+    public AbortRuleConfig? AbortRules { get; init; }
+
+    /// <summary>
+    /// Optional load profile that varies the load over time (overrides Users, Requests and Duration)
+    /// </summary>
+    public LoadProfile? LoadProfile { get; init; }
+
+    /// <summary>
+    /// Optional scenario steps run in order on every iteration instead of the single request
+    /// </summary>
+    /// <remarks>
+    /// When steps are set, Requests counts scenario iterations per test rather than individual requests.
+    /// </remarks>
+    public List<ScenarioStep>? Steps { get; init; }
+
+    /// <summary>
+    /// Optional dataset whose columns resolve {{placeholders}} with a different row on each iteration
+    /// </summary>
+    public DatasetConfig? Dataset { get; init; }
+
+    /// <summary>
+    /// Optional checks run against every successful response, counted separately from HTTP failures
+    /// </summary>
+    /// <remarks>
+    /// In a scenario the assertions apply to every step.
+    /// </remarks>
+    public List<ResponseAssertion>? Assertions { get; init; }
+}
+
+/// <summary>
+/// A check on the content of a successful response
+/// </summary>
+public record ResponseAssertion
+{
+    /// <summary>
+    /// The status code is one of a comma-separated list (e.g., "200,201")
+    /// </summary>
+    public const string StatusType = "status";
+
+    /// <summary>
+    /// A JSON path exists in the body, and equals the expected value when one is given
+    /// </summary>
+    public const string JsonPathType = "json";
+
+    /// <summary>
+    /// The body contains the expected text
+    /// </summary>
+    public const string BodyContainsType = "contains";
+
+    /// <summary>
+    /// A response header is present, and equals the expected value when one is given
+    /// </summary>
+    public const string HeaderType = "header";
+
+    /// <summary>
+    /// The response size in bytes is within a range
+    /// </summary>
+    public const string SizeType = "size";
+
+    /// <summary>
+    /// The kind of check (<c>status</c>, <c>json</c>, <c>contains</c>, <c>header</c> or <c>size</c>)
+    /// </summary>
+    public string Type { get; init; } = StatusType;
+
+    /// <summary>
+    /// The JSON path or header name, for <c>json</c> and <c>header</c> assertions
+    /// </summary>
+    public string? Target { get; init; }
+
+    /// <summary>
+    /// The expected status codes, text or value
+    /// </summary>
+    public string? Value { get; init; }
+
+    /// <summary>
+    /// Minimum response size in bytes, for <c>size</c> assertions
+    /// </summary>
+    public long? MinBytes { get; init; }
+
+    /// <summary>
+    /// Maximum response size in bytes, for <c>size</c> assertions
+    /// </summary>
+    public long? MaxBytes { get; init; }
+
+    /// <summary>
+    /// Gets a short description of the check for results tables
+    /// </summary>
+    /// <returns>The description, e.g. "$.status = ok"</returns>
+    public string GetDescription() => Type switch
+    {
+        StatusType => $"Status in {Value}",
+        JsonPathType => string.IsNullOrEmpty(Value) ? $"{Target} exists" : $"{Target} = {Value}",
+        BodyContainsType => $"Body contains \"{Value}\"",
+        HeaderType => string.IsNullOrEmpty(Value) ? $"Header {Target} present" : $"Header {Target} = {Value}",
+        SizeType when MaxBytes == null => $"Size >= {MinBytes} bytes",
+        SizeType when MinBytes == null => $"Size <= {MaxBytes} bytes",
+        SizeType => $"Size {MinBytes}-{MaxBytes} bytes",
+        _ => Type
+    };
+}
+
+/// <summary>
+/// Rows of test data that feed {{column}} placeholders in the URL, headers, body and scenario steps
+/// </summary>
+public record DatasetConfig
+{
+    /// <summary>
+    /// Each iteration takes the next row, wrapping around at the end
+    /// </summary>
+    public const string SequentialMode = "sequential";
+
+    /// <summary>
+    /// Each iteration takes a random row
+    /// </summary>
+    public const string RandomMode = "random";
+
+    /// <summary>
+    /// Each virtual user is given its own row and keeps it for the whole test
+    /// </summary>
+    /// <remarks>
+    /// Users started after every row has been handed out, such as by a later stage or arrival, wrap around to the first row.
+    /// </remarks>
+    public const string UniqueMode = "unique";
+
+    /// <summary>
+    /// Name of the file the rows were loaded from
+    /// </summary>
+    public string? Name { get; init; }
+
+    /// <summary>
+    /// How rows are picked (<c>sequential</c>, <c>random</c> or <c>unique</c>)
+    /// </summary>
+    public string Mode { get; init; } = SequentialMode;
+
+    /// <summary>
+    /// The rows, keyed by column name
+    /// </summary>
+    public List<Dictionary<string, string>> Rows { get; init; } = [];
+}
+
+/// <summary>
+/// A single request in a multi-step scenario
+/// </summary>
+/// <remarks>
+/// The URL, headers and body may reference {{variables}} extracted by earlier steps of the same iteration.
+/// </remarks>
+public record ScenarioStep
+{
+    /// <summary>
+    /// Display name of the step, used to break out its metrics
+    /// </summary>
+    public string Name { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The HTTP method to use
+    /// </summary>
+    public string Method { get; init; } = "GET";
+
+    /// <summary>
+    /// The target URL of the step
+    /// </summary>
+    public string Url { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Optional request body
+    /// </summary>
+    public string? Body { get; init; }
+
+    /// <summary>
+    /// Content type of the request body (defaults to the scenario's content type)
+    /// </summary>
+    public string? ContentType { get; init; }
+
+    /// <summary>
+    /// Optional headers, merged over the scenario's headers
+    /// </summary>
+    public Dictionary<string, string>? Headers { get; init; }
+
+    /// <summary>
+    /// Values to capture from the response for later steps
+    /// </summary>
+    public List<StepExtractor> Extractors { get; init; } = [];
+}
+
+/// <summary>
+/// Captures a value from a step response into a variable
+/// </summary>
+public record StepExtractor
+{
+    /// <summary>
+    /// Extracts from the JSON body using a dot-notation path (e.g., "$.data.items[0].id")
+    /// </summary>
+    public const string JsonSource = "json";
+
+    /// <summary>
+    /// Extracts the value of a response header
+    /// </summary>
+    public const string HeaderSource = "header";
+
+    /// <summary>
+    /// Extracts from the body with a regular expression (first capture group, or the whole match)
+    /// </summary>
+    public const string RegexSource = "regex";
+
+    /// <summary>
+    /// Name of the variable to store the value in
+    /// </summary>
+    public string Variable { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Where to extract from (<c>json</c>, <c>header</c> or <c>regex</c>)
+    /// </summary>
+    public string Source { get; init; } = JsonSource;
+
+    /// <summary>
+    /// The JSON path, header name or regular expression
+    /// </summary>
+    public string Expression { get; init; } = string.Empty;
+}
+
+/// <summary>
+/// Describes how the load changes over the course of a test
+/// </summary>
+/// <remarks>
+/// A <c>stages</c> profile ramps the number of virtual users linearly from one stage target to the next.
+/// An <c>arrival-rate</c> profile starts requests at a constant rate regardless of how long they take,
+/// capped by <see cref="MaxUsers"/> concurrent requests.
+/// </remarks>
+public record LoadProfile
+{
+    /// <summary>
+    /// Profile type for ramping virtual users through stages
+    /// </summary>
+    public const string StagesType = "stages";
+
+    /// <summary>
+    /// Profile type for a constant request arrival rate
+    /// </summary>
+    public const string ArrivalRateType = "arrival-rate";
+
+    /// <summary>
+    /// The profile type (<c>stages</c> or <c>arrival-rate</c>)
+    /// </summary>
+    public string Type { get; init; } = StagesType;
+
+    /// <summary>
+    /// Stages for a <c>stages</c> profile, run in order
+    /// </summary>
+    public List<LoadStage> Stages { get; init; } = [];
+
+    /// <summary>
+    /// Requests started per second for an <c>arrival-rate</c> profile
+    /// </summary>
+    public double Rate { get; init; }
+
+    /// <summary>
+    /// Duration in seconds for an <c>arrival-rate</c> profile
+    /// </summary>
+    public int Duration { get; init; }
+
+    /// <summary>
+    /// Maximum concurrent requests for an <c>arrival-rate</c> profile; arrivals beyond it are dropped
+    /// </summary>
+    public int MaxUsers { get; init; } = 100;
+
+    /// <summary>
+    /// Gets the total length of the profile in seconds
+    /// </summary>
+    public int GetTotalDuration() => Type == ArrivalRateType ? Duration : Stages.Sum(s => s.Duration);
+
+    /// <summary>
+    /// Gets the highest number of concurrent users the profile reaches
+    /// </summary>
+    public int GetPeakUsers() => Type == ArrivalRateType ? MaxUsers : Stages.Select(s => s.Target).DefaultIfEmpty(0).Max();
+
+    /// <summary>
+    /// Gets the target number of virtual users at a point in a <c>stages</c> profile
+    /// </summary>
+    /// <param name="elapsedSeconds">Seconds since the start of the test</param>
+    /// <returns>The interpolated target, which may be fractional while ramping</returns>
+    public double GetTargetUsers(double elapsedSeconds)
+    {
+        double previousTarget = 0;
+        double stageStart = 0;
+
+        foreach (var stage in Stages)
+        {
+            if (elapsedSeconds < stageStart + stage.Duration)
+            {
+                var progress = (elapsedSeconds - stageStart) / stage.Duration;
+                return previousTarget + ((stage.Target - previousTarget) * progress);
+            }
+
+            previousTarget = stage.Target;
+            stageStart += stage.Duration;
+        }
+
+        return previousTarget;
+    }
+}
+
+/// <summary>
+/// A single stage of a load profile
+/// </summary>
+public record LoadStage
+{
+    /// <summary>
+    /// Length of the stage in seconds
+    /// </summary>
+    public int Duration { get; init; }
+
+    /// <summary>
+    /// Number of virtual users to reach by the end of the stage
+    /// </summary>
+    public int Target { get; init; }
 }
 
 /// <summary>
@@ -102,6 +426,118 @@ public record AuthenticationConfig
     public Dictionary<string, string>? Headers { get; init; }
 }
 
+/// <summary>
+/// Pass/fail thresholds (service level objectives) for a load test run
+/// </summary>
+/// <remarks>
+/// Every limit is optional; a run passes when all configured limits are met.
+/// </remarks>
+public record ThresholdConfig
+{
+    /// <summary>
+    /// Maximum acceptable average response time in milliseconds
+    /// </summary>
+    public double? MaxAverageResponseTime { get; init; }
+
+    /// <summary>
+    /// Maximum acceptable 95th percentile response time in milliseconds
+    /// </summary>
+    public double? MaxPercentile95 { get; init; }
+
+    /// <summary>
+    /// Maximum acceptable 99th percentile response time in milliseconds
+    /// </summary>
+    public double? MaxPercentile99 { get; init; }
+
+    /// <summary>
+    /// Maximum acceptable failure rate as a percentage of all requests
+    /// </summary>
+    public double? MaxFailureRate { get; init; }
+
+    /// <summary>
+    /// Minimum acceptable throughput in requests per second
+    /// </summary>
+    public double? MinRequestsPerSecond { get; init; }
+
+    /// <summary>
+    /// Checks a finished run against the configured limits
+    /// </summary>
+    /// <param name="result">The results of the run</param>
+    /// <returns>Whether every configured limit was met, or null when no limit is configured</returns>
+    public bool? Evaluate(LoadTestResult result)
+    {
+        var failureRate = result.TotalRequests > 0 ? (double)result.FailedRequests / result.TotalRequests * 100 : 0;
+        bool?[] checks =
+        [
+            MaxAverageResponseTime.HasValue ? result.AverageResponseTime <= MaxAverageResponseTime.Value : null,
+            MaxPercentile95.HasValue ? result.Percentile95 <= MaxPercentile95.Value : null,
+            MaxPercentile99.HasValue ? result.Percentile99 <= MaxPercentile99.Value : null,
+            MaxFailureRate.HasValue ? failureRate <= MaxFailureRate.Value : null,
+            MinRequestsPerSecond.HasValue ? result.RequestsPerSecond >= MinRequestsPerSecond.Value : null
+        ];
+
+        var configured = checks.Where(c => c.HasValue).ToList();
+        return configured.Count > 0 ? configured.All(c => c == true) : null;
+    }
+}
+
+/// <summary>
+/// How far a run may drift from the endpoint's pinned baseline before it counts as improved or regressed
+/// </summary>
+public record RegressionTolerance
+{
+    /// <summary>
+    /// Allowed change of the average and 95th percentile response time, in percent
+    /// </summary>
+    public double ResponseTimePercent { get; init; } = 5;
+
+    /// <summary>
+    /// Allowed change of the throughput in requests per second, in percent
+    /// </summary>
+    public double ThroughputPercent { get; init; } = 5;
+
+    /// <summary>
+    /// Allowed change of the failure rate, in percentage points
+    /// </summary>
+    public double ErrorRatePoints { get; init; } = 1;
+}
+
+/// <summary>
+/// Request to pin an execution as its endpoint's baseline
+/// </summary>
+public record PinBaselineRequest
+{
+    /// <summary>
+    /// The ID of the completed execution to pin
+    /// </summary>
+    public int ExecutionId { get; init; }
+}
+
+/// <summary>
+/// Conditions that abort a running load test, checked over a sliding window of recent requests
+/// </summary>
+/// <remarks>
+/// The rules are evaluated by the server after every request, so scheduled and watched runs are covered too; the test
+/// is aborted as soon as any configured limit is exceeded once the window has filled.
+/// </remarks>
+public record AbortRuleConfig
+{
+    /// <summary>
+    /// Maximum failure rate, as a percentage of the requests in the window, before aborting
+    /// </summary>
+    public double? MaxFailureRate { get; init; }
+
+    /// <summary>
+    /// Maximum average response time in milliseconds over the window before aborting
+    /// </summary>
+    public double? MaxAverageResponseTime { get; init; }
+
+    /// <summary>
+    /// Length of the sliding window in seconds
+    /// </summary>
+    public int WindowSeconds { get; init; } = 10;
+}
+
 /// <summary>
 /// Result of an authentication attempt
 /// </summary>
@@ -218,6 +654,128 @@ public record LoadTestResult
     /// Results grouped by HTTP status code
     /// </summary>
     public Dictionary<int, StatusCodeResult> StatusCodes { get; init; } = new();
+
+    /// <summary>
+    /// Thresholds the run is evaluated against, if any were configured
+    /// </summary>
+    public ThresholdConfig? Thresholds { get; init; }
+
+    /// <summary>
+    /// Whether the run met every threshold, or null when no thresholds were configured
+    /// </summary>
+    public bool? ThresholdsPassed { get; init; }
+
+    /// <summary>
+    /// Reason the run was aborted early, if an abort rule stopped it
+    /// </summary>
+    public string? AbortReason { get; init; }
+
+    /// <summary>
+    /// Load profile the run followed, if any
+    /// </summary>
+    public LoadProfile? LoadProfile { get; init; }
+
+    /// <summary>
+    /// Arrivals skipped because an arrival-rate profile had reached its maximum concurrent requests
+    /// </summary>
+    public long DroppedIterations { get; init; }
+
+    /// <summary>
+    /// Per-step results for a scenario run, in step order
+    /// </summary>
+    public List<StepResult>? Steps { get; init; }
+
+    /// <summary>
+    /// Number of successful responses that failed at least one assertion
+    /// </summary>
+    public long AssertionFailures { get; init; }
+
+    /// <summary>
+    /// Failures per assertion, in the order the assertions were configured
+    /// </summary>
+    public List<AssertionResult>? Assertions { get; init; }
+}
+
+/// <summary>
+/// How often a single assertion failed during a run
+/// </summary>
+public record AssertionResult
+{
+    /// <summary>
+    /// Description of the assertion
+    /// </summary>
+    public string Name { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Number of responses that failed the assertion
+    /// </summary>
+    public long Failures { get; init; }
+}
+
+/// <summary>
+/// Statistics for a single step of a scenario
+/// </summary>
+public record StepResult
+{
+    /// <summary>
+    /// The step name
+    /// </summary>
+    public string Name { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Number of requests sent for this step
+    /// </summary>
+    public long TotalRequests { get; init; }
+
+    /// <summary>
+    /// Number of successful requests (2xx status codes)
+    /// </summary>
+    public long SuccessfulRequests { get; init; }
+
+    /// <summary>
+    /// Number of failed requests (non-2xx status codes or errors)
+    /// </summary>
+    public long FailedRequests { get; init; }
+
+    /// <summary>
+    /// Number of successful responses a variable could not be extracted from
+    /// </summary>
+    public long ExtractionFailures { get; init; }
+
+    /// <summary>
+    /// Number of successful responses that failed at least one assertion
+    /// </summary>
+    public long AssertionFailures { get; init; }
+
+    /// <summary>
+    /// Average response time in milliseconds
+    /// </summary>
+    public double AverageResponseTime { get; init; }
+
+    /// <summary>
+    /// Minimum response time in milliseconds
+    /// </summary>
+    public double MinResponseTime { get; init; }
+
+    /// <summary>
+    /// Maximum response time in milliseconds
+    /// </summary>
+    public double MaxResponseTime { get; init; }
+
+    /// <summary>
+    /// 50th percentile response time in milliseconds
+    /// </summary>
+    public double Percentile50 { get; init; }
+
+    /// <summary>
+    /// 95th percentile response time in milliseconds
+    /// </summary>
+    public double Percentile95 { get; init; }
+
+    /// <summary>
+    /// 99th percentile response time in milliseconds
+    /// </summary>
+    public double Percentile99 { get; init; }
 }
 
 /// <summary>
@@ -330,6 +888,26 @@ public record RealTimeMetric
     /// Current average response time
     /// </summary>
     public double AverageResponseTime { get; init; }
+
+    /// <summary>
+    /// Virtual users (or in-flight requests for an arrival-rate profile) active when the metric was taken
+    /// </summary>
+    public int ActiveUsers { get; init; }
+
+    /// <summary>
+    /// Name of the scenario step the latest request belonged to, if the test is a scenario
+    /// </summary>
+    public string? StepName { get; init; }
+
+    /// <summary>
+    /// Whether the latest response succeeded but failed an assertion
+    /// </summary>
+    public bool AssertionFailed { get; init; }
+
+    /// <summary>
+    /// Total responses so far that failed at least one assertion
+    /// </summary>
+    public long AssertionFailures { get; init; }
 }
 
 /// <summary>
@@ -422,6 +1000,137 @@ public record SignalRTestIdMessage
     public string TestId { get; init; } = string.Empty;
 }
 
+/// <summary>
+/// The test currently running on the server, so dashboards other than the one that started it can follow along
+/// </summary>
+/// <remarks>
+/// Returned by the status route and sent as <c>TestStarted</c> when a run begins
+/// </remarks>
+public record RunningTestInfo
+{
+    /// <summary>
+    /// The test identifier
+    /// </summary>
+    public string TestId { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The endpoint being tested, or null for an ad-hoc test
+    /// </summary>
+    public int? EndpointId { get; init; }
+
+    /// <summary>
+    /// The endpoint name, or the URL for an ad-hoc test
+    /// </summary>
+    public string Name { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The HTTP method of the tested request
+    /// </summary>
+    public string Method { get; init; } = "GET";
+
+    /// <summary>
+    /// Whether the run was started by hand or by a schedule
+    /// </summary>
+    public string TriggeredBy { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The address of the client that started or queued the run; null for scheduled runs
+    /// </summary>
+    public string? StartedBy { get; init; }
+
+    /// <summary>
+    /// When the run started
+    /// </summary>
+    public DateTime StartedAt { get; init; }
+}
+
+/// <summary>
+/// SignalR message about a test waiting in the queue
+/// </summary>
+/// <remarks>
+/// Sent as <c>QueuedTestStarted</c> once the test leaves the queue and starts, and as <c>QueuedTestFailed</c>
+/// or <c>QueuedTestCancelled</c> when it never runs. Used for Native AOT compatibility where runtime serialization is not available
+/// </remarks>
+public record SignalRQueuedTestMessage
+{
+    /// <summary>
+    /// The queue entry identifier returned when the test was queued
+    /// </summary>
+    public string QueueId { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The test identifier, set once the test has started
+    /// </summary>
+    public string? TestId { get; init; }
+
+    /// <summary>
+    /// The endpoint being tested, or null for an ad-hoc test
+    /// </summary>
+    public int? EndpointId { get; init; }
+
+    /// <summary>
+    /// Why the test could not start
+    /// </summary>
+    public string? Error { get; init; }
+}
+
+/// <summary>
+/// A test waiting for the runner to become free
+/// </summary>
+public record QueuedTest
+{
+    /// <summary>
+    /// The queue entry identifier
+    /// </summary>
+    public string Id { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The 1-based place in the queue; 1 starts next
+    /// </summary>
+    public int Position { get; init; }
+
+    /// <summary>
+    /// The endpoint to test, or null for an ad-hoc test
+    /// </summary>
+    public int? EndpointId { get; init; }
+
+    /// <summary>
+    /// The endpoint name, or the URL for an ad-hoc test
+    /// </summary>
+    public string Name { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The name of the project the endpoint belongs to
+    /// </summary>
+    public string? ProjectName { get; init; }
+
+    /// <summary>
+    /// The HTTP method of the tested request
+    /// </summary>
+    public string Method { get; init; } = "GET";
+
+    /// <summary>
+    /// Whether the test was queued by hand or by a schedule
+    /// </summary>
+    public string TriggeredBy { get; init; } = string.Empty;
+
+    /// <summary>
+    /// When the test joined the queue
+    /// </summary>
+    public DateTime QueuedAt { get; init; }
+}
+
+/// <summary>
+/// Request to move a queued test to another place in the queue
+/// </summary>
+public record QueueMoveRequest
+{
+    /// <summary>
+    /// The new 1-based position; values past the end move the test to the back
+    /// </summary>
+    public int Position { get; init; }
+}
+
 /// <summary>
 /// SignalR message indicating a test error occurred
 /// </summary>
@@ -476,6 +1185,81 @@ public record ExecutionComparisonResult
     /// Performance differences between the two executions
     /// </summary>
     public PerformanceDelta Delta { get; init; } = new();
+
+    /// <summary>
+    /// Tolerances the verdict was computed with
+    /// </summary>
+    public RegressionTolerance Tolerance { get; init; } = new();
+}
+
+/// <summary>
+/// Request to delete several executions at once
+/// </summary>
+public record BulkDeleteExecutionsRequest
+{
+    /// <summary>
+    /// The IDs of the executions to delete
+    /// </summary>
+    public List<int> ExecutionIds { get; init; } = [];
+}
+
+/// <summary>
+/// Notes and tags attached to an execution to keep an experiment log
+/// </summary>
+public record ExecutionAnnotationRequest
+{
+    /// <summary>
+    /// Free-text notes, or null to clear them
+    /// </summary>
+    public string? Notes { get; init; }
+
+    /// <summary>
+    /// Tags such as a release version or the change being tested; replaces the current tags
+    /// </summary>
+    public List<string>? Tags { get; init; }
+}
+
+/// <summary>
+/// Request to compare several executions against a common baseline
+/// </summary>
+public record MultiExecutionComparisonRequest
+{
+    /// <summary>
+    /// The IDs of the executions to compare; the first one is the baseline
+    /// </summary>
+    public List<int> ExecutionIds { get; init; } = [];
+}
+
+/// <summary>
+/// Result of comparing several executions against a common baseline
+/// </summary>
+public record MultiExecutionComparisonResult
+{
+    /// <summary>
+    /// The baseline execution details
+    /// </summary>
+    public ExecutionSummary Baseline { get; init; } = new();
+
+    /// <summary>
+    /// The remaining executions in the requested order, each with its difference to the baseline
+    /// </summary>
+    public List<ExecutionComparisonEntry> Executions { get; init; } = [];
+}
+
+/// <summary>
+/// One execution of a multi-execution comparison
+/// </summary>
+public record ExecutionComparisonEntry
+{
+    /// <summary>
+    /// The execution details
+    /// </summary>
+    public ExecutionSummary Execution { get; init; } = new();
+
+    /// <summary>
+    /// Performance differences between the baseline and this execution
+    /// </summary>
+    public PerformanceDelta Delta { get; init; } = new();
 }
 
 /// <summary>
@@ -643,4 +1427,25 @@ public record PerformanceDelta
     /// Overall assessment of performance change
     /// </summary>
     public string Assessment { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Verdict once the tolerances are applied: improved, regressed or unchanged.
+    /// Any metric beyond its tolerance in the wrong direction makes the run regressed.
+    /// </summary>
+    public string Verdict { get; init; } = UnchangedVerdict;
+
+    /// <summary>
+    /// At least one metric improved beyond its tolerance and none regressed
+    /// </summary>
+    public const string ImprovedVerdict = "improved";
+
+    /// <summary>
+    /// At least one metric regressed beyond its tolerance
+    /// </summary>
+    public const string RegressedVerdict = "regressed";
+
+    /// <summary>
+    /// Every metric stayed within its tolerance
+    /// </summary>
+    public const string UnchangedVerdict = "unchanged";
 }
@@ -0,0 +1,170 @@
+using System.Globalization;
+
+namespace NFury.Web.Services;
+
+/// <summary>
+/// A five-field cron expression: minute, hour, day of month, month and day of week
+/// </summary>
+/// <remarks>
+/// Each field accepts <c>*</c>, single values, ranges (<c>1-5</c>), steps (<c>*/15</c>, <c>0-30/10</c>) and comma-separated lists.
+/// Day of week runs from 0 (Sunday) to 6, with 7 also meaning Sunday. As in standard cron, when both day fields
+/// are restricted a day matching either of them qualifies.
+/// </remarks>
+public class CronExpression
+{
+    private readonly bool[] _minutes = new bool[60];
+    private readonly bool[] _hours = new bool[24];
+    private readonly bool[] _daysOfMonth = new bool[32];
+    private readonly bool[] _months = new bool[13];
+    private readonly bool[] _daysOfWeek = new bool[8];
+    private bool _dayOfMonthRestricted;
+    private bool _dayOfWeekRestricted;
+
+    /// <summary>
+    /// How far ahead to look for a match before treating the expression as one that never fires, e.g. <c>0 0 31 2 *</c>
+    /// </summary>
+    private const int SearchLimitYears = 5;
+
+    private CronExpression()
+    {
+    }
+
+    /// <summary>
+    /// Parses a cron expression
+    /// </summary>
+    /// <param name="expression">The expression, e.g. <c>0 2 * * *</c> for every night at 02:00</param>
+    /// <returns>The parsed expression</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the expression is malformed or never matches</exception>
+    public static CronExpression Parse(string expression)
+    {
+        var fields = expression.Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        if (fields.Length != 5)
+        {
+            throw new InvalidOperationException("Cron expression needs five fields: minute, hour, day of month, month and day of week");
+        }
+
+        var cron = new CronExpression();
+        ParseField(fields[0], cron._minutes, 0, 59, "minute");
+        ParseField(fields[1], cron._hours, 0, 23, "hour");
+        ParseField(fields[2], cron._daysOfMonth, 1, 31, "day of month");
+        ParseField(fields[3], cron._months, 1, 12, "month");
+        ParseField(fields[4], cron._daysOfWeek, 0, 7, "day of week");
+
+        cron._daysOfWeek[0] |= cron._daysOfWeek[7];
+        cron._dayOfMonthRestricted = !fields[2].StartsWith('*');
+        cron._dayOfWeekRestricted = !fields[4].StartsWith('*');
+
+        cron.GetNextOccurrence(new DateTime(2000, 1, 1, 0, 0, 0, DateTimeKind.Unspecified));
+        return cron;
+    }
+
+    /// <summary>
+    /// Finds the first matching minute strictly after the given time
+    /// </summary>
+    /// <param name="after">The wall-clock time to search from; its kind is kept</param>
+    /// <returns>The next matching time, with seconds set to zero</returns>
+    /// <exception cref="InvalidOperationException">Thrown when nothing matches within <see cref="SearchLimitYears"/> years</exception>
+    public DateTime GetNextOccurrence(DateTime after)
+    {
+        var time = new DateTime(after.Year, after.Month, after.Day, after.Hour, after.Minute, 0, after.Kind).AddMinutes(1);
+        var limit = time.AddYears(SearchLimitYears);
+
+        while (time < limit)
+        {
+            if (!_months[time.Month])
+            {
+                time = new DateTime(time.Year, time.Month, 1, 0, 0, 0, time.Kind).AddMonths(1);
+            }
+            else if (!MatchesDay(time))
+            {
+                time = time.Date.AddDays(1);
+            }
+            else if (!_hours[time.Hour])
+            {
+                time = time.Date.AddHours(time.Hour + 1);
+            }
+            else if (!_minutes[time.Minute])
+            {
+                time = time.AddMinutes(1);
+            }
+            else
+            {
+                return time;
+            }
+        }
+
+        throw new InvalidOperationException("Cron expression never matches a date");
+    }
+
+    private bool MatchesDay(DateTime time)
+    {
+        var dayOfMonth = _daysOfMonth[time.Day];
+        var dayOfWeek = _daysOfWeek[(int)time.DayOfWeek];
+
+        if (_dayOfMonthRestricted && _dayOfWeekRestricted)
+        {
+            return dayOfMonth || dayOfWeek;
+        }
+
+        return dayOfMonth && dayOfWeek;
+    }
+
+    private static void ParseField(string field, bool[] values, int min, int max, string name)
+    {
+        foreach (var part in field.Split(','))
+        {
+            var range = part;
+            var step = 1;
+
+            var slash = part.IndexOf('/');
+            if (slash >= 0)
+            {
+                range = part[..slash];
+                step = ParseValue(part[(slash + 1)..], name);
+                if (step < 1)
+                {
+                    throw new InvalidOperationException($"Invalid cron {name} step: {part}");
+                }
+            }
+
+            int start;
+            int end;
+            if (range == "*")
+            {
+                start = min;
+                end = max;
+            }
+            else if (range.IndexOf('-') is var dash and > 0)
+            {
+                start = ParseValue(range[..dash], name);
+                end = ParseValue(range[(dash + 1)..], name);
+            }
+            else
+            {
+                start = ParseValue(range, name);
+                // A single value with a step, like 5/15, runs from that value to the end of the range
+                end = slash >= 0 ? max : start;
+            }
+
+            if (start < min || end > max || start > end)
+            {
+                throw new InvalidOperationException($"Cron {name} must be between {min} and {max}: {part}");
+            }
+
+            for (var value = start; value <= end; value += step)
+            {
+                values[value] = true;
+            }
+        }
+    }
+
+    private static int ParseValue(string text, string name)
+    {
+        if (!int.TryParse(text, NumberStyles.None, CultureInfo.InvariantCulture, out var value))
+        {
+            throw new InvalidOperationException($"Invalid cron {name}: {text}");
+        }
+
+        return value;
+    }
+}
@@ -15,6 +15,74 @@ public class ExecutionService
 {
     private readonly SqliteDatabase _database;
 
+    /// <summary>
+    /// Execution columns (aliased as <c>e</c>) in the order expected by <see cref="MapExecution"/>
+    /// </summary>
+    public const string ExecutionColumns = """
+        e.Id, e.TestId, e.EndpointId, e.Url, e.Method, e.Users, e.TargetRequests, e.TargetDuration,
+        e.StartedAt, e.CompletedAt, e.Status, e.TotalRequests, e.SuccessfulRequests, e.FailedRequests,
+        e.TotalElapsedTime, e.RequestsPerSecond, e.AverageResponseTime, e.MinResponseTime,
+        e.MaxResponseTime, e.Percentile50, e.Percentile75, e.Percentile90, e.Percentile95,
+        e.Percentile99, e.StatusCodesJson, e.ErrorMessage, e.ThresholdsJson,
+        e.AbortReason, e.LoadProfileJson, e.StepResultsJson, e.AssertionFailures, e.AssertionResultsJson,
+        e.Notes, e.TagsJson, e.TriggeredBy, e.ThresholdsPassed
+        """;
+
+    /// <summary>
+    /// Number of columns in <see cref="ExecutionColumns"/>
+    /// </summary>
+    private const int ExecutionColumnCount = 36;
+
+    /// <summary>
+    /// Endpoint (<c>ep</c>) and project (<c>p</c>) columns read by <see cref="MapExecutionWithRelated"/>
+    /// </summary>
+    private const string RelatedColumns = "ep.Id, ep.ProjectId, ep.Name, ep.Url, ep.Method, ep.Users, p.Id, p.Name";
+
+    /// <summary>
+    /// Maximum number of executions that can be compared side by side
+    /// </summary>
+    public const int MaxComparedExecutions = 10;
+
+    /// <summary>
+    /// Search status value that matches executions stopped by an abort rule
+    /// </summary>
+    public const string AbortedStatus = "Aborted";
+
+    /// <summary>
+    /// Trigger recorded for executions started from the dashboard, the API or the CLI
+    /// </summary>
+    public const string ManualTrigger = "Manual";
+
+    /// <summary>
+    /// Trigger recorded for executions started by a schedule
+    /// </summary>
+    public const string ScheduledTrigger = "Scheduled";
+
+    /// <summary>
+    /// Number of days covered by the runs-per-day statistics
+    /// </summary>
+    public const int StatisticsDays = 30;
+
+    /// <summary>
+    /// Number of entries in each ranked statistics list
+    /// </summary>
+    public const int StatisticsTopCount = 5;
+
+    /// <summary>
+    /// Maximum number of executions that can be deleted in one request
+    /// </summary>
+    public const int MaxBulkDeleteExecutions = 500;
+
+    /// <summary>
+    /// Maximum number of tags on one execution
+    /// </summary>
+    public const int MaxExecutionTags = 20;
+
+    /// <summary>
+    /// Maximum length of a single execution tag
+    /// </summary>
+    public const int MaxTagLength = 50;
+
     /// <summary>
     /// Initializes a new instance of the <see cref="ExecutionService"/> class
     /// </summary>
@@ -30,14 +98,15 @@ public class ExecutionService
     /// <param name="endpointId">The endpoint identifier</param>
     /// <param name="testId">The unique test identifier</param>
     /// <param name="usersOverride">Optional override for the number of concurrent users</param>
+    /// <param name="triggeredBy">Whether the run was started by hand or by a schedule</param>
     /// <returns>The created test execution</returns>
     /// <exception cref="InvalidOperationException">Thrown when the endpoint is not found</exception>
-    public async Task<TestExecution> CreateExecutionAsync(int endpointId, string testId, int? usersOverride = null)
+    public async Task<TestExecution> CreateExecutionAsync(int endpointId, string testId, int? usersOverride = null, string triggeredBy = ManualTrigger)
     {
         using var conn = _database.CreateConnection();
 
         using var getCmd = conn.CreateCommand();
-        getCmd.CommandText = "SELECT Url, Method, Users, Requests, Duration FROM Endpoints WHERE Id = @EndpointId";
+        getCmd.CommandText = "SELECT Url, Method, Users, Requests, Duration, ThresholdsJson, LoadProfileJson FROM Endpoints WHERE Id = @EndpointId";
         getCmd.Parameters.AddWithValue("@EndpointId", endpointId);
 
         using var reader = await getCmd.ExecuteReaderAsync();
@@ -51,14 +120,27 @@ public class ExecutionService
         var users = usersOverride ?? reader.GetInt32(2);
         var targetRequests = reader.IsDBNull(3) ? (int?)null : reader.GetInt32(3);
         var targetDuration = reader.IsDBNull(4) ? (int?)null : reader.GetInt32(4);
+        var thresholdsJson = reader.IsDBNull(5) ? null : reader.GetString(5);
+        var loadProfileJson = reader.IsDBNull(6) ? null : reader.GetString(6);
         reader.Close();
 
+        if (!string.IsNullOrEmpty(loadProfileJson))
+        {
+            var loadProfile = JsonSerializer.Deserialize(loadProfileJson, AppJsonContext.Default.LoadProfile);
+            if (loadProfile != null)
+            {
+                users = loadProfile.GetPeakUsers();
+                targetRequests = null;
+                targetDuration = loadProfile.GetTotalDuration();
+            }
+        }
+
         var now = DateTime.UtcNow;
 
         using var cmd = conn.CreateCommand();
         cmd.CommandText = """
-            INSERT INTO Executions (TestId, EndpointId, Url, Method, Users, TargetRequests, TargetDuration, StartedAt, Status)
-            VALUES (@TestId, @EndpointId, @Url, @Method, @Users, @TargetRequests, @TargetDuration, @StartedAt, @Status);
+            INSERT INTO Executions (TestId, EndpointId, Url, Method, Users, TargetRequests, TargetDuration, StartedAt, Status, ThresholdsJson, LoadProfileJson, TriggeredBy)
+            VALUES (@TestId, @EndpointId, @Url, @Method, @Users, @TargetRequests, @TargetDuration, @StartedAt, @Status, @ThresholdsJson, @LoadProfileJson, @TriggeredBy);
             SELECT last_insert_rowid();
             """;
 
@@ -71,6 +153,9 @@ public class ExecutionService
         cmd.Parameters.AddWithValue("@TargetDuration", (object?)targetDuration ?? DBNull.Value);
         cmd.Parameters.AddWithValue("@StartedAt", now.ToString("O"));
         cmd.Parameters.AddWithValue("@Status", "Running");
+        cmd.Parameters.AddWithValue("@ThresholdsJson", (object?)thresholdsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@LoadProfileJson", (object?)loadProfileJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@TriggeredBy", triggeredBy);
 
         var id = Convert.ToInt32(await cmd.ExecuteScalarAsync(), System.Globalization.CultureInfo.InvariantCulture);
 
@@ -86,6 +171,9 @@ public class ExecutionService
             TargetDuration = targetDuration,
             StartedAt = now,
             Status = "Running",
+            ThresholdsJson = thresholdsJson,
+            LoadProfileJson = loadProfileJson,
+            TriggeredBy = triggeredBy,
             Endpoint = new TestEndpoint
             {
                 Id = endpointId,
@@ -108,10 +196,16 @@ public class ExecutionService
         using var cmd = conn.CreateCommand();
 
         var now = DateTime.UtcNow;
+        var thresholdsJson = request.Thresholds != null
+            ? JsonSerializer.Serialize(request.Thresholds, AppJsonContext.Default.ThresholdConfig)
+            : null;
+        var loadProfileJson = request.LoadProfile != null
+            ? JsonSerializer.Serialize(request.LoadProfile, AppJsonContext.Default.LoadProfile)
+            : null;
 
         cmd.CommandText = """
-            INSERT INTO Executions (TestId, EndpointId, Url, Method, Users, TargetRequests, TargetDuration, StartedAt, Status)
-            VALUES (@TestId, NULL, @Url, @Method, @Users, @TargetRequests, @TargetDuration, @StartedAt, @Status);
+            INSERT INTO Executions (TestId, EndpointId, Url, Method, Users, TargetRequests, TargetDuration, StartedAt, Status, ThresholdsJson, LoadProfileJson)
+            VALUES (@TestId, NULL, @Url, @Method, @Users, @TargetRequests, @TargetDuration, @StartedAt, @Status, @ThresholdsJson, @LoadProfileJson);
             SELECT last_insert_rowid();
             """;
 
@@ -123,6 +217,8 @@ public class ExecutionService
         cmd.Parameters.AddWithValue("@TargetDuration", (object?)request.Duration ?? DBNull.Value);
         cmd.Parameters.AddWithValue("@StartedAt", now.ToString("O"));
         cmd.Parameters.AddWithValue("@Status", "Running");
+        cmd.Parameters.AddWithValue("@ThresholdsJson", (object?)thresholdsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@LoadProfileJson", (object?)loadProfileJson ?? DBNull.Value);
 
         var id = Convert.ToInt32(await cmd.ExecuteScalarAsync(), System.Globalization.CultureInfo.InvariantCulture);
 
@@ -137,7 +233,9 @@ public class ExecutionService
             TargetRequests = request.Requests,
             TargetDuration = request.Duration,
             StartedAt = now,
-            Status = "Running"
+            Status = "Running",
+            ThresholdsJson = thresholdsJson,
+            LoadProfileJson = loadProfileJson
         };
     }
 
@@ -151,12 +249,8 @@ public class ExecutionService
         using var conn = _database.CreateConnection();
         using var cmd = conn.CreateCommand();
 
-        cmd.CommandText = """
-            SELECT e.Id, e.TestId, e.EndpointId, e.Url, e.Method, e.Users, e.TargetRequests, e.TargetDuration,
-                   e.StartedAt, e.CompletedAt, e.Status, e.TotalRequests, e.SuccessfulRequests, e.FailedRequests,
-                   e.TotalElapsedTime, e.RequestsPerSecond, e.AverageResponseTime, e.MinResponseTime,
-                   e.MaxResponseTime, e.Percentile50, e.Percentile75, e.Percentile90, e.Percentile95,
-                   e.Percentile99, e.StatusCodesJson, e.ErrorMessage
+        cmd.CommandText = $"""
+            SELECT {ExecutionColumns}
             FROM Executions e
             WHERE e.TestId = @TestId
             """;
@@ -182,14 +276,9 @@ public class ExecutionService
         using var conn = _database.CreateConnection();
         using var cmd = conn.CreateCommand();
 
-        cmd.CommandText = """
-            SELECT e.Id, e.TestId, e.EndpointId, e.Url, e.Method, e.Users, e.TargetRequests, e.TargetDuration,
-                   e.StartedAt, e.CompletedAt, e.Status, e.TotalRequests, e.SuccessfulRequests, e.FailedRequests,
-                   e.TotalElapsedTime, e.RequestsPerSecond, e.AverageResponseTime, e.MinResponseTime,
-                   e.MaxResponseTime, e.Percentile50, e.Percentile75, e.Percentile90, e.Percentile95,
-                   e.Percentile99, e.StatusCodesJson, e.ErrorMessage,
-                   ep.Id, ep.ProjectId, ep.Name, ep.Url, ep.Method, ep.Users,
-                   p.Id, p.Name
+        cmd.CommandText = $"""
+            SELECT {ExecutionColumns},
+                   {RelatedColumns}
             FROM Executions e
             LEFT JOIN Endpoints ep ON e.EndpointId = ep.Id
             LEFT JOIN Projects p ON ep.ProjectId = p.Id
@@ -201,31 +290,7 @@ public class ExecutionService
 
         if (await reader.ReadAsync())
         {
-            var execution = MapExecution(reader);
-
-            if (!reader.IsDBNull(26))
-            {
-                execution.Endpoint = new TestEndpoint
-                {
-                    Id = reader.GetInt32(26),
-                    ProjectId = reader.GetInt32(27),
-                    Name = reader.GetString(28),
-                    Url = reader.GetString(29),
-                    Method = reader.GetString(30),
-                    Users = reader.GetInt32(31)
-                };
-
-                if (!reader.IsDBNull(32))
-                {
-                    execution.Endpoint.Project = new Project
-                    {
-                        Id = reader.GetInt32(32),
-                        Name = reader.GetString(33)
-                    };
-                }
-            }
-
-            return execution;
+            return MapExecutionWithRelated(reader);
         }
 
         return null;
@@ -247,7 +312,7 @@ public class ExecutionService
 
         cmd.CommandText = """
             SELECT Id, ExecutionId, Timestamp, TotalRequests, FailedRequests,
-                   ResponseTime, AverageResponseTime, CurrentRps, StatusCode
+                   ResponseTime, AverageResponseTime, CurrentRps, StatusCode, ActiveUsers
             FROM MetricSnapshots
             WHERE ExecutionId = @ExecutionId
             ORDER BY Timestamp
@@ -268,7 +333,8 @@ public class ExecutionService
                 ResponseTime = reader.GetDouble(5),
                 AverageResponseTime = reader.GetDouble(6),
                 CurrentRps = reader.GetDouble(7),
-                StatusCode = reader.GetInt32(8)
+                StatusCode = reader.GetInt32(8),
+                ActiveUsers = reader.GetInt32(9)
             });
         }
 
@@ -290,8 +356,8 @@ public class ExecutionService
         using var cmd = conn.CreateCommand();
 
         cmd.CommandText = """
-            INSERT INTO MetricSnapshots (ExecutionId, Timestamp, TotalRequests, FailedRequests, ResponseTime, AverageResponseTime, CurrentRps, StatusCode)
-            VALUES (@ExecutionId, @Timestamp, @TotalRequests, @FailedRequests, @ResponseTime, @AverageResponseTime, @CurrentRps, @StatusCode)
+            INSERT INTO MetricSnapshots (ExecutionId, Timestamp, TotalRequests, FailedRequests, ResponseTime, AverageResponseTime, CurrentRps, StatusCode, ActiveUsers)
+            VALUES (@ExecutionId, @Timestamp, @TotalRequests, @FailedRequests, @ResponseTime, @AverageResponseTime, @CurrentRps, @StatusCode, @ActiveUsers)
             """;
 
         cmd.Parameters.AddWithValue("@ExecutionId", execution.Id);
@@ -302,6 +368,7 @@ public class ExecutionService
         cmd.Parameters.AddWithValue("@AverageResponseTime", metric.AverageResponseTime);
         cmd.Parameters.AddWithValue("@CurrentRps", metric.CurrentRps);
         cmd.Parameters.AddWithValue("@StatusCode", metric.StatusCode);
+        cmd.Parameters.AddWithValue("@ActiveUsers", metric.ActiveUsers);
 
         await cmd.ExecuteNonQueryAsync();
     }
@@ -309,6 +376,9 @@ public class ExecutionService
     /// <summary>
     /// Completes an execution with successful results
     /// </summary>
+    /// <remarks>
+    /// A run that was cancelled or failed while in progress keeps that status; only its results are recorded.
+    /// </remarks>
     /// <param name="testId">The unique test identifier</param>
     /// <param name="result">The final load test results</param>
     public async Task CompleteExecutionAsync(string testId, LoadTestResult result)
@@ -318,7 +388,7 @@ public class ExecutionService
 
         cmd.CommandText = """
             UPDATE Executions SET
-                Status = @Status,
+                Status = CASE WHEN Status = 'Running' THEN @Status ELSE Status END,
                 CompletedAt = @CompletedAt,
                 TotalRequests = @TotalRequests,
                 SuccessfulRequests = @SuccessfulRequests,
@@ -333,10 +403,21 @@ public class ExecutionService
                 Percentile90 = @Percentile90,
                 Percentile95 = @Percentile95,
                 Percentile99 = @Percentile99,
-                StatusCodesJson = @StatusCodesJson
+                StatusCodesJson = @StatusCodesJson,
+                StepResultsJson = @StepResultsJson,
+                AssertionFailures = @AssertionFailures,
+                AssertionResultsJson = @AssertionResultsJson,
+                ThresholdsPassed = @ThresholdsPassed
             WHERE TestId = @TestId
             """;
 
+        var stepResultsJson = result.Steps != null
+            ? JsonSerializer.Serialize(result.Steps, AppJsonContext.Default.ListStepResult)
+            : null;
+        var assertionResultsJson = result.Assertions != null
+            ? JsonSerializer.Serialize(result.Assertions, AppJsonContext.Default.ListAssertionResult)
+            : null;
+
         cmd.Parameters.AddWithValue("@TestId", testId);
         cmd.Parameters.AddWithValue("@Status", "Completed");
         cmd.Parameters.AddWithValue("@CompletedAt", DateTime.UtcNow.ToString("O"));
@@ -354,6 +435,10 @@ public class ExecutionService
         cmd.Parameters.AddWithValue("@Percentile95", result.Percentile95);
         cmd.Parameters.AddWithValue("@Percentile99", result.Percentile99);
         cmd.Parameters.AddWithValue("@StatusCodesJson", JsonSerializer.Serialize(result.StatusCodes, AppJsonContext.Default.DictionaryInt32StatusCodeResult));
+        cmd.Parameters.AddWithValue("@StepResultsJson", (object?)stepResultsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@AssertionFailures", result.AssertionFailures);
+        cmd.Parameters.AddWithValue("@AssertionResultsJson", (object?)assertionResultsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@ThresholdsPassed", (object?)result.ThresholdsPassed ?? DBNull.Value);
 
         await cmd.ExecuteNonQueryAsync();
     }
@@ -388,7 +473,8 @@ public class ExecutionService
     /// Marks an execution as cancelled
     /// </summary>
     /// <param name="testId">The unique test identifier</param>
-    public async Task CancelExecutionAsync(string testId)
+    /// <param name="abortReason">Optional reason when the run was stopped by an abort rule</param>
+    public async Task CancelExecutionAsync(string testId, string? abortReason = null)
     {
         using var conn = _database.CreateConnection();
         using var cmd = conn.CreateCommand();
@@ -396,13 +482,15 @@ public class ExecutionService
         cmd.CommandText = """
             UPDATE Executions SET
                 Status = @Status,
-                CompletedAt = @CompletedAt
+                CompletedAt = @CompletedAt,
+                AbortReason = @AbortReason
             WHERE TestId = @TestId
             """;
 
         cmd.Parameters.AddWithValue("@TestId", testId);
         cmd.Parameters.AddWithValue("@Status", "Cancelled");
         cmd.Parameters.AddWithValue("@CompletedAt", DateTime.UtcNow.ToString("O"));
+        cmd.Parameters.AddWithValue("@AbortReason", (object?)abortReason ?? DBNull.Value);
 
         await cmd.ExecuteNonQueryAsync();
     }
@@ -417,14 +505,9 @@ public class ExecutionService
         using var conn = _database.CreateConnection();
         using var cmd = conn.CreateCommand();
 
-        cmd.CommandText = """
-            SELECT e.Id, e.TestId, e.EndpointId, e.Url, e.Method, e.Users, e.TargetRequests, e.TargetDuration,
-                   e.StartedAt, e.CompletedAt, e.Status, e.TotalRequests, e.SuccessfulRequests, e.FailedRequests,
-                   e.TotalElapsedTime, e.RequestsPerSecond, e.AverageResponseTime, e.MinResponseTime,
-                   e.MaxResponseTime, e.Percentile50, e.Percentile75, e.Percentile90, e.Percentile95,
-                   e.Percentile99, e.StatusCodesJson, e.ErrorMessage,
-                   ep.Id, ep.ProjectId, ep.Name, ep.Url, ep.Method, ep.Users,
-                   p.Id, p.Name
+        cmd.CommandText = $"""
+            SELECT {ExecutionColumns},
+                   {RelatedColumns}
             FROM Executions e
             LEFT JOIN Endpoints ep ON e.EndpointId = ep.Id
             LEFT JOIN Projects p ON ep.ProjectId = p.Id
@@ -438,31 +521,7 @@ public class ExecutionService
 
         while (await reader.ReadAsync())
         {
-            var execution = MapExecution(reader);
-
-            if (!reader.IsDBNull(26))
-            {
-                execution.Endpoint = new TestEndpoint
-                {
-                    Id = reader.GetInt32(26),
-                    ProjectId = reader.GetInt32(27),
-                    Name = reader.GetString(28),
-                    Url = reader.GetString(29),
-                    Method = reader.GetString(30),
-                    Users = reader.GetInt32(31)
-                };
-
-                if (!reader.IsDBNull(32))
-                {
-                    execution.Endpoint.Project = new Project
-                    {
-                        Id = reader.GetInt32(32),
-                        Name = reader.GetString(33)
-                    };
-                }
-            }
-
-            executions.Add(execution);
+            executions.Add(MapExecutionWithRelated(reader));
         }
 
         return executions;
@@ -473,11 +532,13 @@ public class ExecutionService
     /// </summary>
     /// <param name="endpointId">Optional endpoint filter</param>
     /// <param name="projectId">Optional project filter</param>
-    /// <param name="status">Optional status filter</param>
+    /// <param name="status">Optional status filter; "Aborted" matches runs stopped by an abort rule and "Cancelled" only runs stopped by hand</param>
     /// <param name="from">Optional start date filter</param>
     /// <param name="to">Optional end date filter</param>
     /// <param name="page">Page number (1-based)</param>
     /// <param name="pageSize">Number of items per page</param>
+    /// <param name="sort">Sort order: newest (default), oldest, fastest, slowest or throughput</param>
+    /// <param name="tag">Optional tag the executions must carry</param>
     /// <returns>A list of matching executions</returns>
     public async Task<List<TestExecution>> SearchExecutionsAsync(
         int? endpointId = null,
@@ -486,7 +547,9 @@ public class ExecutionService
         DateTime? from = null,
         DateTime? to = null,
         int page = 1,
-        int pageSize = 20)
+        int pageSize = 20,
+        string? sort = null,
+        string? tag = null)
     {
         using var conn = _database.CreateConnection();
         using var cmd = conn.CreateCommand();
@@ -505,39 +568,60 @@ public class ExecutionService
             cmd.Parameters.AddWithValue("@ProjectId", projectId.Value);
         }
 
-        if (!string.IsNullOrEmpty(status))
+        if (status == AbortedStatus)
+        {
+            // Aborted runs are stored as cancelled with the reason they were stopped
+            whereClause.Add("e.AbortReason IS NOT NULL");
+        }
+        else if (!string.IsNullOrEmpty(status))
         {
             whereClause.Add("e.Status = @Status");
             cmd.Parameters.AddWithValue("@Status", status);
+
+            if (status == "Cancelled")
+            {
+                // Runs stopped by hand only; aborted runs have their own filter
+                whereClause.Add("e.AbortReason IS NULL");
+            }
+        }
+
+        if (!string.IsNullOrEmpty(tag))
+        {
+            whereClause.Add("EXISTS (SELECT 1 FROM json_each(e.TagsJson) WHERE json_each.value = @Tag)");
+            cmd.Parameters.AddWithValue("@Tag", tag);
         }
 
+        // StartedAt is stored as round-trip UTC text, so bounds are compared in UTC too
         if (from.HasValue)
         {
             whereClause.Add("e.StartedAt >= @From");
-            cmd.Parameters.AddWithValue("@From", from.Value.ToString("O"));
+            cmd.Parameters.AddWithValue("@From", from.Value.ToUniversalTime().ToString("O"));
         }
 
         if (to.HasValue)
         {
             whereClause.Add("e.StartedAt <= @To");
-            cmd.Parameters.AddWithValue("@To", to.Value.ToString("O"));
+            cmd.Parameters.AddWithValue("@To", to.Value.ToUniversalTime().ToString("O"));
         }
 
         var whereString = whereClause.Count > 0 ? "WHERE " + string.Join(" AND ", whereClause) : "";
+        var orderBy = sort switch
+        {
+            "oldest" => "e.StartedAt ASC",
+            "fastest" => "e.AverageResponseTime ASC, e.StartedAt DESC",
+            "slowest" => "e.AverageResponseTime DESC, e.StartedAt DESC",
+            "throughput" => "e.RequestsPerSecond DESC, e.StartedAt DESC",
+            _ => "e.StartedAt DESC"
+        };
 
         cmd.CommandText = $"""
-            SELECT e.Id, e.TestId, e.EndpointId, e.Url, e.Method, e.Users, e.TargetRequests, e.TargetDuration,
-                   e.StartedAt, e.CompletedAt, e.Status, e.TotalRequests, e.SuccessfulRequests, e.FailedRequests,
-                   e.TotalElapsedTime, e.RequestsPerSecond, e.AverageResponseTime, e.MinResponseTime,
-                   e.MaxResponseTime, e.Percentile50, e.Percentile75, e.Percentile90, e.Percentile95,
-                   e.Percentile99, e.StatusCodesJson, e.ErrorMessage,
-                   ep.Id, ep.ProjectId, ep.Name, ep.Url, ep.Method, ep.Users,
-                   p.Id, p.Name
+            SELECT {ExecutionColumns},
+                   {RelatedColumns}
             FROM Executions e
             LEFT JOIN Endpoints ep ON e.EndpointId = ep.Id
             LEFT JOIN Projects p ON ep.ProjectId = p.Id
             {whereString}
-            ORDER BY e.StartedAt DESC
+            ORDER BY {orderBy}
             LIMIT @Limit OFFSET @Offset
             """;
 
@@ -549,31 +633,7 @@ public class ExecutionService
 
         while (await reader.ReadAsync())
         {
-            var execution = MapExecution(reader);
-
-            if (!reader.IsDBNull(26))
-            {
-                execution.Endpoint = new TestEndpoint
-                {
-                    Id = reader.GetInt32(26),
-                    ProjectId = reader.GetInt32(27),
-                    Name = reader.GetString(28),
-                    Url = reader.GetString(29),
-                    Method = reader.GetString(30),
-                    Users = reader.GetInt32(31)
-                };
-
-                if (!reader.IsDBNull(32))
-                {
-                    execution.Endpoint.Project = new Project
-                    {
-                        Id = reader.GetInt32(32),
-                        Name = reader.GetString(33)
-                    };
-                }
-            }
-
-            executions.Add(execution);
+            executions.Add(MapExecutionWithRelated(reader));
         }
 
         return executions;
@@ -589,16 +649,123 @@ public class ExecutionService
         using var conn = _database.CreateConnection();
         using var cmd = conn.CreateCommand();
 
-        cmd.CommandText = "DELETE FROM Executions WHERE Id = @Id";
+        cmd.CommandText = """
+            UPDATE Endpoints SET BaselineExecutionId = NULL WHERE BaselineExecutionId = @Id;
+            DELETE FROM Executions WHERE Id = @Id;
+            """;
         cmd.Parameters.AddWithValue("@Id", id);
 
         var affected = await cmd.ExecuteNonQueryAsync();
         return affected > 0;
     }
 
+    /// <summary>
+    /// Deletes several executions at once
+    /// </summary>
+    /// <param name="ids">The execution identifiers</param>
+    /// <returns>The number of executions deleted</returns>
+    /// <exception cref="InvalidOperationException">Thrown when no or more than <see cref="MaxBulkDeleteExecutions"/> executions are requested</exception>
+    public async Task<int> DeleteExecutionsAsync(IReadOnlyList<int> ids)
+    {
+        if (ids.Count == 0)
+            throw new InvalidOperationException("Select at least one execution to delete");
+        if (ids.Count > MaxBulkDeleteExecutions)
+            throw new InvalidOperationException($"At most {MaxBulkDeleteExecutions} executions can be deleted at once");
+
+        using var conn = _database.CreateConnection();
+        // Unpinning and deleting together, so a failed delete cannot leave endpoints without their baseline
+        using var transaction = conn.BeginTransaction();
+        using var cmd = conn.CreateCommand();
+
+        var parameterNames = new List<string>();
+        foreach (var (id, index) in ids.Distinct().Select((id, index) => (id, index)))
+        {
+            var name = $"@Id{index}";
+            parameterNames.Add(name);
+            cmd.Parameters.AddWithValue(name, id);
+        }
+        var idList = string.Join(", ", parameterNames);
+
+        cmd.CommandText = $"UPDATE Endpoints SET BaselineExecutionId = NULL WHERE BaselineExecutionId IN ({idList})";
+        await cmd.ExecuteNonQueryAsync();
+
+        cmd.CommandText = $"DELETE FROM Executions WHERE Id IN ({idList})";
+        var deleted = await cmd.ExecuteNonQueryAsync();
+
+        transaction.Commit();
+        return deleted;
+    }
+
+    /// <summary>
+    /// Replaces the notes and tags of an execution
+    /// </summary>
+    /// <param name="id">The execution identifier</param>
+    /// <param name="notes">The notes, or null to clear them</param>
+    /// <param name="tags">The tags; blank and duplicate tags are dropped</param>
+    /// <returns>The updated execution if found, otherwise null</returns>
+    /// <exception cref="InvalidOperationException">Thrown when a tag is too long or there are too many tags</exception>
+    public async Task<TestExecution?> UpdateExecutionAnnotationsAsync(int id, string? notes, IReadOnlyList<string>? tags)
+    {
+        var normalizedTags = (tags ?? [])
+            .Select(t => t.Trim())
+            .Where(t => t.Length > 0)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        if (normalizedTags.Count > MaxExecutionTags)
+            throw new InvalidOperationException($"An execution can have at most {MaxExecutionTags} tags");
+        if (normalizedTags.Any(t => t.Length > MaxTagLength))
+            throw new InvalidOperationException($"Tags can be at most {MaxTagLength} characters long");
+
+        var tagsJson = normalizedTags.Count > 0
+            ? JsonSerializer.Serialize(normalizedTags, AppJsonContext.Default.ListString)
+            : null;
+
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = "UPDATE Executions SET Notes = @Notes, TagsJson = @TagsJson WHERE Id = @Id";
+        cmd.Parameters.AddWithValue("@Id", id);
+        cmd.Parameters.AddWithValue("@Notes", string.IsNullOrWhiteSpace(notes) ? DBNull.Value : (object)notes.Trim());
+        cmd.Parameters.AddWithValue("@TagsJson", (object?)tagsJson ?? DBNull.Value);
+
+        var affected = await cmd.ExecuteNonQueryAsync();
+        return affected > 0 ? await GetExecutionByIdAsync(id) : null;
+    }
+
+    /// <summary>
+    /// Gets every tag used on any execution
+    /// </summary>
+    /// <returns>The distinct tags in alphabetical order</returns>
+    public async Task<List<string>> GetExecutionTagsAsync()
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = """
+            SELECT DISTINCT t.value
+            FROM Executions e, json_each(e.TagsJson) t
+            WHERE e.TagsJson IS NOT NULL
+            ORDER BY t.value COLLATE NOCASE
+            """;
+
+        var tags = new List<string>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            tags.Add(reader.GetString(0));
+        }
+
+        return tags;
+    }
+
     /// <summary>
     /// Gets aggregated statistics for executions
     /// </summary>
+    /// <remarks>
+    /// Besides the totals, includes runs per day over the last <see cref="StatisticsDays"/> days, the endpoints with the
+    /// slowest P95 on their latest completed run, the most tested projects and the endpoints whose latest run regressed.
+    /// </remarks>
     /// <param name="projectId">Optional project filter</param>
     /// <param name="endpointId">Optional endpoint filter</param>
     /// <returns>Aggregated execution statistics</returns>
@@ -627,41 +794,230 @@ public class ExecutionService
                 COUNT(*) as TotalExecutions,
                 SUM(CASE WHEN e.Status = 'Completed' THEN 1 ELSE 0 END) as SuccessfulExecutions,
                 SUM(CASE WHEN e.Status = 'Failed' THEN 1 ELSE 0 END) as FailedExecutions,
-                SUM(CASE WHEN e.Status = 'Cancelled' THEN 1 ELSE 0 END) as CancelledExecutions,
+                SUM(CASE WHEN e.Status = 'Cancelled' AND e.AbortReason IS NULL THEN 1 ELSE 0 END) as CancelledExecutions,
                 SUM(e.TotalRequests) as TotalRequests,
                 AVG(CASE WHEN e.Status = 'Completed' THEN e.AverageResponseTime END) as AvgResponseTime,
-                AVG(CASE WHEN e.Status = 'Completed' THEN e.RequestsPerSecond END) as AvgRps
+                AVG(CASE WHEN e.Status = 'Completed' THEN e.RequestsPerSecond END) as AvgRps,
+                SUM(e.FailedRequests) as FailedRequests,
+                SUM(CASE WHEN e.AbortReason IS NOT NULL THEN 1 ELSE 0 END) as AbortedExecutions
             FROM Executions e
             LEFT JOIN Endpoints ep ON e.EndpointId = ep.Id
             {whereString}
             """;
 
-        using var reader = await cmd.ExecuteReaderAsync();
+        var statistics = new ExecutionStatistics();
+        using (var reader = await cmd.ExecuteReaderAsync())
+        {
+            if (await reader.ReadAsync())
+            {
+                statistics.TotalExecutions = reader.GetInt32(0);
+                statistics.SuccessfulExecutions = reader.IsDBNull(1) ? 0 : reader.GetInt32(1);
+                statistics.FailedExecutions = reader.IsDBNull(2) ? 0 : reader.GetInt32(2);
+                statistics.CancelledExecutions = reader.IsDBNull(3) ? 0 : reader.GetInt32(3);
+                statistics.TotalRequests = reader.IsDBNull(4) ? 0 : reader.GetInt64(4);
+                statistics.AverageResponseTime = reader.IsDBNull(5) ? 0 : reader.GetDouble(5);
+                statistics.AverageRps = reader.IsDBNull(6) ? 0 : reader.GetDouble(6);
+                statistics.FailedRequests = reader.IsDBNull(7) ? 0 : reader.GetInt64(7);
+                statistics.AbortedExecutions = reader.IsDBNull(8) ? 0 : reader.GetInt32(8);
+                statistics.FailureRate = statistics.TotalRequests > 0
+                    ? (double)statistics.FailedRequests / statistics.TotalRequests * 100
+                    : 0;
+            }
+        }
 
-        if (await reader.ReadAsync())
+        // The remaining queries reuse the filter parameters already on the command
+        var since = DateTime.UtcNow.Date.AddDays(-(StatisticsDays - 1));
+        cmd.Parameters.AddWithValue("@Since", since.ToString("O"));
+        var sinceFilter = (whereClause.Count > 0 ? $"{whereString} AND " : "WHERE ") + "e.StartedAt >= @Since";
+
+        cmd.CommandText = $"""
+            SELECT substr(e.StartedAt, 1, 10) as Day, COUNT(*), SUM(e.TotalRequests), SUM(e.FailedRequests)
+            FROM Executions e
+            LEFT JOIN Endpoints ep ON e.EndpointId = ep.Id
+            {sinceFilter}
+            GROUP BY Day
+            ORDER BY Day
+            """;
+        using (var reader = await cmd.ExecuteReaderAsync())
         {
-            return new ExecutionStatistics
+            while (await reader.ReadAsync())
             {
-                TotalExecutions = reader.GetInt32(0),
-                SuccessfulExecutions = reader.IsDBNull(1) ? 0 : reader.GetInt32(1),
-                FailedExecutions = reader.IsDBNull(2) ? 0 : reader.GetInt32(2),
-                CancelledExecutions = reader.IsDBNull(3) ? 0 : reader.GetInt32(3),
-                TotalRequests = reader.IsDBNull(4) ? 0 : reader.GetInt64(4),
-                AverageResponseTime = reader.IsDBNull(5) ? 0 : reader.GetDouble(5),
-                AverageRps = reader.IsDBNull(6) ? 0 : reader.GetDouble(6)
-            };
+                statistics.RunsPerDay.Add(new DailyExecutionStatistics
+                {
+                    Date = reader.GetString(0),
+                    Executions = reader.GetInt32(1),
+                    TotalRequests = reader.IsDBNull(2) ? 0 : reader.GetInt64(2),
+                    FailedRequests = reader.IsDBNull(3) ? 0 : reader.GetInt64(3)
+                });
+            }
+        }
+
+        var endpointFilter = (whereClause.Count > 0 ? $"{whereString} AND " : "WHERE ") + "e.Status = 'Completed' AND e.AbortReason IS NULL";
+        cmd.CommandText = $"""
+            SELECT EndpointId, EndpointName, ProjectName, Percentile95, AverageResponseTime, ExecutionId, StartedAt, Runs
+            FROM (
+                SELECT e.EndpointId, ep.Name as EndpointName, p.Name as ProjectName, e.Percentile95, e.AverageResponseTime,
+                       e.Id as ExecutionId, e.StartedAt,
+                       COUNT(*) OVER (PARTITION BY e.EndpointId) as Runs,
+                       ROW_NUMBER() OVER (PARTITION BY e.EndpointId ORDER BY e.StartedAt DESC) as RowNumber
+                FROM Executions e
+                JOIN Endpoints ep ON e.EndpointId = ep.Id
+                JOIN Projects p ON ep.ProjectId = p.Id
+                {endpointFilter}
+            )
+            WHERE RowNumber = 1
+            ORDER BY Percentile95 DESC
+            LIMIT @TopCount
+            """;
+        cmd.Parameters.AddWithValue("@TopCount", StatisticsTopCount);
+        using (var reader = await cmd.ExecuteReaderAsync())
+        {
+            while (await reader.ReadAsync())
+            {
+                statistics.SlowestEndpoints.Add(new EndpointStatistics
+                {
+                    EndpointId = reader.GetInt32(0),
+                    EndpointName = reader.GetString(1),
+                    ProjectName = reader.GetString(2),
+                    Percentile95 = reader.GetDouble(3),
+                    AverageResponseTime = reader.GetDouble(4),
+                    LatestExecutionId = reader.GetInt32(5),
+                    LatestStartedAt = DateTime.Parse(reader.GetString(6), System.Globalization.CultureInfo.InvariantCulture),
+                    Executions = reader.GetInt32(7)
+                });
+            }
+        }
+
+        cmd.CommandText = $"""
+            SELECT p.Id, p.Name, COUNT(*) as Runs, SUM(e.TotalRequests), MAX(e.StartedAt)
+            FROM Executions e
+            JOIN Endpoints ep ON e.EndpointId = ep.Id
+            JOIN Projects p ON ep.ProjectId = p.Id
+            {whereString}
+            GROUP BY p.Id, p.Name
+            ORDER BY Runs DESC, MAX(e.StartedAt) DESC
+            LIMIT @TopCount
+            """;
+        using (var reader = await cmd.ExecuteReaderAsync())
+        {
+            while (await reader.ReadAsync())
+            {
+                statistics.MostTestedProjects.Add(new ProjectStatistics
+                {
+                    ProjectId = reader.GetInt32(0),
+                    ProjectName = reader.GetString(1),
+                    Executions = reader.GetInt32(2),
+                    TotalRequests = reader.IsDBNull(3) ? 0 : reader.GetInt64(3),
+                    LastRunAt = DateTime.Parse(reader.GetString(4), System.Globalization.CultureInfo.InvariantCulture)
+                });
+            }
+        }
+
+        statistics.RecentRegressions = await GetRecentRegressionsAsync(conn, projectId, endpointId);
+        return statistics;
+    }
+
+    /// <summary>
+    /// Finds the endpoints whose latest completed run regressed against their pinned baseline,
+    /// or against the previous completed run when no baseline is pinned
+    /// </summary>
+    /// <param name="conn">The open database connection</param>
+    /// <param name="projectId">Optional project filter</param>
+    /// <param name="endpointId">Optional endpoint filter</param>
+    /// <returns>The regressed endpoints, most recent run first</returns>
+    private async Task<List<EndpointRegression>> GetRecentRegressionsAsync(SqliteConnection conn, int? projectId, int? endpointId)
+    {
+        using var cmd = conn.CreateCommand();
+
+        var filter = "";
+        if (endpointId.HasValue)
+        {
+            filter = "WHERE ep.Id = @EndpointId";
+            cmd.Parameters.AddWithValue("@EndpointId", endpointId.Value);
+        }
+        else if (projectId.HasValue)
+        {
+            filter = "WHERE ep.ProjectId = @ProjectId";
+            cmd.Parameters.AddWithValue("@ProjectId", projectId.Value);
+        }
+
+        // Aborted runs stopped early, so their numbers are not comparable
+        const string completedRuns = "FROM Executions x WHERE x.EndpointId = ep.Id AND x.Status = 'Completed' AND x.AbortReason IS NULL ORDER BY x.StartedAt DESC";
+        cmd.CommandText = $"""
+            SELECT ep.Id, ep.Name, p.Name, ep.BaselineExecutionId, ep.RegressionToleranceJson,
+                   (SELECT x.Id {completedRuns} LIMIT 1) as LatestId,
+                   (SELECT x.Id {completedRuns} LIMIT 1 OFFSET 1) as PreviousId
+            FROM Endpoints ep
+            JOIN Projects p ON ep.ProjectId = p.Id
+            {filter}
+            """;
+
+        var candidates = new List<(int EndpointId, string EndpointName, string ProjectName, int? BaselineId, bool IsPinned, RegressionTolerance Tolerance, int LatestId)>();
+        using (var reader = await cmd.ExecuteReaderAsync())
+        {
+            while (await reader.ReadAsync())
+            {
+                if (reader.IsDBNull(5))
+                    continue;
+
+                var pinnedId = reader.IsDBNull(3) ? (int?)null : reader.GetInt32(3);
+                var previousId = reader.IsDBNull(6) ? (int?)null : reader.GetInt32(6);
+                candidates.Add((
+                    reader.GetInt32(0),
+                    reader.GetString(1),
+                    reader.GetString(2),
+                    pinnedId ?? previousId,
+                    pinnedId.HasValue,
+                    ParseTolerance(reader.IsDBNull(4) ? null : reader.GetString(4)),
+                    reader.GetInt32(5)));
+            }
         }
 
-        return new ExecutionStatistics();
+        var regressions = new List<EndpointRegression>();
+        foreach (var candidate in candidates)
+        {
+            if (candidate.BaselineId == null || candidate.BaselineId == candidate.LatestId)
+                continue;
+
+            var baseline = await GetExecutionByIdAsync(candidate.BaselineId.Value);
+            var latest = await GetExecutionByIdAsync(candidate.LatestId);
+            if (baseline == null || latest == null)
+                continue;
+
+            var delta = CalculateDelta(baseline, latest, candidate.Tolerance);
+            if (delta.Verdict != PerformanceDelta.RegressedVerdict)
+                continue;
+
+            regressions.Add(new EndpointRegression
+            {
+                EndpointId = candidate.EndpointId,
+                EndpointName = candidate.EndpointName,
+                ProjectName = candidate.ProjectName,
+                ExecutionId = latest.Id,
+                StartedAt = latest.StartedAt,
+                BaselineExecutionId = baseline.Id,
+                AgainstPinnedBaseline = candidate.IsPinned,
+                Tolerance = candidate.Tolerance,
+                Delta = delta
+            });
+        }
+
+        return regressions
+            .OrderByDescending(r => r.StartedAt)
+            .Take(StatisticsTopCount)
+            .ToList();
     }
 
+    private static RegressionTolerance ParseTolerance(string? json) =>
+        !string.IsNullOrEmpty(json)
+            ? JsonSerializer.Deserialize(json, AppJsonContext.Default.RegressionTolerance) ?? new RegressionTolerance()
+            : new RegressionTolerance();
+
     /// <summary>
     /// Maps a database reader row to a TestExecution entity
     /// </summary>
     /// <remarks>
-    /// Expected columns: Id, TestId, EndpointId, Url, Method, Users, TargetRequests, TargetDuration,
-    /// StartedAt, CompletedAt, Status, TotalRequests, SuccessfulRequests, FailedRequests, TotalElapsedTime, 
-    /// RequestsPerSecond, AverageResponseTime, MinResponseTime, MaxResponseTime, Percentile50-99, StatusCodesJson, ErrorMessage
+    /// Expects the columns listed in <see cref="ExecutionColumns"/>, in that order.
     /// </remarks>
     /// <param name="reader">The data reader positioned at a row</param>
     /// <returns>The mapped TestExecution entity</returns>
@@ -694,10 +1050,56 @@ public class ExecutionService
             Percentile95 = reader.GetDouble(22),
             Percentile99 = reader.GetDouble(23),
             StatusCodesJson = reader.IsDBNull(24) ? null : reader.GetString(24),
-            ErrorMessage = reader.IsDBNull(25) ? null : reader.GetString(25)
+            ErrorMessage = reader.IsDBNull(25) ? null : reader.GetString(25),
+            ThresholdsJson = reader.IsDBNull(26) ? null : reader.GetString(26),
+            AbortReason = reader.IsDBNull(27) ? null : reader.GetString(27),
+            LoadProfileJson = reader.IsDBNull(28) ? null : reader.GetString(28),
+            StepResultsJson = reader.IsDBNull(29) ? null : reader.GetString(29),
+            AssertionFailures = reader.GetInt64(30),
+            AssertionResultsJson = reader.IsDBNull(31) ? null : reader.GetString(31),
+            Notes = reader.IsDBNull(32) ? null : reader.GetString(32),
+            TagsJson = reader.IsDBNull(33) ? null : reader.GetString(33),
+            TriggeredBy = reader.GetString(34),
+            ThresholdsPassed = reader.IsDBNull(35) ? null : reader.GetBoolean(35)
         };
     }
 
+    /// <summary>
+    /// Maps a row selected with <see cref="ExecutionColumns"/> followed by <see cref="RelatedColumns"/>
+    /// to a TestExecution including its endpoint and project
+    /// </summary>
+    /// <param name="reader">The data reader positioned at a row</param>
+    /// <returns>The mapped TestExecution entity</returns>
+    private static TestExecution MapExecutionWithRelated(SqliteDataReader reader)
+    {
+        var execution = MapExecution(reader);
+        const int offset = ExecutionColumnCount;
+
+        if (!reader.IsDBNull(offset))
+        {
+            execution.Endpoint = new TestEndpoint
+            {
+                Id = reader.GetInt32(offset),
+                ProjectId = reader.GetInt32(offset + 1),
+                Name = reader.GetString(offset + 2),
+                Url = reader.GetString(offset + 3),
+                Method = reader.GetString(offset + 4),
+                Users = reader.GetInt32(offset + 5)
+            };
+
+            if (!reader.IsDBNull(offset + 6))
+            {
+                execution.Endpoint.Project = new Project
+                {
+                    Id = reader.GetInt32(offset + 6),
+                    Name = reader.GetString(offset + 7)
+                };
+            }
+        }
+
+        return execution;
+    }
+
     /// <summary>
     /// Compares two test executions and calculates performance delta
     /// </summary>
@@ -712,44 +1114,119 @@ public class ExecutionService
         if (baseline == null || compare == null)
             return null;
 
-        var baselineSummary = new ExecutionSummary
-        {
-            Id = baseline.Id,
-            TestId = baseline.TestId,
-            EndpointName = baseline.Endpoint?.Name,
-            Url = baseline.Url,
-            StartedAt = baseline.StartedAt,
-            TotalRequests = baseline.TotalRequests,
-            FailedRequests = baseline.FailedRequests,
-            RequestsPerSecond = baseline.RequestsPerSecond,
-            AverageResponseTime = baseline.AverageResponseTime,
-            MinResponseTime = baseline.MinResponseTime,
-            MaxResponseTime = baseline.MaxResponseTime,
-            Percentile50 = baseline.Percentile50,
-            Percentile90 = baseline.Percentile90,
-            Percentile95 = baseline.Percentile95,
-            Percentile99 = baseline.Percentile99
+        return new ExecutionComparisonResult
+        {
+            Baseline = CreateSummary(baseline),
+            Compare = CreateSummary(compare),
+            Delta = CalculateDelta(baseline, compare, new RegressionTolerance())
+        };
+    }
+
+    /// <summary>
+    /// Compares an execution against the baseline pinned on its endpoint
+    /// </summary>
+    /// <param name="testId">The test identifier of the execution to check</param>
+    /// <returns>
+    /// The comparison result with its verdict, or null if the execution is not found, its endpoint has no baseline
+    /// or the execution is the baseline itself
+    /// </returns>
+    public async Task<ExecutionComparisonResult?> CompareWithBaselineAsync(string testId)
+    {
+        var compare = await GetExecutionByTestIdAsync(testId);
+        if (compare?.EndpointId == null)
+            return null;
+
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT BaselineExecutionId, RegressionToleranceJson FROM Endpoints WHERE Id = @Id";
+        cmd.Parameters.AddWithValue("@Id", compare.EndpointId.Value);
+
+        int? baselineId = null;
+        var tolerance = new RegressionTolerance();
+        using (var reader = await cmd.ExecuteReaderAsync())
+        {
+            if (await reader.ReadAsync())
+            {
+                baselineId = reader.IsDBNull(0) ? null : reader.GetInt32(0);
+                tolerance = ParseTolerance(reader.IsDBNull(1) ? null : reader.GetString(1));
+            }
+        }
+
+        if (baselineId == null || baselineId == compare.Id)
+            return null;
+
+        var baseline = await GetExecutionByIdAsync(baselineId.Value);
+        if (baseline == null)
+            return null;
+
+        return new ExecutionComparisonResult
+        {
+            Baseline = CreateSummary(baseline),
+            Compare = CreateSummary(compare),
+            Delta = CalculateDelta(baseline, compare, tolerance),
+            Tolerance = tolerance
         };
+    }
 
-        var compareSummary = new ExecutionSummary
-        {
-            Id = compare.Id,
-            TestId = compare.TestId,
-            EndpointName = compare.Endpoint?.Name,
-            Url = compare.Url,
-            StartedAt = compare.StartedAt,
-            TotalRequests = compare.TotalRequests,
-            FailedRequests = compare.FailedRequests,
-            RequestsPerSecond = compare.RequestsPerSecond,
-            AverageResponseTime = compare.AverageResponseTime,
-            MinResponseTime = compare.MinResponseTime,
-            MaxResponseTime = compare.MaxResponseTime,
-            Percentile50 = compare.Percentile50,
-            Percentile90 = compare.Percentile90,
-            Percentile95 = compare.Percentile95,
-            Percentile99 = compare.Percentile99
+    /// <summary>
+    /// Compares several test executions against the first one
+    /// </summary>
+    /// <param name="executionIds">The execution IDs to compare; the first one is the baseline</param>
+    /// <returns>The comparison result or null if any execution is not found</returns>
+    /// <exception cref="InvalidOperationException">Thrown when fewer than two, more than <see cref="MaxComparedExecutions"/> or duplicate executions are requested</exception>
+    public async Task<MultiExecutionComparisonResult?> CompareManyExecutionsAsync(IReadOnlyList<int> executionIds)
+    {
+        if (executionIds.Count < 2)
+            throw new InvalidOperationException("Select at least two executions to compare");
+        if (executionIds.Count > MaxComparedExecutions)
+            throw new InvalidOperationException($"At most {MaxComparedExecutions} executions can be compared at once");
+        if (executionIds.Distinct().Count() != executionIds.Count)
+            throw new InvalidOperationException("Each execution can only be compared once");
+
+        var executions = new List<TestExecution>();
+        foreach (var id in executionIds)
+        {
+            var execution = await GetExecutionByIdAsync(id);
+            if (execution == null)
+                return null;
+            executions.Add(execution);
+        }
+
+        var baseline = executions[0];
+        return new MultiExecutionComparisonResult
+        {
+            Baseline = CreateSummary(baseline),
+            Executions = executions.Skip(1)
+                .Select(e => new ExecutionComparisonEntry
+                {
+                    Execution = CreateSummary(e),
+                    Delta = CalculateDelta(baseline, e, new RegressionTolerance())
+                })
+                .ToList()
         };
+    }
 
+    private static ExecutionSummary CreateSummary(TestExecution execution) => new()
+    {
+        Id = execution.Id,
+        TestId = execution.TestId,
+        EndpointName = execution.Endpoint?.Name,
+        Url = execution.Url,
+        StartedAt = execution.StartedAt,
+        TotalRequests = execution.TotalRequests,
+        FailedRequests = execution.FailedRequests,
+        RequestsPerSecond = execution.RequestsPerSecond,
+        AverageResponseTime = execution.AverageResponseTime,
+        MinResponseTime = execution.MinResponseTime,
+        MaxResponseTime = execution.MaxResponseTime,
+        Percentile50 = execution.Percentile50,
+        Percentile90 = execution.Percentile90,
+        Percentile95 = execution.Percentile95,
+        Percentile99 = execution.Percentile99
+    };
+
+    private static PerformanceDelta CalculateDelta(TestExecution baseline, TestExecution compare, RegressionTolerance tolerance)
+    {
         var rpsDelta = compare.RequestsPerSecond - baseline.RequestsPerSecond;
         var avgResponseDelta = compare.AverageResponseTime - baseline.AverageResponseTime;
         var p50Delta = compare.Percentile50 - baseline.Percentile50;
@@ -760,14 +1237,20 @@ public class ExecutionService
         var baselineFailureRate = baseline.TotalRequests > 0 ? (double)baseline.FailedRequests / baseline.TotalRequests : 0;
         var compareFailureRate = compare.TotalRequests > 0 ? (double)compare.FailedRequests / compare.TotalRequests : 0;
 
-        var assessment = DetermineAssessment(rpsDelta, avgResponseDelta, baseline.RequestsPerSecond, baseline.AverageResponseTime);
+        var rpsPercentChange = baseline.RequestsPerSecond > 0 ? (rpsDelta / baseline.RequestsPerSecond) * 100 : 0;
+        var avgResponsePercentChange = baseline.AverageResponseTime > 0 ? (avgResponseDelta / baseline.AverageResponseTime) * 100 : 0;
+        var p95PercentChange = baseline.Percentile95 > 0 ? (p95Delta / baseline.Percentile95) * 100 : 0;
+        var failureRateDelta = (compareFailureRate - baselineFailureRate) * 100;
+
+        var assessment = DetermineAssessment(rpsPercentChange, avgResponsePercentChange, tolerance);
+        var verdict = DetermineVerdict(rpsPercentChange, avgResponsePercentChange, p95PercentChange, failureRateDelta, tolerance);
 
-        var delta = new PerformanceDelta
+        return new PerformanceDelta
         {
             RpsDelta = rpsDelta,
-            RpsPercentChange = baseline.RequestsPerSecond > 0 ? (rpsDelta / baseline.RequestsPerSecond) * 100 : 0,
+            RpsPercentChange = rpsPercentChange,
             AvgResponseTimeDelta = avgResponseDelta,
-            AvgResponseTimePercentChange = baseline.AverageResponseTime > 0 ? (avgResponseDelta / baseline.AverageResponseTime) * 100 : 0,
+            AvgResponseTimePercentChange = avgResponsePercentChange,
             MinResponseTimeDelta = compare.MinResponseTime - baseline.MinResponseTime,
             MaxResponseTimeDelta = compare.MaxResponseTime - baseline.MaxResponseTime,
             P50Delta = p50Delta,
@@ -775,30 +1258,21 @@ public class ExecutionService
             P90Delta = p90Delta,
             P90PercentChange = baseline.Percentile90 > 0 ? (p90Delta / baseline.Percentile90) * 100 : 0,
             P95Delta = p95Delta,
-            P95PercentChange = baseline.Percentile95 > 0 ? (p95Delta / baseline.Percentile95) * 100 : 0,
+            P95PercentChange = p95PercentChange,
             P99Delta = p99Delta,
             P99PercentChange = baseline.Percentile99 > 0 ? (p99Delta / baseline.Percentile99) * 100 : 0,
-            FailureRateDelta = (compareFailureRate - baselineFailureRate) * 100,
-            Assessment = assessment
-        };
-
-        return new ExecutionComparisonResult
-        {
-            Baseline = baselineSummary,
-            Compare = compareSummary,
-            Delta = delta
+            FailureRateDelta = failureRateDelta,
+            Assessment = assessment,
+            Verdict = verdict
         };
     }
 
-    private static string DetermineAssessment(double rpsDelta, double avgResponseDelta, double baselineRps, double baselineAvgResponse)
+    private static string DetermineAssessment(double rpsPercentChange, double responsePercentChange, RegressionTolerance tolerance)
     {
-        var rpsPercentChange = baselineRps > 0 ? (rpsDelta / baselineRps) * 100 : 0;
-        var responsePercentChange = baselineAvgResponse > 0 ? (avgResponseDelta / baselineAvgResponse) * 100 : 0;
-
-        var rpsImproved = rpsPercentChange > 5;
-        var rpsRegressed = rpsPercentChange < -5;
-        var responseImproved = responsePercentChange < -5;
-        var responseRegressed = responsePercentChange > 5;
+        var rpsImproved = rpsPercentChange > tolerance.ThroughputPercent;
+        var rpsRegressed = rpsPercentChange < -tolerance.ThroughputPercent;
+        var responseImproved = responsePercentChange < -tolerance.ResponseTimePercent;
+        var responseRegressed = responsePercentChange > tolerance.ResponseTimePercent;
 
         if (rpsImproved && responseImproved)
             return "Significant Improvement";
@@ -810,6 +1284,24 @@ public class ExecutionService
             return "Regression";
         return "No Significant Change";
     }
+
+    private static string DetermineVerdict(double rpsPercentChange, double avgResponsePercentChange, double p95PercentChange,
+        double failureRateDelta, RegressionTolerance tolerance)
+    {
+        if (rpsPercentChange < -tolerance.ThroughputPercent
+            || avgResponsePercentChange > tolerance.ResponseTimePercent
+            || p95PercentChange > tolerance.ResponseTimePercent
+            || failureRateDelta > tolerance.ErrorRatePoints)
+            return PerformanceDelta.RegressedVerdict;
+
+        if (rpsPercentChange > tolerance.ThroughputPercent
+            || avgResponsePercentChange < -tolerance.ResponseTimePercent
+            || p95PercentChange < -tolerance.ResponseTimePercent
+            || failureRateDelta < -tolerance.ErrorRatePoints)
+            return PerformanceDelta.ImprovedVerdict;
+
+        return PerformanceDelta.UnchangedVerdict;
+    }
 }
 
 /// <summary>
@@ -833,10 +1325,15 @@ public class ExecutionStatistics
     public int FailedExecutions { get; set; }
 
     /// <summary>
-    /// Number of cancelled executions
+    /// Number of executions stopped by hand
     /// </summary>
     public int CancelledExecutions { get; set; }
 
+    /// <summary>
+    /// Number of executions stopped by an abort rule
+    /// </summary>
+    public int AbortedExecutions { get; set; }
+
     /// <summary>
     /// Total number of HTTP requests across all executions
     /// </summary>
@@ -851,4 +1348,188 @@ public class ExecutionStatistics
     /// Average requests per second across successful executions
     /// </summary>
     public double AverageRps { get; set; }
+
+    /// <summary>
+    /// Total number of failed HTTP requests across all executions
+    /// </summary>
+    public long FailedRequests { get; set; }
+
+    /// <summary>
+    /// Percentage of all HTTP requests that failed
+    /// </summary>
+    public double FailureRate { get; set; }
+
+    /// <summary>
+    /// Executions per UTC day over the last <see cref="ExecutionService.StatisticsDays"/> days; days without runs are omitted
+    /// </summary>
+    public List<DailyExecutionStatistics> RunsPerDay { get; set; } = [];
+
+    /// <summary>
+    /// Endpoints with the highest P95 on their latest completed run
+    /// </summary>
+    public List<EndpointStatistics> SlowestEndpoints { get; set; } = [];
+
+    /// <summary>
+    /// Projects with the most executions
+    /// </summary>
+    public List<ProjectStatistics> MostTestedProjects { get; set; } = [];
+
+    /// <summary>
+    /// Endpoints whose latest completed run regressed
+    /// </summary>
+    public List<EndpointRegression> RecentRegressions { get; set; } = [];
+}
+
+/// <summary>
+/// Execution counts for a single day
+/// </summary>
+public class DailyExecutionStatistics
+{
+    /// <summary>
+    /// The UTC day, formatted as yyyy-MM-dd
+    /// </summary>
+    public string Date { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of executions started that day
+    /// </summary>
+    public int Executions { get; set; }
+
+    /// <summary>
+    /// Number of HTTP requests sent that day
+    /// </summary>
+    public long TotalRequests { get; set; }
+
+    /// <summary>
+    /// Number of failed HTTP requests that day
+    /// </summary>
+    public long FailedRequests { get; set; }
+}
+
+/// <summary>
+/// Latest performance of an endpoint
+/// </summary>
+public class EndpointStatistics
+{
+    /// <summary>
+    /// The endpoint ID
+    /// </summary>
+    public int EndpointId { get; set; }
+
+    /// <summary>
+    /// The endpoint name
+    /// </summary>
+    public string EndpointName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the project the endpoint belongs to
+    /// </summary>
+    public string ProjectName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 95th percentile response time of the latest completed run
+    /// </summary>
+    public double Percentile95 { get; set; }
+
+    /// <summary>
+    /// Average response time of the latest completed run
+    /// </summary>
+    public double AverageResponseTime { get; set; }
+
+    /// <summary>
+    /// ID of the latest completed run
+    /// </summary>
+    public int LatestExecutionId { get; set; }
+
+    /// <summary>
+    /// When the latest completed run started
+    /// </summary>
+    public DateTime LatestStartedAt { get; set; }
+
+    /// <summary>
+    /// Number of completed runs of the endpoint
+    /// </summary>
+    public int Executions { get; set; }
+}
+
+/// <summary>
+/// Execution counts for a project
+/// </summary>
+public class ProjectStatistics
+{
+    /// <summary>
+    /// The project ID
+    /// </summary>
+    public int ProjectId { get; set; }
+
+    /// <summary>
+    /// The project name
+    /// </summary>
+    public string ProjectName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of executions across the project's endpoints
+    /// </summary>
+    public int Executions { get; set; }
+
+    /// <summary>
+    /// Number of HTTP requests sent across those executions
+    /// </summary>
+    public long TotalRequests { get; set; }
+
+    /// <summary>
+    /// When the most recent execution started
+    /// </summary>
+    public DateTime LastRunAt { get; set; }
+}
+
+/// <summary>
+/// An endpoint whose latest completed run regressed
+/// </summary>
+public class EndpointRegression
+{
+    /// <summary>
+    /// The endpoint ID
+    /// </summary>
+    public int EndpointId { get; set; }
+
+    /// <summary>
+    /// The endpoint name
+    /// </summary>
+    public string EndpointName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the project the endpoint belongs to
+    /// </summary>
+    public string ProjectName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// ID of the regressed run
+    /// </summary>
+    public int ExecutionId { get; set; }
+
+    /// <summary>
+    /// When the regressed run started
+    /// </summary>
+    public DateTime StartedAt { get; set; }
+
+    /// <summary>
+    /// ID of the run it was compared against
+    /// </summary>
+    public int BaselineExecutionId { get; set; }
+
+    /// <summary>
+    /// True when compared against the pinned baseline, false when against the previous run
+    /// </summary>
+    public bool AgainstPinnedBaseline { get; set; }
+
+    /// <summary>
+    /// The endpoint's regression tolerance used for the verdict
+    /// </summary>
+    public RegressionTolerance Tolerance { get; set; } = new();
+
+    /// <summary>
+    /// Differences from the run it was compared against
+    /// </summary>
+    public PerformanceDelta Delta { get; set; } = new();
 }
@@ -1,8 +1,10 @@
 using System.Collections.Concurrent;
 using System.Diagnostics;
+using System.Globalization;
 using System.Net;
 using System.Text;
 using System.Text.Json;
+using System.Text.RegularExpressions;
 using Microsoft.AspNetCore.SignalR;
 using NFury.Web.Data;
 using NFury.Web.Hubs;
@@ -16,7 +18,7 @@ namespace NFury.Web.Services;
 /// Handles concurrent HTTP request execution, real-time metrics collection,
 /// authentication, and SignalR-based progress updates.
 /// </remarks>
-public class LoadTestService : IDisposable
+public partial class LoadTestService : IDisposable
 {
     private readonly IHubContext<LoadTestHub> _hubContext;
     private readonly ExecutionService _executionService;
@@ -27,17 +29,34 @@ public class LoadTestService : IDisposable
     private bool _isRunning;
     private string _currentTestId = string.Empty;
     private int? _currentEndpointId;
+    private RunningTestInfo? _currentTest;
     private readonly object _lockObject = new();
     private string? _authToken;
     private int _metricCounter;
     private double _peakRps;
+    private string? _abortReason;
+    private DateTime _testStartedAt;
+    private int _activeUsers;
+    private long _droppedIterations;
+    private int _userSequence;
+    private readonly Stack<int> _freeUserIndexes = new();
+    private long _datasetSequence;
+    private long _assertionFailures;
     private const double RpsWindowSeconds = 1.0;
+    private const int StageTickMilliseconds = 100;
+    private const int ArrivalTickMilliseconds = 10;
+    private const int RegexTimeoutMilliseconds = 1000;
 
     /// <summary>
     /// Gets whether a test is currently running
     /// </summary>
     public bool IsRunning => _isRunning;
 
+    /// <summary>
+    /// Gets the test that is currently running, or null when the runner is idle or the run is still being set up
+    /// </summary>
+    public RunningTestInfo? CurrentTest => _isRunning ? _currentTest : null;
+
     /// <summary>
     /// Initializes a new instance of the <see cref="LoadTestService"/> class
     /// </summary>
@@ -89,7 +108,7 @@ public class LoadTestService : IDisposable
             }
 
             var content = await response.Content.ReadAsStringAsync();
-            var token = ExtractToken(content, config.TokenPath);
+            var token = ExtractJsonValue(content, config.TokenPath);
 
             if (string.IsNullOrEmpty(token))
             {
@@ -109,18 +128,78 @@ public class LoadTestService : IDisposable
     }
 
     /// <summary>
-    /// Extracts a token from JSON response using a dot-notation path
+    /// Resolves {{name}} placeholders in the request URL, headers, body, scenario steps, assertions and authentication settings
+    /// </summary>
+    /// <param name="request">The load test request containing placeholders</param>
+    /// <param name="variables">The variables available for substitution</param>
+    /// <returns>A copy of the request with known placeholders replaced; unknown ones are left intact</returns>
+    private static LoadTestRequest ApplyVariables(LoadTestRequest request, IReadOnlyDictionary<string, string> variables)
+    {
+        var auth = request.Authentication;
+
+        return request with
+        {
+            Url = ReplacePlaceholders(request.Url, variables),
+            Body = ReplacePlaceholders(request.Body, variables),
+            Headers = ReplacePlaceholders(request.Headers, variables),
+            Steps = request.Steps?.Select(step => step with
+            {
+                Url = ReplacePlaceholders(step.Url, variables),
+                Body = ReplacePlaceholders(step.Body, variables),
+                Headers = ReplacePlaceholders(step.Headers, variables)
+            }).ToList(),
+            Assertions = request.Assertions?.Select(assertion => assertion with
+            {
+                Target = ReplacePlaceholders(assertion.Target, variables),
+                Value = ReplacePlaceholders(assertion.Value, variables)
+            }).ToList(),
+            Authentication = auth == null ? null : auth with
+            {
+                Url = ReplacePlaceholders(auth.Url, variables),
+                Body = ReplacePlaceholders(auth.Body, variables),
+                Headers = ReplacePlaceholders(auth.Headers, variables),
+                TokenPath = ReplacePlaceholders(auth.TokenPath, variables),
+                HeaderName = ReplacePlaceholders(auth.HeaderName, variables),
+                HeaderPrefix = ReplacePlaceholders(auth.HeaderPrefix, variables)
+            }
+        };
+    }
+
+    [return: System.Diagnostics.CodeAnalysis.NotNullIfNotNull(nameof(text))]
+    private static string? ReplacePlaceholders(string? text, IReadOnlyDictionary<string, string> variables)
+    {
+        if (string.IsNullOrEmpty(text))
+        {
+            return text;
+        }
+
+        return PlaceholderRegex().Replace(text, match =>
+            variables.TryGetValue(match.Groups[1].Value, out var value) ? value : match.Value);
+    }
+
+    private static Dictionary<string, string>? ReplacePlaceholders(Dictionary<string, string>? values, IReadOnlyDictionary<string, string> variables)
+    {
+        return values?.ToDictionary(
+            pair => ReplacePlaceholders(pair.Key, variables),
+            pair => ReplacePlaceholders(pair.Value, variables));
+    }
+
+    [GeneratedRegex(@"\{\{\s*([\w.\-]+)\s*\}\}")]
+    private static partial Regex PlaceholderRegex();
+
+    /// <summary>
+    /// Extracts a value from a JSON response using a dot-notation path
     /// </summary>
     /// <param name="json">The JSON response content</param>
-    /// <param name="tokenPath">The dot-notation path to the token (e.g., "$.access_token", "access_token" or "data.token")</param>
-    /// <returns>The extracted token or null if not found</returns>
-    private static string? ExtractToken(string json, string tokenPath)
+    /// <param name="path">The dot-notation path to the value (e.g., "$.access_token", "access_token", "data.token" or "items[0].id")</param>
+    /// <returns>The extracted value (raw JSON for non-string values) or null if not found</returns>
+    private static string? ExtractJsonValue(string json, string path)
     {
         try
         {
             using var doc = JsonDocument.Parse(json);
 
-            var cleanPath = tokenPath;
+            var cleanPath = path;
             if (cleanPath.StartsWith("$.", StringComparison.Ordinal))
             {
                 cleanPath = cleanPath[2..];
@@ -130,12 +209,20 @@ public class LoadTestService : IDisposable
                 cleanPath = cleanPath[1..];
             }
 
-            var pathParts = cleanPath.Split('.', StringSplitOptions.RemoveEmptyEntries);
+            var pathParts = cleanPath.Replace('[', '.').Replace("]", string.Empty, StringComparison.Ordinal).Split('.', StringSplitOptions.RemoveEmptyEntries);
             JsonElement current = doc.RootElement;
 
             foreach (var part in pathParts)
             {
-                if (current.TryGetProperty(part, out var next))
+                if (current.ValueKind == JsonValueKind.Array)
+                {
+                    if (!int.TryParse(part, System.Globalization.NumberStyles.None, System.Globalization.CultureInfo.InvariantCulture, out var index) || index < 0 || index >= current.GetArrayLength())
+                    {
+                        return null;
+                    }
+                    current = current[index];
+                }
+                else if (current.ValueKind == JsonValueKind.Object && current.TryGetProperty(part, out var next))
                 {
                     current = next;
                 }
@@ -145,7 +232,7 @@ public class LoadTestService : IDisposable
                 }
             }
 
-            return current.GetString() ?? current.GetRawText().Trim('"');
+            return current.ValueKind == JsonValueKind.String ? current.GetString() : current.GetRawText();
         }
         catch
         {
@@ -153,28 +240,94 @@ public class LoadTestService : IDisposable
         }
     }
 
+    /// <summary>
+    /// Checks that a saved endpoint can be tested without starting it, so a test that has to wait in the queue is rejected up front
+    /// </summary>
+    /// <param name="endpointId">The endpoint identifier</param>
+    /// <param name="usersOverride">Optional override for the number of concurrent users</param>
+    /// <param name="environmentId">Optional project environment whose variables resolve {{placeholders}}</param>
+    /// <returns>The endpoint and, when one was given, its environment</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the endpoint or environment is not found, or the load profile, scenario, dataset or assertions are invalid</exception>
+    public async Task<(TestEndpoint Endpoint, ProjectEnvironment? Environment)> ValidateEndpointTestAsync(int endpointId, int? usersOverride = null, int? environmentId = null)
+    {
+        var endpoint = await _projectService.GetEndpointByIdAsync(endpointId);
+        if (endpoint == null)
+        {
+            throw new InvalidOperationException($"Endpoint {endpointId} not found");
+        }
+
+        var loadProfile = !string.IsNullOrEmpty(endpoint.LoadProfileJson)
+            ? JsonSerializer.Deserialize(endpoint.LoadProfileJson, AppJsonContext.Default.LoadProfile)
+            : null;
+        ValidateLoadProfile(loadProfile);
+
+        var steps = !string.IsNullOrEmpty(endpoint.StepsJson)
+            ? JsonSerializer.Deserialize(endpoint.StepsJson, AppJsonContext.Default.ListScenarioStep)
+            : null;
+        ValidateScenario(steps);
+
+        var dataset = !string.IsNullOrEmpty(endpoint.DatasetJson)
+            ? JsonSerializer.Deserialize(endpoint.DatasetJson, AppJsonContext.Default.DatasetConfig)
+            : null;
+        ValidateDataset(dataset, loadProfile?.GetPeakUsers() ?? usersOverride ?? endpoint.Users);
+
+        var assertions = !string.IsNullOrEmpty(endpoint.AssertionsJson)
+            ? JsonSerializer.Deserialize(endpoint.AssertionsJson, AppJsonContext.Default.ListResponseAssertion)
+            : null;
+        ValidateAssertions(assertions);
+
+        ProjectEnvironment? environment = null;
+        if (environmentId.HasValue)
+        {
+            environment = await _projectService.GetEnvironmentByIdAsync(environmentId.Value);
+            if (environment == null || environment.ProjectId != endpoint.ProjectId)
+            {
+                throw new InvalidOperationException($"Environment {environmentId} not found for this project");
+            }
+        }
+
+        return (endpoint, environment);
+    }
+
+    /// <summary>
+    /// Checks that an ad-hoc test can be run without starting it, so a test that has to wait in the queue is rejected up front
+    /// </summary>
+    /// <param name="request">The load test configuration</param>
+    /// <exception cref="InvalidOperationException">Thrown when the load profile, scenario, dataset or assertions are invalid</exception>
+    public static void ValidateRequest(LoadTestRequest request)
+    {
+        ValidateLoadProfile(request.LoadProfile);
+        ValidateScenario(request.Steps);
+        ValidateDataset(request.Dataset, ApplyLoadProfile(request).Users);
+        ValidateAssertions(request.Assertions);
+    }
+
     /// <summary>
     /// Starts a load test for a specific endpoint linked to a project
     /// </summary>
     /// <param name="endpointId">The endpoint identifier</param>
     /// <param name="usersOverride">Optional override for the number of concurrent users</param>
+    /// <param name="environmentId">Optional project environment whose variables resolve {{placeholders}}</param>
+    /// <param name="triggeredBy">Whether the run was started by hand or by a schedule</param>
+    /// <param name="queueId">The queue entry this run was waiting in, if it was queued</param>
+    /// <param name="startedBy">The address of the client that asked for the run</param>
     /// <returns>The unique test identifier</returns>
-    /// <exception cref="InvalidOperationException">Thrown when a test is already running or endpoint not found</exception>
-    public async Task<string> StartEndpointTestAsync(int endpointId, int? usersOverride = null)
+    /// <exception cref="InvalidOperationException">Thrown when a test is already running, the endpoint or environment is not found, or the test is invalid</exception>
+    public async Task<string> StartEndpointTestAsync(int endpointId, int? usersOverride = null, int? environmentId = null, string triggeredBy = ExecutionService.ManualTrigger, string? queueId = null, string? startedBy = null)
     {
         if (_isRunning)
         {
             throw new InvalidOperationException("A test is already running");
         }
 
-        var endpoint = await _projectService.GetEndpointByIdAsync(endpointId);
-        if (endpoint == null)
-        {
-            throw new InvalidOperationException($"Endpoint {endpointId} not found");
-        }
+        var (endpoint, environment) = await ValidateEndpointTestAsync(endpointId, usersOverride, environmentId);
+        var variables = environment != null && !string.IsNullOrEmpty(environment.VariablesJson)
+            ? JsonSerializer.Deserialize(environment.VariablesJson, AppJsonContext.Default.DictionaryStringString)
+            : null;
 
         _currentTestId = Guid.NewGuid().ToString();
         _currentEndpointId = endpointId;
+        _currentTest = null;
         _cancellationTokenSource = new CancellationTokenSource();
         _responses.Clear();
         _recentRequestTimes.Clear();
@@ -182,79 +335,141 @@ public class LoadTestService : IDisposable
         _authToken = null;
         _metricCounter = 0;
         _peakRps = 0;
+        _abortReason = null;
+        _activeUsers = 0;
+        _droppedIterations = 0;
+        _userSequence = 0;
+        _freeUserIndexes.Clear();
+        _datasetSequence = 0;
+        _assertionFailures = 0;
+
+        LoadTestRequest request;
+        try
+        {
+            await _executionService.CreateExecutionAsync(endpointId, _currentTestId, usersOverride, triggeredBy);
 
-        await _executionService.CreateExecutionAsync(endpointId, _currentTestId, usersOverride);
+            _currentTest = new RunningTestInfo
+            {
+                TestId = _currentTestId,
+                EndpointId = endpointId,
+                Name = endpoint.Name,
+                Method = endpoint.Method,
+                TriggeredBy = triggeredBy,
+                StartedBy = startedBy,
+                StartedAt = DateTime.UtcNow
+            };
 
-        AuthenticationConfig? authConfig = null;
-        if (!string.IsNullOrEmpty(endpoint.AuthenticationJson))
-        {
-            authConfig = JsonSerializer.Deserialize<AuthenticationConfig>(endpoint.AuthenticationJson, AppJsonContext.Default.AuthenticationConfig);
-        }
-        else if (endpoint.RequiresAuth)
-        {
-            var project = await _projectService.GetProjectByIdAsync(endpoint.ProjectId);
-            if (project != null && !string.IsNullOrEmpty(project.AuthUrl))
+            // Sent before metrics start arriving so other dashboards can follow the run from its first request
+            await _hubContext.Clients.All.SendAsync("TestStarted", _currentTest);
+
+            if (queueId != null)
             {
-                authConfig = new AuthenticationConfig
-                {
-                    Url = project.AuthUrl,
-                    Method = project.AuthMethod ?? "POST",
-                    Body = project.AuthBody,
-                    ContentType = project.AuthContentType ?? "application/json",
-                    Headers = !string.IsNullOrEmpty(project.AuthHeadersJson)
-                        ? JsonSerializer.Deserialize<Dictionary<string, string>>(project.AuthHeadersJson, AppJsonContext.Default.DictionaryStringString)
-                        : null,
-                    TokenPath = project.AuthTokenPath ?? "$.access_token",
-                    HeaderName = project.AuthHeaderName ?? "Authorization",
-                    HeaderPrefix = project.AuthHeaderPrefix ?? "Bearer"
-                };
+                await _hubContext.Clients.All.SendAsync("QueuedTestStarted", new SignalRQueuedTestMessage { QueueId = queueId, TestId = _currentTestId, EndpointId = endpointId });
             }
-        }
 
-        var targetRequests = endpoint.Requests;
-        var targetDuration = endpoint.Duration;
-        if (!targetRequests.HasValue && !targetDuration.HasValue)
-        {
-            targetRequests = 100;
-        }
-
-        var request = new LoadTestRequest
-        {
-            Url = endpoint.Url,
-            Method = endpoint.Method,
-            Users = usersOverride ?? endpoint.Users,
-            Requests = targetRequests,
-            Duration = targetDuration,
-            Headers = !string.IsNullOrEmpty(endpoint.HeadersJson)
-                ? JsonSerializer.Deserialize<Dictionary<string, string>>(endpoint.HeadersJson, AppJsonContext.Default.DictionaryStringString)
-                : null,
-            Body = endpoint.Body,
-            ContentType = endpoint.ContentType ?? "application/json",
-            Insecure = endpoint.Insecure,
-            Authentication = authConfig
-        };
+            AuthenticationConfig? authConfig = null;
+            if (!string.IsNullOrEmpty(endpoint.AuthenticationJson))
+            {
+                authConfig = JsonSerializer.Deserialize<AuthenticationConfig>(endpoint.AuthenticationJson, AppJsonContext.Default.AuthenticationConfig);
+            }
+            else if (endpoint.RequiresAuth)
+            {
+                var project = await _projectService.GetProjectByIdAsync(endpoint.ProjectId);
+                if (project != null && !string.IsNullOrEmpty(project.AuthUrl))
+                {
+                    authConfig = new AuthenticationConfig
+                    {
+                        Url = project.AuthUrl,
+                        Method = project.AuthMethod ?? "POST",
+                        Body = project.AuthBody,
+                        ContentType = project.AuthContentType ?? "application/json",
+                        Headers = !string.IsNullOrEmpty(project.AuthHeadersJson)
+                            ? JsonSerializer.Deserialize<Dictionary<string, string>>(project.AuthHeadersJson, AppJsonContext.Default.DictionaryStringString)
+                            : null,
+                        TokenPath = project.AuthTokenPath ?? "$.access_token",
+                        HeaderName = project.AuthHeaderName ?? "Authorization",
+                        HeaderPrefix = project.AuthHeaderPrefix ?? "Bearer"
+                    };
+                }
+            }
 
-        if (request.Authentication != null && !string.IsNullOrWhiteSpace(request.Authentication.Url))
-        {
-            await _hubContext.Clients.All.SendAsync("AuthenticationStarted", new SignalRTestIdMessage { TestId = _currentTestId });
+            var targetRequests = endpoint.Requests;
+            var targetDuration = endpoint.Duration;
+            if (!targetRequests.HasValue && !targetDuration.HasValue)
+            {
+                targetRequests = 100;
+            }
 
-            var authResult = await AuthenticateAsync(request.Authentication, request.Insecure);
+            request = new LoadTestRequest
+            {
+                Url = endpoint.Url,
+                Method = endpoint.Method,
+                Users = usersOverride ?? endpoint.Users,
+                Requests = targetRequests,
+                Duration = targetDuration,
+                Headers = !string.IsNullOrEmpty(endpoint.HeadersJson)
+                    ? JsonSerializer.Deserialize<Dictionary<string, string>>(endpoint.HeadersJson, AppJsonContext.Default.DictionaryStringString)
+                    : null,
+                Body = endpoint.Body,
+                ContentType = endpoint.ContentType ?? "application/json",
+                Insecure = endpoint.Insecure,
+                Authentication = authConfig,
+                Thresholds = !string.IsNullOrEmpty(endpoint.ThresholdsJson)
+                    ? JsonSerializer.Deserialize(endpoint.ThresholdsJson, AppJsonContext.Default.ThresholdConfig)
+                    : null,
+                AbortRules = !string.IsNullOrEmpty(endpoint.AbortRulesJson)
+                    ? JsonSerializer.Deserialize(endpoint.AbortRulesJson, AppJsonContext.Default.AbortRuleConfig)
+                    : null,
+                LoadProfile = !string.IsNullOrEmpty(endpoint.LoadProfileJson)
+                    ? JsonSerializer.Deserialize(endpoint.LoadProfileJson, AppJsonContext.Default.LoadProfile)
+                    : null,
+                Steps = !string.IsNullOrEmpty(endpoint.StepsJson)
+                    ? JsonSerializer.Deserialize(endpoint.StepsJson, AppJsonContext.Default.ListScenarioStep)
+                    : null,
+                Dataset = !string.IsNullOrEmpty(endpoint.DatasetJson)
+                    ? JsonSerializer.Deserialize(endpoint.DatasetJson, AppJsonContext.Default.DatasetConfig)
+                    : null,
+                Assertions = !string.IsNullOrEmpty(endpoint.AssertionsJson)
+                    ? JsonSerializer.Deserialize(endpoint.AssertionsJson, AppJsonContext.Default.ListResponseAssertion)
+                    : null
+            };
+            request = ApplyLoadProfile(request);
 
-            if (!authResult.Success)
+            if (variables != null)
             {
-                _isRunning = false;
-                await _executionService.FailExecutionAsync(_currentTestId, $"Authentication failed: {authResult.Error}");
-                await _hubContext.Clients.All.SendAsync("AuthenticationFailed", new SignalRTestErrorMessage { TestId = _currentTestId, Error = authResult.Error ?? "Unknown error" });
-                throw new InvalidOperationException($"Authentication failed: {authResult.Error}");
+                request = ApplyVariables(request, variables);
             }
 
-            var prefix = request.Authentication.HeaderPrefix ?? string.Empty;
-            if (!string.IsNullOrEmpty(prefix) && !prefix.EndsWith(' '))
+            if (request.Authentication != null && !string.IsNullOrWhiteSpace(request.Authentication.Url))
+            {
+                await _hubContext.Clients.All.SendAsync("AuthenticationStarted", new SignalRTestIdMessage { TestId = _currentTestId });
+
+                var authResult = await AuthenticateAsync(request.Authentication, request.Insecure);
+
+                if (!authResult.Success)
+                {
+                    await FailStartAsync(_currentTestId, $"Authentication failed: {authResult.Error}");
+                    await _hubContext.Clients.All.SendAsync("AuthenticationFailed", new SignalRTestErrorMessage { TestId = _currentTestId, Error = authResult.Error ?? "Unknown error" });
+                    throw new InvalidOperationException($"Authentication failed: {authResult.Error}");
+                }
+
+                var prefix = request.Authentication.HeaderPrefix ?? string.Empty;
+                if (!string.IsNullOrEmpty(prefix) && !prefix.EndsWith(' '))
+                {
+                    prefix += " ";
+                }
+                _authToken = $"{prefix}{authResult.Token}";
+                await _hubContext.Clients.All.SendAsync("AuthenticationSuccess", new SignalRTestIdMessage { TestId = _currentTestId });
+            }
+        }
+        catch (Exception ex)
+        {
+            if (_isRunning)
             {
-                prefix += " ";
+                await FailStartAsync(_currentTestId, ex.Message);
             }
-            _authToken = $"{prefix}{authResult.Token}";
-            await _hubContext.Clients.All.SendAsync("AuthenticationSuccess", new SignalRTestIdMessage { TestId = _currentTestId });
+
+            throw;
         }
 
         _ = Task.Run(() => ExecuteTestAsync(request, _currentTestId, _cancellationTokenSource.Token));
@@ -266,17 +481,23 @@ public class LoadTestService : IDisposable
     /// Starts an ad-hoc load test not linked to any endpoint or project
     /// </summary>
     /// <param name="request">The load test configuration</param>
+    /// <param name="queueId">The queue entry this run was waiting in, if it was queued</param>
+    /// <param name="startedBy">The address of the client that asked for the run</param>
     /// <returns>The unique test identifier</returns>
-    /// <exception cref="InvalidOperationException">Thrown when a test is already running</exception>
-    public async Task<string> StartAdHocTestAsync(LoadTestRequest request)
+    /// <exception cref="InvalidOperationException">Thrown when a test is already running or the load profile, scenario, dataset or assertions are invalid</exception>
+    public async Task<string> StartAdHocTestAsync(LoadTestRequest request, string? queueId = null, string? startedBy = null)
     {
         if (_isRunning)
         {
             throw new InvalidOperationException("A test is already running");
         }
 
+        ValidateRequest(request);
+        request = ApplyLoadProfile(request);
+
         _currentTestId = Guid.NewGuid().ToString();
         _currentEndpointId = null;
+        _currentTest = null;
         _cancellationTokenSource = new CancellationTokenSource();
         _responses.Clear();
         _recentRequestTimes.Clear();
@@ -284,30 +505,64 @@ public class LoadTestService : IDisposable
         _authToken = null;
         _metricCounter = 0;
         _peakRps = 0;
+        _abortReason = null;
+        _activeUsers = 0;
+        _droppedIterations = 0;
+        _userSequence = 0;
+        _freeUserIndexes.Clear();
+        _datasetSequence = 0;
+        _assertionFailures = 0;
 
-        await _executionService.CreateAdHocExecutionAsync(request, _currentTestId);
-
-        if (request.Authentication != null && !string.IsNullOrWhiteSpace(request.Authentication.Url))
+        try
         {
-            await _hubContext.Clients.All.SendAsync("AuthenticationStarted", new SignalRTestIdMessage { TestId = _currentTestId });
+            await _executionService.CreateAdHocExecutionAsync(request, _currentTestId);
 
-            var authResult = await AuthenticateAsync(request.Authentication, request.Insecure);
+            _currentTest = new RunningTestInfo
+            {
+                TestId = _currentTestId,
+                Name = request.Url,
+                Method = request.Method,
+                TriggeredBy = ExecutionService.ManualTrigger,
+                StartedBy = startedBy,
+                StartedAt = DateTime.UtcNow
+            };
+            await _hubContext.Clients.All.SendAsync("TestStarted", _currentTest);
 
-            if (!authResult.Success)
+            if (queueId != null)
             {
-                _isRunning = false;
-                await _executionService.FailExecutionAsync(_currentTestId, $"Authentication failed: {authResult.Error}");
-                await _hubContext.Clients.All.SendAsync("AuthenticationFailed", new SignalRTestErrorMessage { TestId = _currentTestId, Error = authResult.Error ?? "Unknown error" });
-                throw new InvalidOperationException($"Authentication failed: {authResult.Error}");
+                await _hubContext.Clients.All.SendAsync("QueuedTestStarted", new SignalRQueuedTestMessage { QueueId = queueId, TestId = _currentTestId });
             }
 
-            var prefix = request.Authentication.HeaderPrefix ?? string.Empty;
-            if (!string.IsNullOrEmpty(prefix) && !prefix.EndsWith(' '))
+            if (request.Authentication != null && !string.IsNullOrWhiteSpace(request.Authentication.Url))
             {
-                prefix += " ";
+                await _hubContext.Clients.All.SendAsync("AuthenticationStarted", new SignalRTestIdMessage { TestId = _currentTestId });
+
+                var authResult = await AuthenticateAsync(request.Authentication, request.Insecure);
+
+                if (!authResult.Success)
+                {
+                    await FailStartAsync(_currentTestId, $"Authentication failed: {authResult.Error}");
+                    await _hubContext.Clients.All.SendAsync("AuthenticationFailed", new SignalRTestErrorMessage { TestId = _currentTestId, Error = authResult.Error ?? "Unknown error" });
+                    throw new InvalidOperationException($"Authentication failed: {authResult.Error}");
+                }
+
+                var prefix = request.Authentication.HeaderPrefix ?? string.Empty;
+                if (!string.IsNullOrEmpty(prefix) && !prefix.EndsWith(' '))
+                {
+                    prefix += " ";
+                }
+                _authToken = $"{prefix}{authResult.Token}";
+                await _hubContext.Clients.All.SendAsync("AuthenticationSuccess", new SignalRTestIdMessage { TestId = _currentTestId });
             }
-            _authToken = $"{prefix}{authResult.Token}";
-            await _hubContext.Clients.All.SendAsync("AuthenticationSuccess", new SignalRTestIdMessage { TestId = _currentTestId });
+        }
+        catch (Exception ex)
+        {
+            if (_isRunning)
+            {
+                await FailStartAsync(_currentTestId, ex.Message);
+            }
+
+            throw;
         }
 
         _ = Task.Run(() => ExecuteTestAsync(request, _currentTestId, _cancellationTokenSource.Token));
@@ -315,6 +570,21 @@ public class LoadTestService : IDisposable
         return _currentTestId;
     }
 
+    /// <summary>
+    /// Releases the runner and fails the execution when a test cannot get as far as running
+    /// </summary>
+    /// <remarks>
+    /// Nothing else resets the running flag for a test that never reached <see cref="ExecuteTestAsync"/>, so skipping
+    /// this would leave the runner busy and every later start queued behind it.
+    /// </remarks>
+    /// <param name="testId">The unique test identifier</param>
+    /// <param name="error">Why the test could not start</param>
+    private async Task FailStartAsync(string testId, string error)
+    {
+        _isRunning = false;
+        await _executionService.FailExecutionAsync(testId, error);
+    }
+
     /// <summary>
     /// Stops the currently running test
     /// </summary>
@@ -327,6 +597,60 @@ public class LoadTestService : IDisposable
         }
     }
 
+    /// <summary>
+    /// Stops a test whose abort rules were exceeded and records why
+    /// </summary>
+    /// <param name="testId">The unique test identifier</param>
+    /// <param name="reason">The limit that was exceeded</param>
+    private async Task AbortTestAsync(string testId, string reason)
+    {
+        lock (_lockObject)
+        {
+            // Several users can cross a limit at the same moment; only the first one aborts the test
+            if (_abortReason != null || _currentTestId != testId)
+                return;
+
+            _abortReason = reason;
+        }
+
+        Console.WriteLine($"[Abort] Test {testId} aborted: {reason}");
+        _cancellationTokenSource?.Cancel();
+        await _executionService.CancelExecutionAsync(testId, reason);
+    }
+
+    /// <summary>
+    /// Checks the abort rules against the requests in the sliding window
+    /// </summary>
+    /// <param name="rules">The abort rules of the test</param>
+    /// <param name="responses">Every response recorded so far</param>
+    /// <param name="now">The time of the latest response</param>
+    /// <returns>Why the test should be aborted, or null while every limit holds</returns>
+    private string? EvaluateAbortRules(AbortRuleConfig rules, ResponseData[] responses, DateTime now)
+    {
+        // Give the window time to fill so a few slow warm-up requests don't abort the run
+        var windowStart = now.AddSeconds(-rules.WindowSeconds);
+        if (windowStart < _testStartedAt)
+            return null;
+
+        var window = responses.Where(r => r.Timestamp >= windowStart).ToArray();
+        if (window.Length == 0)
+            return null;
+
+        var failureRate = window.Count(r => (int)r.StatusCode < 200 || (int)r.StatusCode >= 300) * 100.0 / window.Length;
+        if (rules.MaxFailureRate.HasValue && failureRate > rules.MaxFailureRate.Value)
+        {
+            return $"Failure rate {failureRate.ToString("F1", CultureInfo.InvariantCulture)}% exceeded {rules.MaxFailureRate.Value.ToString(CultureInfo.InvariantCulture)}% over the last {rules.WindowSeconds}s";
+        }
+
+        var averageResponseTime = window.Average(r => r.ElapsedTime);
+        if (rules.MaxAverageResponseTime.HasValue && averageResponseTime > rules.MaxAverageResponseTime.Value)
+        {
+            return $"Average response time {averageResponseTime.ToString("F0", CultureInfo.InvariantCulture)}ms exceeded {rules.MaxAverageResponseTime.Value.ToString(CultureInfo.InvariantCulture)}ms over the last {rules.WindowSeconds}s";
+        }
+
+        return null;
+    }
+
     /// <summary>
     /// Executes the load test with the specified configuration
     /// </summary>
@@ -336,6 +660,7 @@ public class LoadTestService : IDisposable
     private async Task ExecuteTestAsync(LoadTestRequest request, string testId, CancellationToken cancellationToken)
     {
         var startTime = Stopwatch.GetTimestamp();
+        _testStartedAt = DateTime.UtcNow;
         long totalRequestsTarget = request.Requests ?? 0;
         var requestsPerUser = request.Requests.HasValue ? request.Requests.Value / request.Users : 0;
 
@@ -344,7 +669,15 @@ public class LoadTestService : IDisposable
             using var httpClient = GenerateHttpClient(request.Insecure);
             var tasks = new List<Task>();
 
-            if (request.Duration.HasValue)
+            if (request.LoadProfile?.Type == LoadProfile.ArrivalRateType)
+            {
+                tasks.Add(RunArrivalRateAsync(httpClient, request, testId, request.LoadProfile, cancellationToken));
+            }
+            else if (request.LoadProfile != null)
+            {
+                tasks.Add(RunStagesAsync(httpClient, request, testId, request.LoadProfile, cancellationToken));
+            }
+            else if (request.Duration.HasValue)
             {
                 var stopTime = DateTime.Now.AddSeconds(request.Duration.Value);
 
@@ -381,7 +714,18 @@ public class LoadTestService : IDisposable
                 Console.WriteLine($"[Finally] Calculating final results for {testId}...");
                 Console.Out.Flush();
 
-                var result = CalculateFinalResults(testId, totalElapsedTime);
+                var result = CalculateFinalResults(testId, totalElapsedTime) with
+                {
+                    Thresholds = request.Thresholds,
+                    AbortReason = _abortReason,
+                    LoadProfile = request.LoadProfile,
+                    DroppedIterations = Interlocked.Read(ref _droppedIterations),
+                    Steps = CalculateStepResults(request.Steps),
+                    Assertions = CalculateAssertionResults(request.Assertions)
+                };
+
+                // Judged here rather than in the dashboard so scheduled and unattended runs get a verdict too
+                result = result with { ThresholdsPassed = request.Thresholds?.Evaluate(result) };
 
                 Console.WriteLine($"[Finally] Test {testId} completed. Total requests: {result.TotalRequests}");
                 Console.Out.Flush();
@@ -415,13 +759,49 @@ public class LoadTestService : IDisposable
             }
             finally
             {
-                _isRunning = false;
+                // Only the test that still owns the runner may release it, so a late cleanup cannot mark a newer run as finished
+                lock (_lockObject)
+                {
+                    if (_currentTestId == testId)
+                    {
+                        _isRunning = false;
+                    }
+                }
+
                 Console.WriteLine($"[Finally] Test cleanup complete, _isRunning = false");
                 Console.Out.Flush();
             }
         }
     }
 
+    /// <summary>
+    /// Takes a virtual user number that no running user holds, minting a new one only when none is free
+    /// </summary>
+    /// <returns>A zero-based user number, always below the peak number of concurrent users</returns>
+    /// <remarks>
+    /// Numbers are handed back by <see cref="ReleaseUserIndex"/> when a user retires or an arrival finishes, which keeps
+    /// <c>unique</c> dataset rows unique however users come and go.
+    /// </remarks>
+    private int AcquireUserIndex()
+    {
+        lock (_lockObject)
+        {
+            return _freeUserIndexes.Count > 0 ? _freeUserIndexes.Pop() : _userSequence++;
+        }
+    }
+
+    /// <summary>
+    /// Returns a virtual user number to the pool once its user has finished
+    /// </summary>
+    /// <param name="userIndex">The number taken by <see cref="AcquireUserIndex"/></param>
+    private void ReleaseUserIndex(int userIndex)
+    {
+        lock (_lockObject)
+        {
+            _freeUserIndexes.Push(userIndex);
+        }
+    }
+
     /// <summary>
     /// Runs a virtual user that makes requests until the specified stop time
     /// </summary>
@@ -432,9 +812,19 @@ public class LoadTestService : IDisposable
     /// <param name="cancellationToken">Cancellation token</param>
     private async Task RunUserForDurationAsync(HttpClient client, LoadTestRequest request, string testId, DateTime stopTime, CancellationToken cancellationToken)
     {
-        while (DateTime.Now < stopTime && !cancellationToken.IsCancellationRequested)
+        var userIndex = AcquireUserIndex();
+        Interlocked.Increment(ref _activeUsers);
+        try
         {
-            await SendRequestAndNotifyAsync(client, request, testId, cancellationToken);
+            while (DateTime.Now < stopTime && !cancellationToken.IsCancellationRequested)
+            {
+                await SendRequestAndNotifyAsync(client, request, testId, userIndex, cancellationToken);
+            }
+        }
+        finally
+        {
+            Interlocked.Decrement(ref _activeUsers);
+            ReleaseUserIndex(userIndex);
         }
     }
 
@@ -448,31 +838,432 @@ public class LoadTestService : IDisposable
     /// <param name="cancellationToken">Cancellation token</param>
     private async Task RunUserForRequestsAsync(HttpClient client, LoadTestRequest request, string testId, int requestCount, CancellationToken cancellationToken)
     {
-        for (int i = 0; i < requestCount && !cancellationToken.IsCancellationRequested; i++)
+        var userIndex = AcquireUserIndex();
+        Interlocked.Increment(ref _activeUsers);
+        try
+        {
+            for (int i = 0; i < requestCount && !cancellationToken.IsCancellationRequested; i++)
+            {
+                await SendRequestAndNotifyAsync(client, request, testId, userIndex, cancellationToken);
+            }
+        }
+        finally
         {
-            await SendRequestAndNotifyAsync(client, request, testId, cancellationToken);
+            Interlocked.Decrement(ref _activeUsers);
+            ReleaseUserIndex(userIndex);
         }
     }
 
     /// <summary>
-    /// Sends a single HTTP request and broadcasts metrics via SignalR
+    /// Runs a virtual user that makes requests until it is retired by the stage controller
     /// </summary>
     /// <param name="client">The HTTP client to use</param>
     /// <param name="request">The load test configuration</param>
     /// <param name="testId">The unique test identifier</param>
+    /// <param name="stopToken">Signalled when the user should finish its current request and exit</param>
+    /// <param name="cancellationToken">Cancellation token for stopping the whole test</param>
+    private async Task RunUserUntilStoppedAsync(HttpClient client, LoadTestRequest request, string testId, CancellationToken stopToken, CancellationToken cancellationToken)
+    {
+        var userIndex = AcquireUserIndex();
+        Interlocked.Increment(ref _activeUsers);
+        try
+        {
+            while (!stopToken.IsCancellationRequested && !cancellationToken.IsCancellationRequested)
+            {
+                await SendRequestAndNotifyAsync(client, request, testId, userIndex, cancellationToken);
+            }
+        }
+        finally
+        {
+            Interlocked.Decrement(ref _activeUsers);
+            ReleaseUserIndex(userIndex);
+        }
+    }
+
+    /// <summary>
+    /// Runs a stages load profile, adding and retiring virtual users to follow the target over time
+    /// </summary>
+    /// <param name="client">The HTTP client to use</param>
+    /// <param name="request">The load test configuration</param>
+    /// <param name="testId">The unique test identifier</param>
+    /// <param name="profile">The stages profile to follow</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    private async Task RunStagesAsync(HttpClient client, LoadTestRequest request, string testId, LoadProfile profile, CancellationToken cancellationToken)
+    {
+        var users = new Stack<(Task Run, CancellationTokenSource Stop)>();
+        var retired = new List<(Task Run, CancellationTokenSource Stop)>();
+        var startTime = Stopwatch.GetTimestamp();
+        var totalDuration = profile.GetTotalDuration();
+        var peakUsers = profile.GetPeakUsers();
+
+        try
+        {
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                var elapsed = Stopwatch.GetElapsedTime(startTime).TotalSeconds;
+                if (elapsed >= totalDuration)
+                    break;
+
+                var target = (int)Math.Round(profile.GetTargetUsers(elapsed));
+
+                // Retired users still finishing a request count towards the peak, so user numbers never exceed it
+                while (users.Count < target && users.Count + retired.Count(u => !u.Run.IsCompleted) < peakUsers)
+                {
+                    var stop = new CancellationTokenSource();
+                    users.Push((RunUserUntilStoppedAsync(client, request, testId, stop.Token, cancellationToken), stop));
+                }
+
+                // Retired users finish their in-flight request instead of having it cancelled
+                while (users.Count > target)
+                {
+                    var user = users.Pop();
+                    user.Stop.Cancel();
+                    retired.Add(user);
+                }
+
+                await Task.Delay(StageTickMilliseconds, cancellationToken);
+            }
+        }
+        finally
+        {
+            while (users.Count > 0)
+            {
+                var user = users.Pop();
+                user.Stop.Cancel();
+                retired.Add(user);
+            }
+
+            try
+            {
+                await Task.WhenAll(retired.Select(u => u.Run));
+            }
+            catch (OperationCanceledException)
+            {
+                // The test was stopped; requests cancelled mid-flight are expected
+            }
+            finally
+            {
+                foreach (var user in retired)
+                {
+                    user.Stop.Dispose();
+                }
+            }
+        }
+    }
+
+    /// <summary>
+    /// Runs an arrival-rate load profile, starting requests at a constant rate regardless of response times
+    /// </summary>
+    /// <param name="client">The HTTP client to use</param>
+    /// <param name="request">The load test configuration</param>
+    /// <param name="testId">The unique test identifier</param>
+    /// <param name="profile">The arrival-rate profile to follow</param>
     /// <param name="cancellationToken">Cancellation token</param>
-    private async Task SendRequestAndNotifyAsync(HttpClient client, LoadTestRequest request, string testId, CancellationToken cancellationToken)
+    private async Task RunArrivalRateAsync(HttpClient client, LoadTestRequest request, string testId, LoadProfile profile, CancellationToken cancellationToken)
+    {
+        using var slots = new SemaphoreSlim(profile.MaxUsers, profile.MaxUsers);
+        var startTime = Stopwatch.GetTimestamp();
+        long started = 0;
+
+        try
+        {
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                var elapsed = Stopwatch.GetElapsedTime(startTime).TotalSeconds;
+                if (elapsed >= profile.Duration)
+                    break;
+
+                var due = (long)(elapsed * profile.Rate) + 1;
+                for (; started < due; started++)
+                {
+                    if (!slots.Wait(0))
+                    {
+                        Interlocked.Increment(ref _droppedIterations);
+                        continue;
+                    }
+
+                    _ = SendArrivalAsync(client, request, testId, slots, cancellationToken);
+                }
+
+                await Task.Delay(ArrivalTickMilliseconds, cancellationToken);
+            }
+        }
+        finally
+        {
+            // Wait for in-flight requests so they are part of the final results
+            for (var i = 0; i < profile.MaxUsers; i++)
+            {
+                await slots.WaitAsync(CancellationToken.None);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Sends a single arrival-rate request and releases its concurrency slot when done
+    /// </summary>
+    /// <param name="client">The HTTP client to use</param>
+    /// <param name="request">The load test configuration</param>
+    /// <param name="testId">The unique test identifier</param>
+    /// <param name="slots">The semaphore bounding concurrent requests</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    private async Task SendArrivalAsync(HttpClient client, LoadTestRequest request, string testId, SemaphoreSlim slots, CancellationToken cancellationToken)
+    {
+        var userIndex = AcquireUserIndex();
+        Interlocked.Increment(ref _activeUsers);
+        try
+        {
+            await SendRequestAndNotifyAsync(client, request, testId, userIndex, cancellationToken);
+        }
+        catch (OperationCanceledException)
+        {
+            // The test was stopped while the request was in flight
+        }
+        catch (Exception ex)
+        {
+            // Nothing awaits this task, so an error would otherwise go unobserved
+            Console.WriteLine($"[Arrival] Request for test {testId} failed: {ex.Message}");
+        }
+        finally
+        {
+            Interlocked.Decrement(ref _activeUsers);
+            ReleaseUserIndex(userIndex);
+            slots.Release();
+        }
+    }
+
+    /// <summary>
+    /// Validates a load profile before a test is started
+    /// </summary>
+    /// <param name="profile">The load profile, if any</param>
+    /// <exception cref="InvalidOperationException">Thrown when the profile cannot be run</exception>
+    private static void ValidateLoadProfile(LoadProfile? profile)
+    {
+        if (profile == null)
+            return;
+
+        switch (profile.Type)
+        {
+            case LoadProfile.StagesType:
+                if (profile.Stages.Count == 0 || profile.Stages.Any(s => s.Duration <= 0 || s.Target < 0))
+                    throw new InvalidOperationException("A stages profile needs at least one stage with a positive duration and a non-negative target");
+                if (profile.GetPeakUsers() == 0)
+                    throw new InvalidOperationException("A stages profile needs at least one stage with a target above zero");
+                break;
+            case LoadProfile.ArrivalRateType:
+                if (profile.Rate <= 0 || profile.Duration <= 0 || profile.MaxUsers <= 0)
+                    throw new InvalidOperationException("An arrival-rate profile needs a positive rate, duration and maximum users");
+                break;
+            default:
+                throw new InvalidOperationException($"Unknown load profile type '{profile.Type}'");
+        }
+    }
+
+    /// <summary>
+    /// Sizes a request from its load profile so the execution records the peak users and total duration
+    /// </summary>
+    /// <param name="request">The load test configuration</param>
+    /// <returns>The request with Users, Requests and Duration derived from the profile</returns>
+    private static LoadTestRequest ApplyLoadProfile(LoadTestRequest request)
+    {
+        if (request.LoadProfile == null)
+            return request;
+
+        return request with
+        {
+            Users = request.LoadProfile.GetPeakUsers(),
+            Requests = null,
+            Duration = request.LoadProfile.GetTotalDuration()
+        };
+    }
+
+    /// <summary>
+    /// Sends a single HTTP request, or one iteration of the scenario steps, and broadcasts metrics via SignalR
+    /// </summary>
+    /// <param name="client">The HTTP client to use</param>
+    /// <param name="request">The load test configuration</param>
+    /// <param name="testId">The unique test identifier</param>
+    /// <param name="userIndex">The zero-based number of the virtual user sending the request</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    private async Task SendRequestAndNotifyAsync(HttpClient client, LoadTestRequest request, string testId, int userIndex, CancellationToken cancellationToken)
+    {
+        var row = SelectDatasetRow(request.Dataset, userIndex);
+
+        if (request.Steps is { Count: > 0 })
+        {
+            await RunScenarioIterationAsync(client, request, testId, row, cancellationToken);
+            return;
+        }
+
+        if (row != null)
+        {
+            request = ApplyVariables(request, row);
+        }
+
+        await SendStepAndNotifyAsync(client, request, testId, null, null, cancellationToken);
+    }
+
+    /// <summary>
+    /// Picks the dataset row for the next iteration
+    /// </summary>
+    /// <param name="dataset">The dataset, if any</param>
+    /// <param name="userIndex">The zero-based number of the virtual user, held by no other running user, used by the <c>unique</c> mode</param>
+    /// <returns>The row to resolve placeholders with, or null when there is no dataset</returns>
+    private Dictionary<string, string>? SelectDatasetRow(DatasetConfig? dataset, int userIndex)
+    {
+        if (dataset is not { Rows.Count: > 0 })
+            return null;
+
+        var rows = dataset.Rows;
+        var index = dataset.Mode switch
+        {
+            DatasetConfig.RandomMode => Random.Shared.Next(rows.Count),
+            DatasetConfig.UniqueMode => userIndex % rows.Count,
+            _ => (int)((Interlocked.Increment(ref _datasetSequence) - 1) % rows.Count)
+        };
+
+        return rows[index];
+    }
+
+    /// <summary>
+    /// Validates a dataset before a test is started
+    /// </summary>
+    /// <param name="dataset">The dataset, if any</param>
+    /// <param name="users">The peak number of virtual users</param>
+    /// <exception cref="InvalidOperationException">Thrown when the dataset cannot be run</exception>
+    private static void ValidateDataset(DatasetConfig? dataset, int users)
+    {
+        if (dataset == null)
+            return;
+
+        if (dataset.Rows.Count == 0)
+            throw new InvalidOperationException("The dataset has no rows");
+
+        switch (dataset.Mode)
+        {
+            case DatasetConfig.SequentialMode:
+            case DatasetConfig.RandomMode:
+                break;
+            case DatasetConfig.UniqueMode:
+                if (dataset.Rows.Count < users)
+                    throw new InvalidOperationException($"Unique row selection needs at least one row per virtual user ({users}), but the dataset has {dataset.Rows.Count}");
+                break;
+            default:
+                throw new InvalidOperationException($"Unknown dataset mode '{dataset.Mode}'");
+        }
+    }
+
+    /// <summary>
+    /// Validates response assertions before a test is started
+    /// </summary>
+    /// <param name="assertions">The assertions, if any</param>
+    /// <exception cref="InvalidOperationException">Thrown when an assertion cannot be checked</exception>
+    private static void ValidateAssertions(List<ResponseAssertion>? assertions)
+    {
+        if (assertions == null)
+            return;
+
+        foreach (var assertion in assertions)
+        {
+            switch (assertion.Type)
+            {
+                case ResponseAssertion.StatusType:
+                    if (string.IsNullOrWhiteSpace(assertion.Value) || assertion.Value.Split(',').Any(code =>
+                            !int.TryParse(code.Trim(), System.Globalization.NumberStyles.None, System.Globalization.CultureInfo.InvariantCulture, out var status) || status < 100 || status > 599))
+                        throw new InvalidOperationException("A status assertion needs a comma-separated list of status codes");
+                    break;
+                case ResponseAssertion.JsonPathType:
+                case ResponseAssertion.HeaderType:
+                    if (string.IsNullOrWhiteSpace(assertion.Target))
+                        throw new InvalidOperationException($"A {assertion.Type} assertion needs a {(assertion.Type == ResponseAssertion.HeaderType ? "header name" : "JSON path")}");
+                    break;
+                case ResponseAssertion.BodyContainsType:
+                    if (string.IsNullOrEmpty(assertion.Value))
+                        throw new InvalidOperationException("A body contains assertion needs the text to look for");
+                    break;
+                case ResponseAssertion.SizeType:
+                    if (assertion.MinBytes == null && assertion.MaxBytes == null)
+                        throw new InvalidOperationException("A size assertion needs a minimum or maximum size");
+                    if (assertion.MinBytes < 0 || assertion.MaxBytes < assertion.MinBytes)
+                        throw new InvalidOperationException("A size assertion needs a non-negative range with the minimum no larger than the maximum");
+                    break;
+                default:
+                    throw new InvalidOperationException($"Unknown assertion type '{assertion.Type}'");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Runs the scenario steps in order, passing values extracted by each step on to the next
+    /// </summary>
+    /// <remarks>
+    /// Variables are scoped to the iteration and start from the dataset row, so an extracted value replaces
+    /// a column of the same name. Once a step fails or one of its values cannot be extracted,
+    /// the remaining steps are skipped rather than sent with unresolved placeholders.
+    /// </remarks>
+    /// <param name="client">The HTTP client to use</param>
+    /// <param name="request">The load test configuration</param>
+    /// <param name="testId">The unique test identifier</param>
+    /// <param name="row">The dataset row for the iteration, if any</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    private async Task RunScenarioIterationAsync(HttpClient client, LoadTestRequest request, string testId, Dictionary<string, string>? row, CancellationToken cancellationToken)
+    {
+        var variables = row != null
+            ? new Dictionary<string, string>(row)
+            : new Dictionary<string, string>();
+
+        foreach (var step in request.Steps!)
+        {
+            var stepRequest = BuildStepRequest(request, step, variables);
+            if (!await SendStepAndNotifyAsync(client, stepRequest, testId, step, variables, cancellationToken))
+            {
+                break;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Sends a single HTTP request, extracts any step variables, checks the assertions and broadcasts metrics via SignalR
+    /// </summary>
+    /// <param name="client">The HTTP client to use</param>
+    /// <param name="request">The request to send</param>
+    /// <param name="testId">The unique test identifier</param>
+    /// <param name="step">The scenario step being sent, if the test is a scenario</param>
+    /// <param name="variables">The iteration variables extracted values are stored in</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>True when the request succeeded, every value was extracted and every assertion passed</returns>
+    private async Task<bool> SendStepAndNotifyAsync(HttpClient client, LoadTestRequest request, string testId, ScenarioStep? step, Dictionary<string, string>? variables, CancellationToken cancellationToken)
     {
         var startTime = Stopwatch.GetTimestamp();
         HttpStatusCode statusCode = HttpStatusCode.InternalServerError;
         bool isSuccess = false;
+        bool extractionFailed = false;
+        int[]? failedAssertions = null;
+        long elapsedMs;
 
         try
         {
             using var httpRequest = GenerateHttpRequest(request);
             using var response = await client.SendAsync(httpRequest, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+            elapsedMs = (long)Stopwatch.GetElapsedTime(startTime).TotalMilliseconds;
             statusCode = response.StatusCode;
             isSuccess = response.IsSuccessStatusCode;
+
+            if (isSuccess)
+            {
+                var body = NeedsBody(step, request.Assertions)
+                    ? await response.Content.ReadAsStringAsync(cancellationToken)
+                    : null;
+
+                if (step is { Extractors.Count: > 0 } && variables != null)
+                {
+                    extractionFailed = !ExtractVariables(response, body, step.Extractors, variables);
+                }
+
+                if (request.Assertions is { Count: > 0 })
+                {
+                    failedAssertions = EvaluateAssertions(response, body, request.Assertions);
+                }
+            }
         }
         catch (TaskCanceledException)
         {
@@ -480,14 +1271,19 @@ public class LoadTestService : IDisposable
         }
         catch (Exception)
         {
+            elapsedMs = (long)Stopwatch.GetElapsedTime(startTime).TotalMilliseconds;
             statusCode = HttpStatusCode.ServiceUnavailable;
             isSuccess = false;
         }
 
-        var elapsedMs = (long)(Stopwatch.GetElapsedTime(startTime).TotalMilliseconds);
-        var responseData = new ResponseData(Guid.NewGuid(), elapsedMs, statusCode, DateTime.UtcNow);
+        var responseData = new ResponseData(Guid.NewGuid(), elapsedMs, statusCode, DateTime.UtcNow, step?.Name, extractionFailed, failedAssertions);
         _responses.Add(responseData);
 
+        var assertionFailed = failedAssertions != null;
+        var assertionFailures = assertionFailed
+            ? Interlocked.Increment(ref _assertionFailures)
+            : Interlocked.Read(ref _assertionFailures);
+
         var now = DateTime.UtcNow;
         _recentRequestTimes.Enqueue(now);
 
@@ -520,7 +1316,11 @@ public class LoadTestService : IDisposable
             SuccessfulRequests = successCount,
             FailedRequests = failedCount,
             CurrentRps = currentRps,
-            AverageResponseTime = avgResponseTime
+            AverageResponseTime = avgResponseTime,
+            ActiveUsers = Volatile.Read(ref _activeUsers),
+            StepName = step?.Name,
+            AssertionFailed = assertionFailed,
+            AssertionFailures = assertionFailures
         };
 
         _metricCounter++;
@@ -530,6 +1330,227 @@ public class LoadTestService : IDisposable
         }
 
         await _hubContext.Clients.All.SendAsync("MetricReceived", metric, cancellationToken);
+
+        if (request.AbortRules != null)
+        {
+            var abortReason = EvaluateAbortRules(request.AbortRules, allResponses, now);
+            if (abortReason != null)
+            {
+                await AbortTestAsync(testId, abortReason);
+            }
+        }
+
+        return isSuccess && !extractionFailed && !assertionFailed;
+    }
+
+    /// <summary>
+    /// Builds the request for one scenario step, resolving the variables extracted earlier in the iteration
+    /// </summary>
+    /// <param name="request">The scenario configuration</param>
+    /// <param name="step">The step to build</param>
+    /// <param name="variables">The iteration variables</param>
+    /// <returns>The request for the step, with the scenario headers merged under the step headers</returns>
+    private static LoadTestRequest BuildStepRequest(LoadTestRequest request, ScenarioStep step, IReadOnlyDictionary<string, string> variables)
+    {
+        var headers = request.Headers != null
+            ? new Dictionary<string, string>(request.Headers)
+            : new Dictionary<string, string>();
+        if (step.Headers != null)
+        {
+            foreach (var header in step.Headers)
+            {
+                headers[header.Key] = header.Value;
+            }
+        }
+
+        return request with
+        {
+            Url = ReplacePlaceholders(step.Url, variables),
+            Method = step.Method,
+            Body = ReplacePlaceholders(step.Body, variables),
+            ContentType = step.ContentType ?? request.ContentType,
+            Headers = headers.Count > 0 ? ReplacePlaceholders(headers, variables) : null,
+            Steps = null
+        };
+    }
+
+    /// <summary>
+    /// Extracts a step's values from its response into the iteration variables
+    /// </summary>
+    /// <param name="response">The step response</param>
+    /// <param name="body">The response body, read when any extractor needs it</param>
+    /// <param name="extractors">The extractors configured on the step</param>
+    /// <param name="variables">The iteration variables to store values in</param>
+    /// <returns>True when every extractor found a value</returns>
+    private static bool ExtractVariables(HttpResponseMessage response, string? body, List<StepExtractor> extractors, Dictionary<string, string> variables)
+    {
+        foreach (var extractor in extractors)
+        {
+            var value = extractor.Source switch
+            {
+                StepExtractor.HeaderSource => GetHeaderValue(response, extractor.Expression),
+                StepExtractor.RegexSource => ExtractRegexValue(body!, extractor.Expression),
+                _ => ExtractJsonValue(body!, extractor.Expression)
+            };
+
+            if (value == null)
+            {
+                return false;
+            }
+
+            variables[extractor.Variable] = value;
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Determines whether the response body has to be read for the step extractors or the assertions
+    /// </summary>
+    /// <param name="step">The scenario step being sent, if any</param>
+    /// <param name="assertions">The assertions, if any</param>
+    /// <returns>True when an extractor or assertion looks at the body</returns>
+    private static bool NeedsBody(ScenarioStep? step, List<ResponseAssertion>? assertions)
+    {
+        return (step != null && step.Extractors.Any(e => e.Source != StepExtractor.HeaderSource))
+            || (assertions != null && assertions.Any(a => a.Type is not (ResponseAssertion.StatusType or ResponseAssertion.HeaderType)));
+    }
+
+    /// <summary>
+    /// Checks a successful response against the assertions
+    /// </summary>
+    /// <param name="response">The HTTP response</param>
+    /// <param name="body">The response body, read when any assertion needs it</param>
+    /// <param name="assertions">The assertions to check</param>
+    /// <returns>The indexes of the failed assertions, or null when all of them passed</returns>
+    private static int[]? EvaluateAssertions(HttpResponseMessage response, string? body, List<ResponseAssertion> assertions)
+    {
+        List<int>? failed = null;
+
+        for (var i = 0; i < assertions.Count; i++)
+        {
+            if (!CheckAssertion(response, body, assertions[i]))
+            {
+                (failed ??= []).Add(i);
+            }
+        }
+
+        return failed?.ToArray();
+    }
+
+    /// <summary>
+    /// Checks a successful response against a single assertion
+    /// </summary>
+    /// <param name="response">The HTTP response</param>
+    /// <param name="body">The response body, read when the assertion needs it</param>
+    /// <param name="assertion">The assertion to check</param>
+    /// <returns>True when the response passes the assertion</returns>
+    private static bool CheckAssertion(HttpResponseMessage response, string? body, ResponseAssertion assertion)
+    {
+        switch (assertion.Type)
+        {
+            case ResponseAssertion.StatusType:
+                var statusCode = ((int)response.StatusCode).ToString(System.Globalization.CultureInfo.InvariantCulture);
+                return assertion.Value!.Split(',').Any(code => code.Trim() == statusCode);
+            case ResponseAssertion.JsonPathType:
+                var value = ExtractJsonValue(body!, assertion.Target!);
+                return value != null && (string.IsNullOrEmpty(assertion.Value) || value == assertion.Value);
+            case ResponseAssertion.BodyContainsType:
+                return body!.Contains(assertion.Value!, StringComparison.Ordinal);
+            case ResponseAssertion.HeaderType:
+                var header = GetHeaderValue(response, assertion.Target!);
+                return header != null && (string.IsNullOrEmpty(assertion.Value) || header == assertion.Value);
+            case ResponseAssertion.SizeType:
+                var size = response.Content.Headers.ContentLength ?? Encoding.UTF8.GetByteCount(body!);
+                return size >= (assertion.MinBytes ?? 0) && size <= (assertion.MaxBytes ?? long.MaxValue);
+            default:
+                return true;
+        }
+    }
+
+    /// <summary>
+    /// Gets the first value of a response or content header
+    /// </summary>
+    /// <param name="response">The HTTP response</param>
+    /// <param name="name">The header name</param>
+    /// <returns>The header value or null if the header is missing</returns>
+    private static string? GetHeaderValue(HttpResponseMessage response, string name)
+    {
+        if (response.Headers.TryGetValues(name, out var values) || response.Content.Headers.TryGetValues(name, out values))
+        {
+            return values.FirstOrDefault();
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Extracts a value from text with a regular expression
+    /// </summary>
+    /// <param name="text">The text to search</param>
+    /// <param name="pattern">The pattern; its first capture group is used when it has one</param>
+    /// <returns>The matched value or null if there is no match</returns>
+    private static string? ExtractRegexValue(string text, string pattern)
+    {
+        try
+        {
+            var match = Regex.Match(text, pattern, RegexOptions.None, TimeSpan.FromMilliseconds(RegexTimeoutMilliseconds));
+            if (!match.Success)
+            {
+                return null;
+            }
+
+            return match.Groups.Count > 1 ? match.Groups[1].Value : match.Value;
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Validates scenario steps before a test is started
+    /// </summary>
+    /// <param name="steps">The scenario steps, if any</param>
+    /// <exception cref="InvalidOperationException">Thrown when the scenario cannot be run</exception>
+    private static void ValidateScenario(List<ScenarioStep>? steps)
+    {
+        if (steps == null || steps.Count == 0)
+            return;
+
+        var names = new HashSet<string>(StringComparer.Ordinal);
+        foreach (var step in steps)
+        {
+            if (string.IsNullOrWhiteSpace(step.Name) || !names.Add(step.Name))
+                throw new InvalidOperationException("Every scenario step needs a unique name");
+            if (string.IsNullOrWhiteSpace(step.Url))
+                throw new InvalidOperationException($"Scenario step '{step.Name}' needs a URL");
+
+            foreach (var extractor in step.Extractors)
+            {
+                if (string.IsNullOrWhiteSpace(extractor.Variable) || string.IsNullOrWhiteSpace(extractor.Expression))
+                    throw new InvalidOperationException($"Every extractor in step '{step.Name}' needs a variable name and an expression");
+
+                switch (extractor.Source)
+                {
+                    case StepExtractor.JsonSource:
+                    case StepExtractor.HeaderSource:
+                        break;
+                    case StepExtractor.RegexSource:
+                        try
+                        {
+                            _ = new Regex(extractor.Expression, RegexOptions.None, TimeSpan.FromMilliseconds(RegexTimeoutMilliseconds));
+                        }
+                        catch (ArgumentException ex)
+                        {
+                            throw new InvalidOperationException($"Invalid regular expression in step '{step.Name}': {ex.Message}");
+                        }
+                        break;
+                    default:
+                        throw new InvalidOperationException($"Unknown extractor source '{extractor.Source}' in step '{step.Name}'");
+                }
+            }
+        }
     }
 
     /// <summary>
@@ -585,10 +1606,85 @@ public class LoadTestService : IDisposable
             Percentile95 = CalculatePercentile(values, 95),
             Percentile99 = CalculatePercentile(values, 99),
             TotalElapsedTime = (long)totalElapsedTime,
-            StatusCodes = statusCodeGroups
+            StatusCodes = statusCodeGroups,
+            AssertionFailures = allResponses.Count(r => r.FailedAssertions != null)
         };
     }
 
+    /// <summary>
+    /// Calculates per-step results for a scenario run, in step order
+    /// </summary>
+    /// <param name="steps">The scenario steps, if the test was a scenario</param>
+    /// <returns>The step results, or null when the test was not a scenario</returns>
+    private List<StepResult>? CalculateStepResults(List<ScenarioStep>? steps)
+    {
+        if (steps == null || steps.Count == 0)
+        {
+            return null;
+        }
+
+        var responsesByStep = _responses
+            .Where(r => r.StepName != null)
+            .GroupBy(r => r.StepName!)
+            .ToDictionary(g => g.Key, g => g.ToList());
+
+        return steps.Select(step =>
+        {
+            if (!responsesByStep.TryGetValue(step.Name, out var responses))
+            {
+                return new StepResult { Name = step.Name };
+            }
+
+            var values = responses.Select(r => r.ElapsedTime).ToList();
+            var successCount = responses.Count(r => (int)r.StatusCode >= 200 && (int)r.StatusCode < 300);
+
+            return new StepResult
+            {
+                Name = step.Name,
+                TotalRequests = responses.Count,
+                SuccessfulRequests = successCount,
+                FailedRequests = responses.Count - successCount,
+                ExtractionFailures = responses.Count(r => r.ExtractionFailed),
+                AssertionFailures = responses.Count(r => r.FailedAssertions != null),
+                AverageResponseTime = values.Average(),
+                MinResponseTime = values.Min(),
+                MaxResponseTime = values.Max(),
+                Percentile50 = CalculatePercentile(values, 50),
+                Percentile95 = CalculatePercentile(values, 95),
+                Percentile99 = CalculatePercentile(values, 99)
+            };
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Calculates how often each assertion failed, in the order the assertions were configured
+    /// </summary>
+    /// <param name="assertions">The assertions, if the test had any</param>
+    /// <returns>The assertion results, or null when the test had no assertions</returns>
+    private List<AssertionResult>? CalculateAssertionResults(List<ResponseAssertion>? assertions)
+    {
+        if (assertions == null || assertions.Count == 0)
+        {
+            return null;
+        }
+
+        var failures = new long[assertions.Count];
+        foreach (var response in _responses)
+        {
+            if (response.FailedAssertions == null)
+                continue;
+
+            foreach (var index in response.FailedAssertions)
+            {
+                failures[index]++;
+            }
+        }
+
+        return assertions
+            .Select((assertion, index) => new AssertionResult { Name = assertion.GetDescription(), Failures = failures[index] })
+            .ToList();
+    }
+
     /// <summary>
     /// Creates an HTTP client with optional SSL certificate validation bypass
     /// </summary>
@@ -713,5 +1809,8 @@ public class LoadTestService : IDisposable
     /// <param name="ElapsedTime">Response time in milliseconds</param>
     /// <param name="StatusCode">HTTP status code</param>
     /// <param name="Timestamp">When the response was received</param>
-    private record ResponseData(Guid Id, long ElapsedTime, HttpStatusCode StatusCode, DateTime Timestamp);
+    /// <param name="StepName">The scenario step the request belonged to, if any</param>
+    /// <param name="ExtractionFailed">Whether a step value could not be extracted from the response</param>
+    /// <param name="FailedAssertions">Indexes of the assertions the response failed, or null when they all passed</param>
+    private record ResponseData(Guid Id, long ElapsedTime, HttpStatusCode StatusCode, DateTime Timestamp, string? StepName = null, bool ExtractionFailed = false, int[]? FailedAssertions = null);
 }
@@ -15,6 +15,16 @@ public class ProjectService
 {
     private readonly SqliteDatabase _database;
 
+    /// <summary>
+    /// Endpoint columns in the order expected by <see cref="MapEndpoint"/>
+    /// </summary>
+    private const string EndpointColumns = """
+        Id, ProjectId, Name, Description, Url, Method, Users, Requests, Duration,
+        ContentType, Body, Insecure, RequiresAuth, HeadersJson, AuthenticationJson,
+        CreatedAt, UpdatedAt, ThresholdsJson, AbortRulesJson, LoadProfileJson, StepsJson, DatasetJson, AssertionsJson,
+        BaselineExecutionId, RegressionToleranceJson
+        """;
+
     /// <summary>
     /// Initializes a new instance of the <see cref="ProjectService"/> class
     /// </summary>
@@ -286,10 +296,8 @@ public class ProjectService
         using var conn = _database.CreateConnection();
         using var cmd = conn.CreateCommand();
 
-        cmd.CommandText = """
-            SELECT Id, ProjectId, Name, Description, Url, Method, Users, Requests, Duration,
-                   ContentType, Body, Insecure, RequiresAuth, HeadersJson, AuthenticationJson,
-                   CreatedAt, UpdatedAt
+        cmd.CommandText = $"""
+            SELECT {EndpointColumns}
             FROM Endpoints
             WHERE Id = @Id
             """;
@@ -327,14 +335,37 @@ public class ProjectService
         var authJson = dto.Authentication != null
             ? JsonSerializer.Serialize(dto.Authentication, AppJsonContext.Default.AuthenticationConfig)
             : null;
+        var thresholdsJson = dto.Thresholds != null
+            ? JsonSerializer.Serialize(dto.Thresholds, AppJsonContext.Default.ThresholdConfig)
+            : null;
+        var abortRulesJson = dto.AbortRules != null
+            ? JsonSerializer.Serialize(dto.AbortRules, AppJsonContext.Default.AbortRuleConfig)
+            : null;
+        var loadProfileJson = dto.LoadProfile != null
+            ? JsonSerializer.Serialize(dto.LoadProfile, AppJsonContext.Default.LoadProfile)
+            : null;
+        var stepsJson = dto.Steps is { Count: > 0 }
+            ? JsonSerializer.Serialize(dto.Steps, AppJsonContext.Default.ListScenarioStep)
+            : null;
+        var datasetJson = dto.Dataset is { Rows.Count: > 0 }
+            ? JsonSerializer.Serialize(dto.Dataset, AppJsonContext.Default.DatasetConfig)
+            : null;
+        var assertionsJson = dto.Assertions is { Count: > 0 }
+            ? JsonSerializer.Serialize(dto.Assertions, AppJsonContext.Default.ListResponseAssertion)
+            : null;
+        var regressionToleranceJson = dto.RegressionTolerance != null
+            ? JsonSerializer.Serialize(dto.RegressionTolerance, AppJsonContext.Default.RegressionTolerance)
+            : null;
 
         cmd.CommandText = """
             INSERT INTO Endpoints (ProjectId, Name, Description, Url, Method, Users, Requests, Duration,
                                    ContentType, Body, Insecure, RequiresAuth, HeadersJson, AuthenticationJson,
-                                   CreatedAt, UpdatedAt)
+                                   ThresholdsJson, AbortRulesJson, LoadProfileJson, StepsJson, DatasetJson, AssertionsJson,
+                                   RegressionToleranceJson, CreatedAt, UpdatedAt)
             VALUES (@ProjectId, @Name, @Description, @Url, @Method, @Users, @Requests, @Duration,
                     @ContentType, @Body, @Insecure, @RequiresAuth, @HeadersJson, @AuthenticationJson,
-                    @CreatedAt, @UpdatedAt);
+                    @ThresholdsJson, @AbortRulesJson, @LoadProfileJson, @StepsJson, @DatasetJson, @AssertionsJson,
+                    @RegressionToleranceJson, @CreatedAt, @UpdatedAt);
             SELECT last_insert_rowid();
             """;
 
@@ -352,6 +383,13 @@ public class ProjectService
         cmd.Parameters.AddWithValue("@RequiresAuth", dto.RequiresAuth ? 1 : 0);
         cmd.Parameters.AddWithValue("@HeadersJson", (object?)headersJson ?? DBNull.Value);
         cmd.Parameters.AddWithValue("@AuthenticationJson", (object?)authJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@ThresholdsJson", (object?)thresholdsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@AbortRulesJson", (object?)abortRulesJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@LoadProfileJson", (object?)loadProfileJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@StepsJson", (object?)stepsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@DatasetJson", (object?)datasetJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@AssertionsJson", (object?)assertionsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@RegressionToleranceJson", (object?)regressionToleranceJson ?? DBNull.Value);
         cmd.Parameters.AddWithValue("@CreatedAt", now.ToString("O"));
         cmd.Parameters.AddWithValue("@UpdatedAt", now.ToString("O"));
 
@@ -376,6 +414,13 @@ public class ProjectService
             RequiresAuth = dto.RequiresAuth,
             HeadersJson = headersJson,
             AuthenticationJson = authJson,
+            ThresholdsJson = thresholdsJson,
+            AbortRulesJson = abortRulesJson,
+            LoadProfileJson = loadProfileJson,
+            StepsJson = stepsJson,
+            DatasetJson = datasetJson,
+            AssertionsJson = assertionsJson,
+            RegressionToleranceJson = regressionToleranceJson,
             CreatedAt = now,
             UpdatedAt = now
         };
@@ -399,6 +444,27 @@ public class ProjectService
         var authJson = dto.Authentication != null
             ? JsonSerializer.Serialize(dto.Authentication, AppJsonContext.Default.AuthenticationConfig)
             : null;
+        var thresholdsJson = dto.Thresholds != null
+            ? JsonSerializer.Serialize(dto.Thresholds, AppJsonContext.Default.ThresholdConfig)
+            : null;
+        var abortRulesJson = dto.AbortRules != null
+            ? JsonSerializer.Serialize(dto.AbortRules, AppJsonContext.Default.AbortRuleConfig)
+            : null;
+        var loadProfileJson = dto.LoadProfile != null
+            ? JsonSerializer.Serialize(dto.LoadProfile, AppJsonContext.Default.LoadProfile)
+            : null;
+        var stepsJson = dto.Steps is { Count: > 0 }
+            ? JsonSerializer.Serialize(dto.Steps, AppJsonContext.Default.ListScenarioStep)
+            : null;
+        var datasetJson = dto.Dataset is { Rows.Count: > 0 }
+            ? JsonSerializer.Serialize(dto.Dataset, AppJsonContext.Default.DatasetConfig)
+            : null;
+        var assertionsJson = dto.Assertions is { Count: > 0 }
+            ? JsonSerializer.Serialize(dto.Assertions, AppJsonContext.Default.ListResponseAssertion)
+            : null;
+        var regressionToleranceJson = dto.RegressionTolerance != null
+            ? JsonSerializer.Serialize(dto.RegressionTolerance, AppJsonContext.Default.RegressionTolerance)
+            : null;
 
         cmd.CommandText = """
             UPDATE Endpoints SET
@@ -415,6 +481,13 @@ public class ProjectService
                 RequiresAuth = @RequiresAuth,
                 HeadersJson = @HeadersJson,
                 AuthenticationJson = @AuthenticationJson,
+                ThresholdsJson = @ThresholdsJson,
+                AbortRulesJson = @AbortRulesJson,
+                LoadProfileJson = @LoadProfileJson,
+                StepsJson = @StepsJson,
+                DatasetJson = @DatasetJson,
+                AssertionsJson = @AssertionsJson,
+                RegressionToleranceJson = @RegressionToleranceJson,
                 UpdatedAt = @UpdatedAt
             WHERE Id = @Id
             """;
@@ -433,6 +506,13 @@ public class ProjectService
         cmd.Parameters.AddWithValue("@RequiresAuth", dto.RequiresAuth ? 1 : 0);
         cmd.Parameters.AddWithValue("@HeadersJson", (object?)headersJson ?? DBNull.Value);
         cmd.Parameters.AddWithValue("@AuthenticationJson", (object?)authJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@ThresholdsJson", (object?)thresholdsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@AbortRulesJson", (object?)abortRulesJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@LoadProfileJson", (object?)loadProfileJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@StepsJson", (object?)stepsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@DatasetJson", (object?)datasetJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@AssertionsJson", (object?)assertionsJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@RegressionToleranceJson", (object?)regressionToleranceJson ?? DBNull.Value);
         cmd.Parameters.AddWithValue("@UpdatedAt", now.ToString("O"));
 
         var affected = await cmd.ExecuteNonQueryAsync();
@@ -449,6 +529,41 @@ public class ProjectService
         return endpoint;
     }
 
+    /// <summary>
+    /// Pins a completed execution as the baseline new runs of its endpoint are compared against
+    /// </summary>
+    /// <param name="endpointId">The endpoint identifier</param>
+    /// <param name="executionId">The execution to pin, or null to unpin the current baseline</param>
+    /// <returns>True if the endpoint was found, otherwise false</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the execution does not belong to the endpoint, did not complete or was aborted</exception>
+    public async Task<bool> SetEndpointBaselineAsync(int endpointId, int? executionId)
+    {
+        using var conn = _database.CreateConnection();
+
+        if (executionId.HasValue)
+        {
+            using var getCmd = conn.CreateCommand();
+            getCmd.CommandText = "SELECT Status, AbortReason FROM Executions WHERE Id = @Id AND EndpointId = @EndpointId";
+            getCmd.Parameters.AddWithValue("@Id", executionId.Value);
+            getCmd.Parameters.AddWithValue("@EndpointId", endpointId);
+
+            using var reader = await getCmd.ExecuteReaderAsync();
+            if (!await reader.ReadAsync())
+                throw new InvalidOperationException("Execution not found for this endpoint");
+
+            // An aborted run stops early under abnormal load, so comparing later runs against it would be meaningless
+            if (reader.GetString(0) != "Completed" || !reader.IsDBNull(1))
+                throw new InvalidOperationException("Only completed executions that were not aborted can be pinned as a baseline");
+        }
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "UPDATE Endpoints SET BaselineExecutionId = @BaselineExecutionId WHERE Id = @Id";
+        cmd.Parameters.AddWithValue("@Id", endpointId);
+        cmd.Parameters.AddWithValue("@BaselineExecutionId", (object?)executionId ?? DBNull.Value);
+
+        return await cmd.ExecuteNonQueryAsync() > 0;
+    }
+
     /// <summary>
     /// Deletes an endpoint
     /// </summary>
@@ -508,6 +623,207 @@ public class ProjectService
 
     #endregion
 
+    #region Environments
+
+    /// <summary>
+    /// Retrieves the environments of every project in one query, so the dashboard does not need a request per project
+    /// </summary>
+    /// <returns>A list of environments ordered by project and name</returns>
+    public async Task<List<ProjectEnvironment>> GetAllEnvironmentsAsync()
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = """
+            SELECT Id, ProjectId, Name, VariablesJson, CreatedAt, UpdatedAt
+            FROM Environments
+            ORDER BY ProjectId ASC, Name ASC
+            """;
+
+        var environments = new List<ProjectEnvironment>();
+        using var reader = await cmd.ExecuteReaderAsync();
+
+        while (await reader.ReadAsync())
+        {
+            environments.Add(MapEnvironment(reader));
+        }
+
+        return environments;
+    }
+
+    /// <summary>
+    /// Retrieves all environments defined for a project
+    /// </summary>
+    /// <param name="projectId">The project identifier</param>
+    /// <returns>A list of environments ordered by name</returns>
+    public async Task<List<ProjectEnvironment>> GetProjectEnvironmentsAsync(int projectId)
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = """
+            SELECT Id, ProjectId, Name, VariablesJson, CreatedAt, UpdatedAt
+            FROM Environments
+            WHERE ProjectId = @ProjectId
+            ORDER BY Name ASC
+            """;
+        cmd.Parameters.AddWithValue("@ProjectId", projectId);
+
+        var environments = new List<ProjectEnvironment>();
+        using var reader = await cmd.ExecuteReaderAsync();
+
+        while (await reader.ReadAsync())
+        {
+            environments.Add(MapEnvironment(reader));
+        }
+
+        return environments;
+    }
+
+    /// <summary>
+    /// Retrieves an environment by its identifier
+    /// </summary>
+    /// <param name="id">The environment identifier</param>
+    /// <returns>The environment if found, otherwise null</returns>
+    public async Task<ProjectEnvironment?> GetEnvironmentByIdAsync(int id)
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = """
+            SELECT Id, ProjectId, Name, VariablesJson, CreatedAt, UpdatedAt
+            FROM Environments
+            WHERE Id = @Id
+            """;
+        cmd.Parameters.AddWithValue("@Id", id);
+
+        using var reader = await cmd.ExecuteReaderAsync();
+        return await reader.ReadAsync() ? MapEnvironment(reader) : null;
+    }
+
+    /// <summary>
+    /// Creates a new environment for a project
+    /// </summary>
+    /// <param name="projectId">The project identifier</param>
+    /// <param name="dto">The environment data transfer object</param>
+    /// <returns>The created environment with its assigned identifier, or null if the project was not found</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the environment has no name</exception>
+    public async Task<ProjectEnvironment?> CreateEnvironmentAsync(int projectId, EnvironmentDto dto)
+    {
+        ValidateEnvironment(dto);
+
+        using var conn = _database.CreateConnection();
+
+        using var projectCmd = conn.CreateCommand();
+        projectCmd.CommandText = "SELECT COUNT(1) FROM Projects WHERE Id = @Id";
+        projectCmd.Parameters.AddWithValue("@Id", projectId);
+        if (Convert.ToInt32(await projectCmd.ExecuteScalarAsync(), System.Globalization.CultureInfo.InvariantCulture) == 0)
+            return null;
+
+        using var cmd = conn.CreateCommand();
+
+        var now = DateTime.UtcNow;
+        var variablesJson = dto.Variables != null
+            ? JsonSerializer.Serialize(dto.Variables, AppJsonContext.Default.DictionaryStringString)
+            : null;
+
+        cmd.CommandText = """
+            INSERT INTO Environments (ProjectId, Name, VariablesJson, CreatedAt, UpdatedAt)
+            VALUES (@ProjectId, @Name, @VariablesJson, @CreatedAt, @UpdatedAt);
+            SELECT last_insert_rowid();
+            """;
+
+        cmd.Parameters.AddWithValue("@ProjectId", projectId);
+        cmd.Parameters.AddWithValue("@Name", dto.Name);
+        cmd.Parameters.AddWithValue("@VariablesJson", (object?)variablesJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@CreatedAt", now.ToString("O"));
+        cmd.Parameters.AddWithValue("@UpdatedAt", now.ToString("O"));
+
+        var id = Convert.ToInt32(await cmd.ExecuteScalarAsync(), System.Globalization.CultureInfo.InvariantCulture);
+
+        await UpdateProjectTimestampAsync(conn, projectId);
+
+        return new ProjectEnvironment
+        {
+            Id = id,
+            ProjectId = projectId,
+            Name = dto.Name,
+            VariablesJson = variablesJson,
+            CreatedAt = now,
+            UpdatedAt = now
+        };
+    }
+
+    /// <summary>
+    /// Updates an existing environment's name and variables
+    /// </summary>
+    /// <param name="id">The environment identifier</param>
+    /// <param name="dto">The updated environment data</param>
+    /// <returns>The updated environment if found, otherwise null</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the environment has no name</exception>
+    public async Task<ProjectEnvironment?> UpdateEnvironmentAsync(int id, EnvironmentDto dto)
+    {
+        ValidateEnvironment(dto);
+
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        var now = DateTime.UtcNow;
+        var variablesJson = dto.Variables != null
+            ? JsonSerializer.Serialize(dto.Variables, AppJsonContext.Default.DictionaryStringString)
+            : null;
+
+        cmd.CommandText = """
+            UPDATE Environments SET
+                Name = @Name,
+                VariablesJson = @VariablesJson,
+                UpdatedAt = @UpdatedAt
+            WHERE Id = @Id
+            """;
+
+        cmd.Parameters.AddWithValue("@Id", id);
+        cmd.Parameters.AddWithValue("@Name", dto.Name);
+        cmd.Parameters.AddWithValue("@VariablesJson", (object?)variablesJson ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@UpdatedAt", now.ToString("O"));
+
+        var affected = await cmd.ExecuteNonQueryAsync();
+
+        if (affected == 0)
+            return null;
+
+        return await GetEnvironmentByIdAsync(id);
+    }
+
+    /// <summary>
+    /// Deletes an environment
+    /// </summary>
+    /// <param name="id">The environment identifier</param>
+    /// <returns>True if the environment was deleted, otherwise false</returns>
+    public async Task<bool> DeleteEnvironmentAsync(int id)
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = "DELETE FROM Environments WHERE Id = @Id";
+        cmd.Parameters.AddWithValue("@Id", id);
+
+        var affected = await cmd.ExecuteNonQueryAsync();
+        return affected > 0;
+    }
+
+    /// <summary>
+    /// Validates an environment before it is saved
+    /// </summary>
+    /// <param name="dto">The environment data</param>
+    /// <exception cref="InvalidOperationException">Thrown when the environment has no name</exception>
+    private static void ValidateEnvironment(EnvironmentDto dto)
+    {
+        if (string.IsNullOrWhiteSpace(dto.Name))
+            throw new InvalidOperationException("Environment name is required");
+    }
+
+    #endregion
+
     #region Export/Import
 
     /// <summary>
@@ -556,6 +872,27 @@ public class ProjectService
             }
         };
 
+        using var envCmd = conn.CreateCommand();
+        envCmd.CommandText = """
+            SELECT Id, ProjectId, Name, VariablesJson, CreatedAt, UpdatedAt
+            FROM Environments WHERE ProjectId = @ProjectId ORDER BY Name ASC
+            """;
+        envCmd.Parameters.AddWithValue("@ProjectId", projectId);
+
+        using var envReader = await envCmd.ExecuteReaderAsync();
+        while (await envReader.ReadAsync())
+        {
+            var environment = MapEnvironment(envReader);
+            exportData.Project.Environments.Add(new EnvironmentDto
+            {
+                Name = environment.Name,
+                Variables = !string.IsNullOrEmpty(environment.VariablesJson)
+                    ? JsonSerializer.Deserialize(environment.VariablesJson, AppJsonContext.Default.DictionaryStringString)
+                    : null
+            });
+        }
+        envReader.Close();
+
         var endpoints = await GetProjectEndpointsInternalAsync(conn, projectId, includeExecutions: false);
         foreach (var endpoint in endpoints)
         {
@@ -578,12 +915,36 @@ public class ProjectService
                 Authentication = !string.IsNullOrEmpty(endpoint.AuthenticationJson)
                     ? JsonSerializer.Deserialize(endpoint.AuthenticationJson, AppJsonContext.Default.AuthenticationConfig)
                     : null,
+                Thresholds = !string.IsNullOrEmpty(endpoint.ThresholdsJson)
+                    ? JsonSerializer.Deserialize(endpoint.ThresholdsJson, AppJsonContext.Default.ThresholdConfig)
+                    : null,
+                AbortRules = !string.IsNullOrEmpty(endpoint.AbortRulesJson)
+                    ? JsonSerializer.Deserialize(endpoint.AbortRulesJson, AppJsonContext.Default.AbortRuleConfig)
+                    : null,
+                LoadProfile = !string.IsNullOrEmpty(endpoint.LoadProfileJson)
+                    ? JsonSerializer.Deserialize(endpoint.LoadProfileJson, AppJsonContext.Default.LoadProfile)
+                    : null,
+                Steps = !string.IsNullOrEmpty(endpoint.StepsJson)
+                    ? JsonSerializer.Deserialize(endpoint.StepsJson, AppJsonContext.Default.ListScenarioStep)
+                    : null,
+                Dataset = !string.IsNullOrEmpty(endpoint.DatasetJson)
+                    ? JsonSerializer.Deserialize(endpoint.DatasetJson, AppJsonContext.Default.DatasetConfig)
+                    : null,
+                Assertions = !string.IsNullOrEmpty(endpoint.AssertionsJson)
+                    ? JsonSerializer.Deserialize(endpoint.AssertionsJson, AppJsonContext.Default.ListResponseAssertion)
+                    : null,
+                RegressionTolerance = !string.IsNullOrEmpty(endpoint.RegressionToleranceJson)
+                    ? JsonSerializer.Deserialize(endpoint.RegressionToleranceJson, AppJsonContext.Default.RegressionTolerance)
+                    : null,
                 Executions = []
             };
 
             var executions = await GetAllEndpointExecutionsAsync(conn, endpoint.Id);
             foreach (var exec in executions)
             {
+                if (exec.Id == endpoint.BaselineExecutionId)
+                    endpointExport.BaselineTestId = exec.TestId;
+
                 endpointExport.Executions.Add(new ExecutionExportData
                 {
                     TestId = exec.TestId,
@@ -611,7 +972,27 @@ public class ProjectService
                     StatusCodes = !string.IsNullOrEmpty(exec.StatusCodesJson)
                         ? JsonSerializer.Deserialize(exec.StatusCodesJson, AppJsonContext.Default.DictionaryInt32StatusCodeResult)
                         : null,
-                    ErrorMessage = exec.ErrorMessage
+                    ErrorMessage = exec.ErrorMessage,
+                    Thresholds = !string.IsNullOrEmpty(exec.ThresholdsJson)
+                        ? JsonSerializer.Deserialize(exec.ThresholdsJson, AppJsonContext.Default.ThresholdConfig)
+                        : null,
+                    ThresholdsPassed = exec.ThresholdsPassed,
+                    AbortReason = exec.AbortReason,
+                    LoadProfile = !string.IsNullOrEmpty(exec.LoadProfileJson)
+                        ? JsonSerializer.Deserialize(exec.LoadProfileJson, AppJsonContext.Default.LoadProfile)
+                        : null,
+                    StepResults = !string.IsNullOrEmpty(exec.StepResultsJson)
+                        ? JsonSerializer.Deserialize(exec.StepResultsJson, AppJsonContext.Default.ListStepResult)
+                        : null,
+                    AssertionFailures = exec.AssertionFailures,
+                    AssertionResults = !string.IsNullOrEmpty(exec.AssertionResultsJson)
+                        ? JsonSerializer.Deserialize(exec.AssertionResultsJson, AppJsonContext.Default.ListAssertionResult)
+                        : null,
+                    Notes = exec.Notes,
+                    Tags = !string.IsNullOrEmpty(exec.TagsJson)
+                        ? JsonSerializer.Deserialize(exec.TagsJson, AppJsonContext.Default.ListString)
+                        : null,
+                    TriggeredBy = exec.TriggeredBy
                 });
             }
 
@@ -631,15 +1012,11 @@ public class ProjectService
     {
         using var cmd = conn.CreateCommand();
 
-        cmd.CommandText = """
-            SELECT Id, TestId, EndpointId, Url, Method, Users, TargetRequests, TargetDuration,
-                   StartedAt, CompletedAt, Status, TotalRequests, SuccessfulRequests, FailedRequests,
-                   TotalElapsedTime, RequestsPerSecond, AverageResponseTime, MinResponseTime,
-                   MaxResponseTime, Percentile50, Percentile75, Percentile90, Percentile95,
-                   Percentile99, StatusCodesJson, ErrorMessage
-            FROM Executions
-            WHERE EndpointId = @EndpointId
-            ORDER BY StartedAt DESC
+        cmd.CommandText = $"""
+            SELECT {ExecutionService.ExecutionColumns}
+            FROM Executions e
+            WHERE e.EndpointId = @EndpointId
+            ORDER BY e.StartedAt DESC
             """;
 
         cmd.Parameters.AddWithValue("@EndpointId", endpointId);
@@ -698,6 +1075,27 @@ public class ProjectService
             var endpointsImported = 0;
             var executionsImported = 0;
 
+            foreach (var environmentData in importData.Project.Environments)
+            {
+                var variablesJson = environmentData.Variables != null
+                    ? JsonSerializer.Serialize(environmentData.Variables, AppJsonContext.Default.DictionaryStringString)
+                    : null;
+
+                using var envCmd = conn.CreateCommand();
+                envCmd.CommandText = """
+                    INSERT INTO Environments (ProjectId, Name, VariablesJson, CreatedAt, UpdatedAt)
+                    VALUES (@ProjectId, @Name, @VariablesJson, @CreatedAt, @UpdatedAt)
+                    """;
+
+                envCmd.Parameters.AddWithValue("@ProjectId", projectId);
+                envCmd.Parameters.AddWithValue("@Name", environmentData.Name);
+                envCmd.Parameters.AddWithValue("@VariablesJson", (object?)variablesJson ?? DBNull.Value);
+                envCmd.Parameters.AddWithValue("@CreatedAt", now);
+                envCmd.Parameters.AddWithValue("@UpdatedAt", now);
+
+                await envCmd.ExecuteNonQueryAsync();
+            }
+
             foreach (var endpointData in importData.Project.Endpoints)
             {
                 var headersJson = endpointData.Headers != null
@@ -706,13 +1104,34 @@ public class ProjectService
                 var authJson = endpointData.Authentication != null
                     ? JsonSerializer.Serialize(endpointData.Authentication, AppJsonContext.Default.AuthenticationConfig)
                     : null;
+                var thresholdsJson = endpointData.Thresholds != null
+                    ? JsonSerializer.Serialize(endpointData.Thresholds, AppJsonContext.Default.ThresholdConfig)
+                    : null;
+                var abortRulesJson = endpointData.AbortRules != null
+                    ? JsonSerializer.Serialize(endpointData.AbortRules, AppJsonContext.Default.AbortRuleConfig)
+                    : null;
+                var loadProfileJson = endpointData.LoadProfile != null
+                    ? JsonSerializer.Serialize(endpointData.LoadProfile, AppJsonContext.Default.LoadProfile)
+                    : null;
+                var stepsJson = endpointData.Steps is { Count: > 0 }
+                    ? JsonSerializer.Serialize(endpointData.Steps, AppJsonContext.Default.ListScenarioStep)
+                    : null;
+                var datasetJson = endpointData.Dataset is { Rows.Count: > 0 }
+                    ? JsonSerializer.Serialize(endpointData.Dataset, AppJsonContext.Default.DatasetConfig)
+                    : null;
+                var assertionsJson = endpointData.Assertions is { Count: > 0 }
+                    ? JsonSerializer.Serialize(endpointData.Assertions, AppJsonContext.Default.ListResponseAssertion)
+                    : null;
+                var regressionToleranceJson = endpointData.RegressionTolerance != null
+                    ? JsonSerializer.Serialize(endpointData.RegressionTolerance, AppJsonContext.Default.RegressionTolerance)
+                    : null;
 
                 using var endpCmd = conn.CreateCommand();
                 endpCmd.CommandText = """
                     INSERT INTO Endpoints (ProjectId, Name, Description, Url, Method, Users, Requests, Duration,
-                                          ContentType, Body, Insecure, RequiresAuth, HeadersJson, AuthenticationJson, CreatedAt, UpdatedAt)
+                                          ContentType, Body, Insecure, RequiresAuth, HeadersJson, AuthenticationJson, ThresholdsJson, AbortRulesJson, LoadProfileJson, StepsJson, DatasetJson, AssertionsJson, RegressionToleranceJson, CreatedAt, UpdatedAt)
                     VALUES (@ProjectId, @Name, @Description, @Url, @Method, @Users, @Requests, @Duration,
-                            @ContentType, @Body, @Insecure, @RequiresAuth, @HeadersJson, @AuthenticationJson, @CreatedAt, @UpdatedAt);
+                            @ContentType, @Body, @Insecure, @RequiresAuth, @HeadersJson, @AuthenticationJson, @ThresholdsJson, @AbortRulesJson, @LoadProfileJson, @StepsJson, @DatasetJson, @AssertionsJson, @RegressionToleranceJson, @CreatedAt, @UpdatedAt);
                     SELECT last_insert_rowid();
                     """;
 
@@ -730,6 +1149,13 @@ public class ProjectService
                 endpCmd.Parameters.AddWithValue("@RequiresAuth", endpointData.RequiresAuth ? 1 : 0);
                 endpCmd.Parameters.AddWithValue("@HeadersJson", (object?)headersJson ?? DBNull.Value);
                 endpCmd.Parameters.AddWithValue("@AuthenticationJson", (object?)authJson ?? DBNull.Value);
+                endpCmd.Parameters.AddWithValue("@ThresholdsJson", (object?)thresholdsJson ?? DBNull.Value);
+                endpCmd.Parameters.AddWithValue("@AbortRulesJson", (object?)abortRulesJson ?? DBNull.Value);
+                endpCmd.Parameters.AddWithValue("@LoadProfileJson", (object?)loadProfileJson ?? DBNull.Value);
+                endpCmd.Parameters.AddWithValue("@StepsJson", (object?)stepsJson ?? DBNull.Value);
+                endpCmd.Parameters.AddWithValue("@DatasetJson", (object?)datasetJson ?? DBNull.Value);
+                endpCmd.Parameters.AddWithValue("@AssertionsJson", (object?)assertionsJson ?? DBNull.Value);
+                endpCmd.Parameters.AddWithValue("@RegressionToleranceJson", (object?)regressionToleranceJson ?? DBNull.Value);
                 endpCmd.Parameters.AddWithValue("@CreatedAt", now);
                 endpCmd.Parameters.AddWithValue("@UpdatedAt", now);
 
@@ -741,17 +1167,37 @@ public class ProjectService
                     var statusCodesJson = execData.StatusCodes != null
                         ? JsonSerializer.Serialize(execData.StatusCodes, AppJsonContext.Default.DictionaryInt32StatusCodeResult)
                         : null;
+                    var execThresholdsJson = execData.Thresholds != null
+                        ? JsonSerializer.Serialize(execData.Thresholds, AppJsonContext.Default.ThresholdConfig)
+                        : null;
+                    var execLoadProfileJson = execData.LoadProfile != null
+                        ? JsonSerializer.Serialize(execData.LoadProfile, AppJsonContext.Default.LoadProfile)
+                        : null;
+                    var stepResultsJson = execData.StepResults != null
+                        ? JsonSerializer.Serialize(execData.StepResults, AppJsonContext.Default.ListStepResult)
+                        : null;
+                    var assertionResultsJson = execData.AssertionResults != null
+                        ? JsonSerializer.Serialize(execData.AssertionResults, AppJsonContext.Default.ListAssertionResult)
+                        : null;
+                    var tagsJson = execData.Tags is { Count: > 0 }
+                        ? JsonSerializer.Serialize(execData.Tags, AppJsonContext.Default.ListString)
+                        : null;
 
                     using var execCmd = conn.CreateCommand();
                     execCmd.CommandText = """
                         INSERT INTO Executions (TestId, EndpointId, Url, Method, Users, TargetRequests, TargetDuration,
                                                StartedAt, CompletedAt, Status, TotalRequests, SuccessfulRequests, FailedRequests,
                                                TotalElapsedTime, RequestsPerSecond, AverageResponseTime, MinResponseTime, MaxResponseTime,
-                                               Percentile50, Percentile75, Percentile90, Percentile95, Percentile99, StatusCodesJson, ErrorMessage)
+                                               Percentile50, Percentile75, Percentile90, Percentile95, Percentile99, StatusCodesJson, ErrorMessage,
+                                               ThresholdsJson, AbortReason, LoadProfileJson, StepResultsJson, AssertionFailures, AssertionResultsJson,
+                                               Notes, TagsJson, TriggeredBy, ThresholdsPassed)
                         VALUES (@TestId, @EndpointId, @Url, @Method, @Users, @TargetRequests, @TargetDuration,
                                 @StartedAt, @CompletedAt, @Status, @TotalRequests, @SuccessfulRequests, @FailedRequests,
                                 @TotalElapsedTime, @RequestsPerSecond, @AverageResponseTime, @MinResponseTime, @MaxResponseTime,
-                                @Percentile50, @Percentile75, @Percentile90, @Percentile95, @Percentile99, @StatusCodesJson, @ErrorMessage)
+                                @Percentile50, @Percentile75, @Percentile90, @Percentile95, @Percentile99, @StatusCodesJson, @ErrorMessage,
+                                @ThresholdsJson, @AbortReason, @LoadProfileJson, @StepResultsJson, @AssertionFailures, @AssertionResultsJson,
+                                @Notes, @TagsJson, @TriggeredBy, @ThresholdsPassed);
+                        SELECT last_insert_rowid();
                         """;
 
                     execCmd.Parameters.AddWithValue("@TestId", $"imported-{Guid.NewGuid():N}");
@@ -779,9 +1225,29 @@ public class ProjectService
                     execCmd.Parameters.AddWithValue("@Percentile99", execData.Percentile99);
                     execCmd.Parameters.AddWithValue("@StatusCodesJson", (object?)statusCodesJson ?? DBNull.Value);
                     execCmd.Parameters.AddWithValue("@ErrorMessage", (object?)execData.ErrorMessage ?? DBNull.Value);
-
-                    await execCmd.ExecuteNonQueryAsync();
+                    execCmd.Parameters.AddWithValue("@ThresholdsJson", (object?)execThresholdsJson ?? DBNull.Value);
+                    execCmd.Parameters.AddWithValue("@AbortReason", (object?)execData.AbortReason ?? DBNull.Value);
+                    execCmd.Parameters.AddWithValue("@ThresholdsPassed", (object?)execData.ThresholdsPassed ?? DBNull.Value);
+                    execCmd.Parameters.AddWithValue("@LoadProfileJson", (object?)execLoadProfileJson ?? DBNull.Value);
+                    execCmd.Parameters.AddWithValue("@StepResultsJson", (object?)stepResultsJson ?? DBNull.Value);
+                    execCmd.Parameters.AddWithValue("@AssertionFailures", execData.AssertionFailures);
+                    execCmd.Parameters.AddWithValue("@AssertionResultsJson", (object?)assertionResultsJson ?? DBNull.Value);
+                    execCmd.Parameters.AddWithValue("@Notes", (object?)execData.Notes ?? DBNull.Value);
+                    execCmd.Parameters.AddWithValue("@TagsJson", (object?)tagsJson ?? DBNull.Value);
+                    execCmd.Parameters.AddWithValue("@TriggeredBy", execData.TriggeredBy ?? ExecutionService.ManualTrigger);
+
+                    var executionId = Convert.ToInt32(await execCmd.ExecuteScalarAsync(), System.Globalization.CultureInfo.InvariantCulture);
                     executionsImported++;
+
+                    // Imported executions get fresh test IDs, so the baseline is re-pinned by the exported one
+                    if (endpointData.BaselineTestId != null && execData.TestId == endpointData.BaselineTestId)
+                    {
+                        using var baselineCmd = conn.CreateCommand();
+                        baselineCmd.CommandText = "UPDATE Endpoints SET BaselineExecutionId = @BaselineExecutionId WHERE Id = @Id";
+                        baselineCmd.Parameters.AddWithValue("@BaselineExecutionId", executionId);
+                        baselineCmd.Parameters.AddWithValue("@Id", endpointId);
+                        await baselineCmd.ExecuteNonQueryAsync();
+                    }
                 }
             }
 
@@ -821,10 +1287,8 @@ public class ProjectService
     {
         using var cmd = conn.CreateCommand();
 
-        cmd.CommandText = """
-            SELECT Id, ProjectId, Name, Description, Url, Method, Users, Requests, Duration,
-                   ContentType, Body, Insecure, RequiresAuth, HeadersJson, AuthenticationJson,
-                   CreatedAt, UpdatedAt
+        cmd.CommandText = $"""
+            SELECT {EndpointColumns}
             FROM Endpoints
             WHERE ProjectId = @ProjectId
             ORDER BY Name ASC
@@ -864,15 +1328,11 @@ public class ProjectService
     {
         using var cmd = conn.CreateCommand();
 
-        cmd.CommandText = """
-            SELECT Id, TestId, EndpointId, Url, Method, Users, TargetRequests, TargetDuration,
-                   StartedAt, CompletedAt, Status, TotalRequests, SuccessfulRequests, FailedRequests,
-                   TotalElapsedTime, RequestsPerSecond, AverageResponseTime, MinResponseTime,
-                   MaxResponseTime, Percentile50, Percentile75, Percentile90, Percentile95,
-                   Percentile99, StatusCodesJson, ErrorMessage
-            FROM Executions
-            WHERE EndpointId = @EndpointId
-            ORDER BY StartedAt DESC
+        cmd.CommandText = $"""
+            SELECT {ExecutionService.ExecutionColumns}
+            FROM Executions e
+            WHERE e.EndpointId = @EndpointId
+            ORDER BY e.StartedAt DESC
             LIMIT @Limit OFFSET @Offset
             """;
 
@@ -955,7 +1415,33 @@ public class ProjectService
             HeadersJson = reader.IsDBNull(13) ? null : reader.GetString(13),
             AuthenticationJson = reader.IsDBNull(14) ? null : reader.GetString(14),
             CreatedAt = DateTime.Parse(reader.GetString(15), System.Globalization.CultureInfo.InvariantCulture),
-            UpdatedAt = DateTime.Parse(reader.GetString(16), System.Globalization.CultureInfo.InvariantCulture)
+            UpdatedAt = DateTime.Parse(reader.GetString(16), System.Globalization.CultureInfo.InvariantCulture),
+            ThresholdsJson = reader.IsDBNull(17) ? null : reader.GetString(17),
+            AbortRulesJson = reader.IsDBNull(18) ? null : reader.GetString(18),
+            LoadProfileJson = reader.IsDBNull(19) ? null : reader.GetString(19),
+            StepsJson = reader.IsDBNull(20) ? null : reader.GetString(20),
+            DatasetJson = reader.IsDBNull(21) ? null : reader.GetString(21),
+            AssertionsJson = reader.IsDBNull(22) ? null : reader.GetString(22),
+            BaselineExecutionId = reader.IsDBNull(23) ? null : reader.GetInt32(23),
+            RegressionToleranceJson = reader.IsDBNull(24) ? null : reader.GetString(24)
+        };
+    }
+
+    /// <summary>
+    /// Maps a database reader row to a ProjectEnvironment entity
+    /// </summary>
+    /// <param name="reader">The data reader positioned at a row</param>
+    /// <returns>The mapped ProjectEnvironment entity</returns>
+    private static ProjectEnvironment MapEnvironment(SqliteDataReader reader)
+    {
+        return new ProjectEnvironment
+        {
+            Id = reader.GetInt32(0),
+            ProjectId = reader.GetInt32(1),
+            Name = reader.GetString(2),
+            VariablesJson = reader.IsDBNull(3) ? null : reader.GetString(3),
+            CreatedAt = DateTime.Parse(reader.GetString(4), System.Globalization.CultureInfo.InvariantCulture),
+            UpdatedAt = DateTime.Parse(reader.GetString(5), System.Globalization.CultureInfo.InvariantCulture)
         };
     }
 
@@ -1095,6 +1581,57 @@ public class EndpointDto
     /// Endpoint-specific authentication configuration (overrides project auth)
     /// </summary>
     public AuthenticationConfig? Authentication { get; set; }
+
+    /// <summary>
+    /// Pass/fail thresholds evaluated on every run of the endpoint
+    /// </summary>
+    public ThresholdConfig? Thresholds { get; set; }
+
+    /// <summary>
+    /// Rules that stop a run of the endpoint early
+    /// </summary>
+    public AbortRuleConfig? AbortRules { get; set; }
+
+    /// <summary>
+    /// Load profile that replaces the fixed users, requests and duration when set
+    /// </summary>
+    public LoadProfile? LoadProfile { get; set; }
+
+    /// <summary>
+    /// Scenario steps that replace the single request when set
+    /// </summary>
+    public List<ScenarioStep>? Steps { get; set; }
+
+    /// <summary>
+    /// Dataset whose rows feed {{column}} placeholders on each iteration
+    /// </summary>
+    public DatasetConfig? Dataset { get; set; }
+
+    /// <summary>
+    /// Checks run against every successful response
+    /// </summary>
+    public List<ResponseAssertion>? Assertions { get; set; }
+
+    /// <summary>
+    /// Tolerances used when comparing new runs against the pinned baseline
+    /// </summary>
+    public RegressionTolerance? RegressionTolerance { get; set; }
+}
+
+/// <summary>
+/// Data transfer object for creating or updating a project environment
+/// </summary>
+public class EnvironmentDto
+{
+    /// <summary>
+    /// The environment name (e.g. dev, staging, prod)
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Variables substituted into {{placeholders}} when running tests
+    /// </summary>
+    public Dictionary<string, string>? Variables { get; set; }
 }
 
 /// <summary>
@@ -1177,6 +1714,11 @@ public class ProjectExportData
     /// List of exported endpoints with their execution history
     /// </summary>
     public List<EndpointExportData> Endpoints { get; set; } = [];
+
+    /// <summary>
+    /// Environments defined for the project
+    /// </summary>
+    public List<EnvironmentDto> Environments { get; set; } = [];
 }
 
 /// <summary>
@@ -1249,6 +1791,46 @@ public class EndpointExportData
     /// </summary>
     public AuthenticationConfig? Authentication { get; set; }
 
+    /// <summary>
+    /// Pass/fail thresholds for the endpoint
+    /// </summary>
+    public ThresholdConfig? Thresholds { get; set; }
+
+    /// <summary>
+    /// Abort rules for the endpoint
+    /// </summary>
+    public AbortRuleConfig? AbortRules { get; set; }
+
+    /// <summary>
+    /// Load profile for the endpoint
+    /// </summary>
+    public LoadProfile? LoadProfile { get; set; }
+
+    /// <summary>
+    /// Scenario steps for the endpoint
+    /// </summary>
+    public List<ScenarioStep>? Steps { get; set; }
+
+    /// <summary>
+    /// Dataset for the endpoint
+    /// </summary>
+    public DatasetConfig? Dataset { get; set; }
+
+    /// <summary>
+    /// Response assertions for the endpoint
+    /// </summary>
+    public List<ResponseAssertion>? Assertions { get; set; }
+
+    /// <summary>
+    /// Regression tolerances for the endpoint
+    /// </summary>
+    public RegressionTolerance? RegressionTolerance { get; set; }
+
+    /// <summary>
+    /// Test ID of the exported execution pinned as the endpoint's baseline
+    /// </summary>
+    public string? BaselineTestId { get; set; }
+
     /// <summary>
     /// Historical execution data
     /// </summary>
@@ -1379,6 +1961,56 @@ public class ExecutionExportData
     /// Error message if the test failed
     /// </summary>
     public string? ErrorMessage { get; set; }
+
+    /// <summary>
+    /// Thresholds that were in effect when the test ran
+    /// </summary>
+    public ThresholdConfig? Thresholds { get; set; }
+
+    /// <summary>
+    /// Whether the run met its thresholds, or null when it had none
+    /// </summary>
+    public bool? ThresholdsPassed { get; set; }
+
+    /// <summary>
+    /// Reason the test was aborted early, if it was
+    /// </summary>
+    public string? AbortReason { get; set; }
+
+    /// <summary>
+    /// Load profile the test followed, if any
+    /// </summary>
+    public LoadProfile? LoadProfile { get; set; }
+
+    /// <summary>
+    /// Per-step results when the test was a scenario
+    /// </summary>
+    public List<StepResult>? StepResults { get; set; }
+
+    /// <summary>
+    /// Successful responses that failed at least one assertion
+    /// </summary>
+    public long AssertionFailures { get; set; }
+
+    /// <summary>
+    /// Failures per assertion when the test had assertions
+    /// </summary>
+    public List<AssertionResult>? AssertionResults { get; set; }
+
+    /// <summary>
+    /// Free-text notes about the execution
+    /// </summary>
+    public string? Notes { get; set; }
+
+    /// <summary>
+    /// Tags attached to the execution
+    /// </summary>
+    public List<string>? Tags { get; set; }
+
+    /// <summary>
+    /// Whether the execution was started by hand or by a schedule
+    /// </summary>
+    public string? TriggeredBy { get; set; }
 }
 
 /// <summary>
@@ -0,0 +1,410 @@
+using Microsoft.Data.Sqlite;
+using NFury.Web.Data;
+
+namespace NFury.Web.Services;
+
+/// <summary>
+/// Service for managing recurring test schedules in the database
+/// </summary>
+/// <remarks>
+/// Stores one schedule per endpoint or project and works out when each one is next due.
+/// The runs themselves are launched by <see cref="SchedulerService"/>.
+/// </remarks>
+public class ScheduleService
+{
+    private readonly SqliteDatabase _database;
+
+    /// <summary>
+    /// Schedule (<c>s</c>) columns in the order expected by <see cref="MapSchedule"/>, followed by the target and project names
+    /// </summary>
+    private const string ScheduleColumns = """
+        s.Id, s.ProjectId, s.EndpointId, s.Mode, s.IntervalHours, s.CronExpression, s.EnvironmentId, s.Enabled,
+        s.NextRunAt, s.LastRunAt, s.LastError, s.CreatedAt, s.UpdatedAt,
+        COALESCE(ep.Name, p.Name), p.Name
+        """;
+
+    /// <summary>
+    /// Joins that resolve a schedule's target; schedules whose endpoint or project was deleted drop out
+    /// </summary>
+    private const string ScheduleJoins = """
+        LEFT JOIN Endpoints ep ON s.EndpointId = ep.Id
+        JOIN Projects p ON p.Id = COALESCE(ep.ProjectId, s.ProjectId)
+        """;
+
+    /// <summary>
+    /// Schedule mode that runs every <see cref="TestSchedule.IntervalHours"/> hours
+    /// </summary>
+    public const string IntervalMode = "interval";
+
+    /// <summary>
+    /// Schedule mode that runs whenever <see cref="TestSchedule.CronExpression"/> matches, in the server's local time
+    /// </summary>
+    public const string CronMode = "cron";
+
+    /// <summary>
+    /// Longest allowed interval, 30 days
+    /// </summary>
+    public const int MaxIntervalHours = 720;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ScheduleService"/> class
+    /// </summary>
+    /// <param name="database">The SQLite database instance</param>
+    public ScheduleService(SqliteDatabase database)
+    {
+        _database = database;
+    }
+
+    /// <summary>
+    /// Retrieves all schedules, soonest first, with paused schedules last
+    /// </summary>
+    /// <returns>A list of schedules with their target names</returns>
+    public async Task<List<TestSchedule>> GetSchedulesAsync()
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = $"""
+            SELECT {ScheduleColumns}
+            FROM Schedules s
+            {ScheduleJoins}
+            ORDER BY s.Enabled DESC, s.NextRunAt ASC
+            """;
+
+        return await ReadSchedulesAsync(cmd);
+    }
+
+    /// <summary>
+    /// Retrieves the enabled schedules whose next run time has passed, most overdue first
+    /// </summary>
+    /// <param name="now">The current UTC time</param>
+    /// <returns>A list of due schedules</returns>
+    public async Task<List<TestSchedule>> GetDueSchedulesAsync(DateTime now)
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = $"""
+            SELECT {ScheduleColumns}
+            FROM Schedules s
+            {ScheduleJoins}
+            WHERE s.Enabled = 1 AND s.NextRunAt <= @Now
+            ORDER BY s.NextRunAt ASC
+            """;
+        cmd.Parameters.AddWithValue("@Now", now.ToString("O"));
+
+        return await ReadSchedulesAsync(cmd);
+    }
+
+    /// <summary>
+    /// Retrieves the endpoints a project schedule runs, in the order they appear in the project
+    /// </summary>
+    /// <param name="projectId">The project identifier</param>
+    /// <returns>The endpoint identifiers</returns>
+    public async Task<List<int>> GetProjectEndpointIdsAsync(int projectId)
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = "SELECT Id FROM Endpoints WHERE ProjectId = @ProjectId ORDER BY Name ASC";
+        cmd.Parameters.AddWithValue("@ProjectId", projectId);
+
+        var ids = new List<int>();
+        using var reader = await cmd.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            ids.Add(reader.GetInt32(0));
+        }
+
+        return ids;
+    }
+
+    /// <summary>
+    /// Creates or replaces the schedule of an endpoint
+    /// </summary>
+    /// <param name="endpointId">The endpoint identifier</param>
+    /// <param name="dto">The schedule data</param>
+    /// <returns>The saved schedule</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the endpoint or environment is not found, or the schedule is invalid</exception>
+    public async Task<TestSchedule> SaveEndpointScheduleAsync(int endpointId, ScheduleDto dto)
+    {
+        using var conn = _database.CreateConnection();
+
+        using var getCmd = conn.CreateCommand();
+        getCmd.CommandText = "SELECT ProjectId FROM Endpoints WHERE Id = @Id";
+        getCmd.Parameters.AddWithValue("@Id", endpointId);
+        var projectId = await getCmd.ExecuteScalarAsync();
+        if (projectId == null)
+        {
+            throw new InvalidOperationException($"Endpoint {endpointId} not found");
+        }
+
+        await ValidateEnvironmentAsync(conn, dto.EnvironmentId, Convert.ToInt32(projectId, System.Globalization.CultureInfo.InvariantCulture));
+        return await SaveScheduleAsync(conn, "EndpointId", endpointId, dto);
+    }
+
+    /// <summary>
+    /// Creates or replaces the schedule of a project, which runs each of its endpoints in turn
+    /// </summary>
+    /// <param name="projectId">The project identifier</param>
+    /// <param name="dto">The schedule data</param>
+    /// <returns>The saved schedule</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the project or environment is not found, or the schedule is invalid</exception>
+    public async Task<TestSchedule> SaveProjectScheduleAsync(int projectId, ScheduleDto dto)
+    {
+        using var conn = _database.CreateConnection();
+
+        using var getCmd = conn.CreateCommand();
+        getCmd.CommandText = "SELECT COUNT(*) FROM Projects WHERE Id = @Id";
+        getCmd.Parameters.AddWithValue("@Id", projectId);
+        if (Convert.ToInt32(await getCmd.ExecuteScalarAsync(), System.Globalization.CultureInfo.InvariantCulture) == 0)
+        {
+            throw new InvalidOperationException($"Project {projectId} not found");
+        }
+
+        await ValidateEnvironmentAsync(conn, dto.EnvironmentId, projectId);
+        return await SaveScheduleAsync(conn, "ProjectId", projectId, dto);
+    }
+
+    /// <summary>
+    /// Deletes a schedule
+    /// </summary>
+    /// <param name="id">The schedule identifier</param>
+    /// <returns>True if the schedule was deleted, false if not found</returns>
+    public async Task<bool> DeleteScheduleAsync(int id)
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = "DELETE FROM Schedules WHERE Id = @Id";
+        cmd.Parameters.AddWithValue("@Id", id);
+
+        var affected = await cmd.ExecuteNonQueryAsync();
+        return affected > 0;
+    }
+
+    /// <summary>
+    /// Records that a schedule's run is starting and moves it on to its next run time
+    /// </summary>
+    /// <remarks>
+    /// The next run is counted from now rather than from the missed time, so a server that was down
+    /// runs an overdue schedule once instead of catching up on every missed run.
+    /// </remarks>
+    /// <param name="schedule">The schedule being run</param>
+    /// <param name="now">The current UTC time</param>
+    public async Task MarkScheduleStartedAsync(TestSchedule schedule, DateTime now)
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        var nextRunAt = GetNextRunAt(schedule.Mode, schedule.IntervalHours, schedule.CronExpression, now);
+
+        cmd.CommandText = "UPDATE Schedules SET LastRunAt = @LastRunAt, NextRunAt = @NextRunAt, LastError = NULL WHERE Id = @Id";
+        cmd.Parameters.AddWithValue("@Id", schedule.Id);
+        cmd.Parameters.AddWithValue("@LastRunAt", now.ToString("O"));
+        cmd.Parameters.AddWithValue("@NextRunAt", nextRunAt.ToString("O"));
+
+        await cmd.ExecuteNonQueryAsync();
+    }
+
+    /// <summary>
+    /// Records why a schedule's last run could not start, or clears it once one of its tests has started
+    /// </summary>
+    /// <param name="id">The schedule identifier</param>
+    /// <param name="error">The error, or null</param>
+    public async Task RecordScheduleErrorAsync(int id, string? error)
+    {
+        using var conn = _database.CreateConnection();
+        using var cmd = conn.CreateCommand();
+
+        cmd.CommandText = "UPDATE Schedules SET LastError = @LastError WHERE Id = @Id";
+        cmd.Parameters.AddWithValue("@Id", id);
+        cmd.Parameters.AddWithValue("@LastError", (object?)error ?? DBNull.Value);
+
+        await cmd.ExecuteNonQueryAsync();
+    }
+
+    /// <summary>
+    /// Works out when a schedule next runs after the given time
+    /// </summary>
+    /// <param name="mode">Either <see cref="IntervalMode"/> or <see cref="CronMode"/></param>
+    /// <param name="intervalHours">Hours between runs in interval mode</param>
+    /// <param name="cronExpression">The expression in cron mode, evaluated in <paramref name="timeZone"/></param>
+    /// <param name="after">The UTC time to count from</param>
+    /// <param name="timeZone">The time zone cron expressions are evaluated in, or null for the server's local time zone</param>
+    /// <returns>The next run time in UTC</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the mode, interval or cron expression is invalid</exception>
+    public static DateTime GetNextRunAt(string mode, int? intervalHours, string? cronExpression, DateTime after, TimeZoneInfo? timeZone = null)
+    {
+        if (mode == IntervalMode)
+        {
+            if (intervalHours is not > 0 || intervalHours > MaxIntervalHours)
+            {
+                throw new InvalidOperationException($"Interval must be between 1 and {MaxIntervalHours} hours");
+            }
+
+            return after.AddHours(intervalHours.Value);
+        }
+
+        if (mode == CronMode)
+        {
+            if (string.IsNullOrWhiteSpace(cronExpression))
+            {
+                throw new InvalidOperationException("Cron expression is required");
+            }
+
+            var zone = timeZone ?? TimeZoneInfo.Local;
+            var cron = CronExpression.Parse(cronExpression);
+            var local = DateTime.SpecifyKind(TimeZoneInfo.ConvertTimeFromUtc(after, zone), DateTimeKind.Unspecified);
+            var next = cron.GetNextOccurrence(local);
+
+            // Skip wall-clock times that don't exist because the clocks went forward
+            while (zone.IsInvalidTime(next))
+            {
+                next = cron.GetNextOccurrence(next);
+            }
+
+            return TimeZoneInfo.ConvertTimeToUtc(next, zone);
+        }
+
+        throw new InvalidOperationException($"Unknown schedule mode: {mode}");
+    }
+
+    private static async Task ValidateEnvironmentAsync(SqliteConnection conn, int? environmentId, int projectId)
+    {
+        if (!environmentId.HasValue)
+            return;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT COUNT(*) FROM Environments WHERE Id = @Id AND ProjectId = @ProjectId";
+        cmd.Parameters.AddWithValue("@Id", environmentId.Value);
+        cmd.Parameters.AddWithValue("@ProjectId", projectId);
+
+        if (Convert.ToInt32(await cmd.ExecuteScalarAsync(), System.Globalization.CultureInfo.InvariantCulture) == 0)
+        {
+            throw new InvalidOperationException($"Environment {environmentId} not found for this project");
+        }
+    }
+
+    private static async Task<TestSchedule> SaveScheduleAsync(SqliteConnection conn, string targetColumn, int targetId, ScheduleDto dto)
+    {
+        var now = DateTime.UtcNow;
+        // The property is non-nullable, but a request body can still send "mode": null
+        var mode = dto.Mode?.Trim().ToLowerInvariant();
+        if (string.IsNullOrEmpty(mode))
+        {
+            throw new InvalidOperationException($"Schedule mode must be '{IntervalMode}' or '{CronMode}'");
+        }
+
+        var intervalHours = mode == IntervalMode ? dto.IntervalHours : null;
+        var cronExpression = mode == CronMode ? dto.CronExpression?.Trim() : null;
+
+        // Validates the schedule even while it is paused, so it can be resumed as is
+        var nextRunAt = GetNextRunAt(mode, intervalHours, cronExpression, now);
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = $"""
+            INSERT INTO Schedules ({targetColumn}, Mode, IntervalHours, CronExpression, EnvironmentId, Enabled, NextRunAt, CreatedAt, UpdatedAt)
+            VALUES (@TargetId, @Mode, @IntervalHours, @CronExpression, @EnvironmentId, @Enabled, @NextRunAt, @Now, @Now)
+            ON CONFLICT({targetColumn}) DO UPDATE SET
+                Mode = excluded.Mode,
+                IntervalHours = excluded.IntervalHours,
+                CronExpression = excluded.CronExpression,
+                EnvironmentId = excluded.EnvironmentId,
+                Enabled = excluded.Enabled,
+                NextRunAt = excluded.NextRunAt,
+                LastError = NULL,
+                UpdatedAt = excluded.UpdatedAt;
+            SELECT Id FROM Schedules WHERE {targetColumn} = @TargetId;
+            """;
+
+        cmd.Parameters.AddWithValue("@TargetId", targetId);
+        cmd.Parameters.AddWithValue("@Mode", mode);
+        cmd.Parameters.AddWithValue("@IntervalHours", (object?)intervalHours ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@CronExpression", (object?)cronExpression ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@EnvironmentId", (object?)dto.EnvironmentId ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@Enabled", dto.Enabled ? 1 : 0);
+        cmd.Parameters.AddWithValue("@NextRunAt", dto.Enabled ? nextRunAt.ToString("O") : (object)DBNull.Value);
+        cmd.Parameters.AddWithValue("@Now", now.ToString("O"));
+
+        var id = Convert.ToInt32(await cmd.ExecuteScalarAsync(), System.Globalization.CultureInfo.InvariantCulture);
+
+        using var getCmd = conn.CreateCommand();
+        getCmd.CommandText = $"""
+            SELECT {ScheduleColumns}
+            FROM Schedules s
+            {ScheduleJoins}
+            WHERE s.Id = @Id
+            """;
+        getCmd.Parameters.AddWithValue("@Id", id);
+
+        var schedules = await ReadSchedulesAsync(getCmd);
+        return schedules[0];
+    }
+
+    private static async Task<List<TestSchedule>> ReadSchedulesAsync(SqliteCommand cmd)
+    {
+        var schedules = new List<TestSchedule>();
+        using var reader = await cmd.ExecuteReaderAsync();
+
+        while (await reader.ReadAsync())
+        {
+            schedules.Add(MapSchedule(reader));
+        }
+
+        return schedules;
+    }
+
+    private static TestSchedule MapSchedule(SqliteDataReader reader)
+    {
+        return new TestSchedule
+        {
+            Id = reader.GetInt32(0),
+            ProjectId = reader.IsDBNull(1) ? null : reader.GetInt32(1),
+            EndpointId = reader.IsDBNull(2) ? null : reader.GetInt32(2),
+            Mode = reader.GetString(3),
+            IntervalHours = reader.IsDBNull(4) ? null : reader.GetInt32(4),
+            CronExpression = reader.IsDBNull(5) ? null : reader.GetString(5),
+            EnvironmentId = reader.IsDBNull(6) ? null : reader.GetInt32(6),
+            Enabled = reader.GetInt32(7) == 1,
+            NextRunAt = reader.IsDBNull(8) ? null : DateTime.Parse(reader.GetString(8), System.Globalization.CultureInfo.InvariantCulture),
+            LastRunAt = reader.IsDBNull(9) ? null : DateTime.Parse(reader.GetString(9), System.Globalization.CultureInfo.InvariantCulture),
+            LastError = reader.IsDBNull(10) ? null : reader.GetString(10),
+            CreatedAt = DateTime.Parse(reader.GetString(11), System.Globalization.CultureInfo.InvariantCulture),
+            UpdatedAt = DateTime.Parse(reader.GetString(12), System.Globalization.CultureInfo.InvariantCulture),
+            TargetName = reader.GetString(13),
+            ProjectName = reader.GetString(14)
+        };
+    }
+}
+
+/// <summary>
+/// Data transfer object for creating or updating a schedule
+/// </summary>
+public class ScheduleDto
+{
+    /// <summary>
+    /// Either "interval" or "cron"
+    /// </summary>
+    public string Mode { get; set; } = ScheduleService.IntervalMode;
+
+    /// <summary>
+    /// Hours between runs in interval mode
+    /// </summary>
+    public int? IntervalHours { get; set; }
+
+    /// <summary>
+    /// Five-field cron expression in cron mode, evaluated in the server's local time
+    /// </summary>
+    public string? CronExpression { get; set; }
+
+    /// <summary>
+    /// Optional project environment whose variables resolve {{placeholders}}
+    /// </summary>
+    public int? EnvironmentId { get; set; }
+
+    /// <summary>
+    /// Whether the schedule runs; paused schedules keep their settings
+    /// </summary>
+    public bool Enabled { get; set; } = true;
+}
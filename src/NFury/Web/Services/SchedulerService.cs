@@ -0,0 +1,97 @@
+namespace NFury.Web.Services;
+
+/// <summary>
+/// Background service that launches scheduled load tests when they are due
+/// </summary>
+/// <remarks>
+/// Runs go through <see cref="TestQueueService.StartEndpointTestAsync"/>, the same path as tests started from the dashboard,
+/// and are recorded with the <see cref="ExecutionService.ScheduledTrigger"/> trigger. A due schedule joins the queue when
+/// another test is running, unless its previous run of that endpoint is still waiting there, and a project schedule
+/// queues its endpoints so they run one after another.
+/// </remarks>
+public class SchedulerService : BackgroundService
+{
+    private readonly ScheduleService _scheduleService;
+    private readonly TestQueueService _testQueueService;
+    private const int PollIntervalSeconds = 30;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="SchedulerService"/> class
+    /// </summary>
+    /// <param name="scheduleService">Service for reading and updating schedules</param>
+    /// <param name="testQueueService">Service that starts or queues the tests</param>
+    public SchedulerService(ScheduleService scheduleService, TestQueueService testQueueService)
+    {
+        _scheduleService = scheduleService;
+        _testQueueService = testQueueService;
+    }
+
+    /// <summary>
+    /// Checks for due schedules every <see cref="PollIntervalSeconds"/> seconds until the server stops
+    /// </summary>
+    /// <param name="stoppingToken">Cancelled when the server shuts down</param>
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(TimeSpan.FromSeconds(PollIntervalSeconds));
+
+        try
+        {
+            do
+            {
+                try
+                {
+                    await RunDueSchedulesAsync();
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    Console.WriteLine($"[Scheduler] Failed to run schedules: {ex.Message}");
+                }
+            }
+            while (await timer.WaitForNextTickAsync(stoppingToken));
+        }
+        catch (OperationCanceledException)
+        {
+        }
+    }
+
+    private async Task RunDueSchedulesAsync()
+    {
+        var dueSchedules = await _scheduleService.GetDueSchedulesAsync(DateTime.UtcNow);
+
+        foreach (var schedule in dueSchedules)
+        {
+            await _scheduleService.MarkScheduleStartedAsync(schedule, DateTime.UtcNow);
+
+            List<int> endpointIds = schedule.EndpointId.HasValue
+                ? [schedule.EndpointId.Value]
+                : await _scheduleService.GetProjectEndpointIdsAsync(schedule.ProjectId!.Value);
+
+            Console.WriteLine($"[Scheduler] Running schedule {schedule.Id} ({schedule.TargetName}), {endpointIds.Count} endpoint(s)");
+
+            var errors = new List<string>();
+            if (endpointIds.Count == 0)
+            {
+                errors.Add("Project has no endpoints");
+            }
+
+            foreach (var endpointId in endpointIds)
+            {
+                try
+                {
+                    await _testQueueService.StartEndpointTestAsync(endpointId, environmentId: schedule.EnvironmentId, triggeredBy: ExecutionService.ScheduledTrigger, scheduleId: schedule.Id);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    Console.WriteLine($"[Scheduler] Endpoint {endpointId} did not start: {ex.Message}");
+                    errors.Add(endpointIds.Count > 1 ? $"Endpoint {endpointId}: {ex.Message}" : ex.Message);
+                }
+            }
+
+            // The queue clears the error once a test of the schedule starts, so a run that is only queued keeps the last one
+            if (errors.Count > 0)
+            {
+                await _scheduleService.RecordScheduleErrorAsync(schedule.Id, string.Join("; ", errors));
+            }
+        }
+    }
+}
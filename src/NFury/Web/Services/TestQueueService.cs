@@ -0,0 +1,335 @@
+using Microsoft.AspNetCore.SignalR;
+using NFury.Web.Hubs;
+
+namespace NFury.Web.Services;
+
+/// <summary>
+/// Queues tests that are started while another test is running and starts them one by one as the runner frees up
+/// </summary>
+/// <remarks>
+/// Every start request goes through this service: a test starts straight away when the runner is idle and nothing is
+/// waiting, otherwise it joins the back of the queue. Connected dashboards receive the whole queue as <c>QueueChanged</c>
+/// whenever it changes, and <c>QueuedTestStarted</c>, <c>QueuedTestFailed</c> or <c>QueuedTestCancelled</c> for each entry.
+/// </remarks>
+public class TestQueueService : BackgroundService
+{
+    private readonly LoadTestService _loadTestService;
+    private readonly ProjectService _projectService;
+    private readonly ScheduleService _scheduleService;
+    private readonly IHubContext<LoadTestHub> _hubContext;
+    private readonly List<QueueEntry> _queue = [];
+    private readonly object _lockObject = new();
+    private readonly SemaphoreSlim _startLock = new(1, 1);
+    private const int DispatchIntervalMilliseconds = 1000;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="TestQueueService"/> class
+    /// </summary>
+    /// <param name="loadTestService">Service that runs the tests</param>
+    /// <param name="projectService">Service for looking up queued endpoints</param>
+    /// <param name="scheduleService">Service for recording why a scheduled test could not start</param>
+    /// <param name="hubContext">The SignalR hub context for pushing queue changes</param>
+    public TestQueueService(LoadTestService loadTestService, ProjectService projectService, ScheduleService scheduleService, IHubContext<LoadTestHub> hubContext)
+    {
+        _loadTestService = loadTestService;
+        _projectService = projectService;
+        _scheduleService = scheduleService;
+        _hubContext = hubContext;
+    }
+
+    /// <summary>
+    /// Gets the number of tests waiting in the queue
+    /// </summary>
+    public int Count
+    {
+        get
+        {
+            lock (_lockObject)
+            {
+                return _queue.Count;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Retrieves the tests waiting in the queue, next to start first
+    /// </summary>
+    /// <returns>The queued tests with their current positions</returns>
+    public List<QueuedTest> GetQueue()
+    {
+        lock (_lockObject)
+        {
+            return _queue.Select((entry, index) => entry.Test with { Position = index + 1 }).ToList();
+        }
+    }
+
+    /// <summary>
+    /// Starts a test for a saved endpoint, or queues it when another test is running or waiting
+    /// </summary>
+    /// <param name="endpointId">The endpoint identifier</param>
+    /// <param name="usersOverride">Optional override for the number of concurrent users</param>
+    /// <param name="environmentId">Optional project environment whose variables resolve {{placeholders}}</param>
+    /// <param name="triggeredBy">Whether the run was started by hand or by a schedule</param>
+    /// <param name="scheduleId">The schedule that started the run, whose last error is set if the queued test fails to start</param>
+    /// <param name="startedBy">The address of the client that asked for the run</param>
+    /// <returns>The test identifier when the test started, or the queue entry when it was queued</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the endpoint is not found, the test is invalid, it fails to start or the schedule's previous run of it is still queued</exception>
+    public async Task<TestStartResult> StartEndpointTestAsync(int endpointId, int? usersOverride = null, int? environmentId = null, string triggeredBy = ExecutionService.ManualTrigger, int? scheduleId = null, string? startedBy = null)
+    {
+        await _startLock.WaitAsync();
+        try
+        {
+            if (!_loadTestService.IsRunning && Count == 0)
+            {
+                var testId = await _loadTestService.StartEndpointTestAsync(endpointId, usersOverride, environmentId, triggeredBy, startedBy: startedBy);
+                if (scheduleId.HasValue)
+                {
+                    await _scheduleService.RecordScheduleErrorAsync(scheduleId.Value, null);
+                }
+
+                return new TestStartResult(testId, null);
+            }
+
+            // A schedule that fires faster than its tests run would otherwise grow the queue without bound
+            if (scheduleId.HasValue && IsScheduledRunQueued(scheduleId.Value, endpointId))
+            {
+                throw new InvalidOperationException("The previous scheduled run is still waiting in the queue");
+            }
+
+            // Rejected now rather than when the test reaches the front of the queue, so the caller gets the error
+            var (endpoint, _) = await _loadTestService.ValidateEndpointTestAsync(endpointId, usersOverride, environmentId);
+            var project = await _projectService.GetProjectByIdAsync(endpoint.ProjectId);
+            var test = new QueuedTest
+            {
+                Id = Guid.NewGuid().ToString(),
+                EndpointId = endpointId,
+                Name = endpoint.Name,
+                ProjectName = project?.Name,
+                Method = endpoint.Method,
+                TriggeredBy = triggeredBy,
+                QueuedAt = DateTime.UtcNow
+            };
+
+            return new TestStartResult(null, await EnqueueAsync(new QueueEntry(test, null, usersOverride, environmentId, scheduleId, startedBy)));
+        }
+        finally
+        {
+            _startLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Starts an ad-hoc test, or queues it when another test is running or waiting
+    /// </summary>
+    /// <param name="request">The load test configuration</param>
+    /// <param name="startedBy">The address of the client that asked for the run</param>
+    /// <returns>The test identifier when the test started, or the queue entry when it was queued</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the test is invalid or fails to start</exception>
+    public async Task<TestStartResult> StartAdHocTestAsync(LoadTestRequest request, string? startedBy = null)
+    {
+        await _startLock.WaitAsync();
+        try
+        {
+            if (!_loadTestService.IsRunning && Count == 0)
+            {
+                var testId = await _loadTestService.StartAdHocTestAsync(request, startedBy: startedBy);
+                return new TestStartResult(testId, null);
+            }
+
+            LoadTestService.ValidateRequest(request);
+            var test = new QueuedTest
+            {
+                Id = Guid.NewGuid().ToString(),
+                Name = request.Url,
+                Method = request.Method,
+                TriggeredBy = ExecutionService.ManualTrigger,
+                QueuedAt = DateTime.UtcNow
+            };
+
+            return new TestStartResult(null, await EnqueueAsync(new QueueEntry(test, request, null, null, null, startedBy)));
+        }
+        finally
+        {
+            _startLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Removes a test from the queue before it starts
+    /// </summary>
+    /// <param name="id">The queue entry identifier</param>
+    /// <returns>True if the test was still waiting and has been removed</returns>
+    public async Task<bool> CancelAsync(string id)
+    {
+        lock (_lockObject)
+        {
+            if (_queue.RemoveAll(entry => entry.Test.Id == id) == 0)
+            {
+                return false;
+            }
+        }
+
+        await _hubContext.Clients.All.SendAsync("QueuedTestCancelled", new SignalRQueuedTestMessage { QueueId = id });
+        await BroadcastQueueAsync();
+        return true;
+    }
+
+    /// <summary>
+    /// Moves a queued test to another place in the queue
+    /// </summary>
+    /// <param name="id">The queue entry identifier</param>
+    /// <param name="position">The new 1-based position, clamped to the queue length</param>
+    /// <returns>True if the test was found in the queue</returns>
+    public async Task<bool> MoveAsync(string id, int position)
+    {
+        lock (_lockObject)
+        {
+            var index = _queue.FindIndex(entry => entry.Test.Id == id);
+            if (index < 0)
+            {
+                return false;
+            }
+
+            var entry = _queue[index];
+            _queue.RemoveAt(index);
+            _queue.Insert(Math.Clamp(position - 1, 0, _queue.Count), entry);
+        }
+
+        await BroadcastQueueAsync();
+        return true;
+    }
+
+    /// <summary>
+    /// Starts the next queued test whenever the runner is free, until the server stops
+    /// </summary>
+    /// <param name="stoppingToken">Cancelled when the server shuts down</param>
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(TimeSpan.FromMilliseconds(DispatchIntervalMilliseconds));
+
+        try
+        {
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                try
+                {
+                    await StartNextAsync(stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    Console.WriteLine($"[Queue] Failed to start the next test: {ex.Message}");
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+        }
+    }
+
+    private bool IsScheduledRunQueued(int scheduleId, int endpointId)
+    {
+        lock (_lockObject)
+        {
+            return _queue.Any(entry => entry.ScheduleId == scheduleId && entry.Test.EndpointId == endpointId);
+        }
+    }
+
+    private async Task<QueuedTest> EnqueueAsync(QueueEntry entry)
+    {
+        int position;
+        lock (_lockObject)
+        {
+            _queue.Add(entry);
+            position = _queue.Count;
+        }
+
+        Console.WriteLine($"[Queue] Queued {entry.Test.Name} at position {position}");
+        await BroadcastQueueAsync();
+        return entry.Test with { Position = position };
+    }
+
+    private async Task StartNextAsync(CancellationToken cancellationToken)
+    {
+        await _startLock.WaitAsync(cancellationToken);
+        try
+        {
+            if (_loadTestService.IsRunning)
+            {
+                return;
+            }
+
+            QueueEntry entry;
+            lock (_lockObject)
+            {
+                if (_queue.Count == 0)
+                {
+                    return;
+                }
+
+                entry = _queue[0];
+                _queue.RemoveAt(0);
+            }
+
+            await BroadcastQueueAsync();
+            Console.WriteLine($"[Queue] Starting {entry.Test.Name}");
+
+            try
+            {
+                if (entry.Request != null)
+                {
+                    await _loadTestService.StartAdHocTestAsync(entry.Request, entry.Test.Id, entry.StartedBy);
+                }
+                else
+                {
+                    await _loadTestService.StartEndpointTestAsync(entry.Test.EndpointId!.Value, entry.UsersOverride, entry.EnvironmentId, entry.Test.TriggeredBy, entry.Test.Id, entry.StartedBy);
+                    if (entry.ScheduleId.HasValue)
+                    {
+                        await _scheduleService.RecordScheduleErrorAsync(entry.ScheduleId.Value, null);
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                // Nobody is waiting on an HTTP response for a queued test, so the error has to be pushed
+                Console.WriteLine($"[Queue] {entry.Test.Name} did not start: {ex.Message}");
+                await _hubContext.Clients.All.SendAsync("QueuedTestFailed", new SignalRQueuedTestMessage { QueueId = entry.Test.Id, EndpointId = entry.Test.EndpointId, Error = ex.Message }, CancellationToken.None);
+
+                if (entry.ScheduleId.HasValue)
+                {
+                    await _scheduleService.RecordScheduleErrorAsync(entry.ScheduleId.Value, $"{entry.Test.Name}: {ex.Message}");
+                }
+            }
+        }
+        finally
+        {
+            _startLock.Release();
+        }
+    }
+
+    private async Task BroadcastQueueAsync()
+    {
+        await _hubContext.Clients.All.SendAsync("QueueChanged", GetQueue(), CancellationToken.None);
+    }
+
+    /// <summary>
+    /// Releases the start lock along with the background service resources
+    /// </summary>
+    public override void Dispose()
+    {
+        _startLock.Dispose();
+        base.Dispose();
+        GC.SuppressFinalize(this);
+    }
+
+    /// <summary>
+    /// A queued test together with what is needed to start it, which is kept off the wire
+    /// </summary>
+    private record QueueEntry(QueuedTest Test, LoadTestRequest? Request, int? UsersOverride, int? EnvironmentId, int? ScheduleId, string? StartedBy);
+}
+
+/// <summary>
+/// Outcome of a start request: either the test started or it was queued
+/// </summary>
+/// <param name="TestId">The identifier of the started test</param>
+/// <param name="QueuedTest">The queue entry when the test is waiting for the runner</param>
+public record TestStartResult(string? TestId, QueuedTest? QueuedTest);
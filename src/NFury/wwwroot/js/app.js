@@ -5,9 +5,7 @@ class NFuryApp {
         this.testId = null;
         this.charts = {};
         this.statusCodeCounts = {};
-        this.responseTimeHistory = [];
-        this.rpsHistory = [];
-        this.maxDataPoints = 50;
+        this.timeline = [];
         this.peakRps = 0;
         this.startTime = null;
         this.projects = [];
@@ -15,6 +13,37 @@ class NFuryApp {
         this.selectedEndpointId = null;
         this.expandedProjects = new Set();
         this.executions = [];
+        this.historyState = { page: 0, hasMore: false, loading: false, requestId: 0 };
+        this.environments = {};
+        this.activeEnvironments = JSON.parse(localStorage.getItem('nfury-active-environments') || '{}');
+        this.currentProjectId = null;
+        this.testWaiters = new Map();
+        this.testOutcomes = new Map();
+        this.testErrors = new Map();
+        this.suiteRun = null;
+        this.activeLoadProfile = null;
+        this.latencyHistogram = new Array(LATENCY_BUCKET_BOUNDS_MS.length + 1).fill(0);
+        this.latencyBySecond = [];
+        this.latencyHeatmapMax = 0;
+        this.trendCharts = [];
+        this.statisticsChart = null;
+        this.schedules = [];
+        this.editingSchedule = null;
+        this.queue = [];
+        this.queueWaiter = null;
+        this.activeQueueId = null;
+        this.lastQueueEvent = null;
+        this.startPending = false;
+        this.watching = false;
+        this.missedTest = null;
+        this.statisticsRequestId = 0;
+        this.baselineContext = null;
+        this.baselineTestId = null;
+        this.reportResult = null;
+        this.runHeaders = null;
+        this.exportExecutionId = null;
+        this.annotatingExecutionId = null;
+        this.chartsFrame = null;
         
         this.init();
     }
@@ -45,10 +74,14 @@ class NFuryApp {
 
     async init() {
         this.initCharts();
+        setLoadProfile('quick', null);
+        setLoadProfile('endpoint', null);
         this.bindEvents();
         this.initTooltips();
         await this.connectSignalR();
         await this.loadProjects();
+        await this.loadSchedules();
+        await this.loadQueue();
         await this.loadStatistics();
         this.updateDate();
     }
@@ -157,6 +190,14 @@ class NFuryApp {
             const response = await fetch('/api/projects');
             this.projects = await response.json();
             
+            let environments = [];
+            try {
+                const environmentsRes = await fetch('/api/environments');
+                environments = await environmentsRes.json();
+            } catch (err) {
+                console.error('Failed to load environments:', err);
+            }
+            
             for (const project of this.projects) {
                 try {
                     const endpointsRes = await fetch(`/api/projects/${project.id}/endpoints`);
@@ -164,9 +205,12 @@ class NFuryApp {
                 } catch {
                     project.endpoints = [];
                 }
+                
+                this.environments[project.id] = environments.filter(e => e.projectId === project.id);
             }
             
             this.renderProjectList();
+            this.updateEnvironmentSwitcher();
         } catch (err) {
             console.error('Failed to load projects:', err);
         }
@@ -188,6 +232,7 @@ class NFuryApp {
                         <i class="fas fa-chevron-right chevron"></i>
                         <i class="fas fa-folder${isExpanded ? '-open' : ''} folder-icon"></i>
                         <span class="project-name">${this.escapeHtml(project.name)}</span>
+                        ${this.findSchedule('project', project.id) ? '<i class="fas fa-clock project-schedule-icon" title="Scheduled"></i>' : ''}
                         ${hasAuth ? '<i class="fas fa-key project-auth-icon" title="Has authentication configured"></i>' : ''}
                         <div class="project-actions">
                             <button onclick="event.stopPropagation(); exportProject(${project.id}, '${this.escapeHtml(project.name).replace(/'/g, "\\'")}')" class="export" title="Export project">
@@ -196,6 +241,15 @@ class NFuryApp {
                             <button onclick="event.stopPropagation(); window.app.showProjectAuthModal(${project.id})" class="auth-btn ${hasAuth ? 'has-auth' : ''}" title="${hasAuth ? 'Edit' : 'Add'} authentication endpoint">
                                 <i class="fas fa-key"></i>
                             </button>
+                            <button onclick="event.stopPropagation(); window.app.showSuiteModal(${project.id})" class="run-suite" title="Run project">
+                                <i class="fas fa-play-circle"></i>
+                            </button>
+                            <button onclick="event.stopPropagation(); window.app.showScheduleModal('project', ${project.id})" title="Schedule project runs">
+                                <i class="fas fa-clock"></i>
+                            </button>
+                            <button onclick="event.stopPropagation(); window.app.showEnvironmentsModal(${project.id})" class="environments" title="Manage environments">
+                                <i class="fas fa-globe"></i>
+                            </button>
                             <button onclick="event.stopPropagation(); window.app.showAddEndpointModal(${project.id})" class="add-endpoint" title="Add endpoint">
                                 <i class="fas fa-plus"></i>
                             </button>
@@ -213,8 +267,11 @@ class NFuryApp {
                             <div class="endpoint-item ${this.selectedEndpointId === ep.id ? 'active' : ''}" 
                                  onclick="window.app.selectEndpoint(${ep.id})"
                                  data-endpoint-id="${ep.id}">
-                                <span class="method-badge ${ep.method.toLowerCase()}">${ep.method}</span>
+                                <span class="method-badge ${this.escapeHtml(ep.method.toLowerCase()).replace(/"/g, '&quot;')}">${this.escapeHtml(ep.method)}</span>
                                 <span class="endpoint-name">${this.escapeHtml(ep.name)}</span>
+                                ${this.findSchedule('endpoint', ep.id) ? '<i class="fas fa-clock endpoint-schedule-icon" title="Scheduled"></i>' : ''}
+                                ${ep.stepsJson ? '<i class="fas fa-project-diagram endpoint-scenario-icon" title="Multi-step scenario"></i>' : ''}
+                                ${ep.datasetJson ? '<i class="fas fa-table endpoint-dataset-icon" title="Data-driven"></i>' : ''}
                                 ${ep.requiresAuth ? '<i class="fas fa-lock endpoint-auth-icon" title="Requires authentication"></i>' : ''}
                                 <div class="endpoint-actions">
                                     <button onclick="event.stopPropagation(); window.app.runEndpointTest(${ep.id})" class="play" title="Run test">
@@ -223,6 +280,12 @@ class NFuryApp {
                                     <button onclick="event.stopPropagation(); window.app.toggleEndpointHistory(${ep.id})" class="history" title="History">
                                         <i class="fas fa-history"></i>
                                     </button>
+                                    <button onclick="event.stopPropagation(); window.app.showScheduleModal('endpoint', ${ep.id})" title="Schedule runs">
+                                        <i class="fas fa-clock"></i>
+                                    </button>
+                                    <button onclick="event.stopPropagation(); window.app.showCopyAsModal(${ep.id})" class="copy" title="Copy as cURL, k6 or .http">
+                                        <i class="fas fa-copy"></i>
+                                    </button>
                                     <button onclick="event.stopPropagation(); window.app.showEditEndpointModal(${ep.id})" title="Edit">
                                         <i class="fas fa-pen"></i>
                                     </button>
@@ -241,6 +304,136 @@ class NFuryApp {
         container.innerHTML = html;
     }
 
+    async loadSchedules() {
+        try {
+            const response = await fetch('/api/schedules');
+            if (!response.ok) return;
+            this.schedules = await response.json();
+            this.renderScheduleList();
+            this.renderProjectList();
+        } catch (err) {
+            console.error('Failed to load schedules:', err);
+        }
+    }
+
+    findSchedule(type, targetId) {
+        return this.schedules.find(s => (type === 'project' ? s.projectId : s.endpointId) === targetId) || null;
+    }
+
+    renderScheduleList() {
+        document.getElementById('scheduleSection').classList.toggle('hidden', this.schedules.length === 0);
+        document.getElementById('scheduleList').innerHTML = this.schedules.map(s => {
+            const type = s.endpointId ? 'endpoint' : 'project';
+            const next = s.enabled && s.nextRunAt
+                ? 'Next: ' + new Date(s.nextRunAt).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+                : 'Paused';
+            return `
+                <div class="schedule-item ${s.enabled ? '' : 'paused'}" onclick="window.app.showScheduleModal('${type}', ${s.endpointId || s.projectId})" title="${this.escapeHtml(describeSchedule(s)).replace(/"/g, '&quot;')}">
+                    <i class="fas fa-${type === 'endpoint' ? 'bolt' : 'folder'} schedule-item-icon"></i>
+                    <div class="schedule-item-info">
+                        <span class="schedule-item-name">${type === 'endpoint' ? this.escapeHtml(s.projectName) + ' / ' : ''}${this.escapeHtml(s.targetName)}</span>
+                        <span class="schedule-item-next">${next}</span>
+                    </div>
+                    ${s.lastError ? `<i class="fas fa-exclamation-triangle schedule-item-error" title="${this.escapeHtml(s.lastError).replace(/"/g, '&quot;')}"></i>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    showScheduleModal(type, targetId) {
+        const project = type === 'project'
+            ? this.projects.find(p => p.id === targetId)
+            : this.projects.find(p => (p.endpoints || []).some(ep => ep.id === targetId));
+        if (!project) return;
+
+        const target = type === 'project' ? project : project.endpoints.find(ep => ep.id === targetId);
+        const schedule = this.findSchedule(type, targetId);
+        this.editingSchedule = { type, targetId, id: schedule ? schedule.id : null };
+
+        document.getElementById('scheduleModalTitle').textContent = `Schedule - ${target.name}`;
+        document.getElementById('scheduleDescription').textContent = type === 'project'
+            ? 'Runs every endpoint in this project one after another, without anyone clicking play.'
+            : 'Runs this endpoint without anyone clicking play.';
+        document.getElementById('scheduleEnabled').checked = schedule ? schedule.enabled : true;
+        document.getElementById('scheduleMode').value = schedule ? schedule.mode : 'interval';
+        document.getElementById('scheduleIntervalHours').value = schedule?.intervalHours || 24;
+        document.getElementById('scheduleCron').value = schedule?.cronExpression || '';
+
+        const environments = this.environments[project.id] || [];
+        const environmentSelect = document.getElementById('scheduleEnvironment');
+        environmentSelect.innerHTML = '<option value="">No environment</option>' + environments
+            .map(e => `<option value="${e.id}">${this.escapeHtml(e.name)}</option>`)
+            .join('');
+        environmentSelect.value = schedule?.environmentId && environments.some(e => e.id === schedule.environmentId) ? schedule.environmentId : '';
+        environmentSelect.disabled = environments.length === 0;
+
+        const status = [];
+        if (schedule?.enabled && schedule.nextRunAt) status.push(`Next run: ${new Date(schedule.nextRunAt).toLocaleString()}.`);
+        if (schedule?.lastRunAt) status.push(`Last run: ${new Date(schedule.lastRunAt).toLocaleString()}.`);
+        if (schedule?.lastError) status.push(`Last error: ${schedule.lastError}`);
+        document.getElementById('scheduleStatus').textContent = status.join(' ');
+        document.getElementById('btnDeleteSchedule').style.display = schedule ? '' : 'none';
+
+        this.toggleScheduleMode();
+        document.getElementById('scheduleModal').classList.add('open');
+        document.getElementById('overlay').classList.add('visible');
+    }
+
+    toggleScheduleMode() {
+        const mode = document.getElementById('scheduleMode').value;
+        document.getElementById('scheduleIntervalGroup').style.display = mode === 'interval' ? 'block' : 'none';
+        document.getElementById('scheduleCronGroup').style.display = mode === 'cron' ? 'block' : 'none';
+    }
+
+    async saveSchedule() {
+        const { type, targetId } = this.editingSchedule;
+        const mode = document.getElementById('scheduleMode').value;
+        const environmentId = document.getElementById('scheduleEnvironment').value;
+        const dto = {
+            enabled: document.getElementById('scheduleEnabled').checked,
+            mode,
+            intervalHours: mode === 'interval' ? parseInt(document.getElementById('scheduleIntervalHours').value) || null : null,
+            cronExpression: mode === 'cron' ? document.getElementById('scheduleCron').value.trim() : null,
+            environmentId: environmentId ? parseInt(environmentId) : null
+        };
+
+        try {
+            const response = await fetch(`/api/${type === 'project' ? 'projects' : 'endpoints'}/${targetId}/schedule`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(dto)
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                this.showAlert('error', 'Invalid Schedule', error.error || 'Failed to save schedule');
+                return;
+            }
+
+            const schedule = await response.json();
+            closeAllModals();
+            await this.loadSchedules();
+            this.showToast('success', 'Schedule Saved', schedule.enabled && schedule.nextRunAt
+                ? `Next run ${this.escapeHtml(new Date(schedule.nextRunAt).toLocaleString())}`
+                : 'The schedule is paused');
+        } catch (err) {
+            console.error('Failed to save schedule:', err);
+            this.showAlert('error', 'Error', 'Failed to save schedule: ' + err.message);
+        }
+    }
+
+    async deleteSchedule() {
+        if (!this.editingSchedule?.id || !confirm('Remove this schedule?')) return;
+
+        try {
+            await fetch(`/api/schedules/${this.editingSchedule.id}`, { method: 'DELETE' });
+            closeAllModals();
+            await this.loadSchedules();
+        } catch (err) {
+            console.error('Failed to delete schedule:', err);
+        }
+    }
+
     toggleProject(projectId) {
         if (this.expandedProjects.has(projectId)) {
             this.expandedProjects.delete(projectId);
@@ -260,15 +453,22 @@ class NFuryApp {
             const endpoint = await response.json();
             
             document.getElementById('projectNameHeader').textContent = endpoint.name;
+            this.currentProjectId = endpoint.projectId;
+            this.updateEnvironmentSwitcher();
             
             this.setUrlWithSchema('urlSchema', 'url', endpoint.url);
             document.getElementById('method').value = endpoint.method || 'GET';
             document.getElementById('users').value = endpoint.users || 10;
             document.getElementById('requests').value = endpoint.requests || 100;
             document.getElementById('duration').value = endpoint.duration || '';
+            const loadProfile = parseLoadProfile(endpoint.loadProfileJson);
+            document.getElementById('testMode').value = loadProfile ? loadProfile.type : (endpoint.duration ? 'duration' : 'requests');
+            setLoadProfile('quick', loadProfile);
+            this.toggleQuickTestMode();
             document.getElementById('contentType').value = endpoint.contentType || 'application/json';
             document.getElementById('body').value = endpoint.body || '';
             document.getElementById('insecure').checked = endpoint.insecure || false;
+            setAbortRuleFields('quick', parseAbortRules(endpoint.abortRulesJson));
             
             const container = document.getElementById('headersContainer');
             container.innerHTML = '';
@@ -315,12 +515,19 @@ class NFuryApp {
         document.getElementById('endpointTestMode').value = 'requests';
         document.getElementById('endpointRequests').value = '100';
         document.getElementById('endpointDuration').value = '30';
+        setLoadProfile('endpoint', null);
         this.toggleEndpointTestMode();
         document.getElementById('endpointContentType').value = 'application/json';
         document.getElementById('endpointBody').value = '';
         document.getElementById('endpointInsecure').checked = false;
         document.getElementById('endpointRequiresAuth').checked = false;
         document.getElementById('endpointHeadersContainer').innerHTML = '';
+        setThresholdFields(null);
+        setRegressionToleranceFields(null);
+        setAbortRuleFields('endpoint', null);
+        setScenarioSteps([]);
+        clearDataset();
+        setAssertions([]);
         
         toggleBodySource('endpoint', 'text');
         clearBodyFile('endpoint');
@@ -343,25 +550,38 @@ class NFuryApp {
             document.getElementById('endpointMethod').value = endpoint.method || 'GET';
             document.getElementById('endpointUsers').value = endpoint.users || 10;
             
-            const testMode = endpoint.duration ? 'duration' : 'requests';
+            const loadProfile = parseLoadProfile(endpoint.loadProfileJson);
+            const testMode = loadProfile ? loadProfile.type : (endpoint.duration ? 'duration' : 'requests');
             document.getElementById('endpointTestMode').value = testMode;
             document.getElementById('endpointRequests').value = endpoint.requests || 100;
             document.getElementById('endpointDuration').value = endpoint.duration || 30;
+            setLoadProfile('endpoint', loadProfile);
             this.toggleEndpointTestMode();
             
             document.getElementById('endpointContentType').value = endpoint.contentType || 'application/json';
             document.getElementById('endpointBody').value = endpoint.body || '';
             document.getElementById('endpointInsecure').checked = endpoint.insecure || false;
             document.getElementById('endpointRequiresAuth').checked = endpoint.requiresAuth || false;
+            setThresholdFields(parseThresholds(endpoint.thresholdsJson));
+            setRegressionToleranceFields(parseRegressionTolerance(endpoint.regressionToleranceJson));
+            setAbortRuleFields('endpoint', parseAbortRules(endpoint.abortRulesJson));
+            setScenarioSteps(parseScenarioSteps(endpoint.stepsJson));
+            clearDataset();
+            setDataset(parseDataset(endpoint.datasetJson));
+            setAssertions(parseAssertions(endpoint.assertionsJson));
             
             toggleBodySource('endpoint', 'text');
             clearBodyFile('endpoint');
             
             const headersContainer = document.getElementById('endpointHeadersContainer');
             headersContainer.innerHTML = '';
-            if (endpoint.headers && typeof endpoint.headers === 'object') {
-                Object.entries(endpoint.headers).forEach(([key, value]) => {
-                    addEndpointHeader(key, value);
+            if (endpoint.headersJson) {
+                Object.entries(JSON.parse(endpoint.headersJson)).forEach(([key, value]) => {
+                    addEndpointHeader();
+                    const rows = headersContainer.querySelectorAll('.header-row');
+                    const lastRow = rows[rows.length - 1];
+                    lastRow.querySelector('.header-key').value = key;
+                    lastRow.querySelector('.header-value').value = value;
                 });
             }
             
@@ -376,8 +596,11 @@ class NFuryApp {
 
     async saveEndpoint() {
         const name = document.getElementById('endpointName').value;
-        const url = this.getFullUrl('endpointUrlSchema', 'endpointUrl');
-        const method = document.getElementById('endpointMethod').value;
+        const steps = getScenarioSteps();
+        // A scenario doesn't need its own request; it is listed under its first step
+        const hasUrl = document.getElementById('endpointUrl').value.trim() !== '';
+        const url = hasUrl || steps.length === 0 ? this.getFullUrl('endpointUrlSchema', 'endpointUrl') : steps[0].url;
+        const method = hasUrl || steps.length === 0 ? document.getElementById('endpointMethod').value : steps[0].method;
         const users = parseInt(document.getElementById('endpointUsers').value) || 10;
         const testMode = document.getElementById('endpointTestMode').value;
         const requests = testMode === 'requests' ? (parseInt(document.getElementById('endpointRequests').value) || 100) : null;
@@ -386,6 +609,12 @@ class NFuryApp {
         const body = await getBodyContent('endpoint');
         const insecure = document.getElementById('endpointInsecure').checked;
         const requiresAuth = document.getElementById('endpointRequiresAuth').checked;
+        const thresholds = getThresholdFields();
+        const regressionTolerance = getRegressionToleranceFields();
+        const abortRules = getAbortRuleFields('endpoint');
+        const loadProfile = getLoadProfile('endpoint');
+        const dataset = getDataset();
+        const assertions = getAssertions();
         
         const headers = {};
         document.querySelectorAll('#endpointHeadersContainer .header-row').forEach(row => {
@@ -396,8 +625,8 @@ class NFuryApp {
             }
         });
         
-        if (!name || !url) {
-            this.showAlert('warning', 'Validation Error', 'Please fill in required fields (Name and URL)');
+        if (!name || (!hasUrl && steps.length === 0)) {
+            this.showAlert('warning', 'Validation Error', 'Please fill in required fields (Name and URL, or at least one scenario step)');
             return;
         }
         
@@ -412,7 +641,14 @@ class NFuryApp {
             body,
             insecure,
             requiresAuth,
-            headers: Object.keys(headers).length > 0 ? headers : null
+            headers: Object.keys(headers).length > 0 ? headers : null,
+            thresholds,
+            regressionTolerance,
+            abortRules,
+            loadProfile,
+            steps: steps.length > 0 ? steps : null,
+            dataset,
+            assertions: assertions.length > 0 ? assertions : null
         };
         
         try {
@@ -464,1906 +700,6185 @@ class NFuryApp {
     async runEndpointTest(endpointId) {
         if (this.isRunning) {
             this.showAlert('warning', 'Test Running', 'A test is already running. Please wait for it to complete.');
-            return;
+            return null;
+        }
+        if (this.queueWaiter) {
+            this.showAlert('warning', 'Test Queued', 'You already have a test waiting in the queue.');
+            return null;
+        }
+
+        try {
+            return await this.startEndpointTest(endpointId);
+        } catch (err) {
+            console.error('Error starting test:', err);
+            if (!err.cancelled) {
+                this.showAlert('error', 'Test Failed', 'Failed to start test: ' + err.message);
+            }
+            return null;
         }
+    }
 
+    async startEndpointTest(endpointId) {
         try {
             const endpointResponse = await fetch(`/api/endpoints/${endpointId}`);
             if (!endpointResponse.ok) {
                 throw new Error('Failed to fetch endpoint details');
             }
             const endpoint = await endpointResponse.json();
+            this.currentProjectId = endpoint.projectId;
+            this.updateEnvironmentSwitcher();
+            const environment = this.getActiveEnvironment(endpoint.projectId);
             
-            document.getElementById('infoUsers').textContent = endpoint.users + ' VUs';
-            document.getElementById('infoRequests').textContent = endpoint.requests ? endpoint.requests + ' reqs' : '--';
-            document.getElementById('infoDuration').textContent = endpoint.duration ? endpoint.duration + 's' : '--';
-
-            this.resetCharts();
-            this.toggleButtons(true);
-            this.updateTestStatus('running');
-            this.startTime = new Date();
-            this.peakRps = 0;
+            const beginRun = () => {
+                this.activeLoadProfile = parseLoadProfile(endpoint.loadProfileJson);
+                this.updateTestInfo(endpoint, this.activeLoadProfile);
+
+                this.resetCharts();
+                this.toggleButtons(true);
+                this.updateTestStatus('running');
+                this.startTime = new Date();
+                this.peakRps = 0;
+            };
+            beginRun();
 
+            this.startPending = true;
             const response = await fetch(`/api/endpoints/${endpointId}/test/start`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({})
+                body: JSON.stringify({ environmentId: environment ? environment.id : null })
             });
 
             if (response.ok) {
                 const data = await response.json();
-                this.testId = data.testId;
+                this.startPending = false;
+                const testId = response.status === 202 ? await this.waitForQueuedStart(data, beginRun) : data.testId;
+                this.testId = testId;
                 this.isRunning = true;
+                this.runHeaders = { testId, headers: parseHeaders(endpoint.headersJson) };
                 this.selectedEndpointId = endpointId;
                 this.renderProjectList();
                 await this.loadStatistics();
+                return testId;
             } else {
                 const error = await response.json();
                 throw new Error(error.error || 'Failed to start test');
             }
         } catch (err) {
-            console.error('Error starting test:', err);
-            this.showAlert('error', 'Test Failed', 'Failed to start test: ' + err.message);
+            this.startPending = false;
             this.toggleButtons(false);
             this.updateTestStatus('idle');
+            throw err;
         }
     }
 
-    async loadEndpointHistory(endpointId) {
+    async loadQueue() {
         try {
-            const response = await fetch(`/api/endpoints/${endpointId}/executions?page=1&pageSize=5`);
-            const data = await response.json();
-            return data.executions || [];
+            const response = await fetch('/api/queue');
+            if (!response.ok) return;
+            this.queue = await response.json();
+            this.renderQueue();
         } catch (err) {
-            console.error('Failed to load endpoint history:', err);
-            return [];
+            console.error('Failed to load queue:', err);
         }
     }
 
-    async toggleEndpointHistory(endpointId) {
-        const historyEl = document.getElementById(`endpointHistory-${endpointId}`);
-        if (!historyEl) return;
-
-        if (historyEl.style.display === 'none') {
-            historyEl.style.display = 'block';
-            historyEl.innerHTML = '<div class="history-loading"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
-            
-            const executions = await this.loadEndpointHistory(endpointId);
-            
-            if (executions.length === 0) {
-                historyEl.innerHTML = '<div class="history-empty-small">No test history</div>';
-            } else {
-                let html = `
-                    <div class="history-actions-mini">
-                        <button class="btn-compare-mini" onclick="event.stopPropagation(); window.app.showComparisonModal(${endpointId})" title="Compare executions">
-                            Compare
+    renderQueue() {
+        document.getElementById('queueSection').classList.toggle('hidden', this.queue.length === 0);
+        document.getElementById('queueList').innerHTML = this.queue.map((item, index) => {
+            const mine = this.queueWaiter?.id === item.id;
+            const queuedAt = new Date(item.queuedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            return `
+                <div class="queue-item ${mine ? 'mine' : ''}">
+                    <span class="queue-position">${item.position}</span>
+                    <div class="queue-item-info">
+                        <span class="queue-item-name" title="${this.escapeHtml(item.name).replace(/"/g, '&quot;')}">
+                            <span class="method-badge ${this.escapeHtml(item.method.toLowerCase()).replace(/"/g, '&quot;')}">${this.escapeHtml(item.method)}</span>
+                            ${item.projectName ? this.escapeHtml(item.projectName) + ' / ' : ''}${this.escapeHtml(item.name)}
+                        </span>
+                        <span class="queue-item-meta">
+                            ${item.triggeredBy === 'Scheduled' ? '<i class="fas fa-clock"></i> Scheduled' : mine ? '<i class="fas fa-user"></i> Yours' : '<i class="fas fa-user"></i> Manual'}
+                            &middot; ${queuedAt}
+                        </span>
+                    </div>
+                    <div class="queue-item-actions">
+                        <button onclick="window.app.moveQueuedTest('${item.id}', ${item.position - 1})" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                        <button onclick="window.app.moveQueuedTest('${item.id}', ${item.position + 1})" title="Move down" ${index === this.queue.length - 1 ? 'disabled' : ''}>
+                            <i class="fas fa-arrow-down"></i>
+                        </button>
+                        <button onclick="window.app.cancelQueuedTest('${item.id}')" class="delete" title="Remove from queue">
+                            <i class="fas fa-times"></i>
                         </button>
                     </div>
-                `;
-                html += executions.map(exec => {
-                    const date = new Date(exec.startedAt);
-                    const statusClass = exec.status.toLowerCase();
-                    return `
-                        <div class="history-item-mini" onclick="event.stopPropagation(); window.app.showExecutionDetails(${exec.id})">
-                            <span class="history-status ${statusClass}">
-                                <i class="fas fa-${statusClass === 'completed' ? 'check' : statusClass === 'failed' ? 'times' : 'circle'}"></i>
-                            </span>
-                            <span class="history-date">${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
-                            <span class="history-rps">${exec.requestsPerSecond.toFixed(2)} rps</span>
-                        </div>
-                    `;
-                }).join('');
-                historyEl.innerHTML = html;
-            }
-        } else {
-            historyEl.style.display = 'none';
-        }
-    }
+                </div>
+            `;
+        }).join('');
 
-    async loadStatistics() {
-        try {
-            const response = await fetch('/api/executions/statistics');
-            const stats = await response.json();
-            document.getElementById('totalExecutions').textContent = stats.totalExecutions;
-        } catch (err) {
-            console.error('Failed to load statistics:', err);
+        const mine = this.queueWaiter && this.queue.find(item => item.id === this.queueWaiter.id);
+        if (mine) {
+            this.updateTestStatus('queued', `Queued #${mine.position}`);
         }
     }
 
-    async createProject(dto) {
+    async moveQueuedTest(queueId, position) {
         try {
-            const response = await fetch('/api/projects', {
+            await fetch(`/api/queue/${encodeURIComponent(queueId)}/move`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(dto)
+                body: JSON.stringify({ position })
             });
-            
-            if (response.ok) {
-                const project = await response.json();
-                this.expandedProjects.add(project.id);
-                await this.loadProjects();
-                return project;
-            } else {
-                throw new Error('Failed to create project');
-            }
         } catch (err) {
-            console.error('Failed to create project:', err);
-            this.showAlert('error', 'Error', 'Failed to create project: ' + err.message);
-            return null;
+            console.error('Failed to move queued test:', err);
         }
     }
 
-    async deleteProject(projectId) {
-        if (!confirm('Are you sure you want to delete this project?')) return;
-        
+    async cancelQueuedTest(queueId) {
         try {
-            await fetch(`/api/projects/${projectId}`, { method: 'DELETE' });
-            if (this.selectedProjectId === projectId) {
-                this.selectedProjectId = null;
-                document.getElementById('projectNameHeader').textContent = 'Load Test';
-            }
-            await this.loadProjects();
+            await fetch(`/api/queue/${encodeURIComponent(queueId)}`, { method: 'DELETE' });
         } catch (err) {
-            console.error('Failed to delete project:', err);
+            console.error('Failed to cancel queued test:', err);
         }
     }
-    
-    async showProjectAuthModal(projectId) {
+
+    // Resolves with the test id once the server starts the queued test; onStart prepares the dashboard first
+    waitForQueuedStart(item, onStart) {
+        this.toggleButtons(true);
+        this.updateTestStatus('queued', `Queued #${item.position}`);
+        this.showToast('info', 'Test Queued', `Another test is running. ${this.escapeHtml(item.name)} is number ${item.position} in the queue.`);
+
+        return new Promise((resolve, reject) => {
+            this.queueWaiter = { id: item.id, resolve, reject, onStart };
+            this.renderQueue();
+
+            // The queue may have moved on before the start request returned
+            const early = this.lastQueueEvent;
+            if (early?.message.queueId === item.id) {
+                this.lastQueueEvent = null;
+                this.handleQueueEvent(early.type, early.message);
+            }
+        });
+    }
+
+    handleQueueEvent(type, message) {
+        const waiter = this.queueWaiter;
+        if (!waiter || waiter.id !== message.queueId) {
+            this.lastQueueEvent = { type, message };
+            if (type === 'failed' && this.activeQueueId === message.queueId) {
+                // Started, then failed to authenticate; the run will never complete
+                this.handleTestError({ testId: this.testId, error: message.error });
+                this.settleTestOutcome(this.testId, { result: null, error: message.error });
+            }
+            return;
+        }
+
+        this.queueWaiter = null;
+        this.renderQueue();
+
+        if (type === 'started') {
+            this.activeQueueId = message.queueId;
+            waiter.onStart();
+            this.testId = message.testId;
+            this.isRunning = true;
+            waiter.resolve(message.testId);
+        } else {
+            const error = new Error(type === 'cancelled' ? 'Removed from the queue' : message.error);
+            error.cancelled = type === 'cancelled';
+            waiter.reject(error);
+        }
+    }
+
+    // TestCompleted can be missed, e.g. while SignalR reconnects, so the server is also polled until the run is over
+    waitForTestOutcome(testId) {
+        if (this.testOutcomes.has(testId)) {
+            const outcome = this.testOutcomes.get(testId);
+            this.testOutcomes.delete(testId);
+            return Promise.resolve(outcome);
+        }
+        return new Promise(resolve => {
+            const poll = setInterval(() => this.pollTestOutcome(testId), TEST_OUTCOME_POLL_MS);
+            this.testWaiters.set(testId, outcome => {
+                clearInterval(poll);
+                resolve(outcome);
+            });
+        });
+    }
+
+    async pollTestOutcome(testId) {
         try {
-            const response = await fetch(`/api/projects/${projectId}`);
-            const project = await response.json();
-            
-            this.editingProjectAuthId = projectId;
-            
-            this.setUrlWithSchema('projectAuthUrlSchema', 'projectAuthUrl', project.authUrl || '');
-            document.getElementById('projectAuthMethod').value = project.authMethod || 'POST';
-            document.getElementById('projectAuthContentType').value = project.authContentType || 'application/json';
-            document.getElementById('projectAuthBody').value = project.authBody || '';
-            document.getElementById('projectAuthTokenPath').value = project.authTokenPath || '$.token';
-            document.getElementById('projectAuthHeaderName').value = project.authHeaderName || 'Authorization';
-            document.getElementById('projectAuthHeaderPrefix').value = project.authHeaderPrefix || 'Bearer';
+            const statusResponse = await fetch('/api/test/status');
+            if (!statusResponse.ok) return;
+            const status = await statusResponse.json();
+            if (status.test?.testId === testId) return;
+
+            // The runner has moved on, so the execution already holds the final results
+            const executionResponse = await fetch(`/api/executions/test/${encodeURIComponent(testId)}`);
+            const execution = executionResponse.ok ? await executionResponse.json() : null;
+            this.settleTestOutcome(testId, execution && execution.status !== 'Running'
+                ? { result: executionToResult(execution), error: execution.errorMessage || null }
+                : { result: null, error: 'The test ended without reporting a result' });
+        } catch (err) {
+            console.error('Failed to check test outcome:', err);
+        }
+    }
+
+    settleTestOutcome(testId, outcome) {
+        const resolve = this.testWaiters.get(testId);
+        if (resolve) {
+            this.testWaiters.delete(testId);
+            resolve(outcome);
+        } else if (this.suiteRun) {
+            this.testOutcomes.set(testId, outcome);
+        }
+    }
+
+    showSuiteModal(projectId) {
+        if (!this.suiteRun) {
+            const project = this.projects.find(p => p.id === projectId);
+            if (!project) return;
             
-            const headersContainer = document.getElementById('projectAuthHeadersContainer');
-            headersContainer.innerHTML = '';
-            if (project.authHeadersJson) {
-                try {
-                    const headers = JSON.parse(project.authHeadersJson);
-                    Object.entries(headers).forEach(([key, value]) => {
-                        addProjectAuthHeader(key, value);
-                    });
-                } catch (e) {
-                    console.error('Failed to parse auth headers:', e);
-                }
+            const endpoints = project.endpoints || [];
+            if (endpoints.length === 0) {
+                this.showAlert('info', 'No Endpoints', 'This project has no endpoints to run.');
+                return;
             }
             
-            document.getElementById('projectAuthModalTitle').textContent = project.authUrl ? 'Edit Authentication Endpoint' : 'Add Authentication Endpoint';
-            document.getElementById('projectAuthModal').classList.add('open');
-            document.getElementById('overlay').classList.add('visible');
-        } catch (err) {
-            console.error('Failed to load project:', err);
-            this.showAlert('error', 'Error', 'Failed to load project');
+            this.suiteProjectId = projectId;
+            document.getElementById('suiteModalTitle').textContent = `Run Project - ${project.name}`;
+            document.getElementById('suiteSelectAll').checked = true;
+            document.getElementById('suiteEndpointList').innerHTML = endpoints.map(ep => `
+                <label class="suite-endpoint-item">
+                    <input type="checkbox" value="${ep.id}" checked onchange="updateSuiteSelectAll()">
+                    <span class="method-badge ${this.escapeHtml(ep.method.toLowerCase()).replace(/"/g, '&quot;')}">${this.escapeHtml(ep.method)}</span>
+                    <span>${this.escapeHtml(ep.name)}</span>
+                </label>
+            `).join('');
+            
+            document.getElementById('suiteSelection').classList.remove('hidden');
+            document.getElementById('suiteProgress').classList.add('hidden');
+            document.getElementById('btnRunSuite').classList.remove('hidden');
+            document.getElementById('btnStopSuite').classList.add('hidden');
         }
+        
+        document.getElementById('suiteModal').classList.add('open');
+        document.getElementById('overlay').classList.add('visible');
     }
-    
-    async saveProjectAuth() {
-        const url = this.getFullUrl('projectAuthUrlSchema', 'projectAuthUrl');
-        const method = document.getElementById('projectAuthMethod').value;
-        const contentType = document.getElementById('projectAuthContentType').value;
-        const body = document.getElementById('projectAuthBody').value || null;
-        const tokenPath = document.getElementById('projectAuthTokenPath').value || '$.token';
-        const headerName = document.getElementById('projectAuthHeaderName').value || 'Authorization';
-        const headerPrefix = document.getElementById('projectAuthHeaderPrefix').value || 'Bearer';
+
+    async runSuite() {
+        if (this.isRunning || this.suiteRun || this.queueWaiter) {
+            this.showAlert('warning', 'Test Running', 'A test is already running. Please wait for it to complete.');
+            return;
+        }
         
-        const headers = {};
-        document.querySelectorAll('#projectAuthHeadersContainer .header-row').forEach(row => {
-            const key = row.querySelector('.header-key')?.value;
-            const value = row.querySelector('.header-value')?.value;
-            if (key && value) {
-                headers[key] = value;
-            }
-        });
+        const project = this.projects.find(p => p.id === this.suiteProjectId);
+        const selectedIds = Array.from(document.querySelectorAll('#suiteEndpointList input:checked')).map(cb => parseInt(cb.value));
+        const endpoints = (project ? project.endpoints : []).filter(ep => selectedIds.includes(ep.id));
         
-        if (!url) {
-            this.showAlert('warning', 'Validation Error', 'Please enter the authentication URL');
+        if (endpoints.length === 0) {
+            this.showAlert('warning', 'Validation Error', 'Please select at least one endpoint');
             return;
         }
         
-        const dto = {
-            authUrl: url,
-            authMethod: method,
-            authContentType: contentType,
-            authBody: body,
-            authHeaders: Object.keys(headers).length > 0 ? headers : null,
-            authTokenPath: tokenPath,
-            authHeaderName: headerName,
-            authHeaderPrefix: headerPrefix
+        this.suiteRun = {
+            stopped: false,
+            items: endpoints.map(ep => ({ endpoint: ep, status: 'pending', result: null, executionId: null, error: null }))
         };
+        this.testOutcomes.clear();
+        this.testErrors.clear();
         
-        try {
-            const response = await fetch(`/api/projects/${this.editingProjectAuthId}/auth`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(dto)
-            });
-            
-            if (response.ok) {
-                closeAllModals();
-                await this.loadProjects();
-                this.showToast('success', 'Success', 'Authentication configuration saved');
-            } else {
-                throw new Error('Failed to save authentication configuration');
+        document.getElementById('suiteSelection').classList.add('hidden');
+        document.getElementById('suiteProgress').classList.remove('hidden');
+        document.getElementById('btnRunSuite').classList.add('hidden');
+        document.getElementById('btnStopSuite').classList.remove('hidden');
+        
+        const run = this.suiteRun;
+        for (const [index, item] of run.items.entries()) {
+            if (run.stopped) {
+                item.status = 'cancelled';
+                continue;
             }
-        } catch (err) {
-            console.error('Failed to save auth config:', err);
-            this.showAlert('error', 'Error', 'Failed to save authentication configuration: ' + err.message);
-        }
-    }
-    
-    async deleteProjectAuth() {
-        if (!confirm('Are you sure you want to remove the authentication endpoint?')) return;
+            
+            item.status = 'running';
+            this.renderSuiteProgress(`Running ${index + 1} of ${run.items.length}: ${item.endpoint.name}`);
+            
+            try {
+                const testId = await this.startEndpointTest(item.endpoint.id);
+                const outcome = await this.waitForTestOutcome(testId);
+                item.result = outcome.result;
+                item.error = outcome.error || outcome.result?.abortReason || null;
+                
+                const executionRes = await fetch(`/api/executions/test/${encodeURIComponent(testId)}`);
+                if (executionRes.ok) {
+                    const execution = await executionRes.json();
+                    item.executionId = execution.id;
+                    item.status = execution.abortReason ? 'aborted' : execution.status.toLowerCase();
+                } else {
+                    item.status = item.error ? 'failed' : 'completed';
+                }
+            } catch (err) {
+                console.error('Failed to run suite endpoint:', err);
+                item.status = err.cancelled ? 'cancelled' : 'failed';
+                item.error = err.message;
+            }
+        }
+        
+        this.suiteRun = null;
+        this.testOutcomes.clear();
+        this.testErrors.clear();
+        
+        const failed = run.items.filter(i => i.status === 'failed' || i.status === 'aborted').length;
+        const completed = run.items.filter(i => i.status === 'completed').length;
+        const summary = run.stopped
+            ? `Suite stopped: ${completed} of ${run.items.length} endpoints completed`
+            : `Suite finished: ${completed} completed, ${failed} failed`;
+        this.renderSuiteProgress(summary, run, failed > 0 || run.stopped ? 'failed' : 'completed');
+        
+        document.getElementById('btnStopSuite').classList.add('hidden');
+        this.showToast(failed > 0 || run.stopped ? 'warning' : 'success', 'Suite Finished', this.escapeHtml(summary));
+        
+        document.getElementById('suiteModal').classList.add('open');
+        document.getElementById('overlay').classList.add('visible');
+    }
+
+    async stopSuite() {
+        if (!this.suiteRun) return;
+        await this.stopTest();
+    }
+
+    renderSuiteProgress(statusText, run = this.suiteRun, statusClass = '') {
+        const status = document.getElementById('suiteProgressStatus');
+        status.textContent = statusText;
+        status.className = `suite-progress-status ${statusClass}`;
         
+        document.getElementById('suiteResultsBody').innerHTML = run.items.map(item => {
+            const result = item.result;
+            const failureRate = result && result.totalRequests > 0
+                ? (result.failedRequests / result.totalRequests * 100).toFixed(2) + '%'
+                : '--';
+            const evaluation = result && item.status === 'completed' ? evaluateThresholds(result, result.thresholds) : null;
+            return `
+                <tr>
+                    <td>
+                        <span class="method-badge ${this.escapeHtml(item.endpoint.method.toLowerCase()).replace(/"/g, '&quot;')}">${this.escapeHtml(item.endpoint.method)}</span>
+                        ${this.escapeHtml(item.endpoint.name)}
+                    </td>
+                    <td>
+                        <span class="history-item-status ${item.status}" ${item.error ? `title="${this.escapeHtml(item.error).replace(/"/g, '&quot;')}"` : ''}>
+                            ${item.status === 'running' ? '<i class="fas fa-spinner fa-spin"></i>' : ''}
+                            ${item.status}
+                        </span>
+                    </td>
+                    <td>${result ? result.requestsPerSecond.toFixed(2) : '--'}</td>
+                    <td>${result ? result.percentile95.toFixed(2) + 'ms' : '--'}</td>
+                    <td>${failureRate}</td>
+                    <td>
+                        ${evaluation ? `
+                            <span class="threshold-badge ${evaluation.passed ? 'passed' : 'failed'}">
+                                <i class="fas fa-bullseye"></i> ${evaluation.passed ? 'Pass' : 'Fail'}
+                            </span>
+                        ` : '--'}
+                    </td>
+                    <td>
+                        ${item.executionId ? `
+                            <button class="btn-compare-mini" onclick="closeAllModals(); window.app.showExecutionDetails(${item.executionId})">
+                                View
+                            </button>
+                        ` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async showCopyAsModal(endpointId) {
         try {
-            const response = await fetch(`/api/projects/${this.editingProjectAuthId}/auth`, {
-                method: 'DELETE'
-            });
-            
-            if (response.ok) {
-                closeAllModals();
-                await this.loadProjects();
-            } else {
-                throw new Error('Failed to delete authentication configuration');
+            const response = await fetch(`/api/endpoints/${endpointId}`);
+            if (!response.ok) {
+                throw new Error('Failed to fetch endpoint details');
             }
+            const endpoint = await response.json();
+
+            let auth = null;
+            if (endpoint.authenticationJson) {
+                auth = JSON.parse(endpoint.authenticationJson);
+            } else if (endpoint.requiresAuth) {
+                const project = this.projects.find(p => p.id === endpoint.projectId);
+                if (project && project.authUrl) {
+                    auth = {
+                        url: project.authUrl,
+                        method: project.authMethod || 'POST',
+                        contentType: project.authContentType || 'application/json',
+                        body: project.authBody,
+                        headers: project.authHeadersJson ? JSON.parse(project.authHeadersJson) : null,
+                        tokenPath: project.authTokenPath || '$.access_token',
+                        headerName: project.authHeaderName || 'Authorization',
+                        headerPrefix: project.authHeaderPrefix || 'Bearer'
+                    };
+                }
+            }
+
+            this.copyAsSpec = {
+                name: endpoint.name,
+                url: endpoint.url,
+                method: endpoint.method || 'GET',
+                headers: endpoint.headersJson ? JSON.parse(endpoint.headersJson) : {},
+                body: endpoint.body,
+                contentType: endpoint.contentType || 'application/json',
+                insecure: endpoint.insecure,
+                users: endpoint.users || 10,
+                requests: endpoint.requests,
+                duration: endpoint.duration,
+                auth
+            };
+
+            document.getElementById('copyAsTitle').textContent = `Copy "${endpoint.name}" as...`;
+            this.renderCopyAs('curl');
+            document.getElementById('copyAsModal').classList.add('open');
+            document.getElementById('overlay').classList.add('visible');
         } catch (err) {
-            console.error('Failed to delete auth config:', err);
-            this.showAlert('error', 'Error', 'Failed to delete authentication configuration: ' + err.message);
+            console.error('Failed to load endpoint:', err);
+            this.showAlert('error', 'Error', 'Failed to load endpoint: ' + err.message);
         }
     }
 
-    async loadHistory(status = '') {
+    renderCopyAs(format) {
+        if (!this.copyAsSpec) return;
+        this.copyAsFormat = format;
+
+        document.querySelectorAll('#copyAsFormats .body-source-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.format === format);
+        });
+
+        const builders = { curl: buildCurlCommand, k6: buildK6Script, http: buildHttpFileSnippet };
+        document.getElementById('copyAsOutput').value = builders[format](this.copyAsSpec);
+    }
+
+    getActiveEnvironment(projectId) {
+        if (!projectId) return null;
+        const environmentId = this.activeEnvironments[projectId];
+        return (this.environments[projectId] || []).find(e => e.id === environmentId) || null;
+    }
+
+    getEnvironmentVariables(environment) {
+        if (!environment || !environment.variablesJson) return {};
         try {
-            const url = this.selectedProjectId 
-                ? `/api/projects/${this.selectedProjectId}/executions?page=1&pageSize=50`
-                : '/api/executions';
-            const response = await fetch(url);
-            const data = await response.json();
-            this.executions = data.executions || data;
-            this.renderHistory(status);
-        } catch (err) {
-            console.error('Failed to load history:', err);
+            return JSON.parse(environment.variablesJson);
+        } catch (e) {
+            console.error('Failed to parse environment variables:', e);
+            return {};
         }
     }
 
-    renderHistory(statusFilter = '') {
-        const container = document.getElementById('historyList');
-        let executions = this.executions;
-        
-        if (statusFilter) {
-            executions = executions.filter(e => e.status === statusFilter);
+    setActiveEnvironment(environmentId) {
+        if (!this.currentProjectId) return;
+        if (environmentId) {
+            this.activeEnvironments[this.currentProjectId] = parseInt(environmentId);
+        } else {
+            delete this.activeEnvironments[this.currentProjectId];
         }
+        localStorage.setItem('nfury-active-environments', JSON.stringify(this.activeEnvironments));
+    }
+
+    updateEnvironmentSwitcher() {
+        const switcher = document.getElementById('environmentSwitcher');
+        const select = document.getElementById('environmentSelect');
+        const project = this.projects.find(p => p.id === this.currentProjectId);
         
-        if (executions.length === 0) {
-            container.innerHTML = `
-                <div class="history-empty">
-                    <i class="fas fa-inbox"></i>
-                    <p>No test history yet</p>
-                </div>
-            `;
+        if (!project) {
+            switcher.classList.add('hidden');
             return;
         }
         
-        container.innerHTML = '';
-        for (const exec of executions) {
-            const div = document.createElement('div');
-            div.className = 'history-item';
-            div.onclick = () => this.showExecutionDetails(exec.id);
-            
-            const date = new Date(exec.startedAt);
-            const statusClass = exec.status.toLowerCase();
-            
-            div.innerHTML = `
-                <div class="history-item-header">
-                    <span class="history-item-status ${statusClass}">
-                        <i class="fas fa-${statusClass === 'completed' ? 'check' : statusClass === 'failed' ? 'times' : 'circle'}"></i>
-                        ${exec.status}
-                    </span>
-                    <span class="history-item-date">${date.toLocaleDateString()} ${date.toLocaleTimeString()}</span>
-                </div>
-                <div class="history-item-url">${this.escapeHtml(exec.url)}</div>
-                <div class="history-item-stats">
-                    <span class="history-item-stat"><i class="fas fa-exchange-alt"></i> ${exec.totalRequests.toLocaleString()} reqs</span>
-                    <span class="history-item-stat"><i class="fas fa-clock"></i> ${exec.averageResponseTime.toFixed(0)}ms avg</span>
-                    <span class="history-item-stat"><i class="fas fa-tachometer-alt"></i> ${exec.requestsPerSecond.toFixed(2)} rps</span>
-                </div>
-            `;
-            container.appendChild(div);
-        }
+        const environments = this.environments[project.id] || [];
+        const active = this.getActiveEnvironment(project.id);
+        select.innerHTML = '<option value="">No environment</option>' + environments.map(e => `
+            <option value="${e.id}" ${active && active.id === e.id ? 'selected' : ''}>${this.escapeHtml(e.name)}</option>
+        `).join('');
+        switcher.classList.remove('hidden');
     }
 
-    async showExecutionDetails(executionId) {
-        try {
-            const response = await fetch(`/api/executions/${executionId}/metrics`);
-            if (!response.ok) {
-                throw new Error(`Failed to load execution: ${response.status}`);
-            }
-            const execution = await response.json();
-            
-            let statusCodes = {};
-            if (execution.statusCodesJson) {
-                try {
-                    statusCodes = JSON.parse(execution.statusCodesJson);
-                } catch (e) {
-                    console.error('Failed to parse statusCodesJson:', e);
-                }
-            }
-            
-            const result = {
-                testId: execution.testId,
-                totalRequests: execution.totalRequests || 0,
-                successfulRequests: execution.successfulRequests || 0,
-                failedRequests: execution.failedRequests || 0,
-                totalElapsedTime: execution.totalElapsedTime || 0,
-                requestsPerSecond: execution.requestsPerSecond || 0,
-                averageResponseTime: execution.averageResponseTime || 0,
-                minResponseTime: execution.minResponseTime || 0,
-                maxResponseTime: execution.maxResponseTime || 0,
-                percentile50: execution.percentile50 || 0,
-                percentile75: execution.percentile75 || 0,
-                percentile90: execution.percentile90 || 0,
-                percentile95: execution.percentile95 || 0,
-                percentile99: execution.percentile99 || 0,
-                statusCodes: statusCodes
+    resolveEnvironmentVariables(request) {
+        const variables = this.getEnvironmentVariables(this.getActiveEnvironment(this.currentProjectId));
+        if (Object.keys(variables).length === 0) return request;
+        
+        const resolveHeaders = headers => headers
+            ? Object.fromEntries(Object.entries(headers).map(([k, v]) => [substituteVariables(k, variables), substituteVariables(v, variables)]))
+            : headers;
+        
+        const resolved = {
+            ...request,
+            url: substituteVariables(request.url, variables),
+            body: substituteVariables(request.body, variables),
+            headers: resolveHeaders(request.headers)
+        };
+        
+        if (request.authentication) {
+            const auth = request.authentication;
+            resolved.authentication = {
+                ...auth,
+                url: substituteVariables(auth.url, variables),
+                body: substituteVariables(auth.body, variables),
+                headers: resolveHeaders(auth.headers),
+                tokenPath: substituteVariables(auth.tokenPath, variables),
+                headerName: substituteVariables(auth.headerName, variables),
+                headerPrefix: substituteVariables(auth.headerPrefix, variables)
             };
-            
-            const headerText = execution.endpoint 
-                ? `${execution.endpoint.name} - Execution ${new Date(execution.startedAt).toLocaleString()}`
-                : `Execution ${new Date(execution.startedAt).toLocaleString()}`;
-            document.getElementById('projectNameHeader').textContent = headerText;
-            
-            this.updateTestStatus(execution.status.toLowerCase());
-            
-            document.getElementById('statTotalRequests').textContent = this.formatNumber(result.totalRequests);
-            document.getElementById('statFailed').textContent = this.formatNumber(result.failedRequests);
-            document.getElementById('statRps').textContent = result.requestsPerSecond.toFixed(2);
-            document.getElementById('statAvgResponse').textContent = Math.round(result.averageResponseTime);
-            
-            document.getElementById('avgResponseBottom').textContent = Math.round(result.averageResponseTime) + 'ms';
-            document.getElementById('totalRequestsBottom').textContent = this.formatNumber(result.totalRequests);
-            document.getElementById('rpsBottom').textContent = result.requestsPerSecond.toFixed(2);
-            
-            const pctChart = this.charts.percentile;
-            pctChart.data.datasets[0].data = [
-                result.percentile50,
-                result.percentile75,
-                result.percentile90,
-                result.percentile95,
-                result.percentile99
-            ];
-            pctChart.update();
-            
-            if (execution.metrics && execution.metrics.length > 0) {
-                const rtChart = this.charts.responseTime;
-                if (rtChart) {
-                    rtChart.data.labels = execution.metrics.map((_, i) => i);
-                    rtChart.data.datasets[0].data = execution.metrics.map(m => m.responseTime);
-                    rtChart.data.datasets[1].data = execution.metrics.map(m => m.averageResponseTime);
-                    rtChart.update();
-                }
-                
-                // Note: rps chart doesn't exist, skip it
-            }
-            
-            // Update status code chart (always, even if empty to clear previous data)
-            const scChart = this.charts.statusCode;
-            if (scChart) {
-                const labels = Object.keys(statusCodes);
-                const data = labels.map(code => statusCodes[code].count || 0);
-                
-                scChart.data.labels = labels;
-                scChart.data.datasets[0].data = data;
-                scChart.update();
-            } else {
-                console.warn('statusCode chart not initialized');
-            }
-            
-            this.displayFinalResults(result);
-            
-        } catch (err) {
-            console.error('Failed to load execution details:', err);
         }
+        
+        return resolved;
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text || '';
-        return div.innerHTML;
+    showEnvironmentsModal(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+        
+        this.editingEnvironmentProjectId = projectId;
+        document.getElementById('environmentsModalTitle').textContent = `Environments - ${project.name}`;
+        
+        const active = this.getActiveEnvironment(projectId);
+        const environments = this.environments[projectId] || [];
+        this.renderEnvironmentEditor(active ? active.id : (environments.length > 0 ? environments[0].id : ''));
+        
+        document.getElementById('environmentsModal').classList.add('open');
+        document.getElementById('overlay').classList.add('visible');
     }
 
-    async showComparisonModal(endpointId) {
-        this.comparisonEndpointId = endpointId;
-        this.comparisonChart = null;
+    renderEnvironmentEditor(environmentId) {
+        const environments = this.environments[this.editingEnvironmentProjectId] || [];
+        const environment = environments.find(e => e.id === parseInt(environmentId)) || null;
+        this.editingEnvironmentId = environment ? environment.id : null;
         
-        const modal = document.getElementById('comparisonModal');
-        const overlay = document.getElementById('overlay');
-        const selectionDiv = document.getElementById('comparisonSelection');
-        const resultsDiv = document.getElementById('comparisonResults');
+        document.getElementById('environmentEditorSelect').innerHTML = environments.map(e => `
+            <option value="${e.id}" ${environment && environment.id === e.id ? 'selected' : ''}>${this.escapeHtml(e.name)}</option>
+        `).join('') + `<option value="" ${environment ? '' : 'selected'}>+ New environment</option>`;
         
-        selectionDiv.classList.remove('hidden');
-        resultsDiv.classList.add('hidden');
+        document.getElementById('environmentName').value = environment ? environment.name : '';
+        document.getElementById('btnDeleteEnvironment').style.display = environment ? '' : 'none';
         
-        const baselineSelect = document.getElementById('baselineExecution');
-        const compareSelect = document.getElementById('compareExecution');
+        document.getElementById('environmentVariablesContainer').innerHTML = '';
+        const variables = this.getEnvironmentVariables(environment);
+        for (const [key, value] of Object.entries(variables)) {
+            addEnvironmentVariable(key, value);
+        }
+        if (!environment) {
+            addEnvironmentVariable();
+        }
+    }
+
+    async saveEnvironment() {
+        const name = document.getElementById('environmentName').value.trim();
         
-        baselineSelect.innerHTML = '<option value="">Loading...</option>';
-        compareSelect.innerHTML = '<option value="">Loading...</option>';
+        const variables = {};
+        document.querySelectorAll('#environmentVariablesContainer .header-row').forEach(row => {
+            const key = row.querySelector('.header-key')?.value.trim();
+            const value = row.querySelector('.header-value')?.value;
+            if (key) {
+                variables[key] = value;
+            }
+        });
         
-        modal.classList.add('open');
-        overlay.classList.add('visible');
+        if (!name) {
+            this.showAlert('warning', 'Validation Error', 'Please enter an environment name');
+            return;
+        }
+        
+        const projectId = this.editingEnvironmentProjectId;
+        const dto = { name, variables };
         
         try {
-            const response = await fetch(`/api/endpoints/${endpointId}/executions?page=1&pageSize=50`);
-            const data = await response.json();
-            const executions = (data.executions || []).filter(e => e.status === 'Completed');
-            
-            if (executions.length < 2) {
-                baselineSelect.innerHTML = '<option value="">Need at least 2 completed executions</option>';
-                compareSelect.innerHTML = '<option value="">Need at least 2 completed executions</option>';
-                return;
+            let response;
+            if (this.editingEnvironmentId) {
+                response = await fetch(`/api/environments/${this.editingEnvironmentId}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(dto)
+                });
+            } else {
+                response = await fetch(`/api/projects/${projectId}/environments`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(dto)
+                });
             }
             
-            this.comparisonExecutions = executions;
-            
-            const optionsHtml = executions.map(exec => {
-                const date = new Date(exec.startedAt);
-                return `<option value="${exec.id}">${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})} - ${exec.requestsPerSecond.toFixed(2)} rps</option>`;
-            }).join('');
-            
-            baselineSelect.innerHTML = '<option value="">Select baseline...</option>' + optionsHtml;
-            compareSelect.innerHTML = '<option value="">Select to compare...</option>' + optionsHtml;
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || 'Failed to save environment');
+            }
             
+            const environment = await response.json();
+            const environmentsRes = await fetch(`/api/projects/${projectId}/environments`);
+            this.environments[projectId] = await environmentsRes.json();
+            this.renderEnvironmentEditor(environment.id);
+            this.updateEnvironmentSwitcher();
+            this.showToast('success', 'Success', `Environment "${this.escapeHtml(name)}" saved`);
         } catch (err) {
-            console.error('Failed to load executions for comparison:', err);
-            baselineSelect.innerHTML = '<option value="">Error loading executions</option>';
-            compareSelect.innerHTML = '<option value="">Error loading executions</option>';
+            console.error('Failed to save environment:', err);
+            this.showAlert('error', 'Error', 'Failed to save environment: ' + err.message);
         }
     }
 
-    updateCompareButton() {
-        const baseline = document.getElementById('baselineExecution').value;
-        const compare = document.getElementById('compareExecution').value;
-        const btn = document.getElementById('btnCompare');
-        
-        btn.disabled = !baseline || !compare || baseline === compare;
-    }
-
-    async executeComparison() {
-        const baselineId = parseInt(document.getElementById('baselineExecution').value);
-        const compareId = parseInt(document.getElementById('compareExecution').value);
+    async deleteEnvironment() {
+        if (!this.editingEnvironmentId) return;
+        if (!confirm('Are you sure you want to delete this environment?')) return;
         
-        if (!baselineId || !compareId) return;
+        const projectId = this.editingEnvironmentProjectId;
         
         try {
-            const response = await fetch('/api/executions/compare', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    baselineExecutionId: baselineId,
-                    compareExecutionId: compareId
-                })
-            });
-            
+            const response = await fetch(`/api/environments/${this.editingEnvironmentId}`, { method: 'DELETE' });
             if (!response.ok) {
-                throw new Error('Failed to compare executions');
+                throw new Error('Failed to delete environment');
             }
             
-            const result = await response.json();
-            this.displayComparisonResults(result);
+            this.environments[projectId] = (this.environments[projectId] || []).filter(e => e.id !== this.editingEnvironmentId);
+            if (this.activeEnvironments[projectId] === this.editingEnvironmentId) {
+                delete this.activeEnvironments[projectId];
+                localStorage.setItem('nfury-active-environments', JSON.stringify(this.activeEnvironments));
+            }
             
+            const remaining = this.environments[projectId];
+            this.renderEnvironmentEditor(remaining.length > 0 ? remaining[0].id : '');
+            this.updateEnvironmentSwitcher();
         } catch (err) {
-            console.error('Comparison failed:', err);
-            this.showAlert('error', 'Comparison Failed', err.message);
+            console.error('Failed to delete environment:', err);
+            this.showAlert('error', 'Error', 'Failed to delete environment: ' + err.message);
         }
     }
 
-    displayComparisonResults(result) {
-        const selectionDiv = document.getElementById('comparisonSelection');
-        const resultsDiv = document.getElementById('comparisonResults');
-        
-        selectionDiv.classList.add('hidden');
-        resultsDiv.classList.remove('hidden');
-        
-        const assessmentDiv = document.getElementById('comparisonAssessment');
-        const assessmentClass = this.getAssessmentClass(result.delta.assessment);
-        assessmentDiv.className = `comparison-assessment ${assessmentClass}`;
-        assessmentDiv.textContent = result.delta.assessment;
-        
-        document.getElementById('baselineMeta').innerHTML = `
-            <div class="meta-item"><strong>${result.baseline.endpointName || 'Ad-hoc Test'}</strong></div>
-            <div class="meta-item">${new Date(result.baseline.startedAt).toLocaleString()}</div>
-        `;
-        
-        document.getElementById('compareMeta').innerHTML = `
-            <div class="meta-item"><strong>${result.compare.endpointName || 'Ad-hoc Test'}</strong></div>
-            <div class="meta-item">${new Date(result.compare.startedAt).toLocaleString()}</div>
-        `;
-        
-        document.getElementById('deltaMeta').innerHTML = `
-            <div class="meta-item">&nbsp;</div>
-            <div class="meta-item">&nbsp;</div>
-        `;
-        
-        document.getElementById('baselineMetrics').innerHTML = this.renderMetricsColumn(result.baseline);
-        document.getElementById('compareMetrics').innerHTML = this.renderMetricsColumn(result.compare);
-        document.getElementById('deltaMetrics').innerHTML = this.renderDeltaColumn(result.delta);
-        
-        this.renderComparisonChart(result);
+    async loadEndpointHistory(endpointId) {
+        try {
+            const response = await fetch(`/api/endpoints/${endpointId}/executions?page=1&pageSize=5`);
+            const data = await response.json();
+            return data.executions || [];
+        } catch (err) {
+            console.error('Failed to load endpoint history:', err);
+            return [];
+        }
     }
 
-    renderMetricsColumn(summary) {
-        return `
-            <div class="metric-row"><span class="label">Requests/sec</span><span class="value">${summary.requestsPerSecond.toFixed(2)}</span></div>
-            <div class="metric-row"><span class="label">Avg Response</span><span class="value">${summary.averageResponseTime.toFixed(2)} ms</span></div>
-            <div class="metric-row"><span class="label">Min Response</span><span class="value">${summary.minResponseTime.toFixed(2)} ms</span></div>
-            <div class="metric-row"><span class="label">Max Response</span><span class="value">${summary.maxResponseTime.toFixed(2)} ms</span></div>
-            <div class="metric-row"><span class="label">Total Requests</span><span class="value">${summary.totalRequests.toLocaleString()}</span></div>
-            <div class="metric-row"><span class="label">Failed</span><span class="value">${summary.failedRequests.toLocaleString()}</span></div>
-            <div class="metric-row"><span class="label">P50</span><span class="value">${summary.percentile50.toFixed(2)} ms</span></div>
-            <div class="metric-row"><span class="label">P90</span><span class="value">${summary.percentile90.toFixed(2)} ms</span></div>
-            <div class="metric-row"><span class="label">P95</span><span class="value">${summary.percentile95.toFixed(2)} ms</span></div>
-            <div class="metric-row"><span class="label">P99</span><span class="value">${summary.percentile99.toFixed(2)} ms</span></div>
-        `;
-    }
+    async toggleEndpointHistory(endpointId) {
+        const historyEl = document.getElementById(`endpointHistory-${endpointId}`);
+        if (!historyEl) return;
 
-    renderDeltaColumn(delta) {
-        return `
-            <div class="metric-row">${this.formatDelta(delta.rpsDelta, delta.rpsPercentChange, true)}</div>
-            <div class="metric-row">${this.formatDelta(delta.avgResponseTimeDelta, delta.avgResponseTimePercentChange, false)}</div>
-            <div class="metric-row">${this.formatDelta(delta.minResponseTimeDelta, 0, false)}</div>
-            <div class="metric-row">${this.formatDelta(delta.maxResponseTimeDelta, 0, false)}</div>
-            <div class="metric-row"><span class="neutral">-</span></div>
-            <div class="metric-row">${this.formatDelta(delta.failureRateDelta, 0, false)}</div>
-            <div class="metric-row">${this.formatDelta(delta.p50Delta, delta.p50PercentChange, false)}</div>
-            <div class="metric-row">${this.formatDelta(delta.p90Delta, delta.p90PercentChange, false)}</div>
-            <div class="metric-row">${this.formatDelta(delta.p95Delta, delta.p95PercentChange, false)}</div>
-            <div class="metric-row">${this.formatDelta(delta.p99Delta, delta.p99PercentChange, false)}</div>
-        `;
+        if (historyEl.style.display === 'none') {
+            historyEl.style.display = 'block';
+            await this.renderEndpointHistory(endpointId);
+        } else {
+            historyEl.style.display = 'none';
+        }
     }
 
-    formatDelta(value, percent, higherIsBetter) {
-        if (Math.abs(value) < 0.01 && Math.abs(percent) < 0.01) {
-            return '<span class="neutral">-</span>';
-        }
-        
-        const isPositive = value > 0;
-        const isImprovement = higherIsBetter ? isPositive : !isPositive;
-        const className = isImprovement ? 'improved' : 'regressed';
-        const sign = isPositive ? '+' : '';
-        
-        let displayValue = `${sign}${value.toFixed(2)}`;
-        if (Math.abs(percent) >= 0.01) {
-            displayValue += ` (${sign}${percent.toFixed(1)}%)`;
+    async renderEndpointHistory(endpointId) {
+        const historyEl = document.getElementById(`endpointHistory-${endpointId}`);
+        if (!historyEl) return;
+
+        historyEl.innerHTML = '<div class="history-loading"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
+        const executions = await this.loadEndpointHistory(endpointId);
+
+        if (executions.length === 0) {
+            historyEl.innerHTML = '<div class="history-empty-small">No test history</div>';
+            return;
         }
-        
-        return `<span class="${className}">${displayValue}</span>`;
+
+        let html = `
+            <div class="history-actions-mini">
+                <button class="btn-compare-mini" onclick="event.stopPropagation(); window.app.showTrendModal(${endpointId})" title="Performance trend across all completed executions">
+                    Trend
+                </button>
+                <button class="btn-compare-mini" onclick="event.stopPropagation(); window.app.showComparisonModal(${endpointId})" title="Compare executions">
+                    Compare
+                </button>
+                <button class="btn-compare-mini btn-delete-mini hidden" onclick="event.stopPropagation(); window.app.deleteSelectedEndpointExecutions(${endpointId})" title="Delete the selected executions">
+                    <i class="fas fa-trash"></i> <span class="selection-count"></span>
+                </button>
+            </div>
+        `;
+        const endpoint = this.projects.flatMap(p => p.endpoints || []).find(ep => ep.id === endpointId);
+        html += executions.map(exec => {
+            const date = new Date(exec.startedAt);
+            const statusClass = exec.status.toLowerCase();
+            return `
+                        <div class="history-item-mini" onclick="event.stopPropagation(); window.app.showExecutionDetails(${exec.id})">
+                            <input type="checkbox" class="history-select" value="${exec.id}" onclick="event.stopPropagation()" onchange="window.app.updateEndpointHistorySelection(${endpointId})" title="Select">
+                            <span class="history-status ${statusClass}">
+                                <i class="fas fa-${statusClass === 'completed' ? 'check' : statusClass === 'failed' ? 'times' : 'circle'}"></i>
+                            </span>
+                            <span class="history-date">${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+                            ${exec.triggeredBy === 'Scheduled' ? '<span class="history-trigger" title="Started by a schedule"><i class="fas fa-clock"></i></span>' : ''}
+                            ${endpoint?.baselineExecutionId === exec.id ? '<span class="history-baseline" title="Pinned baseline"><i class="fas fa-thumbtack"></i></span>' : ''}
+                            <span class="history-rps">${exec.requestsPerSecond.toFixed(2)} rps</span>
+                        </div>
+                    `;
+        }).join('');
+        historyEl.innerHTML = html;
     }
 
-    getAssessmentClass(assessment) {
-        if (assessment.includes('Significant Improvement')) return 'excellent';
-        if (assessment.includes('Improvement')) return 'good';
-        if (assessment.includes('Significant Regression')) return 'critical';
-        if (assessment.includes('Regression')) return 'warning';
-        return 'neutral';
+    updateEndpointHistorySelection(endpointId) {
+        const historyEl = document.getElementById(`endpointHistory-${endpointId}`);
+        const count = historyEl.querySelectorAll('.history-select:checked').length;
+        const button = historyEl.querySelector('.btn-delete-mini');
+        button.classList.toggle('hidden', count === 0);
+        button.querySelector('.selection-count').textContent = count;
     }
 
-    getAssessmentIcon(assessment) {
-        if (assessment.includes('Improvement')) return 'chart-line';
-        if (assessment.includes('Regression')) return 'chart-line';
-        return 'equals';
+    async deleteSelectedEndpointExecutions(endpointId) {
+        const historyEl = document.getElementById(`endpointHistory-${endpointId}`);
+        const ids = [...historyEl.querySelectorAll('.history-select:checked')].map(cb => parseInt(cb.value));
+        if (await this.deleteExecutions(ids)) {
+            await this.renderEndpointHistory(endpointId);
+        }
+    }
+
+    // Returns true when the executions were deleted so the caller can refresh its list
+    async deleteExecutions(ids) {
+        if (ids.length === 0) return false;
+        if (!confirm(`Delete ${ids.length} execution${ids.length === 1 ? '' : 's'}? This cannot be undone.`)) return false;
+
+        try {
+            const response = await fetch('/api/executions/bulk-delete', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ executionIds: ids })
+            });
+            if (!response.ok) {
+                const error = await response.json().catch(() => null);
+                throw new Error(error?.error || `Request failed: ${response.status}`);
+            }
+            const result = await response.json();
+
+            // Deleting a pinned baseline unpins it on the server
+            for (const endpoint of this.projects.flatMap(p => p.endpoints || [])) {
+                if (ids.includes(endpoint.baselineExecutionId)) {
+                    endpoint.baselineExecutionId = null;
+                }
+            }
+            this.executions = this.executions.filter(e => !ids.includes(e.id));
+            this.showToast('success', 'Executions Deleted', `${result.deleted} execution${result.deleted === 1 ? '' : 's'} deleted`);
+            await this.loadStatistics();
+            return true;
+        } catch (err) {
+            console.error('Failed to delete executions:', err);
+            this.showAlert('error', 'Error', 'Failed to delete executions: ' + err.message);
+            return false;
+        }
     }
 
-    renderComparisonChart(result) {
-        const ctx = document.getElementById('comparisonPercentileChart').getContext('2d');
+    async showTrendModal(endpointId) {
+        document.getElementById('trendModalTitle').textContent = 'Performance Trend';
+        document.getElementById('trendSummary').textContent = 'Loading...';
+        document.getElementById('trendCharts').classList.add('hidden');
+        document.getElementById('trendModal').classList.add('open');
+        document.getElementById('overlay').classList.add('visible');
         
-        if (this.comparisonChart) {
-            this.comparisonChart.destroy();
+        try {
+            const [endpointResponse, executions] = await Promise.all([
+                fetch(`/api/endpoints/${endpointId}`),
+                this.loadCompletedExecutions(endpointId)
+            ]);
+            if (!endpointResponse.ok) throw new Error('Endpoint not found');
+            const endpoint = await endpointResponse.json();
+            
+            document.getElementById('trendModalTitle').textContent = `Performance Trend - ${endpoint.name}`;
+            if (executions.length === 0) {
+                document.getElementById('trendSummary').textContent = 'No completed executions yet.';
+                return;
+            }
+            
+            const first = new Date(executions[0].startedAt);
+            const last = new Date(executions[executions.length - 1].startedAt);
+            document.getElementById('trendSummary').textContent =
+                `${executions.length} completed execution${executions.length === 1 ? '' : 's'} from ${first.toLocaleDateString()} to ${last.toLocaleDateString()}. Click a point to open that execution.`;
+            document.getElementById('trendCharts').classList.remove('hidden');
+            this.renderTrendCharts(executions, parseThresholds(endpoint.thresholdsJson));
+        } catch (err) {
+            console.error('Failed to load trend:', err);
+            document.getElementById('trendSummary').textContent = 'Failed to load trend: ' + err.message;
+        }
+    }
+
+    // Pages through the search API so the trend covers every completed execution, oldest first
+    async loadCompletedExecutions(endpointId) {
+        const executions = [];
+        for (let page = 1; ; page++) {
+            const response = await fetch(`/api/executions/search?endpointId=${endpointId}&status=Completed&page=${page}&pageSize=${TREND_PAGE_SIZE}`);
+            if (!response.ok) throw new Error('Failed to load executions');
+            const batch = await response.json();
+            executions.push(...batch);
+            if (batch.length < TREND_PAGE_SIZE) break;
         }
+        return executions.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+    }
+
+    renderTrendCharts(executions, thresholds) {
+        this.trendCharts.forEach(chart => chart.destroy());
         
-        this.comparisonChart = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: ['P50', 'P90', 'P95', 'P99'],
-                datasets: [
-                    {
-                        label: 'Baseline',
-                        data: [
-                            result.baseline.percentile50,
-                            result.baseline.percentile90,
-                            result.baseline.percentile95,
-                            result.baseline.percentile99
-                        ],
-                        backgroundColor: 'rgba(124, 58, 237, 0.7)',
-                        borderRadius: 4
-                    },
-                    {
-                        label: 'Compare',
-                        data: [
-                            result.compare.percentile50,
-                            result.compare.percentile90,
-                            result.compare.percentile95,
-                            result.compare.percentile99
-                        ],
-                        backgroundColor: 'rgba(16, 185, 129, 0.7)',
-                        borderRadius: 4
-                    }
-                ]
+        const labels = executions.map(exec => {
+            const date = new Date(exec.startedAt);
+            return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`;
+        });
+        const failureRates = executions.map(exec => exec.totalRequests > 0 ? exec.failedRequests / exec.totalRequests * 100 : 0);
+        const series = (label, data, color, extra = {}) => ({
+            label,
+            data,
+            borderColor: color,
+            backgroundColor: color,
+            fill: false,
+            tension: 0.2,
+            pointRadius: 3,
+            pointHoverRadius: 5,
+            borderWidth: 2,
+            ...extra
+        });
+        
+        const options = (yCallback, extraScales = {}) => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                intersect: false,
+                mode: 'index'
             },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'top',
-                        labels: {
-                            boxWidth: 12,
-                            padding: 16
-                        }
+            onClick: (e, elements) => {
+                if (elements.length === 0) return;
+                closeAllModals();
+                this.showExecutionDetails(executions[elements[0].index].id);
+            },
+            onHover: (e, elements) => {
+                e.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    align: 'end',
+                    labels: {
+                        boxWidth: 12,
+                        padding: 16,
+                        font: { size: 11 }
                     }
                 },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        ticks: {
-                            callback: (value) => value + ' ms'
+                tooltip: {
+                    filter: (item) => !item.dataset.threshold,
+                    callbacks: {
+                        footer: (items) => {
+                            const exec = executions[items[0]?.dataIndex];
+                            const evaluation = exec ? evaluateThresholds(exec, parseThresholds(exec.thresholdsJson)) : null;
+                            return evaluation ? `Thresholds: ${evaluation.passed ? 'passed' : 'failed'}` : '';
                         }
                     }
                 }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: {
+                        color: '#9ca3af',
+                        font: { size: 10 },
+                        maxTicksLimit: 10
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        color: '#9ca3af',
+                        font: { size: 10 },
+                        callback: yCallback
+                    }
+                },
+                ...extraScales
             }
         });
+        
+        const latencyDatasets = [
+            series('P50', executions.map(exec => exec.percentile50), '#06b6d4'),
+            series('P95', executions.map(exec => exec.percentile95), '#7c3aed'),
+            series('P99', executions.map(exec => exec.percentile99), '#ec4899'),
+            ...getTrendThresholdDatasets(thresholds, ['maxAverageResponseTime', 'maxPercentile95', 'maxPercentile99'], executions.length, 'y')
+        ];
+        
+        const throughputDatasets = [
+            series('Requests/s', executions.map(exec => exec.requestsPerSecond), '#10b981'),
+            series('Error rate (%)', failureRates, '#ef4444', { yAxisID: 'errors' }),
+            ...getTrendThresholdDatasets(thresholds, ['minRequestsPerSecond'], executions.length, 'y'),
+            ...getTrendThresholdDatasets(thresholds, ['maxFailureRate'], executions.length, 'errors')
+        ];
+        
+        this.trendCharts = [
+            new Chart(document.getElementById('trendLatencyChart').getContext('2d'), {
+                type: 'line',
+                data: { labels, datasets: latencyDatasets },
+                options: options((value) => value + ' ms')
+            }),
+            new Chart(document.getElementById('trendThroughputChart').getContext('2d'), {
+                type: 'line',
+                data: { labels, datasets: throughputDatasets },
+                options: options((value) => value + '/s', {
+                    errors: {
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: { display: false },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            callback: (value) => value + '%'
+                        }
+                    }
+                })
+            })
+        ];
     }
 
-    showComparisonSelection() {
-        const selectionDiv = document.getElementById('comparisonSelection');
-        const resultsDiv = document.getElementById('comparisonResults');
-        
-        selectionDiv.classList.remove('hidden');
-        resultsDiv.classList.add('hidden');
+    async loadStatistics() {
+        try {
+            const response = await fetch('/api/executions/statistics');
+            const stats = await response.json();
+            document.getElementById('totalExecutions').textContent = stats.totalExecutions;
+        } catch (err) {
+            console.error('Failed to load statistics:', err);
+        }
     }
 
-    initCharts() {
+    showStatisticsModal() {
+        const projectSelect = document.getElementById('statisticsProjectFilter');
+        const selectedProject = projectSelect.value;
+        projectSelect.innerHTML = '<option value="">All Projects</option>' + this.projects
+            .map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`)
+            .join('');
+        projectSelect.value = this.projects.some(p => String(p.id) === selectedProject) ? selectedProject : '';
+        this.populateStatisticsEndpointFilter();
+
+        document.getElementById('statisticsModal').classList.add('open');
+        document.getElementById('overlay').classList.add('visible');
+        this.loadStatisticsOverview();
+    }
+
+    populateStatisticsEndpointFilter() {
+        const projectId = parseInt(document.getElementById('statisticsProjectFilter').value);
+        const endpointSelect = document.getElementById('statisticsEndpointFilter');
+        const selectedEndpoint = endpointSelect.value;
+        const endpoints = this.projects.find(p => p.id === projectId)?.endpoints || [];
+
+        endpointSelect.innerHTML = '<option value="">All Endpoints</option>' + endpoints
+            .map(ep => `<option value="${ep.id}">${this.escapeHtml(ep.name)}</option>`)
+            .join('');
+        endpointSelect.value = endpoints.some(ep => String(ep.id) === selectedEndpoint) ? selectedEndpoint : '';
+        endpointSelect.disabled = endpoints.length === 0;
+    }
+
+    async loadStatisticsOverview() {
+        const params = new URLSearchParams();
+        const projectId = document.getElementById('statisticsProjectFilter').value;
+        const endpointId = document.getElementById('statisticsEndpointFilter').value;
+        if (endpointId) params.set('endpointId', endpointId);
+        else if (projectId) params.set('projectId', projectId);
+
+        // Filters can change while a request is in flight; only the latest one renders
+        const requestId = ++this.statisticsRequestId;
+        document.getElementById('statisticsSummary').textContent = 'Loading...';
+
         try {
-            const rtCtx = document.getElementById('responseTimeChart').getContext('2d');
-            
-            const gradientPurple = rtCtx.createLinearGradient(0, 0, 0, 280);
-            gradientPurple.addColorStop(0, 'rgba(124, 58, 237, 0.3)');
-            gradientPurple.addColorStop(1, 'rgba(124, 58, 237, 0.0)');
-            
-            const gradientCyan = rtCtx.createLinearGradient(0, 0, 0, 280);
-            gradientCyan.addColorStop(0, 'rgba(6, 182, 212, 0.3)');
-            gradientCyan.addColorStop(1, 'rgba(6, 182, 212, 0.0)');
+            const response = await fetch(`/api/executions/statistics?${params}`);
+            if (!response.ok) throw new Error('Failed to load statistics');
+            const stats = await response.json();
+            if (requestId !== this.statisticsRequestId) return;
 
-            this.charts.responseTime = new Chart(rtCtx, {
-                type: 'line',
+            if (stats.totalExecutions === 0) {
+                document.getElementById('statisticsSummary').textContent = 'No executions yet.';
+                document.getElementById('statisticsContent').classList.add('hidden');
+                return;
+            }
+
+            document.getElementById('statisticsSummary').textContent =
+                `${stats.successfulExecutions} completed, ${stats.failedExecutions} failed, ${stats.abortedExecutions} aborted and ${stats.cancelledExecutions} cancelled at ${stats.averageRps.toFixed(1)} requests/s on average. Click a row to open that execution.`;
+            document.getElementById('statisticsContent').classList.remove('hidden');
+            this.renderStatisticsOverview(stats);
+        } catch (err) {
+            if (requestId !== this.statisticsRequestId) return;
+            console.error('Failed to load statistics:', err);
+            document.getElementById('statisticsSummary').textContent = 'Failed to load statistics: ' + err.message;
+            document.getElementById('statisticsContent').classList.add('hidden');
+        }
+    }
+
+    renderStatisticsOverview(stats) {
+        document.getElementById('statisticsExecutions').textContent = this.formatNumber(stats.totalExecutions);
+        document.getElementById('statisticsRequests').textContent = this.formatNumber(stats.totalRequests);
+        document.getElementById('statisticsFailureRate').textContent = stats.failureRate.toFixed(2);
+        document.getElementById('statisticsFailureRateValue').classList.toggle('error', stats.failedRequests > 0);
+        document.getElementById('statisticsAvgResponse').textContent = stats.averageResponseTime.toFixed(1);
+
+        this.renderStatisticsChart(stats.runsPerDay);
+
+        const emptyRow = (columns, message) => `<tr><td colspan="${columns}" class="statistics-empty">${message}</td></tr>`;
+
+        document.getElementById('statisticsSlowestBody').innerHTML = stats.slowestEndpoints.length === 0
+            ? emptyRow(6, 'No completed executions.')
+            : stats.slowestEndpoints.map(ep => `
+                <tr onclick="closeAllModals(); window.app.showExecutionDetails(${ep.latestExecutionId})">
+                    <td>${this.escapeHtml(ep.endpointName)}</td>
+                    <td>${this.escapeHtml(ep.projectName)}</td>
+                    <td>${ep.percentile95.toFixed(1)} ms</td>
+                    <td>${ep.averageResponseTime.toFixed(1)} ms</td>
+                    <td>${ep.executions}</td>
+                    <td>${new Date(ep.latestStartedAt).toLocaleString()}</td>
+                </tr>
+            `).join('');
+
+        // Clicking a project narrows the whole overview to it
+        document.getElementById('statisticsProjectsBody').innerHTML = stats.mostTestedProjects.length === 0
+            ? emptyRow(4, 'No executions.')
+            : stats.mostTestedProjects.map(p => `
+                <tr onclick="window.app.filterStatisticsByProject(${p.projectId})">
+                    <td>${this.escapeHtml(p.projectName)}</td>
+                    <td>${p.executions}</td>
+                    <td>${this.formatNumber(p.totalRequests)}</td>
+                    <td>${new Date(p.lastRunAt).toLocaleString()}</td>
+                </tr>
+            `).join('');
+
+        document.getElementById('statisticsRegressionsBody').innerHTML = stats.recentRegressions.length === 0
+            ? emptyRow(5, 'No endpoint regressed on its latest run.')
+            : stats.recentRegressions.map(r => {
+                const checks = getRegressionChecks(r.delta, r.tolerance)
+                    .filter(check => check.state === 'failed')
+                    .map(check => `<span class="threshold-check failed"><i class="fas fa-times-circle"></i> ${check.label} ${formatRegressionChange(check)}</span>`)
+                    .join(' ');
+                return `
+                    <tr onclick="closeAllModals(); window.app.showExecutionDetails(${r.executionId})">
+                        <td>${this.escapeHtml(r.endpointName)}</td>
+                        <td>${this.escapeHtml(r.projectName)}</td>
+                        <td>${r.againstPinnedBaseline ? '<i class="fas fa-thumbtack"></i> Baseline' : 'Previous run'}</td>
+                        <td>${checks}</td>
+                        <td>${new Date(r.startedAt).toLocaleString()}</td>
+                    </tr>
+                `;
+            }).join('');
+    }
+
+    renderStatisticsChart(runsPerDay) {
+        if (this.statisticsChart) this.statisticsChart.destroy();
+
+        // The API omits days without runs, so pad the range with zeros
+        const byDate = new Map(runsPerDay.map(day => [day.date, day]));
+        const today = new Date();
+        const days = [];
+        for (let i = STATISTICS_DAYS - 1; i >= 0; i--) {
+            const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i));
+            const key = date.toISOString().slice(0, 10);
+            days.push(byDate.get(key) || { date: key, executions: 0, totalRequests: 0, failedRequests: 0 });
+        }
+
+        this.statisticsChart = new Chart(document.getElementById('statisticsRunsChart').getContext('2d'), {
+            type: 'bar',
             data: {
-                labels: [],
+                labels: days.map(day => new Date(day.date + 'T00:00:00Z').toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' })),
                 datasets: [{
-                    label: 'Response Time (ms)',
-                    data: [],
-                    borderColor: '#7c3aed',
-                    backgroundColor: gradientPurple,
-                    fill: true,
-                    tension: 0.4,
-                    pointRadius: 0,
-                    borderWidth: 2
-                }, {
-                    label: 'Average (ms)',
-                    data: [],
-                    borderColor: '#06b6d4',
-                    backgroundColor: gradientCyan,
-                    fill: true,
-                    tension: 0.4,
-                    pointRadius: 0,
-                    borderWidth: 2
+                    label: 'Runs',
+                    data: days.map(day => day.executions),
+                    backgroundColor: '#7c3aed',
+                    borderRadius: 4
                 }]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
-                animation: { duration: 0 },
-                interaction: {
-                    intersect: false,
-                    mode: 'index'
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            footer: (items) => {
+                                const day = days[items[0]?.dataIndex];
+                                return day ? `${day.totalRequests.toLocaleString()} requests, ${day.failedRequests.toLocaleString()} failed` : '';
+                            }
+                        }
+                    }
                 },
                 scales: {
                     x: {
-                        display: true,
                         grid: { display: false },
-                        ticks: { 
+                        ticks: {
                             color: '#9ca3af',
                             font: { size: 10 },
-                            maxTicksLimit: 8
+                            maxTicksLimit: 10
                         }
                     },
                     y: {
-                        display: true,
                         beginAtZero: true,
-                        grid: { 
-                            color: 'rgba(0,0,0,0.05)',
-                            drawBorder: false
-                        },
                         ticks: {
                             color: '#9ca3af',
                             font: { size: 10 },
-                            callback: (value) => value + 'ms'
-                        }
-                    }
-                },
-                plugins: {
-                    legend: { 
-                        display: true,
-                        position: 'top',
-                        align: 'end',
-                        labels: {
-                            boxWidth: 12,
-                            padding: 16,
-                            font: { size: 11 }
+                            precision: 0
                         }
                     }
                 }
             }
         });
+    }
 
-        const scCtx = document.getElementById('statusCodeChart').getContext('2d');
-        this.charts.statusCode = new Chart(scCtx, {
-            type: 'doughnut',
-            data: {
-                labels: [],
-                datasets: [{
-                    data: [],
-                    backgroundColor: [
-                        '#10b981', // 2xx
-                        '#f59e0b', // 3xx
-                        '#ef4444', // 4xx
-                        '#8b5cf6', // 5xx
-                        '#6b7280'  // Other
-                    ],
-                    borderWidth: 0,
-                    spacing: 2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                animation: { duration: 0 },
-                cutout: '65%',
-                plugins: {
-                    legend: { 
-                        position: 'right',
-                        labels: {
-                            boxWidth: 12,
-                            padding: 12,
-                            font: { size: 11 }
-                        }
-                    }
-                }
+    filterStatisticsByProject(projectId) {
+        document.getElementById('statisticsProjectFilter').value = projectId;
+        this.populateStatisticsEndpointFilter();
+        this.loadStatisticsOverview();
+    }
+
+    async createProject(dto) {
+        try {
+            const response = await fetch('/api/projects', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(dto)
+            });
+            
+            if (response.ok) {
+                const project = await response.json();
+                this.expandedProjects.add(project.id);
+                await this.loadProjects();
+                return project;
+            } else {
+                throw new Error('Failed to create project');
             }
-        });
+        } catch (err) {
+            console.error('Failed to create project:', err);
+            this.showAlert('error', 'Error', 'Failed to create project: ' + err.message);
+            return null;
+        }
+    }
 
-        const pctCtx = document.getElementById('percentileChart').getContext('2d');
-        this.charts.percentile = new Chart(pctCtx, {
-            type: 'bar',
-            data: {
-                labels: ['P50', 'P75', 'P90', 'P95', 'P99'],
-                datasets: [{
-                    label: 'Response Time (ms)',
-                    data: [0, 0, 0, 0, 0],
-                    backgroundColor: [
-                        'rgba(16, 185, 129, 0.8)',
-                        'rgba(6, 182, 212, 0.8)',
-                        'rgba(245, 158, 11, 0.8)',
-                        'rgba(239, 68, 68, 0.8)',
-                        'rgba(139, 92, 246, 0.8)'
-                    ],
-                    borderRadius: 6,
-                    borderWidth: 0
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                indexAxis: 'y',
-                animation: { duration: 0 },
-                scales: {
-                    x: {
-                        beginAtZero: true,
-                        grid: { 
-                            color: 'rgba(0,0,0,0.05)',
-                            drawBorder: false
-                        },
-                        ticks: {
-                            color: '#9ca3af',
-                            font: { size: 10 },
-                            callback: (value) => value + 'ms'
-                        }
-                    },
-                    y: {
-                        grid: { display: false },
-                        ticks: {
-                            color: '#6b7280',
-                            font: { size: 11, weight: '500' }
-                        }
-                    }
-                },
-                plugins: {
-                    legend: { display: false }
+    async deleteProject(projectId) {
+        if (!confirm('Are you sure you want to delete this project?')) return;
+        
+        try {
+            await fetch(`/api/projects/${projectId}`, { method: 'DELETE' });
+            if (this.selectedProjectId === projectId) {
+                this.selectedProjectId = null;
+                document.getElementById('projectNameHeader').textContent = 'Load Test';
+            }
+            await this.loadProjects();
+        } catch (err) {
+            console.error('Failed to delete project:', err);
+        }
+    }
+    
+    async showProjectAuthModal(projectId) {
+        try {
+            const response = await fetch(`/api/projects/${projectId}`);
+            const project = await response.json();
+            
+            this.editingProjectAuthId = projectId;
+            
+            this.setUrlWithSchema('projectAuthUrlSchema', 'projectAuthUrl', project.authUrl || '');
+            document.getElementById('projectAuthMethod').value = project.authMethod || 'POST';
+            document.getElementById('projectAuthContentType').value = project.authContentType || 'application/json';
+            document.getElementById('projectAuthBody').value = project.authBody || '';
+            document.getElementById('projectAuthTokenPath').value = project.authTokenPath || '$.token';
+            document.getElementById('projectAuthHeaderName').value = project.authHeaderName || 'Authorization';
+            document.getElementById('projectAuthHeaderPrefix').value = project.authHeaderPrefix || 'Bearer';
+            
+            const headersContainer = document.getElementById('projectAuthHeadersContainer');
+            headersContainer.innerHTML = '';
+            if (project.authHeadersJson) {
+                try {
+                    const headers = JSON.parse(project.authHeadersJson);
+                    Object.entries(headers).forEach(([key, value]) => {
+                        addProjectAuthHeader(key, value);
+                    });
+                } catch (e) {
+                    console.error('Failed to parse auth headers:', e);
                 }
             }
-        });
+            
+            document.getElementById('projectAuthModalTitle').textContent = project.authUrl ? 'Edit Authentication Endpoint' : 'Add Authentication Endpoint';
+            document.getElementById('projectAuthModal').classList.add('open');
+            document.getElementById('overlay').classList.add('visible');
         } catch (err) {
-            console.error('Error initializing charts:', err);
+            console.error('Failed to load project:', err);
+            this.showAlert('error', 'Error', 'Failed to load project');
         }
     }
-
-    bindEvents() {
-        const form = document.getElementById('testForm');
-        form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.startTest();
-        });
-
-        document.getElementById('stopBtn').addEventListener('click', () => {
-            this.stopTest();
-        });
-
-        document.getElementById('method').addEventListener('change', (e) => {
-            const bodySection = document.getElementById('bodySection');
-            const needsBody = ['POST', 'PUT', 'PATCH'].includes(e.target.value);
-            bodySection.style.display = needsBody ? 'block' : 'none';
-        });
-
-        document.getElementById('users').addEventListener('change', (e) => {
-            document.getElementById('infoUsers').textContent = e.target.value + ' VUs';
+    
+    async saveProjectAuth() {
+        const url = this.getFullUrl('projectAuthUrlSchema', 'projectAuthUrl');
+        const method = document.getElementById('projectAuthMethod').value;
+        const contentType = document.getElementById('projectAuthContentType').value;
+        const body = document.getElementById('projectAuthBody').value || null;
+        const tokenPath = document.getElementById('projectAuthTokenPath').value || '$.token';
+        const headerName = document.getElementById('projectAuthHeaderName').value || 'Authorization';
+        const headerPrefix = document.getElementById('projectAuthHeaderPrefix').value || 'Bearer';
+        
+        const headers = {};
+        document.querySelectorAll('#projectAuthHeadersContainer .header-row').forEach(row => {
+            const key = row.querySelector('.header-key')?.value;
+            const value = row.querySelector('.header-value')?.value;
+            if (key && value) {
+                headers[key] = value;
+            }
         });
+        
+        if (!url) {
+            this.showAlert('warning', 'Validation Error', 'Please enter the authentication URL');
+            return;
+        }
+        
+        const dto = {
+            authUrl: url,
+            authMethod: method,
+            authContentType: contentType,
+            authBody: body,
+            authHeaders: Object.keys(headers).length > 0 ? headers : null,
+            authTokenPath: tokenPath,
+            authHeaderName: headerName,
+            authHeaderPrefix: headerPrefix
+        };
+        
+        try {
+            const response = await fetch(`/api/projects/${this.editingProjectAuthId}/auth`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(dto)
+            });
+            
+            if (response.ok) {
+                closeAllModals();
+                await this.loadProjects();
+                this.showToast('success', 'Success', 'Authentication configuration saved');
+            } else {
+                throw new Error('Failed to save authentication configuration');
+            }
+        } catch (err) {
+            console.error('Failed to save auth config:', err);
+            this.showAlert('error', 'Error', 'Failed to save authentication configuration: ' + err.message);
+        }
     }
-
-    toggleQuickTestMode() {
-        const mode = document.getElementById('testMode').value;
-        const requestsGroup = document.getElementById('requestsGroup');
-        const durationGroup = document.getElementById('durationGroup');
+    
+    async deleteProjectAuth() {
+        if (!confirm('Are you sure you want to remove the authentication endpoint?')) return;
         
-        if (mode === 'requests') {
-            requestsGroup.style.display = 'block';
-            durationGroup.style.display = 'none';
-        } else {
-            requestsGroup.style.display = 'none';
-            durationGroup.style.display = 'block';
+        try {
+            const response = await fetch(`/api/projects/${this.editingProjectAuthId}/auth`, {
+                method: 'DELETE'
+            });
+            
+            if (response.ok) {
+                closeAllModals();
+                await this.loadProjects();
+            } else {
+                throw new Error('Failed to delete authentication configuration');
+            }
+        } catch (err) {
+            console.error('Failed to delete auth config:', err);
+            this.showAlert('error', 'Error', 'Failed to delete authentication configuration: ' + err.message);
         }
     }
 
-    toggleEndpointTestMode() {
-        const mode = document.getElementById('endpointTestMode').value;
-        const requestsGroup = document.getElementById('endpointRequestsGroup');
-        const durationGroup = document.getElementById('endpointDurationGroup');
-        
-        if (mode === 'requests') {
-            requestsGroup.style.display = 'block';
-            durationGroup.style.display = 'none';
-        } else {
-            requestsGroup.style.display = 'none';
-            durationGroup.style.display = 'block';
+    populateHistoryFilters() {
+        const projectSelect = document.getElementById('historyProjectFilter');
+        const selectedProject = projectSelect.value;
+        projectSelect.innerHTML = '<option value="">All Projects</option>' + this.projects
+            .map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`)
+            .join('');
+        projectSelect.value = this.projects.some(p => String(p.id) === selectedProject) ? selectedProject : '';
+        this.populateHistoryEndpointFilter();
+        this.loadHistoryTags();
+    }
+
+    async loadHistoryTags() {
+        try {
+            const response = await fetch('/api/executions/tags');
+            if (!response.ok) return;
+            const tags = await response.json();
+
+            const tagSelect = document.getElementById('historyTagFilter');
+            const selectedTag = tagSelect.value;
+            tagSelect.innerHTML = '<option value="">All Tags</option>' + tags
+                .map(t => `<option value="${this.escapeHtml(t).replace(/"/g, '&quot;')}">${this.escapeHtml(t)}</option>`)
+                .join('');
+            tagSelect.value = tags.includes(selectedTag) ? selectedTag : '';
+            tagSelect.disabled = tags.length === 0;
+        } catch (err) {
+            console.error('Failed to load tags:', err);
         }
     }
 
-    async connectSignalR() {
-        this.connection = new signalR.HubConnectionBuilder()
-            .withUrl('/hubs/loadtest')
-            .withAutomaticReconnect()
-            .build();
+    updateHistorySelection() {
+        const count = document.querySelectorAll('#historyList .history-select:checked').length;
+        document.getElementById('historyBulkBar').classList.toggle('hidden', count === 0);
+        document.getElementById('historySelectionCount').textContent = `${count} selected`;
+    }
 
-        this.connection.on('Connected', (data) => {
-            console.log('Connected to hub:', data.connectionId);
-            this.updateConnectionStatus(true);
+    selectAllHistory(selected) {
+        document.querySelectorAll('#historyList .history-select').forEach(cb => {
+            cb.checked = selected;
         });
+        this.updateHistorySelection();
+    }
 
-        this.connection.on('MetricReceived', (metric) => {
-            this.handleMetric(metric);
-        });
+    async deleteSelectedHistory() {
+        const ids = [...document.querySelectorAll('#historyList .history-select:checked')].map(cb => parseInt(cb.value));
+        if (await this.deleteExecutions(ids)) {
+            await this.loadHistory();
+        }
+    }
 
-        this.connection.on('TestCompleted', (result) => {
-            console.log('TestCompleted event received:', result);
-            this.handleTestCompleted(result);
-        });
+    showAnnotationModal(executionId) {
+        const execution = this.executions.find(e => e.id === executionId);
+        if (!execution) return;
 
-        this.connection.on('TestError', (error) => {
-            console.log('TestError event received:', error);
-            this.handleTestError(error);
-        });
+        this.annotatingExecutionId = executionId;
+        document.getElementById('annotationNotes').value = execution.notes || '';
+        document.getElementById('annotationTags').value = parseExecutionTags(execution.tagsJson).join(', ');
+        document.getElementById('annotationModal').classList.add('open');
+        document.getElementById('overlay').classList.add('visible');
+    }
 
-        this.connection.on('AuthenticationStarted', () => {
-            this.showAuthNotification('Authenticating...', 'info');
-        });
-
-        this.connection.on('AuthenticationSuccess', () => {
-            this.showAuthNotification('Authentication successful!', 'success');
-        });
-
-        this.connection.on('AuthenticationFailed', (data) => {
-            this.showAuthNotification(`Failed: ${data.error}`, 'error');
-        });
-
-        this.connection.onclose(() => {
-            this.updateConnectionStatus(false);
-        });
-
-        this.connection.onreconnecting(() => {
-            this.updateConnectionStatus(false);
-        });
-
-        this.connection.onreconnected(async () => {
-            this.updateConnectionStatus(true);
-            await this.syncTestStatus();
-        });
+    async saveAnnotation() {
+        const notes = document.getElementById('annotationNotes').value;
+        const tags = document.getElementById('annotationTags').value.split(',').map(t => t.trim()).filter(Boolean);
 
         try {
-            await this.connection.start();
-            this.updateConnectionStatus(true);
-            await this.syncTestStatus();
-        } catch (err) {
-            console.error('SignalR connection error:', err);
-            this.updateConnectionStatus(false);
-        }
-    }
+            const response = await fetch(`/api/executions/${this.annotatingExecutionId}/annotations`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ notes: notes.trim() || null, tags })
+            });
+            if (!response.ok) {
+                const error = await response.json().catch(() => null);
+                throw new Error(error?.error || `Request failed: ${response.status}`);
+            }
+            const updated = await response.json();
 
-    async syncTestStatus() {
-        try {
-            const response = await fetch('/api/test/status');
-            const data = await response.json();
-            if (!data.isRunning && this.isRunning) {
-                console.log('Syncing: test is not running on server, resetting frontend state');
-                this.isRunning = false;
-                this.toggleButtons(false);
-                this.updateTestStatus('idle');
+            const execution = this.executions.find(e => e.id === updated.id);
+            if (execution) {
+                execution.notes = updated.notes;
+                execution.tagsJson = updated.tagsJson;
             }
+            closeAnnotationModal();
+            this.renderHistory();
+            this.loadHistoryTags();
         } catch (err) {
-            console.error('Failed to sync test status:', err);
+            console.error('Failed to save notes and tags:', err);
+            this.showAlert('error', 'Error', 'Failed to save notes and tags: ' + err.message);
         }
     }
 
-    showAuthNotification(message, type) {
-        const authStatus = document.getElementById('authStatus');
-        if (authStatus) {
-            const colors = { info: '#06b6d4', success: '#10b981', error: '#ef4444' };
-            authStatus.innerHTML = `<span style="color: ${colors[type]}; font-size: 0.75rem; margin-left: 8px;">${message}</span>`;
-        }
+    populateHistoryEndpointFilter() {
+        const projectId = parseInt(document.getElementById('historyProjectFilter').value);
+        const endpointSelect = document.getElementById('historyEndpointFilter');
+        const selectedEndpoint = endpointSelect.value;
+        const endpoints = this.projects.find(p => p.id === projectId)?.endpoints || [];
+
+        endpointSelect.innerHTML = '<option value="">All Endpoints</option>' + endpoints
+            .map(ep => `<option value="${ep.id}">${this.escapeHtml(ep.name)}</option>`)
+            .join('');
+        endpointSelect.value = endpoints.some(ep => String(ep.id) === selectedEndpoint) ? selectedEndpoint : '';
+        endpointSelect.disabled = endpoints.length === 0;
     }
 
-    updateConnectionStatus(connected) {
-        const status = document.getElementById('connectionStatus');
-        if (connected) {
-            status.className = 'connection-badge connected';
-            status.innerHTML = '<span class="status-dot"></span><span class="status-text">Connected</span>';
-        } else {
-            status.className = 'connection-badge disconnected';
-            status.innerHTML = '<span class="status-dot"></span><span class="status-text">Disconnected</span>';
+    getHistorySearchParams() {
+        const params = new URLSearchParams();
+        const filters = {
+            projectId: document.getElementById('historyProjectFilter').value,
+            endpointId: document.getElementById('historyEndpointFilter').value,
+            status: document.getElementById('historyStatusFilter').value,
+            tag: document.getElementById('historyTagFilter').value,
+            sort: document.getElementById('historySort').value
+        };
+        for (const [key, value] of Object.entries(filters)) {
+            if (value) params.set(key, value);
         }
+
+        // Date inputs are local calendar days; the bounds cover the whole day in the browser's time zone
+        const from = document.getElementById('historyFrom').value;
+        const to = document.getElementById('historyTo').value;
+        if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+        if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+        return params;
     }
 
-    async startTest() {
-        const request = await this.buildRequest();
-        
-        if (!request.url) {
-            this.showAlert('warning', 'Validation Error', 'Please enter a valid URL');
-            return;
-        }
+    async loadHistory({ append = false } = {}) {
+        const state = this.historyState;
+        if (append && (state.loading || !state.hasMore)) return;
 
-        const saveAsProject = document.getElementById('saveAsProject').checked;
-        let targetEndpointId = this.selectedEndpointId;
-        
-        if (saveAsProject && !targetEndpointId) {
-            const existingSection = document.getElementById('existingProjectSection');
-            const isExistingProject = !existingSection.classList.contains('hidden');
-            
-            try {
-                if (isExistingProject) {
-                    const projectId = document.getElementById('existingProject').value;
-                    const endpointName = document.getElementById('endpointName').value;
-                    
-                    if (!projectId) {
-                        this.showAlert('warning', 'Validation Error', 'Please select a project');
-                        return;
-                    }
-                    if (!endpointName) {
-                        this.showAlert('warning', 'Validation Error', 'Please enter an endpoint name');
-                        return;
-                    }
-                    
-                    const endpointDto = this.buildEndpointDto(endpointName, request);
-                    const response = await fetch(`/api/projects/${projectId}/endpoints`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(endpointDto)
-                    });
-                    
-                    if (!response.ok) {
-                        throw new Error('Failed to create endpoint');
-                    }
-                    
-                    const endpoint = await response.json();
-                    targetEndpointId = endpoint.id;
-                    
-                } else {
-                    const projectName = document.getElementById('projectName').value;
-                    const projectDescription = document.getElementById('projectDescription').value;
-                    const endpointName = document.getElementById('newEndpointName').value;
-                    
-                    if (!projectName) {
-                        this.showAlert('warning', 'Validation Error', 'Please enter a project name');
-                        return;
-                    }
-                    if (!endpointName) {
-                        this.showAlert('warning', 'Validation Error', 'Please enter an endpoint name');
-                        return;
-                    }
-                    
-                    const projectResponse = await fetch('/api/projects', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ name: projectName, description: projectDescription })
-                    });
-                    
-                    if (!projectResponse.ok) {
-                        throw new Error('Failed to create project');
-                    }
-                    
-                    const project = await projectResponse.json();
-                    
-                    const endpointDto = this.buildEndpointDto(endpointName, request);
-                    const endpointResponse = await fetch(`/api/projects/${project.id}/endpoints`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(endpointDto)
-                    });
-                    
-                    if (!endpointResponse.ok) {
-                        throw new Error('Failed to create endpoint');
-                    }
-                    
-                    const endpoint = await endpointResponse.json();
-                    targetEndpointId = endpoint.id;
-                }
-                
-                await this.loadProjects();
-                
-            } catch (err) {
-                console.error('Error saving to project:', err);
-                this.showAlert('error', 'Error', 'Failed to save to project: ' + err.message);
-                return;
-            }
+        const page = append ? state.page + 1 : 1;
+        const requestId = ++state.requestId;
+        state.loading = true;
+        if (append) {
+            this.renderHistoryFooter();
         }
 
-        this.resetCharts();
-        this.toggleButtons(true);
-        this.updateTestStatus('running');
-        this.startTime = new Date();
-        this.peakRps = 0;
-
-        document.getElementById('infoUsers').textContent = request.users + ' VUs';
-        document.getElementById('infoRequests').textContent = request.requests ? request.requests + ' reqs' : '--';
-        document.getElementById('infoDuration').textContent = request.duration ? request.duration + 's' : '--';
-        document.getElementById('infoDate').textContent = this.startTime.toLocaleDateString('en-US', {
-            day: 'numeric',
-            month: 'short',
-            year: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-
-        document.getElementById('configPanel').classList.remove('open');
-
         try {
-            let response;
-            
-            if (targetEndpointId) {
-                response = await fetch(`/api/endpoints/${targetEndpointId}/test/start`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({})
-                });
-            } else {
-                response = await fetch('/api/test/start', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(request)
-                });
+            const params = this.getHistorySearchParams();
+            params.set('page', page);
+            params.set('pageSize', HISTORY_PAGE_SIZE);
+            const response = await fetch(`/api/executions/search?${params}`);
+            if (!response.ok) {
+                throw new Error(`Search failed: ${response.status}`);
             }
+            const executions = await response.json();
 
-            if (response.ok) {
-                const data = await response.json();
-                this.testId = data.testId;
-                this.isRunning = true;
-                await this.loadStatistics();
+            // A newer search replaced this one while it was loading
+            if (requestId !== state.requestId) return;
+
+            this.executions = append ? this.executions.concat(executions) : executions;
+            state.page = page;
+            state.hasMore = executions.length === HISTORY_PAGE_SIZE;
+            state.loading = false;
+            if (append) {
+                this.appendHistoryItems(executions);
             } else {
-                const error = await response.json();
-                throw new Error(error.error || 'Failed to start test');
+                this.renderHistory();
             }
+            // Keeps loading while the list is still too short to scroll
+            this.handleHistoryScroll();
         } catch (err) {
-            console.error('Error starting test:', err);
-            this.showAlert('error', 'Test Failed', 'Failed to start test: ' + err.message);
-            this.toggleButtons(false);
-            this.updateTestStatus('idle');
+            console.error('Failed to load history:', err);
+            if (requestId === state.requestId) {
+                state.loading = false;
+                this.renderHistoryFooter();
+            }
         }
     }
-    
-    buildEndpointDto(name, request) {
-        return {
-            name: name,
-            url: request.url,
-            method: request.method,
-            users: request.users,
-            requests: request.requests,
-            duration: request.duration,
-            contentType: request.contentType,
-            body: request.body,
-            insecure: request.insecure,
-            headers: request.headers,
-            authentication: request.authentication
-        };
-    }
 
-    async stopTest() {
-        try {
-            await fetch('/api/test/stop', { method: 'POST' });
-            this.isRunning = false;
-        } catch (err) {
-            console.error('Error stopping test:', err);
+    handleHistoryScroll() {
+        const body = document.getElementById('historyBody');
+        if (body.scrollTop + body.clientHeight >= body.scrollHeight - HISTORY_SCROLL_THRESHOLD_PX) {
+            this.loadHistory({ append: true });
         }
     }
 
-    updateTestStatus(status) {
-        const badge = document.getElementById('testStatusBadge');
-        const indicator = badge.querySelector('.status-indicator');
-        const text = badge.querySelector('span:last-child');
+    renderHistory() {
+        const container = document.getElementById('historyList');
         
-        indicator.className = 'status-indicator ' + status;
+        if (this.executions.length === 0) {
+            const filtered = [...this.getHistorySearchParams().entries()].some(([key, value]) => key !== 'sort' || value !== 'newest');
+            this.updateHistorySelection();
+            container.innerHTML = `
+                <div class="history-empty">
+                    <i class="fas fa-inbox"></i>
+                    <p>${filtered ? 'No executions match these filters' : 'No test history yet'}</p>
+                </div>
+            `;
+            return;
+        }
         
-        const labels = { idle: 'Ready', running: 'Running', completed: 'Completed' };
-        text.textContent = labels[status] || status;
+        container.innerHTML = '';
+        this.appendHistoryItems(this.executions);
+        this.updateHistorySelection();
     }
 
-    async buildRequest() {
-        const headers = {};
-        document.querySelectorAll('#headersContainer .header-row').forEach(row => {
-            const key = row.querySelector('.header-key')?.value;
-            const value = row.querySelector('.header-value')?.value;
-            if (key && value) {
-                headers[key] = value;
-            }
-        });
+    renderHistoryFooter() {
+        const container = document.getElementById('historyList');
+        container.querySelector('.history-list-footer')?.remove();
 
-        const testMode = document.getElementById('testMode').value;
-        const useAuth = document.getElementById('useAuth').checked;
-        const body = await getBodyContent('quick');
+        const state = this.historyState;
+        if (!state.hasMore) return;
+
+        const footer = document.createElement('div');
+        footer.className = 'history-list-footer';
+        footer.innerHTML = state.loading
+            ? '<i class="fas fa-spinner fa-spin"></i> Loading...'
+            : '<button type="button" class="btn-add-header" onclick="window.app.loadHistory({ append: true })">Load more</button>';
+        container.appendChild(footer);
+    }
+
+    appendHistoryItems(executions) {
+        const container = document.getElementById('historyList');
+        container.querySelector('.history-list-footer')?.remove();
         
-        const request = {
-            url: this.getFullUrl('urlSchema', 'url'),
-            method: document.getElementById('method').value,
-            users: parseInt(document.getElementById('users').value) || 10,
-            requests: testMode === 'requests' ? (parseInt(document.getElementById('requests').value) || 100) : null,
-            duration: testMode === 'duration' ? (parseInt(document.getElementById('duration').value) || 30) : null,
-            contentType: document.getElementById('contentType').value,
-            body: body,
-            insecure: document.getElementById('insecure').checked,
-            headers: Object.keys(headers).length > 0 ? headers : null
-        };
+        for (const exec of executions) {
+            const div = document.createElement('div');
+            div.className = 'history-item';
+            div.onclick = () => this.showExecutionDetails(exec.id);
+            
+            const date = new Date(exec.startedAt);
+            const statusClass = exec.abortReason ? 'aborted' : exec.status.toLowerCase();
+            const statusIcons = { completed: 'check', failed: 'times', aborted: 'hand-paper' };
+            const evaluation = exec.status === 'Completed' ? evaluateThresholds(exec, parseThresholds(exec.thresholdsJson)) : null;
+            const tags = parseExecutionTags(exec.tagsJson);
+            
+            div.innerHTML = `
+                <div class="history-item-header">
+                    <input type="checkbox" class="history-select" value="${exec.id}" onclick="event.stopPropagation()" onchange="window.app.updateHistorySelection()" title="Select">
+                    <span class="history-item-status ${statusClass}" ${exec.abortReason ? `title="${this.escapeHtml(exec.abortReason).replace(/"/g, '&quot;')}"` : ''}>
+                        <i class="fas fa-${statusIcons[statusClass] || 'circle'}"></i>
+                        ${exec.abortReason ? 'Aborted' : exec.status}
+                    </span>
+                    ${exec.triggeredBy === 'Scheduled'
+                        ? '<span class="history-item-trigger scheduled" title="Started by a schedule"><i class="fas fa-clock"></i> Scheduled</span>'
+                        : '<span class="history-item-trigger" title="Started manually"><i class="fas fa-user"></i> Manual</span>'}
+                    ${evaluation ? `
+                        <span class="threshold-badge ${evaluation.passed ? 'passed' : 'failed'}" title="Thresholds ${evaluation.passed ? 'met' : 'not met'}">
+                            <i class="fas fa-bullseye"></i> ${evaluation.passed ? 'Pass' : 'Fail'}
+                        </span>
+                    ` : ''}
+                    <span class="history-item-date">
+                        ${date.toLocaleDateString()} ${date.toLocaleTimeString()}
+                        <button type="button" class="history-export-btn" onclick="event.stopPropagation(); window.app.showAnnotationModal(${exec.id})" title="Edit notes and tags">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button type="button" class="history-export-btn" onclick="window.app.showExportMenu(event, ${exec.id})" title="Export results">
+                            <i class="fas fa-download"></i>
+                        </button>
+                    </span>
+                </div>
+                ${exec.endpoint ? `<div class="history-item-endpoint">${exec.endpoint.project ? this.escapeHtml(exec.endpoint.project.name) + ' / ' : ''}${this.escapeHtml(exec.endpoint.name)}</div>` : ''}
+                <div class="history-item-url">${this.escapeHtml(exec.url)}</div>
+                <div class="history-item-stats">
+                    <span class="history-item-stat"><i class="fas fa-exchange-alt"></i> ${exec.totalRequests.toLocaleString()} reqs</span>
+                    <span class="history-item-stat"><i class="fas fa-clock"></i> ${exec.averageResponseTime.toFixed(0)}ms avg</span>
+                    <span class="history-item-stat"><i class="fas fa-tachometer-alt"></i> ${exec.requestsPerSecond.toFixed(2)} rps</span>
+                </div>
+                ${exec.notes ? `<div class="history-item-notes">${this.escapeHtml(exec.notes)}</div>` : ''}
+                ${tags.length > 0 ? `<div class="history-item-tags">${tags.map(t => `<span class="history-tag">${this.escapeHtml(t)}</span>`).join('')}</div>` : ''}
+            `;
+            container.appendChild(div);
+        }
+
+        this.renderHistoryFooter();
+    }
+
+    replayMetricSnapshots(metrics, startedAt, loadProfile) {
+        let previousFailed = 0;
+        metrics.forEach(m => {
+            const elapsedSeconds = (new Date(m.timestamp) - startedAt) / 1000;
+            // Stored metrics carry cumulative failure counts, so errors per second come from the deltas
+            const errors = Math.max(0, m.failedRequests - previousFailed);
+            previousFailed = Math.max(previousFailed, m.failedRequests);
+            this.recordLatency(elapsedSeconds, m.responseTime);
+            this.recordTimelineSample(startedAt, elapsedSeconds, {
+                responseTime: m.responseTime,
+                rps: m.currentRps,
+                errors,
+                users: m.activeUsers,
+                target: getLoadProfileTarget(loadProfile, elapsedSeconds)
+            });
+        });
+        this.updateTimelineCharts();
+        this.updateLatencyCharts();
+    }
+
+    async showExecutionDetails(executionId) {
+        try {
+            const response = await fetch(`/api/executions/${executionId}/metrics`);
+            if (!response.ok) {
+                throw new Error(`Failed to load execution: ${response.status}`);
+            }
+            const execution = await response.json();
+            
+            const result = executionToResult(execution);
+            
+            const headerText = execution.endpoint 
+                ? `${execution.endpoint.name} - Execution ${new Date(execution.startedAt).toLocaleString()}`
+                : `Execution ${new Date(execution.startedAt).toLocaleString()}`;
+            document.getElementById('projectNameHeader').textContent = headerText;
+            
+            this.updateTestStatus(execution.abortReason ? 'aborted' : execution.status.toLowerCase());
+            
+            document.getElementById('statTotalRequests').textContent = this.formatNumber(result.totalRequests);
+            document.getElementById('statFailed').textContent = this.formatNumber(result.failedRequests);
+            document.getElementById('statRps').textContent = result.requestsPerSecond.toFixed(2);
+            document.getElementById('statAvgResponse').textContent = Math.round(result.averageResponseTime);
+            
+            document.getElementById('avgResponseBottom').textContent = Math.round(result.averageResponseTime) + 'ms';
+            document.getElementById('totalRequestsBottom').textContent = this.formatNumber(result.totalRequests);
+            document.getElementById('rpsBottom').textContent = result.requestsPerSecond.toFixed(2);
+            this.updateAssertionFailuresStat(result.assertions ? result.assertionFailures : null);
+            
+            const pctChart = this.charts.percentile;
+            pctChart.data.datasets[0].data = [
+                result.percentile50,
+                result.percentile75,
+                result.percentile90,
+                result.percentile95,
+                result.percentile99
+            ];
+            pctChart.update();
+            
+            this.cancelChartsRender();
+            this.resetTimeline();
+            this.resetLatencyCharts();
+            if (execution.metrics && execution.metrics.length > 0) {
+                this.replayMetricSnapshots(execution.metrics, new Date(execution.startedAt), parseLoadProfile(execution.loadProfileJson));
+            }
+            
+            // Update status code chart (always, even if empty to clear previous data)
+            const scChart = this.charts.statusCode;
+            if (scChart) {
+                const labels = Object.keys(result.statusCodes);
+                const data = labels.map(code => result.statusCodes[code].count || 0);
+                
+                scChart.data.labels = labels;
+                scChart.data.datasets[0].data = data;
+                scChart.data.datasets[0].backgroundColor = labels.map(label => this.getStatusCodeColor(label));
+                scChart.update();
+            } else {
+                console.warn('statusCode chart not initialized');
+            }
+            
+            const evaluation = execution.status === 'Completed' ? evaluateThresholds(result, result.thresholds) : null;
+            this.displayFinalResults(result, evaluation);
+            this.updateBaselineState(execution.testId);
+            
+        } catch (err) {
+            console.error('Failed to load execution details:', err);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    async showComparisonModal(endpointId) {
+        this.comparisonEndpointId = endpointId;
+        this.comparisonChart = null;
+        
+        const modal = document.getElementById('comparisonModal');
+        const overlay = document.getElementById('overlay');
+        const selectionDiv = document.getElementById('comparisonSelection');
+        const resultsDiv = document.getElementById('comparisonResults');
+        
+        selectionDiv.classList.remove('hidden');
+        resultsDiv.classList.add('hidden');
+        document.getElementById('comparisonAcrossEndpoints').checked = false;
+        
+        modal.classList.add('open');
+        overlay.classList.add('visible');
+        
+        await this.loadComparisonExecutions();
+    }
+
+    async loadComparisonExecutions() {
+        const list = document.getElementById('comparisonExecutionList');
+        const acrossEndpoints = document.getElementById('comparisonAcrossEndpoints').checked;
+        const project = this.projects.find(p => (p.endpoints || []).some(ep => ep.id === this.comparisonEndpointId));
+        
+        list.innerHTML = '<p class="comparison-instructions">Loading...</p>';
+        this.updateCompareButton();
+        
+        try {
+            const url = acrossEndpoints && project
+                ? `/api/executions/search?projectId=${project.id}&status=Completed&page=1&pageSize=50`
+                : `/api/endpoints/${this.comparisonEndpointId}/executions?page=1&pageSize=50`;
+            const response = await fetch(url);
+            const data = await response.json();
+            const executions = (Array.isArray(data) ? data : data.executions || []).filter(e => e.status === 'Completed');
+            
+            if (executions.length < 2) {
+                list.innerHTML = '<p class="comparison-instructions">Need at least 2 completed executions</p>';
+                return;
+            }
+            
+            this.comparisonExecutions = executions;
+            
+            list.innerHTML = executions.map(exec => {
+                const date = new Date(exec.startedAt);
+                const endpointName = acrossEndpoints ? `<span class="comparison-execution-endpoint">${this.escapeHtml(exec.endpoint?.name || 'Ad-hoc Test')}</span>` : '';
+                return `
+                    <label class="suite-endpoint-item">
+                        <input type="checkbox" value="${exec.id}" onchange="window.app.updateCompareButton()">
+                        <span>${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+                        ${endpointName}
+                        <span class="comparison-execution-stats">${exec.requestsPerSecond.toFixed(2)} rps &middot; p95 ${Math.round(exec.percentile95)} ms</span>
+                    </label>
+                `;
+            }).join('');
+            
+        } catch (err) {
+            console.error('Failed to load executions for comparison:', err);
+            list.innerHTML = '<p class="comparison-instructions">Error loading executions</p>';
+        }
+    }
+
+    getSelectedComparisonIds() {
+        return Array.from(document.querySelectorAll('#comparisonExecutionList input:checked')).map(cb => parseInt(cb.value));
+    }
+
+    updateCompareButton() {
+        const count = this.getSelectedComparisonIds().length;
+        const btn = document.getElementById('btnCompare');
+        
+        btn.disabled = count < 2 || count > MAX_COMPARED_EXECUTIONS;
+        btn.textContent = count > MAX_COMPARED_EXECUTIONS
+            ? `Select at most ${MAX_COMPARED_EXECUTIONS} executions`
+            : `Compare ${count > 1 ? count + ' Executions' : 'Performance'}`;
+    }
+
+    async executeComparison() {
+        const selectedIds = this.getSelectedComparisonIds();
+        if (selectedIds.length < 2) return;
+        
+        // The oldest run is the baseline, so a series of tuning experiments reads left to right in time
+        const executionIds = this.comparisonExecutions
+            .filter(e => selectedIds.includes(e.id))
+            .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt))
+            .map(e => e.id);
+        
+        try {
+            const response = await fetch('/api/executions/compare/multi', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ executionIds })
+            });
+            
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || 'Failed to compare executions');
+            }
+            
+            const result = await response.json();
+            const executions = await Promise.all(executionIds.map(id =>
+                fetch(`/api/executions/${id}/metrics`).then(r => r.ok ? r.json() : null)));
+            this.displayComparisonResults(result, executions);
+            
+        } catch (err) {
+            console.error('Comparison failed:', err);
+            this.showAlert('error', 'Comparison Failed', err.message);
+        }
+    }
+
+    displayComparisonResults(result, executions) {
+        const selectionDiv = document.getElementById('comparisonSelection');
+        const resultsDiv = document.getElementById('comparisonResults');
+        
+        selectionDiv.classList.add('hidden');
+        resultsDiv.classList.remove('hidden');
+        
+        document.getElementById('comparisonSummary').textContent =
+            `${result.executions.length + 1} executions compared against the baseline from ${new Date(result.baseline.startedAt).toLocaleString()}`;
+        
+        const rows = [{ execution: result.baseline, delta: null }, ...result.executions];
+        document.getElementById('comparisonTableBody').innerHTML = rows
+            .map((row, index) => this.renderComparisonRow(row.execution, row.delta, index))
+            .join('');
+        
+        this.renderComparisonChart(result, executions);
+    }
+
+    renderComparisonRow(summary, delta, index) {
+        const failureRate = summary.totalRequests > 0 ? (summary.failedRequests / summary.totalRequests) * 100 : 0;
+        const cell = (value, change) => `<td><div>${value}</div>${delta ? `<div class="comparison-change">${change}</div>` : ''}</td>`;
+        const assessment = delta
+            ? `<span class="comparison-assessment ${this.getAssessmentClass(delta.assessment)}">${delta.assessment}</span>`
+            : '<span class="comparison-assessment neutral">Baseline</span>';
+        
+        return `
+            <tr>
+                <td>
+                    <div class="comparison-execution-label">
+                        <span class="comparison-swatch" style="background: ${getComparisonColor(index)}"></span>
+                        <div>
+                            <strong>${this.escapeHtml(summary.endpointName || 'Ad-hoc Test')}</strong>
+                            <div class="comparison-execution-stats">${new Date(summary.startedAt).toLocaleString()}</div>
+                        </div>
+                    </div>
+                </td>
+                ${cell(summary.requestsPerSecond.toFixed(2), delta && this.formatDelta(delta.rpsDelta, delta.rpsPercentChange, true))}
+                ${cell(summary.averageResponseTime.toFixed(2) + ' ms', delta && this.formatDelta(delta.avgResponseTimeDelta, delta.avgResponseTimePercentChange, false))}
+                ${cell(summary.percentile50.toFixed(2) + ' ms', delta && this.formatDelta(delta.p50Delta, delta.p50PercentChange, false))}
+                ${cell(summary.percentile90.toFixed(2) + ' ms', delta && this.formatDelta(delta.p90Delta, delta.p90PercentChange, false))}
+                ${cell(summary.percentile95.toFixed(2) + ' ms', delta && this.formatDelta(delta.p95Delta, delta.p95PercentChange, false))}
+                ${cell(summary.percentile99.toFixed(2) + ' ms', delta && this.formatDelta(delta.p99Delta, delta.p99PercentChange, false))}
+                ${cell(failureRate.toFixed(2) + '%', delta && this.formatDelta(delta.failureRateDelta, 0, false))}
+                <td>${assessment}</td>
+            </tr>
+        `;
+    }
+
+    formatDelta(value, percent, higherIsBetter) {
+        if (Math.abs(value) < 0.01 && Math.abs(percent) < 0.01) {
+            return '<span class="neutral">-</span>';
+        }
+        
+        const isPositive = value > 0;
+        const isImprovement = higherIsBetter ? isPositive : !isPositive;
+        const className = isImprovement ? 'improved' : 'regressed';
+        const sign = isPositive ? '+' : '';
+        
+        let displayValue = `${sign}${value.toFixed(2)}`;
+        if (Math.abs(percent) >= 0.01) {
+            displayValue += ` (${sign}${percent.toFixed(1)}%)`;
+        }
+        
+        return `<span class="${className}">${displayValue}</span>`;
+    }
+
+    getAssessmentClass(assessment) {
+        if (assessment.includes('Significant Improvement')) return 'excellent';
+        if (assessment.includes('Improvement')) return 'good';
+        if (assessment.includes('Significant Regression')) return 'critical';
+        if (assessment.includes('Regression')) return 'warning';
+        return 'neutral';
+    }
+
+    getAssessmentIcon(assessment) {
+        if (assessment.includes('Improvement')) return 'chart-line';
+        if (assessment.includes('Regression')) return 'chart-line';
+        return 'equals';
+    }
+
+    renderComparisonChart(result, executions) {
+        const ctx = document.getElementById('comparisonTimelineChart').getContext('2d');
+        
+        if (this.comparisonChart) {
+            this.comparisonChart.destroy();
+        }
+        
+        const summaries = [result.baseline, ...result.executions.map(e => e.execution)];
+        
+        this.comparisonChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: summaries.map((summary, index) => ({
+                    label: `${index === 0 ? 'Baseline' : '#' + (index + 1)} - ${summary.endpointName || 'Ad-hoc Test'} (${new Date(summary.startedAt).toLocaleString()})`,
+                    data: executions[index] ? getResponseTimeSeries(executions[index]) : [],
+                    borderColor: getComparisonColor(index),
+                    backgroundColor: getComparisonColor(index),
+                    borderWidth: index === 0 ? 2.5 : 1.5,
+                    fill: false,
+                    tension: 0.3,
+                    pointRadius: 0
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'nearest',
+                    axis: 'x'
+                },
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            boxWidth: 12,
+                            padding: 16
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => items.length > 0 ? formatLoadProfileDuration(items[0].parsed.x) : '',
+                            label: (ctx) => `${ctx.dataset.label}: ${Math.round(ctx.parsed.y)} ms`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Elapsed time'
+                        },
+                        ticks: {
+                            callback: (value) => formatLoadProfileDuration(value)
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: (value) => value + ' ms'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    showComparisonSelection() {
+        const selectionDiv = document.getElementById('comparisonSelection');
+        const resultsDiv = document.getElementById('comparisonResults');
+        
+        selectionDiv.classList.remove('hidden');
+        resultsDiv.classList.add('hidden');
+    }
+
+    initCharts() {
+        try {
+            const rtCtx = document.getElementById('responseTimeChart').getContext('2d');
+            
+            const gradientPurple = rtCtx.createLinearGradient(0, 0, 0, 280);
+            gradientPurple.addColorStop(0, 'rgba(124, 58, 237, 0.3)');
+            gradientPurple.addColorStop(1, 'rgba(124, 58, 237, 0.0)');
+            
+            const gradientCyan = rtCtx.createLinearGradient(0, 0, 0, 280);
+            gradientCyan.addColorStop(0, 'rgba(6, 182, 212, 0.3)');
+            gradientCyan.addColorStop(1, 'rgba(6, 182, 212, 0.0)');
+
+            this.charts.responseTime = new Chart(rtCtx, {
+                type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'p95 (ms)',
+                    data: [],
+                    borderColor: '#7c3aed',
+                    backgroundColor: gradientPurple,
+                    fill: true,
+                    tension: 0.4,
+                    spanGaps: true,
+                    pointRadius: 0,
+                    borderWidth: 2
+                }, {
+                    label: 'Average (ms)',
+                    data: [],
+                    borderColor: '#06b6d4',
+                    backgroundColor: gradientCyan,
+                    fill: true,
+                    tension: 0.4,
+                    spanGaps: true,
+                    pointRadius: 0,
+                    borderWidth: 2
+                }, {
+                    label: 'Active VUs',
+                    data: [],
+                    yAxisID: 'users',
+                    borderColor: '#10b981',
+                    fill: false,
+                    stepped: true,
+                    spanGaps: true,
+                    pointRadius: 0,
+                    borderWidth: 1.5
+                }, {
+                    label: 'Target VUs',
+                    data: [],
+                    yAxisID: 'users',
+                    borderColor: '#f59e0b',
+                    borderDash: [6, 4],
+                    fill: false,
+                    tension: 0,
+                    spanGaps: true,
+                    pointRadius: 0,
+                    borderWidth: 1.5
+                }, {
+                    // Max and min are drawn as a shaded band: max fills down to the min dataset
+                    label: 'Min/Max (ms)',
+                    data: [],
+                    borderColor: 'rgba(124, 58, 237, 0.25)',
+                    backgroundColor: 'rgba(124, 58, 237, 0.08)',
+                    fill: '+1',
+                    tension: 0.4,
+                    spanGaps: true,
+                    pointRadius: 0,
+                    borderWidth: 1
+                }, {
+                    label: 'Min (ms)',
+                    data: [],
+                    borderColor: 'rgba(124, 58, 237, 0.25)',
+                    fill: false,
+                    tension: 0.4,
+                    spanGaps: true,
+                    pointRadius: 0,
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: { duration: 0 },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        grid: { display: false },
+                        ticks: { 
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            maxTicksLimit: 8
+                        }
+                    },
+                    y: {
+                        display: true,
+                        beginAtZero: true,
+                        grid: { 
+                            color: 'rgba(0,0,0,0.05)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            callback: (value) => value + 'ms'
+                        }
+                    },
+                    users: {
+                        display: 'auto',
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: { display: false },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            precision: 0,
+                            callback: (value) => value + ' VUs'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: { 
+                        display: true,
+                        position: 'top',
+                        align: 'end',
+                        labels: {
+                            boxWidth: 12,
+                            padding: 16,
+                            font: { size: 11 },
+                            filter: (item, data) => item.datasetIndex !== 5 && data.datasets[item.datasetIndex].data.length > 0
+                        },
+                        onClick: (e, item, legend) => {
+                            const chart = legend.chart;
+                            const visible = !chart.isDatasetVisible(item.datasetIndex);
+                            const indexes = item.datasetIndex === 4 ? [4, 5] : [item.datasetIndex];
+                            indexes.forEach(i => chart.setDatasetVisibility(i, visible));
+                            chart.update();
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            footer: (items) => {
+                                const bucket = this.timeline[items[0]?.dataIndex];
+                                return bucket ? `${bucket.count.toLocaleString()} samples` : '';
+                            }
+                        }
+                    },
+                    zoom: this.getTimelineZoomOptions()
+                }
+            }
+        });
+
+        const scCtx = document.getElementById('statusCodeChart').getContext('2d');
+        this.charts.statusCode = new Chart(scCtx, {
+            type: 'doughnut',
+            data: {
+                labels: [],
+                datasets: [{
+                    data: [],
+                    backgroundColor: [],
+                    borderWidth: 0,
+                    spacing: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: { duration: 0 },
+                cutout: '65%',
+                plugins: {
+                    legend: { 
+                        position: 'right',
+                        labels: {
+                            boxWidth: 12,
+                            padding: 12,
+                            font: { size: 11 }
+                        }
+                    }
+                }
+            }
+        });
+
+        const pctCtx = document.getElementById('percentileChart').getContext('2d');
+        this.charts.percentile = new Chart(pctCtx, {
+            type: 'bar',
+            data: {
+                labels: ['P50', 'P75', 'P90', 'P95', 'P99'],
+                datasets: [{
+                    label: 'Response Time (ms)',
+                    data: [0, 0, 0, 0, 0],
+                    backgroundColor: [
+                        'rgba(16, 185, 129, 0.8)',
+                        'rgba(6, 182, 212, 0.8)',
+                        'rgba(245, 158, 11, 0.8)',
+                        'rgba(239, 68, 68, 0.8)',
+                        'rgba(139, 92, 246, 0.8)'
+                    ],
+                    borderRadius: 6,
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                indexAxis: 'y',
+                animation: { duration: 0 },
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        grid: { 
+                            color: 'rgba(0,0,0,0.05)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            callback: (value) => value + 'ms'
+                        }
+                    },
+                    y: {
+                        grid: { display: false },
+                        ticks: {
+                            color: '#6b7280',
+                            font: { size: 11, weight: '500' }
+                        }
+                    }
+                },
+                plugins: {
+                    legend: { display: false }
+                }
+            }
+        });
+
+        const bucketLabels = getLatencyBucketLabels();
+
+        const histCtx = document.getElementById('latencyHistogramChart').getContext('2d');
+        this.charts.latencyHistogram = new Chart(histCtx, {
+            type: 'bar',
+            data: {
+                labels: bucketLabels,
+                datasets: [{
+                    label: 'Requests',
+                    data: [],
+                    backgroundColor: 'rgba(124, 58, 237, 0.8)',
+                    borderRadius: 4,
+                    borderWidth: 0,
+                    barPercentage: 1,
+                    categoryPercentage: 0.9
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: { duration: 0 },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: {
+                            color: '#6b7280',
+                            font: { size: 10 },
+                            maxRotation: 0,
+                            autoSkip: true
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        grid: { 
+                            color: 'rgba(0,0,0,0.05)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            precision: 0
+                        }
+                    }
+                },
+                plugins: {
+                    legend: { display: false }
+                }
+            }
+        });
+
+        const heatCtx = document.getElementById('latencyHeatmapChart').getContext('2d');
+        this.charts.latencyHeatmap = new Chart(heatCtx, {
+            type: 'bar',
+            // One stacked dataset per latency bucket; every cell has height 1 and is coloured by its count
+            data: {
+                labels: [],
+                datasets: bucketLabels.map(label => ({
+                    label,
+                    data: [],
+                    counts: [],
+                    backgroundColor: (ctx) => getHeatmapColor(ctx.dataset.counts[ctx.dataIndex] || 0, this.latencyHeatmapMax),
+                    borderWidth: 0,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: { duration: 0 },
+                scales: {
+                    x: {
+                        stacked: true,
+                        grid: { display: false },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            maxRotation: 0,
+                            autoSkip: true
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        min: 0,
+                        max: bucketLabels.length,
+                        grid: { display: false },
+                        ticks: {
+                            stepSize: 2,
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            callback: (value) => value === 0 ? '0' : value <= LATENCY_BUCKET_BOUNDS_MS.length ? formatLatencyBound(LATENCY_BUCKET_BOUNDS_MS[value - 1]) : ''
+                        }
+                    }
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        filter: (item) => (item.dataset.counts[item.dataIndex] || 0) > 0,
+                        callbacks: {
+                            label: (ctx) => `${ctx.dataset.label}: ${ctx.dataset.counts[ctx.dataIndex].toLocaleString()} requests`
+                        }
+                    }
+                }
+            }
+        });
+
+        const tpCtx = document.getElementById('throughputChart').getContext('2d');
+        this.charts.throughput = new Chart(tpCtx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Requests/s',
+                    data: [],
+                    borderColor: '#06b6d4',
+                    backgroundColor: 'rgba(6, 182, 212, 0.15)',
+                    fill: true,
+                    tension: 0.3,
+                    spanGaps: true,
+                    pointRadius: 0,
+                    borderWidth: 2
+                }, {
+                    label: 'Errors/s',
+                    data: [],
+                    borderColor: '#ef4444',
+                    backgroundColor: 'rgba(239, 68, 68, 0.15)',
+                    fill: true,
+                    tension: 0,
+                    pointRadius: 0,
+                    borderWidth: 1.5
+                }, {
+                    label: 'Active VUs',
+                    data: [],
+                    yAxisID: 'users',
+                    borderColor: '#10b981',
+                    fill: false,
+                    stepped: true,
+                    spanGaps: true,
+                    pointRadius: 0,
+                    borderWidth: 1.5
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: { duration: 0 },
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        grid: { display: false },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            maxTicksLimit: 8
+                        }
+                    },
+                    y: {
+                        display: true,
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(0,0,0,0.05)',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            callback: (value) => value + '/s'
+                        }
+                    },
+                    users: {
+                        display: 'auto',
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: { display: false },
+                        ticks: {
+                            color: '#9ca3af',
+                            font: { size: 10 },
+                            precision: 0,
+                            callback: (value) => value + ' VUs'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        align: 'end',
+                        labels: {
+                            boxWidth: 12,
+                            padding: 16,
+                            font: { size: 11 }
+                        }
+                    },
+                    zoom: this.getTimelineZoomOptions()
+                }
+            }
+        });
+
+        ['responseTimeChart', 'throughputChart'].forEach(id => {
+            document.getElementById(id).addEventListener('dblclick', () => this.resetTimelineZoom());
+        });
+        } catch (err) {
+            console.error('Error initializing charts:', err);
+        }
+    }
+
+    resetLatencyCharts() {
+        this.latencyHistogram = new Array(LATENCY_BUCKET_BOUNDS_MS.length + 1).fill(0);
+        this.latencyBySecond = [];
+        this.updateLatencyCharts();
+    }
+
+    recordLatency(elapsedSeconds, responseTime) {
+        const bucket = getLatencyBucket(responseTime);
+        const second = Math.max(0, Math.floor(elapsedSeconds));
+
+        this.latencyHistogram[bucket]++;
+        for (let s = this.latencyBySecond.length; s <= second; s++) {
+            this.latencyBySecond.push(new Array(this.latencyHistogram.length).fill(0));
+        }
+        this.latencyBySecond[second][bucket]++;
+    }
+
+    resetTimeline() {
+        this.timeline = [];
+        this.updateTimelineCharts();
+        this.resetTimelineZoom();
+    }
+
+    // Aggregates samples into one bucket per elapsed second so the charts keep the whole run
+    // however many metrics are streamed. Seconds without samples stay as gaps.
+    recordTimelineSample(startTime, elapsedSeconds, sample) {
+        const second = Math.max(0, Math.floor(elapsedSeconds));
+
+        for (let s = this.timeline.length; s <= second; s++) {
+            if (s > 0) closeTimelineBucket(this.timeline[s - 1]);
+            this.timeline.push({
+                time: this.formatChartTime(new Date(startTime.getTime() + s * 1000)),
+                count: 0,
+                sum: 0,
+                min: null,
+                max: null,
+                p95: null,
+                samples: [],
+                rps: null,
+                errors: 0,
+                users: null,
+                target: null
+            });
+        }
+
+        const bucket = this.timeline[second];
+        bucket.count++;
+        bucket.sum += sample.responseTime;
+        bucket.min = bucket.min === null ? sample.responseTime : Math.min(bucket.min, sample.responseTime);
+        bucket.max = bucket.max === null ? sample.responseTime : Math.max(bucket.max, sample.responseTime);
+        bucket.samples?.push(sample.responseTime);
+        bucket.rps = sample.rps;
+        bucket.errors += sample.errors;
+        bucket.users = sample.users;
+        bucket.target = sample.target;
+    }
+
+    updateTimelineCharts() {
+        const rtChart = this.charts.responseTime;
+        if (rtChart) {
+            const p95 = this.timeline.map(d => d.samples ? getTimelineP95(d.samples) : d.p95);
+            rtChart.data.labels = this.timeline.map(d => d.time);
+            rtChart.data.datasets[0].data = p95;
+            rtChart.data.datasets[1].data = this.timeline.map(d => d.count > 0 ? d.sum / d.count : null);
+            rtChart.data.datasets[2].data = this.timeline.map(d => d.users);
+            rtChart.data.datasets[3].data = this.timeline.some(d => d.target !== null)
+                ? this.timeline.map(d => d.target)
+                : [];
+            rtChart.data.datasets[4].data = this.timeline.map(d => d.max);
+            rtChart.data.datasets[5].data = this.timeline.map(d => d.min);
+            rtChart.update('none');
+        }
+
+        const tpChart = this.charts.throughput;
+        if (tpChart) {
+            tpChart.data.labels = this.timeline.map(d => d.time);
+            tpChart.data.datasets[0].data = this.timeline.map(d => d.rps);
+            tpChart.data.datasets[1].data = this.timeline.map(d => d.errors);
+            tpChart.data.datasets[2].data = this.timeline.map(d => d.users);
+            tpChart.update('none');
+        }
+    }
+
+    // Metrics can arrive far faster than the screen refreshes, so they are only recorded as they come in
+    // and all live charts are redrawn at most once per animation frame.
+    scheduleChartsRender() {
+        if (this.chartsFrame) return;
+        this.chartsFrame = requestAnimationFrame(() => {
+            this.chartsFrame = null;
+            this.renderLiveCharts();
+        });
+    }
+
+    cancelChartsRender() {
+        cancelAnimationFrame(this.chartsFrame);
+        this.chartsFrame = null;
+    }
+
+    renderLiveCharts() {
+        this.updateTimelineCharts();
+        this.updateLatencyCharts();
+
+        const scChart = this.charts.statusCode;
+        scChart.data.labels = Object.keys(this.statusCodeCounts);
+        scChart.data.datasets[0].data = Object.values(this.statusCodeCounts);
+        scChart.data.datasets[0].backgroundColor = scChart.data.labels.map(label => this.getStatusCodeColor(label));
+        scChart.update('none');
+    }
+
+    getTimelineZoomOptions() {
+        const sync = ({ chart }) => this.syncTimelineZoom(chart);
+        return {
+            pan: {
+                enabled: true,
+                mode: 'x',
+                onPanComplete: sync
+            },
+            zoom: {
+                wheel: { enabled: true },
+                pinch: { enabled: true },
+                mode: 'x',
+                onZoomComplete: sync
+            },
+            limits: {
+                x: { minRange: 10 }
+            }
+        };
+    }
+
+    // Keeps the response time and throughput charts on the same window of the timeline
+    syncTimelineZoom(source) {
+        const { min, max } = source.scales.x;
+        [this.charts.responseTime, this.charts.throughput]
+            .filter(chart => chart && chart !== source)
+            .forEach(chart => chart.zoomScale('x', { min, max }, 'none'));
+        document.getElementById('resetZoomBtn').classList.remove('hidden');
+    }
+
+    resetTimelineZoom() {
+        [this.charts.responseTime, this.charts.throughput]
+            .filter(chart => chart?.resetZoom)
+            .forEach(chart => chart.resetZoom('none'));
+        document.getElementById('resetZoomBtn').classList.add('hidden');
+    }
+
+    formatChartTime(date) {
+        return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    updateLatencyCharts() {
+        const histChart = this.charts.latencyHistogram;
+        const heatChart = this.charts.latencyHeatmap;
+        if (!histChart || !heatChart) return;
+
+        histChart.data.datasets[0].data = [...this.latencyHistogram];
+        histChart.update('none');
+
+        // Merge seconds into wider columns so long runs still fit the chart
+        const secondsPerColumn = Math.max(1, Math.ceil(this.latencyBySecond.length / HEATMAP_MAX_COLUMNS));
+        const columns = [];
+        for (let start = 0; start < this.latencyBySecond.length; start += secondsPerColumn) {
+            const counts = new Array(this.latencyHistogram.length).fill(0);
+            this.latencyBySecond.slice(start, start + secondsPerColumn).forEach(second => {
+                second.forEach((count, bucket) => counts[bucket] += count);
+            });
+            columns.push({ start, counts });
+        }
+
+        heatChart.data.labels = columns.map(c => formatLoadProfileDuration(c.start));
+        heatChart.data.datasets.forEach((dataset, bucket) => {
+            dataset.data = columns.map(() => 1);
+            dataset.counts = columns.map(c => c.counts[bucket]);
+        });
+        this.latencyHeatmapMax = Math.max(0, ...columns.flatMap(c => c.counts));
+        heatChart.update('none');
+    }
+
+    bindEvents() {
+        const form = document.getElementById('testForm');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startTest();
+        });
+
+        document.getElementById('stopBtn').addEventListener('click', () => {
+            this.stopTest();
+        });
+
+        document.getElementById('method').addEventListener('change', (e) => {
+            const bodySection = document.getElementById('bodySection');
+            const needsBody = ['POST', 'PUT', 'PATCH'].includes(e.target.value);
+            bodySection.style.display = needsBody ? 'block' : 'none';
+        });
+
+        document.getElementById('users').addEventListener('change', (e) => {
+            document.getElementById('infoUsers').textContent = e.target.value + ' VUs';
+        });
+    }
+
+    toggleQuickTestMode() {
+        const mode = document.getElementById('testMode').value;
+        const requestsGroup = document.getElementById('requestsGroup');
+        const durationGroup = document.getElementById('durationGroup');
+        
+        requestsGroup.style.display = mode === 'requests' ? 'block' : 'none';
+        durationGroup.style.display = mode === 'duration' ? 'block' : 'none';
+        // Profiles set their own concurrency, so the fixed user count doesn't apply
+        document.getElementById('usersGroup').style.display = isLoadProfileMode(mode) ? 'none' : 'block';
+        toggleLoadProfileSection('quick', mode);
+    }
+
+    toggleEndpointTestMode() {
+        const mode = document.getElementById('endpointTestMode').value;
+        const requestsGroup = document.getElementById('endpointRequestsGroup');
+        const durationGroup = document.getElementById('endpointDurationGroup');
+        
+        requestsGroup.style.display = mode === 'requests' ? 'block' : 'none';
+        durationGroup.style.display = mode === 'duration' ? 'block' : 'none';
+        // Profiles set their own concurrency, so the fixed user count doesn't apply
+        document.getElementById('endpointUsersGroup').style.display = isLoadProfileMode(mode) ? 'none' : 'block';
+        toggleLoadProfileSection('endpoint', mode);
+    }
+
+    async connectSignalR() {
+        this.connection = new signalR.HubConnectionBuilder()
+            .withUrl('/hubs/loadtest')
+            .withAutomaticReconnect()
+            .build();
+
+        this.connection.on('Connected', (data) => {
+            console.log('Connected to hub:', data.connectionId);
+            this.updateConnectionStatus(true);
+        });
+
+        this.connection.on('MetricReceived', (metric) => {
+            if (this.isOtherTest(metric.testId)) return;
+            this.handleMetric(metric);
+        });
+
+        this.connection.on('TestCompleted', (result) => {
+            console.log('TestCompleted event received:', result);
+            if (this.isOtherTest(result.testId)) return;
+            this.handleTestCompleted(result);
+        });
+
+        this.connection.on('QueueChanged', (queue) => {
+            this.queue = queue;
+            this.renderQueue();
+        });
+
+        this.connection.on('QueuedTestStarted', (message) => {
+            console.log('QueuedTestStarted event received:', message);
+            this.handleQueueEvent('started', message);
+        });
+
+        this.connection.on('QueuedTestFailed', (message) => {
+            console.log('QueuedTestFailed event received:', message);
+            this.handleQueueEvent('failed', message);
+        });
+
+        this.connection.on('QueuedTestCancelled', (message) => {
+            this.handleQueueEvent('cancelled', message);
+        });
+
+        this.connection.on('TestStarted', (test) => {
+            console.log('TestStarted event received:', test);
+            this.handleTestStarted(test);
+        });
+
+        this.connection.on('TestError', (error) => {
+            console.log('TestError event received:', error);
+            if (this.isOtherTest(error.testId)) return;
+            this.handleTestError(error);
+        });
+
+        this.connection.on('AuthenticationStarted', () => {
+            this.showAuthNotification('Authenticating...', 'info');
+        });
+
+        this.connection.on('AuthenticationSuccess', () => {
+            this.showAuthNotification('Authentication successful!', 'success');
+        });
+
+        this.connection.on('AuthenticationFailed', (data) => {
+            this.showAuthNotification(`Failed: ${data.error}`, 'error');
+        });
+
+        this.connection.onclose(() => {
+            this.updateConnectionStatus(false);
+        });
+
+        this.connection.onreconnecting(() => {
+            this.updateConnectionStatus(false);
+        });
+
+        this.connection.onreconnected(async () => {
+            this.updateConnectionStatus(true);
+            await this.syncTestStatus();
+            await this.loadQueue();
+        });
+
+        try {
+            await this.connection.start();
+            this.updateConnectionStatus(true);
+            await this.syncTestStatus();
+        } catch (err) {
+            console.error('SignalR connection error:', err);
+            this.updateConnectionStatus(false);
+        }
+    }
+
+    // Events for a test this dashboard did not start and is not watching belong to someone else. While a start
+    // request is in flight its test id is not known yet, so everything is accepted until the server answers
+    isOtherTest(testId) {
+        return !this.startPending && testId !== this.testId;
+    }
+
+    // A dashboard that is busy with its own test, or waiting for one, keeps showing it
+    isBusy() {
+        return this.isRunning || this.startPending || this.queueWaiter !== null || this.suiteRun !== null;
+    }
+
+    async syncTestStatus() {
+        try {
+            const response = await fetch('/api/test/status');
+            const data = await response.json();
+            if (!data.isRunning && this.isRunning) {
+                console.log('Syncing: test is not running on server, resetting frontend state');
+                this.isRunning = false;
+                this.watching = false;
+                this.toggleButtons(false);
+                this.updateTestStatus('idle');
+            } else if (data.test && !this.isBusy()) {
+                await this.watchTest(data.test);
+            }
+        } catch (err) {
+            console.error('Failed to sync test status:', err);
+        }
+    }
+
+    handleTestStarted(test) {
+        if (test.triggeredBy === 'Scheduled') {
+            this.loadSchedules();
+        }
+        if (test.testId === this.testId || this.startPending || this.queueWaiter || this.suiteRun) return;
+
+        if (this.isRunning) {
+            // The previous run has not reported completion yet; pick this one up once it has
+            this.missedTest = test;
+            return;
+        }
+        this.watchTest(test);
+    }
+
+    async watchRunningTest() {
+        try {
+            const response = await fetch('/api/test/status');
+            const data = await response.json();
+            if (data.test && !this.isBusy()) {
+                await this.watchTest(data.test);
+            }
+        } catch (err) {
+            console.error('Failed to watch running test:', err);
+        }
+    }
+
+    // Follows a test started from another dashboard or by a schedule: joins its metric stream and backfills the
+    // charts from the metric snapshots stored so far
+    async watchTest(test) {
+        try {
+            const executionRes = await fetch(`/api/executions/test/${encodeURIComponent(test.testId)}`);
+            if (!executionRes.ok) return;
+            const execution = await executionRes.json();
+
+            const [metricsRes, endpointRes] = await Promise.all([
+                fetch(`/api/executions/${execution.id}/metrics`),
+                test.endpointId ? fetch(`/api/endpoints/${test.endpointId}`) : Promise.resolve(null)
+            ]);
+            const metrics = metricsRes.ok ? (await metricsRes.json()).metrics || [] : [];
+            const endpoint = endpointRes?.ok ? await endpointRes.json() : null;
+
+            // Something may have started here, or the run may have finished, while the history loaded
+            if (this.isBusy() || execution.status !== 'Running') return;
+
+            this.activeLoadProfile = parseLoadProfile(execution.loadProfileJson);
+            this.updateTestInfo({ users: execution.users, requests: execution.targetRequests, duration: execution.targetDuration }, this.activeLoadProfile);
+            this.showTestLauncher(test);
+            this.resetCharts();
+            this.toggleButtons(true);
+            this.updateTestStatus('running');
+            this.startTime = new Date(test.startedAt);
+            document.getElementById('infoDate').textContent = this.startTime.toLocaleDateString('en-US', {
+                day: 'numeric',
+                month: 'short',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+
+            if (metrics.length > 0) {
+                this.replayMetricSnapshots(metrics, this.startTime, this.activeLoadProfile);
+                const latest = metrics[metrics.length - 1];
+                this.peakRps = Math.max(...metrics.map(m => m.currentRps));
+                document.getElementById('statTotalRequests').textContent = this.formatNumber(latest.totalRequests);
+                document.getElementById('statFailed').textContent = this.formatNumber(latest.failedRequests);
+                document.getElementById('statAvgResponse').textContent = Math.round(latest.averageResponseTime);
+                document.getElementById('statRps').textContent = this.peakRps.toFixed(2);
+            }
+
+            this.testId = test.testId;
+            this.isRunning = true;
+            this.watching = true;
+            this.missedTest = null;
+            this.runHeaders = { testId: test.testId, headers: endpoint ? parseHeaders(endpoint.headersJson) : null };
+            if (endpoint) {
+                document.getElementById('projectNameHeader').textContent = endpoint.name;
+            }
+
+            this.showToast('info', 'Watching Test', `${this.escapeHtml(test.name)}: ${this.escapeHtml(describeTestLauncher(test))}`);
+        } catch (err) {
+            console.error('Failed to watch test:', err);
+        }
+    }
+
+    showTestLauncher(test) {
+        const item = document.getElementById('infoLauncher');
+        document.getElementById('infoLauncherText').textContent = describeTestLauncher(test);
+        document.getElementById('infoLauncherIcon').className = `fas fa-${test.triggeredBy === 'Scheduled' ? 'clock' : 'eye'}`;
+        item.style.display = '';
+    }
+
+    showAuthNotification(message, type) {
+        const authStatus = document.getElementById('authStatus');
+        if (authStatus) {
+            const colors = { info: '#06b6d4', success: '#10b981', error: '#ef4444' };
+            authStatus.innerHTML = `<span style="color: ${colors[type]}; font-size: 0.75rem; margin-left: 8px;">${message}</span>`;
+        }
+    }
+
+    updateConnectionStatus(connected) {
+        const status = document.getElementById('connectionStatus');
+        if (connected) {
+            status.className = 'connection-badge connected';
+            status.innerHTML = '<span class="status-dot"></span><span class="status-text">Connected</span>';
+        } else {
+            status.className = 'connection-badge disconnected';
+            status.innerHTML = '<span class="status-dot"></span><span class="status-text">Disconnected</span>';
+        }
+    }
+
+    async startTest() {
+        const rawRequest = await this.buildRequest(false);
+        const request = this.resolveEnvironmentVariables(rawRequest);
+        
+        if (!request.url) {
+            this.showAlert('warning', 'Validation Error', 'Please enter a valid URL');
+            return;
+        }
+
+        const saveAsProject = document.getElementById('saveAsProject').checked;
+        let targetEndpointId = this.selectedEndpointId;
+        
+        if (saveAsProject && !targetEndpointId) {
+            const existingSection = document.getElementById('existingProjectSection');
+            const isExistingProject = !existingSection.classList.contains('hidden');
+            
+            try {
+                if (isExistingProject) {
+                    const projectId = document.getElementById('existingProject').value;
+                    const endpointName = document.getElementById('endpointName').value;
+                    
+                    if (!projectId) {
+                        this.showAlert('warning', 'Validation Error', 'Please select a project');
+                        return;
+                    }
+                    if (!endpointName) {
+                        this.showAlert('warning', 'Validation Error', 'Please enter an endpoint name');
+                        return;
+                    }
+                    
+                    const endpointDto = this.buildEndpointDto(endpointName, rawRequest);
+                    const response = await fetch(`/api/projects/${projectId}/endpoints`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(endpointDto)
+                    });
+                    
+                    if (!response.ok) {
+                        throw new Error('Failed to create endpoint');
+                    }
+                    
+                    const endpoint = await response.json();
+                    targetEndpointId = endpoint.id;
+                    
+                } else {
+                    const projectName = document.getElementById('projectName').value;
+                    const projectDescription = document.getElementById('projectDescription').value;
+                    const endpointName = document.getElementById('newEndpointName').value;
+                    
+                    if (!projectName) {
+                        this.showAlert('warning', 'Validation Error', 'Please enter a project name');
+                        return;
+                    }
+                    if (!endpointName) {
+                        this.showAlert('warning', 'Validation Error', 'Please enter an endpoint name');
+                        return;
+                    }
+                    
+                    const projectResponse = await fetch('/api/projects', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ name: projectName, description: projectDescription })
+                    });
+                    
+                    if (!projectResponse.ok) {
+                        throw new Error('Failed to create project');
+                    }
+                    
+                    const project = await projectResponse.json();
+                    
+                    const endpointDto = this.buildEndpointDto(endpointName, rawRequest);
+                    const endpointResponse = await fetch(`/api/projects/${project.id}/endpoints`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(endpointDto)
+                    });
+                    
+                    if (!endpointResponse.ok) {
+                        throw new Error('Failed to create endpoint');
+                    }
+                    
+                    const endpoint = await endpointResponse.json();
+                    targetEndpointId = endpoint.id;
+                }
+                
+                await this.loadProjects();
+                
+            } catch (err) {
+                console.error('Error saving to project:', err);
+                this.showAlert('error', 'Error', 'Failed to save to project: ' + err.message);
+                return;
+            }
+        }
+
+        const savedEndpoint = targetEndpointId
+            ? this.projects.flatMap(p => p.endpoints || []).find(ep => ep.id === targetEndpointId)
+            : null;
+        const beginRun = () => {
+            this.resetCharts();
+            this.toggleButtons(true);
+            this.updateTestStatus('running');
+            this.startTime = new Date();
+            this.peakRps = 0;
+
+            this.activeLoadProfile = savedEndpoint ? parseLoadProfile(savedEndpoint.loadProfileJson) : request.loadProfile;
+            this.updateTestInfo(savedEndpoint || request, this.activeLoadProfile);
+            document.getElementById('infoDate').textContent = this.startTime.toLocaleDateString('en-US', {
+                day: 'numeric',
+                month: 'short',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        };
+        beginRun();
+
+        document.getElementById('configPanel').classList.remove('open');
+
+        try {
+            let response;
+            
+            this.startPending = true;
+            if (targetEndpointId) {
+                const environment = targetEndpointId === this.selectedEndpointId
+                    ? this.getActiveEnvironment(this.currentProjectId)
+                    : null;
+                response = await fetch(`/api/endpoints/${targetEndpointId}/test/start`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ environmentId: environment ? environment.id : null })
+                });
+            } else {
+                response = await fetch('/api/test/start', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(request)
+                });
+            }
+
+            if (response.ok) {
+                const data = await response.json();
+                this.startPending = false;
+                const testId = response.status === 202 ? await this.waitForQueuedStart(data, beginRun) : data.testId;
+                this.testId = testId;
+                this.isRunning = true;
+                this.runHeaders = { testId, headers: savedEndpoint ? parseHeaders(savedEndpoint.headersJson) : request.headers };
+                await this.loadStatistics();
+            } else {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to start test');
+            }
+        } catch (err) {
+            console.error('Error starting test:', err);
+            if (!err.cancelled) {
+                this.showAlert('error', 'Test Failed', 'Failed to start test: ' + err.message);
+            }
+            this.startPending = false;
+            this.toggleButtons(false);
+            this.updateTestStatus('idle');
+        }
+    }
+    
+    updateTestInfo(config, loadProfile) {
+        document.getElementById('infoLauncher').style.display = 'none';
+        if (loadProfile) {
+            const peakUsers = getLoadProfilePeakUsers(loadProfile);
+            document.getElementById('infoUsers').textContent = loadProfile.type === 'arrival-rate'
+                ? `${loadProfile.rate} req/s (max ${peakUsers})`
+                : `${peakUsers} VUs peak`;
+            document.getElementById('infoRequests').textContent = '--';
+            document.getElementById('infoDuration').textContent = getLoadProfileDuration(loadProfile) + 's';
+            return;
+        }
+        document.getElementById('infoUsers').textContent = config.users + ' VUs';
+        document.getElementById('infoRequests').textContent = config.requests ? config.requests + ' reqs' : '--';
+        document.getElementById('infoDuration').textContent = config.duration ? config.duration + 's' : '--';
+    }
+
+    buildEndpointDto(name, request) {
+        return {
+            name: name,
+            url: request.url,
+            method: request.method,
+            users: request.users,
+            requests: request.requests,
+            duration: request.duration,
+            contentType: request.contentType,
+            body: request.body,
+            insecure: request.insecure,
+            headers: request.headers,
+            authentication: request.authentication,
+            abortRules: request.abortRules,
+            loadProfile: request.loadProfile
+        };
+    }
+
+    async stopTest() {
+        if (this.suiteRun) {
+            this.suiteRun.stopped = true;
+        }
+
+        // Still waiting in the queue, so the running test belongs to someone else
+        if (this.queueWaiter) {
+            await this.cancelQueuedTest(this.queueWaiter.id);
+            return;
+        }
+        
+        try {
+            await fetch('/api/test/stop', { method: 'POST' });
+            this.isRunning = false;
+        } catch (err) {
+            console.error('Error stopping test:', err);
+        }
+    }
+
+    updateTestStatus(status, label = null) {
+        const badge = document.getElementById('testStatusBadge');
+        const indicator = badge.querySelector('.status-indicator');
+        const text = badge.querySelector('span:last-child');
+        
+        indicator.className = 'status-indicator ' + status;
+        
+        const labels = { idle: 'Ready', queued: 'Queued', running: 'Running', completed: 'Completed', aborted: 'Aborted' };
+        text.textContent = label || labels[status] || status;
+    }
+
+    async buildRequest(resolveVariables = true) {
+        const headers = {};
+        document.querySelectorAll('#headersContainer .header-row').forEach(row => {
+            const key = row.querySelector('.header-key')?.value;
+            const value = row.querySelector('.header-value')?.value;
+            if (key && value) {
+                headers[key] = value;
+            }
+        });
+
+        const testMode = document.getElementById('testMode').value;
+        const useAuth = document.getElementById('useAuth').checked;
+        const body = await getBodyContent('quick');
+        
+        const request = {
+            url: this.getFullUrl('urlSchema', 'url'),
+            method: document.getElementById('method').value,
+            users: parseInt(document.getElementById('users').value) || 10,
+            requests: testMode === 'requests' ? (parseInt(document.getElementById('requests').value) || 100) : null,
+            duration: testMode === 'duration' ? (parseInt(document.getElementById('duration').value) || 30) : null,
+            contentType: document.getElementById('contentType').value,
+            body: body,
+            insecure: document.getElementById('insecure').checked,
+            headers: Object.keys(headers).length > 0 ? headers : null,
+            abortRules: getAbortRuleFields('quick'),
+            loadProfile: getLoadProfile('quick')
+        };
+
+        if (useAuth) {
+            request.authentication = this.buildAuthConfig();
+        }
+
+        return resolveVariables ? this.resolveEnvironmentVariables(request) : request;
+    }
+
+    buildAuthConfig() {
+        return {
+            url: this.getFullUrl('authUrlSchema', 'authUrl'),
+            method: document.getElementById('authMethod').value,
+            body: document.getElementById('authBody').value || null,
+            contentType: document.getElementById('authContentType').value,
+            tokenPath: document.getElementById('tokenPath').value || 'access_token',
+            headerName: document.getElementById('headerName').value || 'Authorization',
+            headerPrefix: document.getElementById('headerPrefix').value || 'Bearer '
+        };
+    }
+
+    formatNumber(num) {
+        if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
+        if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
+        return num.toString();
+    }
+
+    handleMetric(metric) {
+        document.getElementById('statTotalRequests').textContent = this.formatNumber(metric.totalRequests);
+        document.getElementById('statFailed').textContent = this.formatNumber(metric.failedRequests);
+        document.getElementById('statAvgResponse').textContent = Math.round(metric.averageResponseTime);
+
+        if (metric.currentRps > this.peakRps) {
+            this.peakRps = metric.currentRps;
+        }
+        document.getElementById('statRps').textContent = this.peakRps.toFixed(2);
+
+        document.getElementById('avgResponseBottom').textContent = Math.round(metric.averageResponseTime) + 'ms';
+        document.getElementById('totalRequestsBottom').textContent = this.formatNumber(metric.totalRequests);
+        document.getElementById('rpsBottom').textContent = metric.currentRps.toFixed(2);
+
+        const elapsedSeconds = (new Date() - this.startTime) / 1000;
+        this.recordTimelineSample(this.startTime, elapsedSeconds, {
+            responseTime: metric.responseTime,
+            rps: metric.currentRps,
+            errors: metric.isSuccess ? 0 : 1,
+            users: metric.activeUsers,
+            target: getLoadProfileTarget(this.activeLoadProfile, elapsedSeconds)
+        });
+        this.recordLatency(elapsedSeconds, metric.responseTime);
+
+        const statusGroup = metric.assertionFailed ? 'Assertion Failed' : this.getStatusCodeGroup(metric.statusCode);
+        this.statusCodeCounts[statusGroup] = (this.statusCodeCounts[statusGroup] || 0) + 1;
+        this.scheduleChartsRender();
+
+        if (metric.assertionFailures > 0) {
+            this.updateAssertionFailuresStat(metric.assertionFailures);
+        }
+    }
+
+    getStatusCodeColor(label) {
+        if (label === 'Assertion Failed') return '#ec4899';
+        switch (String(label).charAt(0)) {
+            case '2': return '#10b981';
+            case '3': return '#f59e0b';
+            case '4': return '#ef4444';
+            case '5': return '#8b5cf6';
+            default: return '#6b7280';
+        }
+    }
+
+    updateAssertionFailuresStat(count) {
+        const visible = count !== null && count !== undefined;
+        document.getElementById('assertionFailuresDivider').classList.toggle('hidden', !visible);
+        document.getElementById('assertionFailuresItem').classList.toggle('hidden', !visible);
+        document.getElementById('assertionFailuresBottom').textContent = visible ? this.formatNumber(count) : '0';
+    }
+
+    getStatusCodeGroup(statusCode) {
+        if (statusCode >= 200 && statusCode < 300) return '2xx Success';
+        if (statusCode >= 300 && statusCode < 400) return '3xx Redirect';
+        if (statusCode >= 400 && statusCode < 500) return '4xx Client Error';
+        if (statusCode >= 500) return '5xx Server Error';
+        return 'Other';
+    }
+
+    handleTestCompleted(result) {
+        console.log('handleTestCompleted called, updating UI...');
+        const wasWatching = this.watching;
+        this.isRunning = false;
+        this.watching = false;
+        this.toggleButtons(false);
+        this.updateTestStatus(result.abortReason ? 'aborted' : 'completed');
+        console.log('Status updated to completed');
+        
+        const evaluation = evaluateThresholds(result, result.thresholds);
+        if (result.abortReason) {
+            this.showToast('warning', 'Test Aborted', this.escapeHtml(result.abortReason));
+        } else if (evaluation && !evaluation.passed) {
+            const failedChecks = evaluation.checks.filter(c => !c.passed).map(c => c.label).join(', ');
+            this.showToast('warning', 'Thresholds Failed', `${result.totalRequests.toLocaleString()} requests at ${result.requestsPerSecond.toFixed(1)} req/s. Not met: ${failedChecks}`);
+        } else {
+            this.showToast('success', 'Test Completed', `${result.totalRequests.toLocaleString()} requests at ${result.requestsPerSecond.toFixed(1)} req/s`);
+        }
+
+        document.getElementById('statTotalRequests').textContent = this.formatNumber(result.totalRequests);
+        document.getElementById('statFailed').textContent = this.formatNumber(result.failedRequests);
+        document.getElementById('statRps').textContent = result.requestsPerSecond.toFixed(2);
+        document.getElementById('statAvgResponse').textContent = Math.round(result.averageResponseTime);
+        
+        document.getElementById('avgResponseBottom').textContent = Math.round(result.averageResponseTime) + 'ms';
+        document.getElementById('totalRequestsBottom').textContent = this.formatNumber(result.totalRequests);
+        document.getElementById('rpsBottom').textContent = result.requestsPerSecond.toFixed(2);
+        this.updateAssertionFailuresStat(result.assertions ? result.assertionFailures : null);
+
+        const pctChart = this.charts.percentile;
+        pctChart.data.datasets[0].data = [
+            result.percentile50,
+            result.percentile75,
+            result.percentile90,
+            result.percentile95,
+            result.percentile99
+        ];
+        pctChart.update();
+        this.cancelChartsRender();
+        this.renderLiveCharts();
+
+        this.displayFinalResults(result, evaluation);
+        this.updateBaselineState(result.testId, { notify: true });
+        
+        this.settleTestOutcome(result.testId, { result, error: this.testErrors.get(result.testId) || null });
+
+        const missed = this.missedTest;
+        this.missedTest = null;
+        if (missed && missed.testId !== result.testId && !this.isBusy()) {
+            if (wasWatching) {
+                this.watchTest(missed);
+            } else {
+                this.showToast('info', 'Test Running', `${this.escapeHtml(missed.name)}: ${this.escapeHtml(describeTestLauncher(missed))}. <a href="#" onclick="window.app.watchRunningTest(); return false;">Watch</a>`);
+            }
+        }
+    }
+
+    async downloadReport() {
+        const result = this.reportResult;
+        if (!result) return;
+
+        try {
+            const executionResponse = await fetch(`/api/executions/test/${encodeURIComponent(result.testId)}`);
+            const execution = executionResponse.ok ? await executionResponse.json() : null;
+
+            let endpoint = null;
+            if (execution?.endpointId) {
+                const endpointResponse = await fetch(`/api/endpoints/${execution.endpointId}`);
+                endpoint = endpointResponse.ok ? await endpointResponse.json() : null;
+            }
+
+            // Headers are not stored with an execution: use the ones the run was started with, else the endpoint's current ones
+            const headers = this.runHeaders?.testId === result.testId
+                ? this.runHeaders.headers
+                : parseHeaders(endpoint?.headersJson);
+            const project = endpoint ? this.projects.find(p => p.id === endpoint.projectId) : null;
+
+            const html = buildReportHtml({
+                title: endpoint ? `${project ? project.name + ' / ' : ''}${endpoint.name}` : (execution?.url || 'Load Test'),
+                execution,
+                headers,
+                sections: [
+                    ...['abortBanner', 'thresholdBanner', 'regressionBanner']
+                        .map(id => document.getElementById(id))
+                        .filter(el => !el.classList.contains('hidden'))
+                        .map(el => el.outerHTML),
+                    `<div class="report-grid">
+                        ${getReportTable('Global Metrics', null, 'globalResultsBody')}
+                        ${getReportTable('Percentiles', ['Percentile', 'Time'], 'percentileResultsBody')}
+                    </div>`,
+                    getReportTable('Results by Step', ['Step', 'Requests', 'Failed', 'Extraction Failures', 'Assertion Failures', 'Min', 'Avg', 'Max', 'P50', 'P95', 'P99'], 'stepResultsBody'),
+                    getReportTable('Results by Assertion', ['Assertion', 'Failures', 'Failure Rate'], 'assertionResultsBody'),
+                    getReportTable('Results by Status Code', ['Status', 'Count', 'Min', 'Avg', 'Max', 'P50', 'P90', 'P99'], 'statusCodeResultsBody')
+                ],
+                charts: REPORT_CHARTS
+                    .filter(c => this.charts[c.key])
+                    .map(c => ({ title: c.title, image: this.charts[c.key].toBase64Image('image/png', 1) }))
+            });
+
+            const startedAt = execution ? new Date(execution.startedAt) : new Date();
+            downloadFile(html, `nfury_report_${startedAt.toISOString().slice(0, 19).replace(/[^0-9]/g, '')}.html`, 'text/html');
+        } catch (err) {
+            console.error('Failed to build report:', err);
+            this.showAlert('error', 'Error', 'Failed to build report');
+        }
+    }
+
+    showExportMenu(event, executionId = null) {
+        // Keeps the click from opening the history item or reaching the listener that closes the menu
+        event.stopPropagation();
+
+        const menu = document.getElementById('exportMenu');
+        const rect = event.currentTarget.getBoundingClientRect();
+        this.exportExecutionId = executionId;
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.left = `${Math.max(8, rect.right - EXPORT_MENU_WIDTH)}px`;
+        menu.classList.remove('hidden');
+        document.addEventListener('click', () => menu.classList.add('hidden'), { once: true });
+    }
+
+    async exportExecution(format) {
+        const exporter = EXECUTION_EXPORTS[format];
+        try {
+            // Without an explicit execution the export is for the run shown in the results card
+            let executionId = this.exportExecutionId;
+            if (!executionId && this.reportResult) {
+                const response = await fetch(`/api/executions/test/${encodeURIComponent(this.reportResult.testId)}`);
+                executionId = response.ok ? (await response.json()).id : null;
+            }
+            if (!executionId) {
+                throw new Error('Execution not found');
+            }
+
+            const response = await fetch(`/api/executions/${executionId}/metrics`);
+            if (!response.ok) {
+                throw new Error(`Failed to load execution: ${response.status}`);
+            }
+            const execution = await response.json();
+
+            downloadFile(exporter.build(execution), `nfury_execution_${execution.id}_${exporter.fileName}`, exporter.type);
+        } catch (err) {
+            console.error('Failed to export execution:', err);
+            this.showAlert('error', 'Export Failed', err.message);
+        }
+    }
+
+    async updateBaselineState(testId, { notify = false } = {}) {
+        this.baselineTestId = testId;
+        try {
+            const executionResponse = await fetch(`/api/executions/test/${encodeURIComponent(testId)}`);
+            if (!executionResponse.ok) return;
+            const execution = await executionResponse.json();
+            // Aborted runs can neither be pinned nor compared fairly, so they get no verdict
+            if (!execution.endpointId || execution.status !== 'Completed' || execution.abortReason) return;
+
+            const [endpointResponse, comparisonResponse] = await Promise.all([
+                fetch(`/api/endpoints/${execution.endpointId}`),
+                fetch(`/api/executions/test/${encodeURIComponent(testId)}/baseline-comparison`)
+            ]);
+            if (!endpointResponse.ok) return;
+            const endpoint = await endpointResponse.json();
+            const comparison = comparisonResponse.status === 200 ? await comparisonResponse.json() : null;
+
+            // Another run or execution may have been displayed while the requests were in flight
+            if (this.baselineTestId !== testId) return;
+
+            this.baselineContext = {
+                executionId: execution.id,
+                endpointId: execution.endpointId,
+                pinned: endpoint.baselineExecutionId === execution.id
+            };
+            this.renderPinBaselineButton();
+            this.renderRegressionBanner(comparison);
+
+            if (notify && comparison) {
+                const verdict = REGRESSION_VERDICTS[comparison.delta.verdict] || REGRESSION_VERDICTS.unchanged;
+                const changes = getRegressionChecks(comparison.delta, comparison.tolerance)
+                    .map(c => `${c.label} ${formatRegressionChange(c)}`)
+                    .join(', ');
+                this.showToast(verdict.toast, verdict.title, `Against baseline: ${changes}`, 8000);
+            }
+        } catch (err) {
+            console.error('Failed to compare with baseline:', err);
+        }
+    }
+
+    renderPinBaselineButton() {
+        const button = document.getElementById('pinBaselineBtn');
+        if (!this.baselineContext) {
+            button.classList.add('hidden');
+            return;
+        }
+
+        const pinned = this.baselineContext.pinned;
+        button.innerHTML = `<i class="fas fa-thumbtack"></i> ${pinned ? 'Unpin Baseline' : 'Pin as Baseline'}`;
+        button.title = pinned
+            ? 'New runs of this endpoint are compared against this execution'
+            : 'Compare new runs of this endpoint against this execution';
+        button.classList.remove('hidden');
+    }
+
+    renderRegressionBanner(comparison) {
+        const banner = document.getElementById('regressionBanner');
+        if (!comparison) {
+            banner.className = 'threshold-banner hidden';
+            banner.innerHTML = '';
+            return;
+        }
+
+        const verdict = REGRESSION_VERDICTS[comparison.delta.verdict] || REGRESSION_VERDICTS.unchanged;
+        const baselineDate = new Date(comparison.baseline.startedAt).toLocaleString();
+        banner.className = `threshold-banner ${verdict.banner}`;
+        banner.innerHTML = `
+            <span class="threshold-banner-title" title="Baseline run of ${this.escapeHtml(baselineDate)}">
+                <i class="fas fa-${verdict.icon}"></i> ${verdict.label}
+            </span>
+            ${getRegressionChecks(comparison.delta, comparison.tolerance).map(c => `
+                <span class="threshold-check ${c.state}" title="Tolerance: ±${c.tolerance}${c.unit === 'pt' ? ' points' : '%'}">
+                    <i class="fas fa-${c.state === 'failed' ? 'times' : c.state === 'passed' ? 'check' : 'minus'}"></i>
+                    ${c.label}: ${formatRegressionChange(c)}
+                </span>
+            `).join('')}
+        `;
+    }
+
+    async toggleBaselinePin() {
+        const context = this.baselineContext;
+        if (!context) return;
+
+        try {
+            const response = context.pinned
+                ? await fetch(`/api/endpoints/${context.endpointId}/baseline`, { method: 'DELETE' })
+                : await fetch(`/api/endpoints/${context.endpointId}/baseline`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ executionId: context.executionId })
+                });
+            if (!response.ok) {
+                const error = await response.json().catch(() => null);
+                throw new Error(error?.error || `Request failed: ${response.status}`);
+            }
+
+            context.pinned = !context.pinned;
+            const endpoint = this.projects.flatMap(p => p.endpoints || []).find(ep => ep.id === context.endpointId);
+            if (endpoint) {
+                endpoint.baselineExecutionId = context.pinned ? context.executionId : null;
+            }
+
+            this.renderPinBaselineButton();
+            // A run is never compared against itself
+            if (context.pinned) {
+                this.renderRegressionBanner(null);
+            }
+            this.showToast('success', context.pinned ? 'Baseline Pinned' : 'Baseline Unpinned', context.pinned
+                ? 'New runs of this endpoint will be compared against this execution'
+                : 'New runs of this endpoint will no longer be checked for regressions');
+        } catch (err) {
+            console.error('Failed to update baseline:', err);
+            this.showAlert('error', 'Error', err.message);
+        }
+    }
+
+    displayFinalResults(result, evaluation = null) {
+        const resultsCard = document.getElementById('resultsCard');
+        resultsCard.classList.remove('hidden');
+        this.reportResult = result;
+
+        const abortBanner = document.getElementById('abortBanner');
+        if (result.abortReason) {
+            abortBanner.classList.remove('hidden');
+            abortBanner.innerHTML = `
+                <span class="threshold-banner-title">
+                    <i class="fas fa-hand-paper"></i> ABORTED
+                </span>
+                <span>${this.escapeHtml(result.abortReason)}</span>
+            `;
+        } else {
+            abortBanner.classList.add('hidden');
+            abortBanner.innerHTML = '';
+        }
+
+        const banner = document.getElementById('thresholdBanner');
+        if (evaluation) {
+            banner.className = `threshold-banner ${evaluation.passed ? 'passed' : 'failed'}`;
+            banner.innerHTML = `
+                <span class="threshold-banner-title">
+                    <i class="fas fa-${evaluation.passed ? 'check-circle' : 'times-circle'}"></i>
+                    ${evaluation.passed ? 'PASSED' : 'FAILED'}
+                </span>
+                ${evaluation.checks.map(c => `
+                    <span class="threshold-check ${c.passed ? 'passed' : 'failed'}">
+                        <i class="fas fa-${c.passed ? 'check' : 'times'}"></i>
+                        ${c.label}: ${c.actual.toFixed(2)}${c.unit} ${c.passed ? (c.max ? '&le;' : '&ge;') : (c.max ? '&gt;' : '&lt;')} ${c.limit}${c.unit}
+                    </span>
+                `).join('')}
+            `;
+        } else {
+            banner.className = 'threshold-banner hidden';
+            banner.innerHTML = '';
+        }
+
+        // Filled in by updateBaselineState once the comparison with the pinned baseline is loaded
+        this.baselineContext = null;
+        document.getElementById('pinBaselineBtn').classList.add('hidden');
+        const regressionBanner = document.getElementById('regressionBanner');
+        regressionBanner.className = 'threshold-banner hidden';
+        regressionBanner.innerHTML = '';
+
+        const globalBody = document.getElementById('globalResultsBody');
+        globalBody.innerHTML = `
+            <tr><td>Total Duration</td><td><strong>${(result.totalElapsedTime / 1000).toFixed(2)}s</strong></td></tr>
+            <tr><td>Total Requests</td><td><strong>${result.totalRequests.toLocaleString()}</strong></td></tr>
+            <tr><td>Successful</td><td><strong style="color: #10b981">${result.successfulRequests.toLocaleString()}</strong></td></tr>
+            <tr><td>Failed</td><td><strong style="color: #ef4444">${result.failedRequests.toLocaleString()}</strong></td></tr>
+            <tr><td>Requests/sec</td><td><strong>${result.requestsPerSecond.toFixed(2)}</strong></td></tr>
+            <tr><td>Avg Response Time</td><td><strong>${result.averageResponseTime.toFixed(2)}ms</strong></td></tr>
+            <tr><td>Min Response Time</td><td><strong>${result.minResponseTime.toFixed(2)}ms</strong></td></tr>
+            <tr><td>Max Response Time</td><td><strong>${result.maxResponseTime.toFixed(2)}ms</strong></td></tr>
+            ${result.droppedIterations > 0 ? `<tr><td>Dropped Iterations</td><td><strong style="color: #f59e0b">${result.droppedIterations.toLocaleString()}</strong></td></tr>` : ''}
+            ${result.assertions ? `<tr><td>Assertion Failures</td><td><strong style="color: #ec4899">${result.assertionFailures.toLocaleString()}</strong></td></tr>` : ''}
+        `;
+
+        const pctBody = document.getElementById('percentileResultsBody');
+        pctBody.innerHTML = `
+            <tr><td>P50</td><td><strong>${result.percentile50.toFixed(2)}ms</strong></td></tr>
+            <tr><td>P75</td><td><strong>${result.percentile75.toFixed(2)}ms</strong></td></tr>
+            <tr><td>P90</td><td><strong>${result.percentile90.toFixed(2)}ms</strong></td></tr>
+            <tr><td>P95</td><td><strong>${result.percentile95.toFixed(2)}ms</strong></td></tr>
+            <tr><td>P99</td><td><strong>${result.percentile99.toFixed(2)}ms</strong></td></tr>
+        `;
+
+        const stepSection = document.getElementById('stepResultsSection');
+        const stepBody = document.getElementById('stepResultsBody');
+        if (result.steps && result.steps.length > 0) {
+            stepSection.classList.remove('hidden');
+            stepBody.innerHTML = result.steps.map(step => `
+                <tr>
+                    <td><strong>${this.escapeHtml(step.name)}</strong></td>
+                    <td>${step.totalRequests.toLocaleString()}</td>
+                    <td${step.failedRequests > 0 ? ' style="color: #ef4444"' : ''}>${step.failedRequests.toLocaleString()}</td>
+                    <td${step.extractionFailures > 0 ? ' style="color: #f59e0b"' : ''}>${step.extractionFailures.toLocaleString()}</td>
+                    <td${step.assertionFailures > 0 ? ' style="color: #ec4899"' : ''}>${(step.assertionFailures || 0).toLocaleString()}</td>
+                    <td>${step.minResponseTime.toFixed(1)}ms</td>
+                    <td>${step.averageResponseTime.toFixed(1)}ms</td>
+                    <td>${step.maxResponseTime.toFixed(1)}ms</td>
+                    <td>${step.percentile50.toFixed(1)}ms</td>
+                    <td>${step.percentile95.toFixed(1)}ms</td>
+                    <td>${step.percentile99.toFixed(1)}ms</td>
+                </tr>
+            `).join('');
+        } else {
+            stepSection.classList.add('hidden');
+            stepBody.innerHTML = '';
+        }
+
+        const assertionSection = document.getElementById('assertionResultsSection');
+        const assertionBody = document.getElementById('assertionResultsBody');
+        if (result.assertions && result.assertions.length > 0) {
+            assertionSection.classList.remove('hidden');
+            assertionBody.innerHTML = result.assertions.map(assertion => `
+                <tr>
+                    <td><strong>${this.escapeHtml(assertion.name)}</strong></td>
+                    <td${assertion.failures > 0 ? ' style="color: #ec4899"' : ''}>${assertion.failures.toLocaleString()}</td>
+                    <td>${result.successfulRequests > 0 ? (assertion.failures / result.successfulRequests * 100).toFixed(2) : '0.00'}%</td>
+                </tr>
+            `).join('');
+        } else {
+            assertionSection.classList.add('hidden');
+            assertionBody.innerHTML = '';
+        }
+
+        const scBody = document.getElementById('statusCodeResultsBody');
+        scBody.innerHTML = '';
+        for (const [code, data] of Object.entries(result.statusCodes)) {
+            const badgeColor = code.startsWith('2') ? '#10b981' : code.startsWith('4') ? '#ef4444' : code.startsWith('5') ? '#8b5cf6' : '#6b7280';
+            scBody.innerHTML += `
+                <tr>
+                    <td><span style="background: ${badgeColor}; color: white; padding: 2px 8px; border-radius: 4px; font-size: 0.75rem;">${code}</span></td>
+                    <td>${data.count}</td>
+                    <td>${data.minResponseTime.toFixed(1)}ms</td>
+                    <td>${data.avgResponseTime.toFixed(1)}ms</td>
+                    <td>${data.maxResponseTime.toFixed(1)}ms</td>
+                    <td>${data.percentile50.toFixed(1)}ms</td>
+                    <td>${data.percentile90.toFixed(1)}ms</td>
+                    <td>${data.percentile99.toFixed(1)}ms</td>
+                </tr>
+            `;
+        }
+
+        resultsCard.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    handleTestError(error) {
+        const wasWatching = this.watching;
+        this.isRunning = false;
+        this.watching = false;
+        this.toggleButtons(false);
+        this.updateTestStatus('idle');
+        
+        if (this.suiteRun) {
+            this.testErrors.set(error.testId, error.error);
+            this.showToast('error', 'Test Error', this.escapeHtml(error.error));
+        } else if (wasWatching) {
+            this.showToast('error', 'Test Error', this.escapeHtml(error.error));
+        } else {
+            this.showAlert('error', 'Test Error', error.error);
+        }
+    }
+
+    resetCharts() {
+        this.statusCodeCounts = {};
+        this.peakRps = 0;
+
+        document.getElementById('statTotalRequests').textContent = '0';
+        document.getElementById('statFailed').textContent = '0';
+        document.getElementById('statRps').textContent = '0';
+        document.getElementById('statAvgResponse').textContent = '0';
+        document.getElementById('avgResponseBottom').textContent = '0ms';
+        document.getElementById('totalRequestsBottom').textContent = '0';
+        document.getElementById('rpsBottom').textContent = '0';
+        this.updateAssertionFailuresStat(null);
+
+        document.getElementById('resultsCard').classList.add('hidden');
+
+        this.charts.statusCode.data.labels = [];
+        this.charts.statusCode.data.datasets[0].data = [];
+        this.charts.statusCode.update();
+
+        this.charts.percentile.data.datasets[0].data = [0, 0, 0, 0, 0];
+        this.charts.percentile.update();
+
+        this.cancelChartsRender();
+        this.resetTimeline();
+        this.resetLatencyCharts();
+    }
+
+    toggleButtons(isRunning) {
+        const startBtn = document.getElementById('startBtn');
+        const stopBtn = document.getElementById('stopBtn');
+        const form = document.getElementById('testForm');
+
+        if (isRunning) {
+            startBtn.classList.add('hidden');
+            stopBtn.classList.remove('hidden');
+            form.querySelectorAll('input, select, textarea').forEach(el => { el.disabled = true; });
+        } else {
+            startBtn.classList.remove('hidden');
+            stopBtn.classList.add('hidden');
+            form.querySelectorAll('input, select, textarea').forEach(el => { el.disabled = false; });
+        }
+    }
+}
+
+function initSidebarResize() {
+    const sidebar = document.getElementById('sidebar');
+    const handle = document.getElementById('sidebarResizeHandle');
+    let isResizing = false;
+    let startX = 0;
+    let startWidth = 0;
+
+    handle.addEventListener('mousedown', (e) => {
+        isResizing = true;
+        startX = e.clientX;
+        startWidth = sidebar.offsetWidth;
+        sidebar.classList.add('resizing');
+        handle.classList.add('active');
+        document.body.style.cursor = 'col-resize';
+        document.body.style.userSelect = 'none';
+        e.preventDefault();
+    });
+
+    document.addEventListener('mousemove', (e) => {
+        if (!isResizing) return;
+        
+        const diff = e.clientX - startX;
+        let newWidth = startWidth + diff;
+        
+        newWidth = Math.max(180, Math.min(400, newWidth));
+        
+        sidebar.style.width = newWidth + 'px';
+        document.documentElement.style.setProperty('--sidebar-width', newWidth + 'px');
+    });
+
+    document.addEventListener('mouseup', () => {
+        if (!isResizing) return;
+        
+        isResizing = false;
+        sidebar.classList.remove('resizing');
+        handle.classList.remove('active');
+        document.body.style.cursor = '';
+        document.body.style.userSelect = '';
+        
+        localStorage.setItem('nfury-sidebar-width', sidebar.offsetWidth);
+    });
+
+    const savedWidth = localStorage.getItem('nfury-sidebar-width');
+    if (savedWidth) {
+        const width = parseInt(savedWidth);
+        if (width >= 180 && width <= 400) {
+            sidebar.style.width = width + 'px';
+            document.documentElement.style.setProperty('--sidebar-width', width + 'px');
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initSidebarResize);
+
+function toggleConfigPanel() {
+    const panel = document.getElementById('configPanel');
+    panel.classList.toggle('open');
+}
+
+function toggleSidebar() {
+    const sidebar = document.getElementById('sidebar');
+    sidebar.classList.toggle('open');
+    document.body.classList.toggle('sidebar-open');
+}
+
+function toggleHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+    const isOpen = panel.classList.toggle('open');
+    if (isOpen) {
+        window.app.populateHistoryFilters();
+        window.app.loadHistory();
+    }
+    document.getElementById('overlay').classList.toggle('visible', isOpen);
+}
+
+function loadHistory() {
+    document.getElementById('historyBody').scrollTop = 0;
+    window.app.loadHistory();
+}
+
+function onHistoryProjectChanged() {
+    window.app.populateHistoryEndpointFilter();
+    loadHistory();
+}
+
+function clearHistoryFilters() {
+    for (const id of ['historyProjectFilter', 'historyEndpointFilter', 'historyStatusFilter', 'historyTagFilter', 'historyFrom', 'historyTo']) {
+        document.getElementById(id).value = '';
+    }
+    document.getElementById('historySort').value = 'newest';
+    window.app.populateHistoryEndpointFilter();
+    loadHistory();
+}
+
+function toggleTheme() {
+    const html = document.documentElement;
+    const themeIcon = document.getElementById('themeIcon');
+    const currentTheme = html.getAttribute('data-theme');
+    
+    if (currentTheme === 'dark') {
+        html.removeAttribute('data-theme');
+        themeIcon.classList.remove('fa-sun');
+        themeIcon.classList.add('fa-moon');
+        localStorage.setItem('theme', 'light');
+    } else {
+        html.setAttribute('data-theme', 'dark');
+        themeIcon.classList.remove('fa-moon');
+        themeIcon.classList.add('fa-sun');
+        localStorage.setItem('theme', 'dark');
+    }
+}
+
+function initializeTheme() {
+    const savedTheme = localStorage.getItem('theme');
+    const themeIcon = document.getElementById('themeIcon');
+    
+    if (savedTheme === 'dark') {
+        document.documentElement.setAttribute('data-theme', 'dark');
+        themeIcon.classList.remove('fa-moon');
+        themeIcon.classList.add('fa-sun');
+    }
+}
+
+function selectQuickTest() {
+    window.app.selectedProjectId = null;
+    window.app.selectedEndpointId = null;
+    window.app.currentProjectId = null;
+    window.app.renderProjectList();
+    window.app.updateEnvironmentSwitcher();
+    document.getElementById('projectNameHeader').textContent = 'Load Test';
+    
+    document.getElementById('urlSchema').value = 'https://';
+    document.getElementById('url').value = '';
+    document.getElementById('method').value = 'GET';
+    document.getElementById('users').value = 10;
+    document.getElementById('requests').value = 100;
+    document.getElementById('duration').value = '';
+    document.getElementById('testMode').value = 'requests';
+    setLoadProfile('quick', null);
+    window.app.toggleQuickTestMode();
+    document.getElementById('body').value = '';
+    document.getElementById('headersContainer').innerHTML = '';
+    document.getElementById('useAuth').checked = false;
+    toggleAuthSection();
+    setAbortRuleFields('quick', null);
+}
+
+function showCreateProjectModal() {
+    document.getElementById('newProjectName').value = '';
+    document.getElementById('newProjectDescription').value = '';
+    document.getElementById('createProjectModal').classList.add('open');
+    document.getElementById('overlay').classList.add('visible');
+}
+
+function closeCreateProjectModal() {
+    document.getElementById('createProjectModal').classList.remove('open');
+    document.getElementById('overlay').classList.remove('visible');
+}
+
+function closeEndpointModal() {
+    document.getElementById('endpointModal').classList.remove('open');
+    document.getElementById('overlay').classList.remove('visible');
+}
+
+function closeExecutionModal() {
+    document.getElementById('executionModal').classList.remove('open');
+    document.getElementById('overlay').classList.remove('visible');
+}
+
+function closeAllModals() {
+    document.getElementById('createProjectModal').classList.remove('open');
+    document.getElementById('endpointModal').classList.remove('open');
+    document.getElementById('executionModal').classList.remove('open');
+    document.getElementById('projectAuthModal').classList.remove('open');
+    document.getElementById('importProjectModal').classList.remove('open');
+    document.getElementById('curlImportModal').classList.remove('open');
+    document.getElementById('copyAsModal').classList.remove('open');
+    document.getElementById('environmentsModal').classList.remove('open');
+    document.getElementById('suiteModal').classList.remove('open');
+    document.getElementById('trendModal').classList.remove('open');
+    document.getElementById('annotationModal').classList.remove('open');
+    document.getElementById('statisticsModal').classList.remove('open');
+    document.getElementById('scheduleModal').classList.remove('open');
+    document.getElementById('historyPanel').classList.remove('open');
+    document.getElementById('overlay').classList.remove('visible');
+    
+    const fileInput = document.getElementById('importProjectFile');
+    if (fileInput) fileInput.value = '';
+    document.getElementById('importPreview').style.display = 'none';
+    document.getElementById('importError').style.display = 'none';
+    document.getElementById('btnImportProject').disabled = true;
+    window.pendingImportData = null;
+}
+
+function showImportProjectModal() {
+    document.getElementById('importProjectModal').classList.add('open');
+    document.getElementById('overlay').classList.add('visible');
+}
+
+function handleImportFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const parsed = JSON.parse(e.target.result);
+            let data;
+            let format;
+            const skippedAuth = [];
+
+            if (parsed.project) {
+                data = parsed;
+                format = 'NFury Export';
+            } else if (parsed.info && Array.isArray(parsed.item)) {
+                data = convertPostmanCollection(parsed);
+                format = 'Postman Collection';
+            } else if (typeof parsed.openapi === 'string' && parsed.openapi.startsWith('3')) {
+                data = convertOpenApiDocument(parsed, skippedAuth);
+                format = `OpenAPI ${parsed.openapi}`;
+            } else {
+                showImportError('Unrecognized file format: expected an NFury export, Postman v2.1 collection or OpenAPI 3 document');
+                return;
+            }
+            
+            if (!data.project || !data.project.name) {
+                showImportError('Invalid file format: missing project data');
+                return;
+            }
+
+            if (format !== 'NFury Export' && data.project.endpoints.length === 0) {
+                showImportError('No requests found in the selected file');
+                return;
+            }
+            
+            document.getElementById('importFormat').textContent = format;
+            document.getElementById('importProjectName').textContent = data.project.name;
+            document.getElementById('importEndpointsCount').textContent = data.project.endpoints?.length || 0;
+            
+            let totalExecutions = 0;
+            if (data.project.endpoints) {
+                data.project.endpoints.forEach(ep => {
+                    totalExecutions += ep.executions?.length || 0;
+                });
+            }
+            document.getElementById('importExecutionsCount').textContent = totalExecutions;
+            document.getElementById('importHasAuth').textContent = data.project.authUrl ? 'Yes' : 'No';
+            
+            document.getElementById('importPreview').style.display = 'block';
+            document.getElementById('importError').style.display = 'none';
+            document.getElementById('btnImportProject').disabled = false;
+            
+            window.pendingImportData = data;
+
+            if (skippedAuth.length > 0) {
+                window.app.showToast('warning', 'Authentication Not Imported', 'Requests will be sent without credentials for: ' + window.app.escapeHtml(skippedAuth.join(', ')) + '. Add the headers or project authentication after importing.');
+            }
+        } catch (err) {
+            showImportError(err instanceof SyntaxError ? 'Invalid JSON file: ' + err.message : err.message);
+        }
+    };
+    reader.readAsText(file);
+}
+
+function createImportedEndpoint(name, method, url, headers, body, contentType, description) {
+    const normalizedMethod = String(method || 'GET').trim().toUpperCase();
+    if (!HTTP_METHODS.includes(normalizedMethod)) {
+        throw new Error(`Unsupported HTTP method in "${name}": ${normalizedMethod.substring(0, 20)}`);
+    }
+
+    return {
+        name: name.substring(0, 200),
+        description: description || null,
+        url: /^https?:\/\//i.test(url) ? url : 'https://' + url,
+        method: normalizedMethod,
+        users: 10,
+        requests: 100,
+        duration: null,
+        contentType: contentType || 'application/json',
+        body: body || null,
+        insecure: false,
+        requiresAuth: false,
+        headers: Object.keys(headers).length > 0 ? headers : null,
+        authentication: null,
+        executions: []
+    };
+}
+
+function createImportPayload(name, description, endpoints) {
+    return {
+        version: '1.0',
+        exportedAt: new Date().toISOString(),
+        project: { name, description: description || null, endpoints }
+    };
+}
+
+function convertPostmanCollection(collection) {
+    const variables = {};
+    (collection.variable || []).forEach(v => {
+        if (v.key && v.value !== undefined && !v.disabled) variables[v.key] = String(v.value);
+    });
+    const resolve = (text) => String(text ?? '').replace(/\{\{([^}]+)\}\}/g, (match, name) =>
+        variables[name.trim()] !== undefined ? variables[name.trim()] : match);
+
+    const authParam = (params, key) => {
+        if (Array.isArray(params)) return params.find(p => p.key === key)?.value;
+        return params?.[key];
+    };
+
+    const applyAuth = (auth, headers) => {
+        if (!auth || auth.type === 'noauth') return;
+        if (auth.type === 'bearer') {
+            headers['Authorization'] = 'Bearer ' + resolve(authParam(auth.bearer, 'token'));
+        } else if (auth.type === 'basic') {
+            const user = resolve(authParam(auth.basic, 'username'));
+            const password = resolve(authParam(auth.basic, 'password'));
+            headers['Authorization'] = 'Basic ' + btoa(`${user}:${password}`);
+        } else if (auth.type === 'apikey' && (authParam(auth.apikey, 'in') || 'header') === 'header') {
+            headers[resolve(authParam(auth.apikey, 'key'))] = resolve(authParam(auth.apikey, 'value'));
+        }
+    };
+
+    const buildUrl = (url) => {
+        if (!url) return '';
+        if (typeof url === 'string') return resolve(url);
+        if (url.raw) return resolve(url.raw);
+
+        const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+        const path = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+        const query = (url.query || []).filter(q => !q.disabled).map(q => `${q.key}=${q.value ?? ''}`).join('&');
+        const protocol = url.protocol ? url.protocol + '://' : '';
+        return resolve(`${protocol}${host}${path ? '/' + path : ''}${query ? '?' + query : ''}`);
+    };
+
+    const buildBody = (body) => {
+        if (!body || body.disabled) return { body: null, contentType: null };
+
+        switch (body.mode) {
+            case 'raw': {
+                const language = body.options?.raw?.language;
+                const contentTypes = { json: 'application/json', xml: 'application/xml', text: 'text/plain' };
+                return { body: resolve(body.raw), contentType: contentTypes[language] || null };
+            }
+            case 'urlencoded':
+            case 'formdata': {
+                const fields = (body[body.mode] || []).filter(f => !f.disabled && f.type !== 'file');
+                const encoded = fields.map(f => `${encodeURIComponent(f.key)}=${encodeURIComponent(resolve(f.value))}`).join('&');
+                return { body: encoded, contentType: 'application/x-www-form-urlencoded' };
+            }
+            case 'graphql': {
+                let graphqlVariables;
+                try {
+                    graphqlVariables = body.graphql?.variables ? JSON.parse(resolve(body.graphql.variables)) : undefined;
+                } catch {
+                    graphqlVariables = undefined;
+                }
+                return {
+                    body: JSON.stringify({ query: resolve(body.graphql?.query), variables: graphqlVariables }),
+                    contentType: 'application/json'
+                };
+            }
+            default:
+                return { body: null, contentType: null };
+        }
+    };
+
+    const endpoints = [];
+    const walk = (items, path, inheritedAuth) => {
+        items.forEach(item => {
+            if (Array.isArray(item.item)) {
+                walk(item.item, [...path, item.name], item.auth || inheritedAuth);
+                return;
+            }
+            if (!item.request) return;
+
+            const request = typeof item.request === 'string' ? { url: item.request } : item.request;
+            const headers = {};
+            (request.header || []).forEach(h => {
+                if (h.key && !h.disabled) headers[h.key] = resolve(h.value);
+            });
+            applyAuth(request.auth || inheritedAuth, headers);
+
+            const { body, contentType } = buildBody(request.body);
+            const headerContentTypeKey = Object.keys(headers).find(k => k.toLowerCase() === 'content-type');
+            const resolvedContentType = headerContentTypeKey
+                ? headers[headerContentTypeKey].split(';')[0].trim()
+                : contentType;
+            if (headerContentTypeKey) delete headers[headerContentTypeKey];
+
+            const name = [...path, item.name || 'Request'].join(' / ');
+            const description = typeof request.description === 'string' ? request.description : request.description?.content;
+            endpoints.push(createImportedEndpoint(name, request.method, buildUrl(request.url), headers, body, resolvedContentType, description));
+        });
+    };
+    walk(collection.item, [], collection.auth);
+
+    const description = typeof collection.info.description === 'string'
+        ? collection.info.description
+        : collection.info.description?.content;
+    return createImportPayload(collection.info.name || 'Postman Collection', description, endpoints);
+}
+
+// Security schemes the document declares are reported back through skippedAuth rather than turned into
+// placeholder headers, which would be sent literally unless an environment happened to define them
+function convertOpenApiDocument(doc, skippedAuth = []) {
+    const resolveRef = (value) => {
+        let current = value;
+        const seen = new Set();
+        while (current && current.$ref && !seen.has(current.$ref)) {
+            seen.add(current.$ref);
+            if (!current.$ref.startsWith('#/')) return {};
+            current = current.$ref.substring(2).split('/')
+                .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .reduce((node, part) => node?.[part], doc);
+        }
+        return current || {};
+    };
+
+    const sampleFromSchema = (schemaOrRef, depth = 0) => {
+        const schema = resolveRef(schemaOrRef);
+        if (depth > 6) return null;
+        if (schema.example !== undefined) return schema.example;
+        if (schema.default !== undefined) return schema.default;
+        if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+        if (Array.isArray(schema.allOf)) {
+            return schema.allOf.reduce((merged, part) => Object.assign(merged, sampleFromSchema(part, depth + 1)), {});
+        }
+        if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+            return sampleFromSchema((schema.oneOf || schema.anyOf)[0], depth + 1);
+        }
+
+        switch (schema.type) {
+            case 'object':
+            case undefined:
+                if (!schema.properties) return schema.type === 'object' ? {} : null;
+                return Object.fromEntries(Object.entries(schema.properties)
+                    .map(([key, prop]) => [key, sampleFromSchema(prop, depth + 1)]));
+            case 'array':
+                return [sampleFromSchema(schema.items || {}, depth + 1)];
+            case 'integer':
+            case 'number':
+                return schema.minimum ?? 0;
+            case 'boolean':
+                return true;
+            case 'string': {
+                const formats = {
+                    'date-time': new Date().toISOString(),
+                    date: new Date().toISOString().substring(0, 10),
+                    email: 'user@example.com',
+                    uuid: '00000000-0000-0000-0000-000000000000',
+                    uri: 'https://example.com'
+                };
+                return formats[schema.format] || 'string';
+            }
+            default:
+                return null;
+        }
+    };
+
+    const parameterValue = (param) => {
+        if (param.example !== undefined) return param.example;
+        const firstExample = param.examples ? Object.values(param.examples)[0] : undefined;
+        if (firstExample) return resolveRef(firstExample).value;
+        return param.schema ? sampleFromSchema(param.schema) : undefined;
+    };
+
+    const server = (doc.servers || [])[0] || { url: '' };
+    let baseUrl = (server.url || '').replace(/\{([^}]+)\}/g, (match, name) =>
+        server.variables?.[name]?.default ?? match);
+    if (!/^https?:\/\//i.test(baseUrl)) {
+        baseUrl = 'http://localhost' + (baseUrl.startsWith('/') || !baseUrl ? baseUrl : '/' + baseUrl);
+    }
+    baseUrl = baseUrl.replace(/\/+$/, '');
+
+    const securitySchemes = doc.components?.securitySchemes || {};
+    const noteSecurity = (requirements) => {
+        (requirements || []).slice(0, 1).forEach(requirement => {
+            Object.keys(requirement).forEach(schemeName => {
+                if (securitySchemes[schemeName] && !skippedAuth.includes(schemeName)) {
+                    skippedAuth.push(schemeName);
+                }
+            });
+        });
+    };
+
+    const httpMethods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+    const contentTypePreference = ['application/json', 'application/xml', 'text/plain', 'application/x-www-form-urlencoded'];
+    const endpoints = [];
+
+    Object.entries(doc.paths || {}).forEach(([path, pathItemOrRef]) => {
+        const pathItem = resolveRef(pathItemOrRef);
+        httpMethods.forEach(method => {
+            const operation = pathItem[method];
+            if (!operation) return;
+
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolveRef);
+            const headers = {};
+            const query = [];
+            let resolvedPath = path;
+
+            parameters.forEach(param => {
+                const value = parameterValue(param);
+                if (param.in === 'path' && value !== undefined && value !== null) {
+                    resolvedPath = resolvedPath.replace(`{${param.name}}`, encodeURIComponent(value));
+                } else if (param.in === 'query' && value !== undefined && value !== null && (param.required || param.example !== undefined)) {
+                    query.push(`${encodeURIComponent(param.name)}=${encodeURIComponent(value)}`);
+                } else if (param.in === 'header' && value !== undefined && value !== null) {
+                    headers[param.name] = String(value);
+                }
+            });
+            noteSecurity(operation.security || doc.security);
+
+            let body = null;
+            let contentType = null;
+            const requestBody = resolveRef(operation.requestBody);
+            if (requestBody.content) {
+                const available = Object.keys(requestBody.content);
+                contentType = contentTypePreference.find(type => available.includes(type)) || available[0];
+                const media = requestBody.content[contentType] || {};
+                let example = media.example;
+                if (example === undefined && media.examples) {
+                    const firstExample = Object.values(media.examples)[0];
+                    example = firstExample ? resolveRef(firstExample).value : undefined;
+                }
+                if (example === undefined && media.schema) {
+                    example = sampleFromSchema(media.schema);
+                }
+                if (example !== undefined && example !== null) {
+                    if (typeof example === 'string') {
+                        body = example;
+                    } else if (contentType === 'application/x-www-form-urlencoded') {
+                        body = Object.entries(example).map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join('&');
+                    } else {
+                        body = JSON.stringify(example, null, 2);
+                    }
+                }
+            }
+
+            const title = operation.summary || operation.operationId || `${method.toUpperCase()} ${path}`;
+            const name = operation.tags?.length ? `${operation.tags[0]} / ${title}` : title;
+            const url = baseUrl + resolvedPath + (query.length > 0 ? '?' + query.join('&') : '');
+            endpoints.push(createImportedEndpoint(name, method, url, headers, body, contentType, operation.description));
+        });
+    });
+
+    return createImportPayload(doc.info?.title || 'OpenAPI Import', doc.info?.description, endpoints);
+}
+
+function showImportError(message) {
+    document.getElementById('importError').textContent = message;
+    document.getElementById('importError').style.display = 'block';
+    document.getElementById('importPreview').style.display = 'none';
+    document.getElementById('btnImportProject').disabled = true;
+}
+
+async function importProject() {
+    if (!window.pendingImportData) return;
+    
+    const btn = document.getElementById('btnImportProject');
+    const originalText = btn.innerHTML;
+    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Importing...';
+    btn.disabled = true;
+    
+    try {
+        const response = await fetch('/api/projects/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(window.pendingImportData)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Import failed');
+        }
+        
+        const result = await response.json();
+        closeAllModals();
+        
+        if (result.projectId) {
+            window.app.expandedProjects.add(result.projectId);
+        }
+        await window.app.loadProjects();
+        
+        window.app.showAlert('success', 'Import Successful', `Project "${result.projectName}" imported with ${result.endpointsImported} endpoints and ${result.executionsImported} executions.`);
+    } catch (err) {
+        showImportError(err.message);
+        btn.innerHTML = originalText;
+        btn.disabled = false;
+    }
+}
+
+async function exportProject(projectId, projectName) {
+    try {
+        const response = await fetch(`/api/projects/${projectId}/export`);
+        if (!response.ok) {
+            throw new Error('Export failed');
+        }
+        
+        const data = await response.json();
+        
+        downloadFile(JSON.stringify(data, null, 2), `${projectName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_export.json`, 'application/json');
+        window.app.showToast('success', 'Export Complete', `Project "${projectName}" exported successfully`);
+    } catch (err) {
+        window.app.showAlert('error', 'Export Failed', err.message);
+    }
+}
+
+async function createProject() {
+    const name = document.getElementById('newProjectName').value;
+    const description = document.getElementById('newProjectDescription').value;
+    
+    if (!name) {
+        window.app.showAlert('warning', 'Validation Error', 'Please enter a project name');
+        return;
+    }
+    
+    const project = await window.app.createProject({
+        name,
+        description
+    });
+    
+    if (project) {
+        closeCreateProjectModal();
+        window.app.expandedProjects.add(project.id);
+        await window.app.loadProjects();
+        window.app.showToast('success', 'Success', `Project "${name}" created`);
+    }
+}
+
+async function saveEndpoint() {
+    await window.app.saveEndpoint();
+}
+
+function toggleProjectSaveOptions() {
+    const options = document.getElementById('projectSaveOptions');
+    const checked = document.getElementById('saveAsProject').checked;
+    options.classList.toggle('hidden', !checked);
+    
+    if (checked) {
+        populateProjectsDropdown();
+    }
+}
+
+async function populateProjectsDropdown() {
+    const select = document.getElementById('existingProject');
+    const projects = window.app.projects || [];
+    
+    select.innerHTML = '<option value="">-- Select a project --</option>';
+    
+    for (const project of projects) {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.name;
+        select.appendChild(option);
+    }
+}
+
+function selectProjectTab(tab) {
+    const tabs = document.querySelectorAll('.project-tab');
+    const existingSection = document.getElementById('existingProjectSection');
+    const newSection = document.getElementById('newProjectSection');
+    
+    tabs.forEach(t => t.classList.remove('active'));
+    
+    if (tab === 'existing') {
+        tabs[0].classList.add('active');
+        existingSection.classList.remove('hidden');
+        newSection.classList.add('hidden');
+    } else {
+        tabs[1].classList.add('active');
+        existingSection.classList.add('hidden');
+        newSection.classList.remove('hidden');
+    }
+}
+
+function toggleProjectNameInput() {
+    toggleProjectSaveOptions();
+}
+
+let quickBodyFile = null;
+let endpointBodyFile = null;
+
+function toggleBodySource(context, source) {
+    const prefix = context === 'quick' ? '' : 'endpoint';
+    const textSection = document.getElementById(prefix ? `${prefix}BodyTextSection` : 'bodyTextSection');
+    const fileSection = document.getElementById(prefix ? `${prefix}BodyFileSection` : 'bodyFileSection');
+    const buttons = textSection.parentElement.querySelectorAll('.body-source-btn');
+    
+    buttons.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.source === source);
+    });
+    
+    if (source === 'text') {
+        textSection.classList.remove('hidden');
+        fileSection.classList.add('hidden');
+    } else {
+        textSection.classList.add('hidden');
+        fileSection.classList.remove('hidden');
+    }
+}
+
+function handleBodyFileSelect(context, input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    const prefix = context === 'quick' ? '' : 'endpoint';
+    const fileNameSpan = document.getElementById(prefix ? `${prefix}BodyFileName` : 'bodyFileName');
+    const dropZone = document.getElementById(prefix ? `${prefix}BodyFileDropZone` : 'bodyFileDropZone');
+    
+    if (context === 'quick') {
+        quickBodyFile = file;
+    } else {
+        endpointBodyFile = file;
+    }
+    
+    fileNameSpan.textContent = `${file.name} (${formatFileSize(file.size)})`;
+    dropZone.classList.add('has-file');
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+function clearBodyFile(context) {
+    const prefix = context === 'quick' ? '' : 'endpoint';
+    const fileInput = document.getElementById(prefix ? `${prefix}BodyFile` : 'bodyFile');
+    const fileNameSpan = document.getElementById(prefix ? `${prefix}BodyFileName` : 'bodyFileName');
+    const dropZone = document.getElementById(prefix ? `${prefix}BodyFileDropZone` : 'bodyFileDropZone');
+    
+    if (context === 'quick') {
+        quickBodyFile = null;
+    } else {
+        endpointBodyFile = null;
+    }
+    
+    fileInput.value = '';
+    fileNameSpan.textContent = 'Click or drag file here';
+    dropZone.classList.remove('has-file');
+}
+
+async function getBodyContent(context) {
+    const prefix = context === 'quick' ? '' : 'endpoint';
+    const textSection = document.getElementById(prefix ? `${prefix}BodyTextSection` : 'bodyTextSection');
+    const isTextMode = !textSection.classList.contains('hidden');
+    
+    if (isTextMode) {
+        const textarea = document.getElementById(prefix ? `${prefix}Body` : 'body');
+        return textarea.value || null;
+    } else {
+        const file = context === 'quick' ? quickBodyFile : endpointBodyFile;
+        if (!file) return null;
+        
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.readAsText(file);
+        });
+    }
+}
+
+function initBodyFileDragDrop() {
+    ['bodyFileDropZone', 'endpointBodyFileDropZone'].forEach(id => {
+        const dropZone = document.getElementById(id);
+        if (!dropZone) return;
+        
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                const context = id === 'bodyFileDropZone' ? 'quick' : 'endpoint';
+                const input = document.getElementById(context === 'quick' ? 'bodyFile' : 'endpointBodyFile');
+                
+                const dt = new DataTransfer();
+                dt.items.add(file);
+                input.files = dt.files;
+                
+                handleBodyFileSelect(context, input);
+            }
+        });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initBodyFileDragDrop);
+
+function addHeader() {
+    const container = document.getElementById('headersContainer');
+    const row = document.createElement('div');
+    row.className = 'header-row';
+    row.innerHTML = `
+        <input type="text" class="header-key" placeholder="Header name">
+        <input type="text" class="header-value" placeholder="Header value">
+        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    container.appendChild(row);
+}
+
+function addEndpointHeader(key = '', value = '') {
+    const container = document.getElementById('endpointHeadersContainer');
+    const row = document.createElement('div');
+    row.className = 'header-row';
+    row.innerHTML = `
+        <input type="text" class="header-key" placeholder="Header name" value="${key}">
+        <input type="text" class="header-value" placeholder="Header value" value="${value}">
+        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    container.appendChild(row);
+}
+
+function addProjectAuthHeader(key = '', value = '') {
+    const container = document.getElementById('projectAuthHeadersContainer');
+    const row = document.createElement('div');
+    row.className = 'header-row';
+    row.innerHTML = `
+        <input type="text" class="header-key" placeholder="Header name" value="${key}">
+        <input type="text" class="header-value" placeholder="Header value" value="${value}">
+        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    container.appendChild(row);
+}
+
+const THRESHOLD_FIELDS = [
+    { key: 'maxAverageResponseTime', input: 'endpointThresholdAvg', label: 'Avg', metric: r => r.averageResponseTime, unit: 'ms', max: true },
+    { key: 'maxPercentile95', input: 'endpointThresholdP95', label: 'P95', metric: r => r.percentile95, unit: 'ms', max: true },
+    { key: 'maxPercentile99', input: 'endpointThresholdP99', label: 'P99', metric: r => r.percentile99, unit: 'ms', max: true },
+    { key: 'maxFailureRate', input: 'endpointThresholdFailureRate', label: 'Failure rate', metric: r => r.totalRequests > 0 ? r.failedRequests / r.totalRequests * 100 : 0, unit: '%', max: true },
+    { key: 'minRequestsPerSecond', input: 'endpointThresholdRps', label: 'RPS', metric: r => r.requestsPerSecond, unit: '', max: false }
+];
+
+// How often a suite checks on a run in case its TestCompleted event was missed
+const TEST_OUTCOME_POLL_MS = 5000;
+
+function executionToResult(execution) {
+    let statusCodes = {};
+    if (execution.statusCodesJson) {
+        try {
+            statusCodes = JSON.parse(execution.statusCodesJson);
+        } catch (e) {
+            console.error('Failed to parse statusCodesJson:', e);
+        }
+    }
+
+    return {
+        testId: execution.testId,
+        totalRequests: execution.totalRequests || 0,
+        successfulRequests: execution.successfulRequests || 0,
+        failedRequests: execution.failedRequests || 0,
+        totalElapsedTime: execution.totalElapsedTime || 0,
+        requestsPerSecond: execution.requestsPerSecond || 0,
+        averageResponseTime: execution.averageResponseTime || 0,
+        minResponseTime: execution.minResponseTime || 0,
+        maxResponseTime: execution.maxResponseTime || 0,
+        percentile50: execution.percentile50 || 0,
+        percentile75: execution.percentile75 || 0,
+        percentile90: execution.percentile90 || 0,
+        percentile95: execution.percentile95 || 0,
+        percentile99: execution.percentile99 || 0,
+        statusCodes: statusCodes,
+        thresholds: parseThresholds(execution.thresholdsJson),
+        thresholdsPassed: execution.thresholdsPassed ?? null,
+        abortReason: execution.abortReason || null,
+        steps: execution.stepResultsJson ? JSON.parse(execution.stepResultsJson) : null,
+        assertionFailures: execution.assertionFailures || 0,
+        assertions: execution.assertionResultsJson ? JSON.parse(execution.assertionResultsJson) : null
+    };
+}
+
+const HISTORY_PAGE_SIZE = 25;
+// Distance from the bottom of the history panel at which the next page starts loading
+const HISTORY_SCROLL_THRESHOLD_PX = 120;
+
+function describeTestLauncher(test) {
+    if (test.triggeredBy === 'Scheduled') return 'started by a schedule';
+    return test.startedBy ? `started by ${test.startedBy}` : 'started from another dashboard';
+}
+
+function describeSchedule(schedule) {
+    if (schedule.mode === 'cron') return `Cron: ${schedule.cronExpression}`;
+    return schedule.intervalHours === 1 ? 'Every hour' : `Every ${schedule.intervalHours} hours`;
+}
+
+const TREND_PAGE_SIZE = 100;
+// Matches ExecutionService.StatisticsDays on the server
+const STATISTICS_DAYS = 30;
+const TREND_THRESHOLD_COLORS = {
+    maxAverageResponseTime: '#06b6d4',
+    maxPercentile95: '#7c3aed',
+    maxPercentile99: '#ec4899',
+    minRequestsPerSecond: '#10b981',
+    maxFailureRate: '#ef4444'
+};
+
+// Threshold limits drawn as dashed horizontal lines across the whole trend
+function getTrendThresholdDatasets(thresholds, keys, length, yAxisID) {
+    if (!thresholds) return [];
+    return THRESHOLD_FIELDS
+        .filter(field => keys.includes(field.key) && thresholds[field.key] !== null && thresholds[field.key] !== undefined)
+        .map(field => ({
+            label: `${field.label} ${field.max ? 'max' : 'min'}`,
+            data: new Array(length).fill(thresholds[field.key]),
+            yAxisID,
+            threshold: true,
+            borderColor: TREND_THRESHOLD_COLORS[field.key],
+            borderDash: [6, 4],
+            borderWidth: 1.5,
+            fill: false,
+            pointRadius: 0,
+            pointHitRadius: 0
+        }));
+}
+
+function parseThresholds(json) {
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error('Failed to parse thresholds:', e);
+        return null;
+    }
+}
+
+function evaluateThresholds(result, thresholds) {
+    if (!thresholds) return null;
+
+    const checks = [];
+    for (const field of THRESHOLD_FIELDS) {
+        const limit = thresholds[field.key];
+        if (limit === null || limit === undefined) continue;
+
+        const actual = field.metric(result) || 0;
+        checks.push({
+            label: field.label,
+            actual,
+            limit,
+            unit: field.unit,
+            max: field.max,
+            passed: field.max ? actual <= limit : actual >= limit
+        });
+    }
+
+    if (checks.length === 0) return null;
+    // The verdict stored by the server wins, so every view agrees with what scheduled and CI runs report
+    const passed = typeof result.thresholdsPassed === 'boolean' ? result.thresholdsPassed : checks.every(c => c.passed);
+    return { passed, checks };
+}
+
+function getThresholdFields() {
+    const thresholds = {};
+    for (const field of THRESHOLD_FIELDS) {
+        const value = parseFloat(document.getElementById(field.input).value);
+        if (!isNaN(value)) {
+            thresholds[field.key] = value;
+        }
+    }
+    return Object.keys(thresholds).length > 0 ? thresholds : null;
+}
+
+function setThresholdFields(thresholds) {
+    for (const field of THRESHOLD_FIELDS) {
+        const value = thresholds ? thresholds[field.key] : null;
+        document.getElementById(field.input).value = value ?? '';
+    }
+}
+
+const REGRESSION_TOLERANCE_FIELDS = [
+    { key: 'responseTimePercent', input: 'endpointToleranceResponseTime' },
+    { key: 'throughputPercent', input: 'endpointToleranceThroughput' },
+    { key: 'errorRatePoints', input: 'endpointToleranceErrorRate' }
+];
+
+const REGRESSION_VERDICTS = {
+    improved: { label: 'IMPROVED', title: 'Performance Improved', banner: 'passed', toast: 'success', icon: 'arrow-circle-up' },
+    regressed: { label: 'REGRESSED', title: 'Regression Detected', banner: 'failed', toast: 'warning', icon: 'arrow-circle-down' },
+    unchanged: { label: 'UNCHANGED', title: 'No Change vs Baseline', banner: 'unchanged', toast: 'info', icon: 'minus-circle' }
+};
+
+function parseRegressionTolerance(json) {
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error('Failed to parse regression tolerance:', e);
+        return null;
+    }
+}
+
+function getRegressionToleranceFields() {
+    const tolerance = {};
+    for (const field of REGRESSION_TOLERANCE_FIELDS) {
+        const value = parseFloat(document.getElementById(field.input).value);
+        if (!isNaN(value)) {
+            tolerance[field.key] = value;
+        }
+    }
+    return Object.keys(tolerance).length > 0 ? tolerance : null;
+}
+
+function setRegressionToleranceFields(tolerance) {
+    for (const field of REGRESSION_TOLERANCE_FIELDS) {
+        const value = tolerance ? tolerance[field.key] : null;
+        document.getElementById(field.input).value = value ?? '';
+    }
+}
+
+// Mirrors the server's verdict rules: state is 'failed' when a metric regressed beyond its tolerance,
+// 'passed' when it improved beyond it and '' when it stayed within
+function getRegressionChecks(delta, tolerance) {
+    const metrics = [
+        { label: 'RPS', change: delta.rpsPercentChange, unit: '%', tolerance: tolerance.throughputPercent, higherIsBetter: true },
+        { label: 'Avg', change: delta.avgResponseTimePercentChange, unit: '%', tolerance: tolerance.responseTimePercent, higherIsBetter: false },
+        { label: 'P95', change: delta.p95PercentChange, unit: '%', tolerance: tolerance.responseTimePercent, higherIsBetter: false },
+        { label: 'Failure Rate', change: delta.failureRateDelta, unit: 'pt', tolerance: tolerance.errorRatePoints, higherIsBetter: false }
+    ];
+
+    return metrics.map(m => {
+        const better = m.higherIsBetter ? m.change > m.tolerance : m.change < -m.tolerance;
+        const worse = m.higherIsBetter ? m.change < -m.tolerance : m.change > m.tolerance;
+        return { ...m, state: worse ? 'failed' : better ? 'passed' : '' };
+    });
+}
+
+function formatRegressionChange(check) {
+    return `${check.change >= 0 ? '+' : ''}${check.change.toFixed(1)}${check.unit}`;
+}
+
+function parseAbortRules(json) {
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error('Failed to parse abort rules:', e);
+        return null;
+    }
+}
+
+function getAbortRuleFields(context) {
+    if (context === 'quick' && !document.getElementById('useAbortRules').checked) return null;
+
+    const prefix = context === 'quick' ? 'abort' : 'endpointAbort';
+    const maxFailureRate = parseFloat(document.getElementById(`${prefix}FailureRate`).value);
+    const maxAverageResponseTime = parseFloat(document.getElementById(`${prefix}AvgResponse`).value);
+    const windowSeconds = parseInt(document.getElementById(`${prefix}Window`).value);
+
+    if (isNaN(maxFailureRate) && isNaN(maxAverageResponseTime)) return null;
+    return {
+        maxFailureRate: isNaN(maxFailureRate) ? null : maxFailureRate,
+        maxAverageResponseTime: isNaN(maxAverageResponseTime) ? null : maxAverageResponseTime,
+        windowSeconds: windowSeconds > 0 ? windowSeconds : 10
+    };
+}
+
+function setAbortRuleFields(context, rules) {
+    const prefix = context === 'quick' ? 'abort' : 'endpointAbort';
+    document.getElementById(`${prefix}FailureRate`).value = rules?.maxFailureRate ?? '';
+    document.getElementById(`${prefix}AvgResponse`).value = rules?.maxAverageResponseTime ?? '';
+    document.getElementById(`${prefix}Window`).value = rules?.windowSeconds ?? 10;
+
+    if (context === 'quick') {
+        document.getElementById('useAbortRules').checked = !!rules;
+        toggleAbortSection();
+    }
+}
+
+function toggleAbortSection() {
+    const useAbortRules = document.getElementById('useAbortRules').checked;
+    document.getElementById('abortSection').classList.toggle('hidden', !useAbortRules);
+}
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+function parseScenarioSteps(json) {
+    if (!json) return [];
+    try {
+        return JSON.parse(json) || [];
+    } catch (e) {
+        console.error('Failed to parse scenario steps:', e);
+        return [];
+    }
+}
+
+function addScenarioStep(step = null) {
+    const container = document.getElementById('endpointStepsContainer');
+    const card = document.createElement('div');
+    card.className = 'scenario-step';
+    card.innerHTML = `
+        <div class="scenario-step-header">
+            <span class="scenario-step-number"></span>
+            <input type="text" class="step-name" placeholder="Step name (e.g., Login)">
+            <button type="button" class="btn-remove-header" onclick="this.closest('.scenario-step').remove(); renumberScenarioSteps()" title="Remove step">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+        <div class="header-row">
+            <select class="step-method">
+                ${HTTP_METHODS.map(m => `<option value="${m}">${m}</option>`).join('')}
+            </select>
+            <input type="text" class="step-url" placeholder="https://api.example.com/carts/{{cartId}}/items">
+        </div>
+        <textarea class="step-headers" rows="1" placeholder="Headers, one per line (X-Request-Id: {{requestId}})"></textarea>
+        <textarea class="step-body" rows="2" placeholder='Request body (optional), e.g. {"productId": 42}'></textarea>
+        <label class="step-extractors-label">
+            Extract values
+            <button type="button" class="btn-add-header" onclick="addStepExtractor(this.closest('.scenario-step'))" title="Add extractor">
+                <i class="fas fa-plus"></i>
+            </button>
+        </label>
+        <div class="step-extractors"></div>
+    `;
+
+    // Values are assigned after rendering so quotes and {{placeholders}} survive untouched
+    card.querySelector('.step-name').value = step?.name || '';
+    card.querySelector('.step-method').value = step?.method || 'GET';
+    card.querySelector('.step-url').value = step?.url || '';
+    card.querySelector('.step-headers').value = formatHeaderLines(step?.headers);
+    card.querySelector('.step-body').value = step?.body || '';
+    (step?.extractors || []).forEach(extractor => addStepExtractor(card, extractor));
+
+    container.appendChild(card);
+    renumberScenarioSteps();
+}
+
+function addStepExtractor(card, extractor = null) {
+    const row = document.createElement('div');
+    row.className = 'header-row';
+    row.innerHTML = `
+        <input type="text" class="extractor-variable" placeholder="Variable (e.g., cartId)">
+        <select class="extractor-source">
+            <option value="json">JSON path</option>
+            <option value="header">Header</option>
+            <option value="regex">Regex</option>
+        </select>
+        <input type="text" class="extractor-expression" placeholder="$.data.id">
+        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    row.querySelector('.extractor-variable').value = extractor?.variable || '';
+    row.querySelector('.extractor-source').value = extractor?.source || 'json';
+    row.querySelector('.extractor-expression').value = extractor?.expression || '';
+    card.querySelector('.step-extractors').appendChild(row);
+}
+
+function renumberScenarioSteps() {
+    document.querySelectorAll('#endpointStepsContainer .scenario-step').forEach((card, index) => {
+        card.querySelector('.scenario-step-number').textContent = index + 1;
+        card.querySelector('.step-name').placeholder = `Step ${index + 1}`;
+    });
+}
+
+function setScenarioSteps(steps) {
+    document.getElementById('endpointStepsContainer').innerHTML = '';
+    (steps || []).forEach(step => addScenarioStep(step));
+}
+
+function getScenarioSteps() {
+    const steps = [];
+    document.querySelectorAll('#endpointStepsContainer .scenario-step').forEach((card, index) => {
+        const url = card.querySelector('.step-url').value.trim();
+        if (!url) return;
+
+        const extractors = [];
+        card.querySelectorAll('.step-extractors .header-row').forEach(row => {
+            const variable = row.querySelector('.extractor-variable').value.trim();
+            const expression = row.querySelector('.extractor-expression').value.trim();
+            if (variable && expression) {
+                extractors.push({ variable, source: row.querySelector('.extractor-source').value, expression });
+            }
+        });
+
+        const headers = parseHeaderLines(card.querySelector('.step-headers').value);
+        steps.push({
+            name: card.querySelector('.step-name').value.trim() || `Step ${index + 1}`,
+            method: card.querySelector('.step-method').value,
+            url,
+            body: card.querySelector('.step-body').value || null,
+            headers: Object.keys(headers).length > 0 ? headers : null,
+            extractors
+        });
+    });
+    return steps;
+}
+
+function parseHeaderLines(text) {
+    const headers = {};
+    (text || '').split('\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    });
+    return headers;
+}
+
+function formatHeaderLines(headers) {
+    return Object.entries(headers || {}).map(([key, value]) => `${key}: ${value}`).join('\n');
+}
+
+const ASSERTION_TYPES = {
+    status: { label: 'Status in', target: null, value: '200, 201' },
+    json: { label: 'JSON path', target: '$.status', value: 'Equals (optional)' },
+    contains: { label: 'Body contains', target: null, value: 'Expected text' },
+    header: { label: 'Header', target: 'Header name', value: 'Equals (optional)' },
+    size: { label: 'Size (bytes)', target: 'Min', value: 'Max' }
+};
+
+function parseAssertions(json) {
+    if (!json) return [];
+    try {
+        return JSON.parse(json) || [];
+    } catch (e) {
+        console.error('Failed to parse assertions:', e);
+        return [];
+    }
+}
+
+function addAssertion(assertion = null) {
+    const container = document.getElementById('endpointAssertionsContainer');
+    const row = document.createElement('div');
+    row.className = 'header-row assertion-row';
+    row.innerHTML = `
+        <select class="assertion-type" onchange="updateAssertionRow(this.parentElement)">
+            ${Object.entries(ASSERTION_TYPES).map(([type, config]) => `<option value="${type}">${config.label}</option>`).join('')}
+        </select>
+        <input type="text" class="assertion-target">
+        <input type="text" class="assertion-value">
+        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()" title="Remove assertion">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    container.appendChild(row);
+
+    if (assertion) {
+        const isSize = assertion.type === 'size';
+        row.querySelector('.assertion-type').value = assertion.type || 'status';
+        row.querySelector('.assertion-target').value = (isSize ? assertion.minBytes : assertion.target) ?? '';
+        row.querySelector('.assertion-value').value = (isSize ? assertion.maxBytes : assertion.value) ?? '';
+    }
+    updateAssertionRow(row);
+}
 
-        if (useAuth) {
-            request.authentication = this.buildAuthConfig();
+function updateAssertionRow(row) {
+    const config = ASSERTION_TYPES[row.querySelector('.assertion-type').value];
+    const target = row.querySelector('.assertion-target');
+    const value = row.querySelector('.assertion-value');
+    const isSize = row.querySelector('.assertion-type').value === 'size';
+
+    target.classList.toggle('hidden', !config.target);
+    target.placeholder = config.target || '';
+    target.type = isSize ? 'number' : 'text';
+    value.placeholder = config.value;
+    value.type = isSize ? 'number' : 'text';
+}
+
+function setAssertions(assertions) {
+    document.getElementById('endpointAssertionsContainer').innerHTML = '';
+    (assertions || []).forEach(assertion => addAssertion(assertion));
+}
+
+function getAssertions() {
+    const assertions = [];
+    document.querySelectorAll('#endpointAssertionsContainer .assertion-row').forEach(row => {
+        const type = row.querySelector('.assertion-type').value;
+        const target = row.querySelector('.assertion-target').value.trim();
+        const value = row.querySelector('.assertion-value').value.trim();
+
+        if (type === 'size') {
+            const minBytes = target !== '' ? parseInt(target) : null;
+            const maxBytes = value !== '' ? parseInt(value) : null;
+            if (minBytes !== null || maxBytes !== null) {
+                assertions.push({ type, minBytes, maxBytes });
+            }
+        } else if (ASSERTION_TYPES[type].target ? target : value) {
+            assertions.push({ type, target: ASSERTION_TYPES[type].target ? target : null, value: value || null });
         }
+    });
+    return assertions;
+}
+
+const DATASET_PREVIEW_ROWS = 5;
 
-        return request;
+let endpointDataset = null;
+
+function parseDataset(json) {
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error('Failed to parse dataset:', e);
+        return null;
     }
+}
 
-    buildAuthConfig() {
-        return {
-            url: this.getFullUrl('authUrlSchema', 'authUrl'),
-            method: document.getElementById('authMethod').value,
-            body: document.getElementById('authBody').value || null,
-            contentType: document.getElementById('authContentType').value,
-            tokenPath: document.getElementById('tokenPath').value || 'access_token',
-            headerName: document.getElementById('headerName').value || 'Authorization',
-            headerPrefix: document.getElementById('headerPrefix').value || 'Bearer '
-        };
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
     }
 
-    formatNumber(num) {
-        if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-        if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
-        return num.toString();
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
     }
 
-    handleMetric(metric) {
-        document.getElementById('statTotalRequests').textContent = this.formatNumber(metric.totalRequests);
-        document.getElementById('statFailed').textContent = this.formatNumber(metric.failedRequests);
-        document.getElementById('statAvgResponse').textContent = Math.round(metric.averageResponseTime);
+    return records.filter(r => r.some(value => value.trim() !== ''));
+}
 
-        if (metric.currentRps > this.peakRps) {
-            this.peakRps = metric.currentRps;
+function parseDatasetFile(fileName, text) {
+    // Strip the byte order mark spreadsheet exports often start with
+    text = text.replace(/^\uFEFF/, '');
+
+    if (fileName.toLowerCase().endsWith('.json') || text.trim().startsWith('[')) {
+        const items = JSON.parse(text);
+        if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw new Error('A JSON dataset must be an array of objects');
         }
-        document.getElementById('statRps').textContent = this.peakRps.toFixed(2);
+        return items.map(item => Object.fromEntries(Object.entries(item).map(([key, value]) => [
+            key,
+            value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value)
+        ])));
+    }
 
-        document.getElementById('avgResponseBottom').textContent = Math.round(metric.averageResponseTime) + 'ms';
-        document.getElementById('totalRequestsBottom').textContent = this.formatNumber(metric.totalRequests);
-        document.getElementById('rpsBottom').textContent = metric.currentRps.toFixed(2);
+    const [columns, ...records] = parseCsv(text);
+    if (!columns || columns.every(column => column.trim() === '')) {
+        throw new Error('A CSV dataset needs a header row');
+    }
 
-        const now = new Date();
-        const timeLabel = now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-        
-        this.responseTimeHistory.push({
-            time: timeLabel,
-            value: metric.responseTime,
-            avg: metric.averageResponseTime
-        });
-        
-        if (this.responseTimeHistory.length > this.maxDataPoints) {
-            this.responseTimeHistory.shift();
-        }
+    const names = columns.map(column => column.trim());
+    return records.map(record => Object.fromEntries(names
+        .map((name, index) => [name, record[index] ?? ''])
+        .filter(([name]) => name !== '')));
+}
 
-        const rtChart = this.charts.responseTime;
-        rtChart.data.labels = this.responseTimeHistory.map(d => d.time);
-        rtChart.data.datasets[0].data = this.responseTimeHistory.map(d => d.value);
-        rtChart.data.datasets[1].data = this.responseTimeHistory.map(d => d.avg);
-        rtChart.update('none');
+async function handleDatasetFileSelect(input) {
+    const file = input.files[0];
+    if (!file) return;
 
-        const statusGroup = this.getStatusCodeGroup(metric.statusCode);
-        this.statusCodeCounts[statusGroup] = (this.statusCodeCounts[statusGroup] || 0) + 1;
-        
-        const scChart = this.charts.statusCode;
-        scChart.data.labels = Object.keys(this.statusCodeCounts);
-        scChart.data.datasets[0].data = Object.values(this.statusCodeCounts);
-        scChart.update('none');
+    try {
+        const rows = parseDatasetFile(file.name, await file.text());
+        if (rows.length === 0) {
+            throw new Error('The file has no data rows');
+        }
+        setDataset({ name: file.name, mode: document.getElementById('endpointDatasetMode').value, rows });
+    } catch (err) {
+        console.error('Failed to load dataset:', err);
+        window.app.showAlert('error', 'Error', 'Failed to load dataset: ' + err.message);
+        input.value = '';
     }
+}
 
-    getStatusCodeGroup(statusCode) {
-        if (statusCode >= 200 && statusCode < 300) return '2xx Success';
-        if (statusCode >= 300 && statusCode < 400) return '3xx Redirect';
-        if (statusCode >= 400 && statusCode < 500) return '4xx Client Error';
-        if (statusCode >= 500) return '5xx Server Error';
-        return 'Other';
+function setDataset(dataset) {
+    endpointDataset = dataset && dataset.rows && dataset.rows.length > 0 ? dataset : null;
+
+    const fileNameSpan = document.getElementById('endpointDatasetFileName');
+    const dropZone = document.getElementById('endpointDatasetDropZone');
+    const details = document.getElementById('endpointDatasetDetails');
+    const preview = document.getElementById('endpointDatasetPreview');
+
+    if (!endpointDataset) {
+        fileNameSpan.textContent = 'Click or drag a CSV or JSON file here';
+        dropZone.classList.remove('has-file');
+        details.classList.add('hidden');
+        preview.innerHTML = '';
+        document.getElementById('endpointDatasetMode').value = 'sequential';
+        return;
     }
 
-    handleTestCompleted(result) {
-        console.log('handleTestCompleted called, updating UI...');
-        this.isRunning = false;
-        this.toggleButtons(false);
-        this.updateTestStatus('completed');
-        console.log('Status updated to completed');
-        
-        this.showToast('success', 'Test Completed', `${result.totalRequests.toLocaleString()} requests at ${result.requestsPerSecond.toFixed(1)} req/s`);
+    const rows = endpointDataset.rows;
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
 
-        document.getElementById('statTotalRequests').textContent = this.formatNumber(result.totalRequests);
-        document.getElementById('statFailed').textContent = this.formatNumber(result.failedRequests);
-        document.getElementById('statRps').textContent = result.requestsPerSecond.toFixed(2);
-        document.getElementById('statAvgResponse').textContent = Math.round(result.averageResponseTime);
-        
-        document.getElementById('avgResponseBottom').textContent = Math.round(result.averageResponseTime) + 'ms';
-        document.getElementById('totalRequestsBottom').textContent = this.formatNumber(result.totalRequests);
-        document.getElementById('rpsBottom').textContent = result.requestsPerSecond.toFixed(2);
+    fileNameSpan.textContent = endpointDataset.name || 'Dataset';
+    dropZone.classList.add('has-file');
+    details.classList.remove('hidden');
+    document.getElementById('endpointDatasetMode').value = endpointDataset.mode || 'sequential';
+    document.getElementById('endpointDatasetSummary').textContent =
+        `${rows.length.toLocaleString()} row${rows.length === 1 ? '' : 's'} · columns: ${columns.map(c => `{{${c}}}`).join(', ')}`;
+
+    preview.innerHTML = `
+        <thead><tr>${columns.map(c => `<th>${window.app.escapeHtml(c)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${rows.slice(0, DATASET_PREVIEW_ROWS).map(row => `
+                <tr>${columns.map(c => `<td>${window.app.escapeHtml(row[c] ?? '')}</td>`).join('')}</tr>
+            `).join('')}
+        </tbody>
+    `;
+}
 
-        const pctChart = this.charts.percentile;
-        pctChart.data.datasets[0].data = [
-            result.percentile50,
-            result.percentile75,
-            result.percentile90,
-            result.percentile95,
-            result.percentile99
-        ];
-        pctChart.update();
+function clearDataset() {
+    document.getElementById('endpointDatasetFile').value = '';
+    setDataset(null);
+}
 
-        this.displayFinalResults(result);
-    }
+function getDataset() {
+    if (!endpointDataset) return null;
+    return {
+        name: endpointDataset.name,
+        mode: document.getElementById('endpointDatasetMode').value,
+        rows: endpointDataset.rows
+    };
+}
 
-    displayFinalResults(result) {
-        const resultsCard = document.getElementById('resultsCard');
-        resultsCard.classList.remove('hidden');
+function initDatasetDragDrop() {
+    const dropZone = document.getElementById('endpointDatasetDropZone');
+    if (!dropZone) return;
 
-        const globalBody = document.getElementById('globalResultsBody');
-        globalBody.innerHTML = `
-            <tr><td>Total Duration</td><td><strong>${(result.totalElapsedTime / 1000).toFixed(2)}s</strong></td></tr>
-            <tr><td>Total Requests</td><td><strong>${result.totalRequests.toLocaleString()}</strong></td></tr>
-            <tr><td>Successful</td><td><strong style="color: #10b981">${result.successfulRequests.toLocaleString()}</strong></td></tr>
-            <tr><td>Failed</td><td><strong style="color: #ef4444">${result.failedRequests.toLocaleString()}</strong></td></tr>
-            <tr><td>Requests/sec</td><td><strong>${result.requestsPerSecond.toFixed(2)}</strong></td></tr>
-            <tr><td>Avg Response Time</td><td><strong>${result.averageResponseTime.toFixed(2)}ms</strong></td></tr>
-            <tr><td>Min Response Time</td><td><strong>${result.minResponseTime.toFixed(2)}ms</strong></td></tr>
-            <tr><td>Max Response Time</td><td><strong>${result.maxResponseTime.toFixed(2)}ms</strong></td></tr>
-        `;
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
 
-        const pctBody = document.getElementById('percentileResultsBody');
-        pctBody.innerHTML = `
-            <tr><td>P50</td><td><strong>${result.percentile50.toFixed(2)}ms</strong></td></tr>
-            <tr><td>P75</td><td><strong>${result.percentile75.toFixed(2)}ms</strong></td></tr>
-            <tr><td>P90</td><td><strong>${result.percentile90.toFixed(2)}ms</strong></td></tr>
-            <tr><td>P95</td><td><strong>${result.percentile95.toFixed(2)}ms</strong></td></tr>
-            <tr><td>P99</td><td><strong>${result.percentile99.toFixed(2)}ms</strong></td></tr>
-        `;
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('drag-over');
+    });
 
-        const scBody = document.getElementById('statusCodeResultsBody');
-        scBody.innerHTML = '';
-        for (const [code, data] of Object.entries(result.statusCodes)) {
-            const badgeColor = code.startsWith('2') ? '#10b981' : code.startsWith('4') ? '#ef4444' : code.startsWith('5') ? '#8b5cf6' : '#6b7280';
-            scBody.innerHTML += `
-                <tr>
-                    <td><span style="background: ${badgeColor}; color: white; padding: 2px 8px; border-radius: 4px; font-size: 0.75rem;">${code}</span></td>
-                    <td>${data.count}</td>
-                    <td>${data.minResponseTime.toFixed(1)}ms</td>
-                    <td>${data.avgResponseTime.toFixed(1)}ms</td>
-                    <td>${data.maxResponseTime.toFixed(1)}ms</td>
-                    <td>${data.percentile50.toFixed(1)}ms</td>
-                    <td>${data.percentile90.toFixed(1)}ms</td>
-                    <td>${data.percentile99.toFixed(1)}ms</td>
-                </tr>
-            `;
-        }
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
 
-        resultsCard.scrollIntoView({ behavior: 'smooth' });
-    }
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            const input = document.getElementById('endpointDatasetFile');
+            const dt = new DataTransfer();
+            dt.items.add(file);
+            input.files = dt.files;
 
-    handleTestError(error) {
-        this.isRunning = false;
-        this.toggleButtons(false);
-        this.updateTestStatus('idle');
-        this.showAlert('error', 'Test Error', error.error);
-    }
+            handleDatasetFileSelect(input);
+        }
+    });
+}
 
-    resetCharts() {
-        this.statusCodeCounts = {};
-        this.responseTimeHistory = [];
-        this.rpsHistory = [];
-        this.peakRps = 0;
+document.addEventListener('DOMContentLoaded', initDatasetDragDrop);
 
-        document.getElementById('statTotalRequests').textContent = '0';
-        document.getElementById('statFailed').textContent = '0';
-        document.getElementById('statRps').textContent = '0';
-        document.getElementById('statAvgResponse').textContent = '0';
-        document.getElementById('avgResponseBottom').textContent = '0ms';
-        document.getElementById('totalRequestsBottom').textContent = '0';
-        document.getElementById('rpsBottom').textContent = '0';
+const LOAD_PROFILE_PRESETS = {
+    ramp: [[30, 50], [120, 50], [30, 0]],
+    spike: [[30, 50], [120, 50], [10, 200], [30, 200], [30, 0]],
+    soak: [[60, 50], [1800, 50], [60, 0]]
+};
 
-        document.getElementById('resultsCard').classList.add('hidden');
+const loadProfilePreviewCharts = {};
 
-        this.charts.responseTime.data.labels = [];
-        this.charts.responseTime.data.datasets[0].data = [];
-        this.charts.responseTime.data.datasets[1].data = [];
-        this.charts.responseTime.update();
+function isLoadProfileMode(mode) {
+    return mode === 'stages' || mode === 'arrival-rate';
+}
 
-        this.charts.statusCode.data.labels = [];
-        this.charts.statusCode.data.datasets[0].data = [];
-        this.charts.statusCode.update();
+function getLoadProfileElementId(context, id) {
+    return context === 'quick' ? id : 'endpoint' + id.charAt(0).toUpperCase() + id.slice(1);
+}
 
-        this.charts.percentile.data.datasets[0].data = [0, 0, 0, 0, 0];
-        this.charts.percentile.update();
+function parseLoadProfile(json) {
+    if (!json) return null;
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error('Failed to parse load profile:', e);
+        return null;
     }
+}
 
-    toggleButtons(isRunning) {
-        const startBtn = document.getElementById('startBtn');
-        const stopBtn = document.getElementById('stopBtn');
-        const form = document.getElementById('testForm');
+function addLoadStage(context, duration = 30, target = 10) {
+    const container = document.getElementById(getLoadProfileElementId(context, 'stagesContainer'));
+    const row = document.createElement('div');
+    row.className = 'header-row stage-row';
+    row.innerHTML = `
+        <input type="number" class="stage-duration" min="1" placeholder="Duration (sec)" value="${duration}" oninput="updateLoadProfilePreview('${context}')">
+        <input type="number" class="stage-target" min="0" placeholder="Target users" value="${target}" oninput="updateLoadProfilePreview('${context}')">
+        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove(); updateLoadProfilePreview('${context}')">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    container.appendChild(row);
+    updateLoadProfilePreview(context);
+}
 
-        if (isRunning) {
-            startBtn.classList.add('hidden');
-            stopBtn.classList.remove('hidden');
-            form.querySelectorAll('input, select, textarea').forEach(el => { el.disabled = true; });
-        } else {
-            startBtn.classList.remove('hidden');
-            stopBtn.classList.add('hidden');
-            form.querySelectorAll('input, select, textarea').forEach(el => { el.disabled = false; });
-        }
-    }
+function setLoadStages(context, stages) {
+    document.getElementById(getLoadProfileElementId(context, 'stagesContainer')).innerHTML = '';
+    stages.forEach(stage => addLoadStage(context, stage.duration, stage.target));
+    updateLoadProfilePreview(context);
 }
 
-function initSidebarResize() {
-    const sidebar = document.getElementById('sidebar');
-    const handle = document.getElementById('sidebarResizeHandle');
-    let isResizing = false;
-    let startX = 0;
-    let startWidth = 0;
+function applyLoadProfilePreset(context, preset) {
+    setLoadStages(context, LOAD_PROFILE_PRESETS[preset].map(([duration, target]) => ({ duration, target })));
+}
 
-    handle.addEventListener('mousedown', (e) => {
-        isResizing = true;
-        startX = e.clientX;
-        startWidth = sidebar.offsetWidth;
-        sidebar.classList.add('resizing');
-        handle.classList.add('active');
-        document.body.style.cursor = 'col-resize';
-        document.body.style.userSelect = 'none';
-        e.preventDefault();
+function getLoadProfile(context) {
+    const mode = document.getElementById(context === 'quick' ? 'testMode' : 'endpointTestMode').value;
+    if (mode === 'arrival-rate') {
+        return {
+            type: 'arrival-rate',
+            rate: parseFloat(document.getElementById(getLoadProfileElementId(context, 'arrivalRate')).value) || 0,
+            duration: parseInt(document.getElementById(getLoadProfileElementId(context, 'arrivalDuration')).value) || 0,
+            maxUsers: parseInt(document.getElementById(getLoadProfileElementId(context, 'arrivalMaxUsers')).value) || 100
+        };
+    }
+    if (mode !== 'stages') return null;
+
+    const stages = [];
+    document.querySelectorAll(`#${getLoadProfileElementId(context, 'stagesContainer')} .stage-row`).forEach(row => {
+        const duration = parseInt(row.querySelector('.stage-duration').value);
+        const target = parseInt(row.querySelector('.stage-target').value);
+        if (duration > 0 && target >= 0) {
+            stages.push({ duration, target });
+        }
     });
+    return { type: 'stages', stages };
+}
 
-    document.addEventListener('mousemove', (e) => {
-        if (!isResizing) return;
-        
-        const diff = e.clientX - startX;
-        let newWidth = startWidth + diff;
-        
-        newWidth = Math.max(180, Math.min(400, newWidth));
-        
-        sidebar.style.width = newWidth + 'px';
-        document.documentElement.style.setProperty('--sidebar-width', newWidth + 'px');
-    });
+function setLoadProfile(context, profile) {
+    if (profile?.type === 'arrival-rate') {
+        document.getElementById(getLoadProfileElementId(context, 'arrivalRate')).value = profile.rate;
+        document.getElementById(getLoadProfileElementId(context, 'arrivalDuration')).value = profile.duration;
+        document.getElementById(getLoadProfileElementId(context, 'arrivalMaxUsers')).value = profile.maxUsers;
+    } else {
+        document.getElementById(getLoadProfileElementId(context, 'arrivalRate')).value = 50;
+        document.getElementById(getLoadProfileElementId(context, 'arrivalDuration')).value = 60;
+        document.getElementById(getLoadProfileElementId(context, 'arrivalMaxUsers')).value = 100;
+    }
 
-    document.addEventListener('mouseup', () => {
-        if (!isResizing) return;
-        
-        isResizing = false;
-        sidebar.classList.remove('resizing');
-        handle.classList.remove('active');
-        document.body.style.cursor = '';
-        document.body.style.userSelect = '';
-        
-        localStorage.setItem('nfury-sidebar-width', sidebar.offsetWidth);
-    });
+    if (profile?.type === 'stages' && profile.stages?.length) {
+        setLoadStages(context, profile.stages);
+    } else {
+        applyLoadProfilePreset(context, 'ramp');
+    }
+}
 
-    const savedWidth = localStorage.getItem('nfury-sidebar-width');
-    if (savedWidth) {
-        const width = parseInt(savedWidth);
-        if (width >= 180 && width <= 400) {
-            sidebar.style.width = width + 'px';
-            document.documentElement.style.setProperty('--sidebar-width', width + 'px');
+function toggleLoadProfileSection(context, mode) {
+    document.getElementById(getLoadProfileElementId(context, 'loadProfileSection')).classList.toggle('hidden', !isLoadProfileMode(mode));
+    document.getElementById(getLoadProfileElementId(context, 'stagesEditor')).classList.toggle('hidden', mode !== 'stages');
+    document.getElementById(getLoadProfileElementId(context, 'arrivalRateEditor')).classList.toggle('hidden', mode !== 'arrival-rate');
+    if (isLoadProfileMode(mode)) {
+        updateLoadProfilePreview(context);
+    }
+}
+
+function getLoadProfileDuration(profile) {
+    if (profile.type === 'arrival-rate') return profile.duration || 0;
+    return (profile.stages || []).reduce((sum, stage) => sum + stage.duration, 0);
+}
+
+function getLoadProfilePeakUsers(profile) {
+    if (profile.type === 'arrival-rate') return profile.maxUsers || 0;
+    return Math.max(0, ...(profile.stages || []).map(stage => stage.target));
+}
+
+// Mirrors LoadProfile.GetTargetUsers on the server: each stage ramps linearly from the previous target
+function getLoadProfileTarget(profile, elapsedSeconds) {
+    if (!profile || profile.type !== 'stages') return null;
+
+    let previousTarget = 0;
+    let stageStart = 0;
+    for (const stage of profile.stages || []) {
+        if (elapsedSeconds < stageStart + stage.duration) {
+            const progress = (elapsedSeconds - stageStart) / stage.duration;
+            return previousTarget + (stage.target - previousTarget) * progress;
         }
+        previousTarget = stage.target;
+        stageStart += stage.duration;
     }
+    return previousTarget;
 }
 
-document.addEventListener('DOMContentLoaded', initSidebarResize);
+const MAX_COMPARED_EXECUTIONS = 10;
+const COMPARISON_COLORS = ['#7c3aed', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#ec4899', '#8b5cf6', '#84cc16', '#f97316', '#64748b'];
 
-function toggleConfigPanel() {
-    const panel = document.getElementById('configPanel');
-    panel.classList.toggle('open');
+function getComparisonColor(index) {
+    return COMPARISON_COLORS[index % COMPARISON_COLORS.length];
 }
 
-function toggleSidebar() {
-    const sidebar = document.getElementById('sidebar');
-    sidebar.classList.toggle('open');
-    document.body.classList.toggle('sidebar-open');
+// Average response time per elapsed second of a stored execution, as {x, y} points
+function getResponseTimeSeries(execution) {
+    const startedAt = new Date(execution.startedAt);
+    const seconds = new Map();
+    (execution.metrics || []).forEach(m => {
+        const second = Math.max(0, Math.floor((new Date(m.timestamp) - startedAt) / 1000));
+        const bucket = seconds.get(second) || { sum: 0, count: 0 };
+        bucket.sum += m.responseTime;
+        bucket.count++;
+        seconds.set(second, bucket);
+    });
+    return Array.from(seconds, ([second, bucket]) => ({ x: second, y: bucket.sum / bucket.count }))
+        .sort((a, b) => a.x - b.x);
 }
 
-function toggleHistoryPanel() {
-    const panel = document.getElementById('historyPanel');
-    const isOpen = panel.classList.toggle('open');
-    if (isOpen) {
-        window.app.loadHistory();
-    }
-    document.getElementById('overlay').classList.toggle('visible', isOpen);
+const LATENCY_BUCKET_BOUNDS_MS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const HEATMAP_MAX_COLUMNS = 60;
+const TIMELINE_PERCENTILE = 0.95;
+
+// Only the newest timeline bucket keeps its raw samples; older ones are reduced to their p95 once the second has passed
+function closeTimelineBucket(bucket) {
+    if (!bucket.samples) return;
+    bucket.p95 = getTimelineP95(bucket.samples);
+    bucket.samples = null;
 }
 
-function loadHistory() {
-    const status = document.getElementById('historyStatusFilter').value;
-    window.app.loadHistory(status);
+function getTimelineP95(samples) {
+    if (samples.length === 0) return null;
+    const sorted = [...samples].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * TIMELINE_PERCENTILE) - 1)];
 }
 
-function toggleTheme() {
-    const html = document.documentElement;
-    const themeIcon = document.getElementById('themeIcon');
-    const currentTheme = html.getAttribute('data-theme');
-    
-    if (currentTheme === 'dark') {
-        html.removeAttribute('data-theme');
-        themeIcon.classList.remove('fa-sun');
-        themeIcon.classList.add('fa-moon');
-        localStorage.setItem('theme', 'light');
+function getLatencyBucket(responseTime) {
+    const index = LATENCY_BUCKET_BOUNDS_MS.findIndex(bound => responseTime < bound);
+    return index === -1 ? LATENCY_BUCKET_BOUNDS_MS.length : index;
+}
+
+function formatLatencyBound(ms) {
+    return ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+}
+
+function getLatencyBucketLabels() {
+    const bounds = LATENCY_BUCKET_BOUNDS_MS;
+    return [
+        `<${formatLatencyBound(bounds[0])}`,
+        ...bounds.slice(1).map((bound, i) => `${formatLatencyBound(bounds[i])}-${formatLatencyBound(bound)}`),
+        `${formatLatencyBound(bounds[bounds.length - 1])}+`
+    ];
+}
+
+function getHeatmapColor(count, maxCount) {
+    if (count === 0 || maxCount === 0) return 'rgba(0, 0, 0, 0.03)';
+    // Log scale so a few slow outliers stay visible next to the bulk of requests
+    const intensity = Math.log(1 + count) / Math.log(1 + maxCount);
+    return `rgba(124, 58, 237, ${(0.15 + 0.85 * intensity).toFixed(2)})`;
+}
+
+function formatLoadProfileDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+function updateLoadProfilePreview(context) {
+    const profile = getLoadProfile(context);
+    const canvas = document.getElementById(getLoadProfileElementId(context, 'loadProfilePreview'));
+    const summary = document.getElementById(getLoadProfileElementId(context, 'loadProfileSummary'));
+    if (!profile || !canvas || typeof Chart === 'undefined') return;
+
+    const totalDuration = getLoadProfileDuration(profile);
+    let points;
+    let label;
+    if (profile.type === 'arrival-rate') {
+        points = [{ x: 0, y: profile.rate }, { x: totalDuration, y: profile.rate }];
+        label = 'Arrival rate (req/s)';
+        summary.textContent = `${profile.rate} req/s for ${formatLoadProfileDuration(totalDuration)}, up to ${profile.maxUsers} concurrent requests`;
     } else {
-        html.setAttribute('data-theme', 'dark');
-        themeIcon.classList.remove('fa-moon');
-        themeIcon.classList.add('fa-sun');
-        localStorage.setItem('theme', 'dark');
+        points = [{ x: 0, y: 0 }];
+        let elapsed = 0;
+        profile.stages.forEach(stage => {
+            elapsed += stage.duration;
+            points.push({ x: elapsed, y: stage.target });
+        });
+        label = 'Target users';
+        summary.textContent = profile.stages.length > 0
+            ? `${profile.stages.length} stages, peak ${getLoadProfilePeakUsers(profile)} VUs, total ${formatLoadProfileDuration(totalDuration)}`
+            : 'Add at least one stage';
     }
-}
 
-function initializeTheme() {
-    const savedTheme = localStorage.getItem('theme');
-    const themeIcon = document.getElementById('themeIcon');
-    
-    if (savedTheme === 'dark') {
-        document.documentElement.setAttribute('data-theme', 'dark');
-        themeIcon.classList.remove('fa-moon');
-        themeIcon.classList.add('fa-sun');
+    const chart = loadProfilePreviewCharts[context];
+    if (chart) {
+        chart.data.datasets[0].data = points;
+        chart.data.datasets[0].label = label;
+        chart.update('none');
+        return;
     }
+
+    loadProfilePreviewCharts[context] = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: [{
+                label,
+                data: points,
+                borderColor: '#7c3aed',
+                backgroundColor: 'rgba(124, 58, 237, 0.15)',
+                fill: true,
+                tension: 0,
+                pointRadius: 2,
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: { duration: 0 },
+            plugins: { legend: { display: false } },
+            scales: {
+                x: {
+                    type: 'linear',
+                    beginAtZero: true,
+                    grid: { display: false },
+                    ticks: {
+                        color: '#9ca3af',
+                        font: { size: 10 },
+                        maxTicksLimit: 6,
+                        callback: (value) => value + 's'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    grid: { color: 'rgba(0,0,0,0.05)' },
+                    ticks: {
+                        color: '#9ca3af',
+                        font: { size: 10 },
+                        maxTicksLimit: 4
+                    }
+                }
+            }
+        }
+    });
 }
 
-function selectQuickTest() {
-    window.app.selectedProjectId = null;
-    window.app.selectedEndpointId = null;
-    window.app.renderProjectList();
-    document.getElementById('projectNameHeader').textContent = 'Load Test';
-    
-    document.getElementById('urlSchema').value = 'https://';
-    document.getElementById('url').value = '';
-    document.getElementById('method').value = 'GET';
-    document.getElementById('users').value = 10;
-    document.getElementById('requests').value = 100;
-    document.getElementById('duration').value = '';
-    document.getElementById('body').value = '';
-    document.getElementById('headersContainer').innerHTML = '';
-    document.getElementById('useAuth').checked = false;
-    toggleAuthSection();
+function toggleSuiteSelection(checked) {
+    document.querySelectorAll('#suiteEndpointList input[type="checkbox"]').forEach(cb => {
+        cb.checked = checked;
+    });
 }
 
-function showCreateProjectModal() {
-    document.getElementById('newProjectName').value = '';
-    document.getElementById('newProjectDescription').value = '';
-    document.getElementById('createProjectModal').classList.add('open');
-    document.getElementById('overlay').classList.add('visible');
+function updateSuiteSelectAll() {
+    const checkboxes = Array.from(document.querySelectorAll('#suiteEndpointList input[type="checkbox"]'));
+    document.getElementById('suiteSelectAll').checked = checkboxes.every(cb => cb.checked);
 }
 
-function closeCreateProjectModal() {
-    document.getElementById('createProjectModal').classList.remove('open');
-    document.getElementById('overlay').classList.remove('visible');
+function addEnvironmentVariable(key = '', value = '') {
+    const container = document.getElementById('environmentVariablesContainer');
+    const row = document.createElement('div');
+    row.className = 'header-row';
+    row.innerHTML = `
+        <input type="text" class="header-key" placeholder="Variable name">
+        <input type="text" class="header-value" placeholder="Value">
+        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    row.querySelector('.header-key').value = key;
+    row.querySelector('.header-value').value = value;
+    container.appendChild(row);
 }
 
-function closeEndpointModal() {
-    document.getElementById('endpointModal').classList.remove('open');
-    document.getElementById('overlay').classList.remove('visible');
+function substituteVariables(text, variables) {
+    if (!text) return text;
+    return text.replace(/\{\{\s*([\w.\-]+)\s*\}\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match);
 }
 
-function closeExecutionModal() {
-    document.getElementById('executionModal').classList.remove('open');
-    document.getElementById('overlay').classList.remove('visible');
+function parseExecutionTags(json) {
+    if (!json) return [];
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error('Failed to parse tags:', e);
+        return [];
+    }
 }
 
-function closeAllModals() {
-    document.getElementById('createProjectModal').classList.remove('open');
-    document.getElementById('endpointModal').classList.remove('open');
-    document.getElementById('executionModal').classList.remove('open');
-    document.getElementById('projectAuthModal').classList.remove('open');
-    document.getElementById('importProjectModal').classList.remove('open');
-    document.getElementById('historyPanel').classList.remove('open');
+// Keeps the history panel and its overlay open when the modal was opened from it
+function closeAnnotationModal() {
+    document.getElementById('annotationModal').classList.remove('open');
+    if (!document.getElementById('historyPanel').classList.contains('open')) {
+        document.getElementById('overlay').classList.remove('visible');
+    }
+}
+
+function closeCopyAsModal() {
+    document.getElementById('copyAsModal').classList.remove('open');
     document.getElementById('overlay').classList.remove('visible');
-    
-    const fileInput = document.getElementById('importProjectFile');
-    if (fileInput) fileInput.value = '';
-    document.getElementById('importPreview').style.display = 'none';
-    document.getElementById('importError').style.display = 'none';
-    document.getElementById('btnImportProject').disabled = true;
-    window.pendingImportData = null;
 }
 
-function showImportProjectModal() {
-    document.getElementById('importProjectModal').classList.add('open');
-    document.getElementById('overlay').classList.add('visible');
+async function copyAsToClipboard() {
+    const output = document.getElementById('copyAsOutput');
+    try {
+        await navigator.clipboard.writeText(output.value);
+    } catch {
+        output.select();
+        document.execCommand('copy');
+    }
+    window.app.showToast('success', 'Copied', 'Snippet copied to clipboard');
 }
 
-function handleImportFileSelect(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const data = JSON.parse(e.target.result);
-            
-            if (!data.project || !data.project.name) {
-                showImportError('Invalid file format: missing project data');
-                return;
-            }
-            
-            document.getElementById('importProjectName').textContent = data.project.name;
-            document.getElementById('importEndpointsCount').textContent = data.project.endpoints?.length || 0;
-            
-            let totalExecutions = 0;
-            if (data.project.endpoints) {
-                data.project.endpoints.forEach(ep => {
-                    totalExecutions += ep.executions?.length || 0;
-                });
-            }
-            document.getElementById('importExecutionsCount').textContent = totalExecutions;
-            document.getElementById('importHasAuth').textContent = data.project.authUrl ? 'Yes' : 'No';
-            
-            document.getElementById('importPreview').style.display = 'block';
-            document.getElementById('importError').style.display = 'none';
-            document.getElementById('btnImportProject').disabled = false;
-            
-            window.pendingImportData = data;
-        } catch (err) {
-            showImportError('Invalid JSON file: ' + err.message);
-        }
-    };
-    reader.readAsText(file);
+// Matches the width of .export-menu so the menu opens right-aligned under its button
+const EXPORT_MENU_WIDTH = 200;
+
+const EXECUTION_EXPORTS = {
+    'summary-csv': { fileName: 'summary.csv', type: 'text/csv', build: buildExecutionSummaryCsv },
+    'summary-json': { fileName: 'summary.json', type: 'application/json', build: buildExecutionSummaryJson },
+    'metrics-csv': { fileName: 'metrics.csv', type: 'text/csv', build: buildExecutionMetricsCsv },
+    'junit': { fileName: 'junit.xml', type: 'application/xml', build: buildExecutionJUnitXml }
+};
+
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 }
 
-function showImportError(message) {
-    document.getElementById('importError').textContent = message;
-    document.getElementById('importError').style.display = 'block';
-    document.getElementById('importPreview').style.display = 'none';
-    document.getElementById('btnImportProject').disabled = true;
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
 }
 
-async function importProject() {
-    if (!window.pendingImportData) return;
-    
-    const btn = document.getElementById('btnImportProject');
-    const originalText = btn.innerHTML;
-    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Importing...';
-    btn.disabled = true;
-    
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function getExecutionSummary(execution) {
+    return {
+        id: execution.id,
+        testId: execution.testId,
+        endpoint: execution.endpoint?.name || null,
+        project: execution.endpoint?.project?.name || null,
+        url: execution.url,
+        method: execution.method,
+        users: execution.users,
+        status: execution.status,
+        abortReason: execution.abortReason || null,
+        startedAt: execution.startedAt,
+        completedAt: execution.completedAt || null,
+        totalElapsedTimeMs: execution.totalElapsedTime,
+        totalRequests: execution.totalRequests,
+        successfulRequests: execution.successfulRequests,
+        failedRequests: execution.failedRequests,
+        failureRatePercent: execution.totalRequests > 0 ? execution.failedRequests / execution.totalRequests * 100 : 0,
+        assertionFailures: execution.assertionFailures || 0,
+        requestsPerSecond: execution.requestsPerSecond,
+        averageResponseTimeMs: execution.averageResponseTime,
+        minResponseTimeMs: execution.minResponseTime,
+        maxResponseTimeMs: execution.maxResponseTime,
+        percentile50Ms: execution.percentile50,
+        percentile75Ms: execution.percentile75,
+        percentile90Ms: execution.percentile90,
+        percentile95Ms: execution.percentile95,
+        percentile99Ms: execution.percentile99
+    };
+}
+
+function getExecutionStatusCodes(execution) {
+    if (!execution.statusCodesJson) return {};
     try {
-        const response = await fetch('/api/projects/import', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(window.pendingImportData)
+        return JSON.parse(execution.statusCodesJson);
+    } catch (e) {
+        console.error('Failed to parse statusCodesJson:', e);
+        return {};
+    }
+}
+
+// Summary metrics as metric/value rows, then the status code breakdown as a second table after a blank line
+function buildExecutionSummaryCsv(execution) {
+    const rows = [['Metric', 'Value'], ...Object.entries(getExecutionSummary(execution))];
+    rows.push([]);
+    rows.push(['Status', 'Count', 'Min (ms)', 'Avg (ms)', 'Max (ms)', 'P50 (ms)', 'P90 (ms)', 'P99 (ms)']);
+    for (const [code, data] of Object.entries(getExecutionStatusCodes(execution))) {
+        rows.push([code, data.count, data.minResponseTime, data.avgResponseTime, data.maxResponseTime, data.percentile50, data.percentile90, data.percentile99]);
+    }
+    return toCsv(rows);
+}
+
+function buildExecutionSummaryJson(execution) {
+    return JSON.stringify({
+        ...getExecutionSummary(execution),
+        thresholds: parseThresholds(execution.thresholdsJson),
+        statusCodes: getExecutionStatusCodes(execution)
+    }, null, 2);
+}
+
+// Stored samples are snapshots taken during the run, so elapsed time is relative to the execution start
+function buildExecutionMetricsCsv(execution) {
+    const startedAt = new Date(execution.startedAt);
+    const rows = [['Timestamp', 'Elapsed (s)', 'Status Code', 'Response Time (ms)', 'Average Response Time (ms)', 'Requests/sec', 'Active Users', 'Total Requests', 'Failed Requests']];
+    for (const m of execution.metrics || []) {
+        rows.push([
+            m.timestamp,
+            ((new Date(m.timestamp) - startedAt) / 1000).toFixed(3),
+            m.statusCode,
+            m.responseTime,
+            m.averageResponseTime,
+            m.currentRps,
+            m.activeUsers,
+            m.totalRequests,
+            m.failedRequests
+        ]);
+    }
+    return toCsv(rows);
+}
+
+// One test case for the run itself, then one per configured threshold
+function buildExecutionJUnitXml(execution) {
+    const suiteName = execution.endpoint?.name || `${execution.method} ${execution.url}`;
+    const className = `nfury.${suiteName.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '').toLowerCase() || 'execution'}`;
+    const seconds = ((execution.totalElapsedTime || 0) / 1000).toFixed(3);
+
+    const runFailure = execution.abortReason
+        ? { type: 'aborted', message: `Aborted: ${execution.abortReason}` }
+        : execution.status !== 'Completed'
+            ? { type: execution.status.toLowerCase(), message: execution.errorMessage || `Run ended with status ${execution.status}` }
+            : null;
+    const cases = [{ name: 'Run completed', time: seconds, failure: runFailure }];
+
+    const evaluation = evaluateThresholds(execution, parseThresholds(execution.thresholdsJson));
+    for (const check of evaluation ? evaluation.checks : []) {
+        const comparison = check.max ? '<=' : '>=';
+        cases.push({
+            name: `${check.label} ${comparison} ${check.limit}${check.unit}`,
+            time: '0',
+            failure: check.passed ? null : {
+                type: 'threshold',
+                message: `${check.label} was ${check.actual.toFixed(2)}${check.unit}, expected ${comparison} ${check.limit}${check.unit}`
+            }
         });
-        
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Import failed');
-        }
-        
-        const result = await response.json();
-        closeAllModals();
-        
-        if (result.projectId) {
-            window.app.expandedProjects.add(result.projectId);
-        }
-        await window.app.loadProjects();
-        
-        window.app.showAlert('success', 'Import Successful', `Project "${result.projectName}" imported with ${result.endpointsImported} endpoints and ${result.executionsImported} executions.`);
-    } catch (err) {
-        showImportError(err.message);
-        btn.innerHTML = originalText;
-        btn.disabled = false;
     }
+
+    const failures = cases.filter(c => c.failure).length;
+    const properties = [
+        ['url', execution.url],
+        ['method', execution.method],
+        ['users', execution.users],
+        ['totalRequests', execution.totalRequests],
+        ['requestsPerSecond', execution.requestsPerSecond],
+        ['averageResponseTime', execution.averageResponseTime],
+        ['percentile95', execution.percentile95]
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="NFury" tests="${cases.length}" failures="${failures}" time="${seconds}">
+    <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0" time="${seconds}" timestamp="${escapeXml(execution.startedAt)}">
+        <properties>
+${properties.map(([name, value]) => `            <property name="${name}" value="${escapeXml(value)}"/>`).join('\n')}
+        </properties>
+${cases.map(c => `        <testcase classname="${escapeXml(className)}" name="${escapeXml(c.name)}" time="${c.time}">${c.failure
+        ? `\n            <failure type="${escapeXml(c.failure.type)}" message="${escapeXml(c.failure.message)}"/>\n        `
+        : ''}</testcase>`).join('\n')}
+    </testsuite>
+</testsuites>
+`;
 }
 
-async function exportProject(projectId, projectName) {
+const REPORT_CHARTS = [
+    { key: 'responseTime', title: 'Response Time' },
+    { key: 'throughput', title: 'Throughput & Concurrency' },
+    { key: 'statusCode', title: 'Status Codes Distribution' },
+    { key: 'percentile', title: 'Response Time Percentiles' },
+    { key: 'latencyHistogram', title: 'Latency Distribution' },
+    { key: 'latencyHeatmap', title: 'Latency Heatmap' }
+];
+
+// Header and query parameter names whose values are replaced in reports so they can be shared
+const SENSITIVE_NAME_PATTERN = /auth|token|secret|password|passwd|cookie|session|signature|api[-_]?key/i;
+
+const REPORT_STYLES = `
+    * { box-sizing: border-box; }
+    body { font-family: Inter, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #111827; margin: 0 auto; padding: 32px; max-width: 1100px; font-size: 13px; }
+    h1 { font-size: 1.5rem; margin: 0 0 4px; }
+    h2 { font-size: 1rem; margin: 28px 0 10px; padding-bottom: 6px; border-bottom: 1px solid #e5e7eb; }
+    h5 { font-size: 0.85rem; margin: 0 0 8px; color: #4b5563; text-transform: uppercase; letter-spacing: 0.03em; }
+    .report-meta { color: #6b7280; margin: 0 0 8px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e5e7eb; }
+    th { background: #f9fafb; font-weight: 600; color: #4b5563; }
+    .report-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+    .report-config td:first-child { width: 180px; color: #6b7280; }
+    .report-masked { color: #9ca3af; font-style: italic; }
+    .report-chart { break-inside: avoid; margin-bottom: 20px; }
+    .report-chart img { width: 100%; border: 1px solid #e5e7eb; border-radius: 6px; }
+    .threshold-banner { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; padding: 10px 14px; margin-bottom: 12px; border-radius: 6px; border: 1px solid; }
+    .threshold-banner.passed { background: rgba(16, 185, 129, 0.08); border-color: rgba(16, 185, 129, 0.4); color: #10b981; }
+    .threshold-banner.failed { background: rgba(239, 68, 68, 0.08); border-color: rgba(239, 68, 68, 0.4); color: #ef4444; }
+    .threshold-banner.aborted { background: rgba(245, 158, 11, 0.08); border-color: rgba(245, 158, 11, 0.4); color: #f59e0b; }
+    .threshold-banner.unchanged { background: #f9fafb; border-color: #e5e7eb; color: #4b5563; }
+    .threshold-banner-title { font-weight: 700; margin-right: 8px; }
+    .threshold-check { display: inline-flex; align-items: center; gap: 6px; padding: 2px 8px; border-radius: 4px; font-size: 0.75rem; color: #111827; background: #f3f4f6; }
+    .threshold-check.passed i { color: #10b981; }
+    .threshold-check.failed i { color: #ef4444; }
+    /* Text glyphs stand in for the dashboard's icon font so the report loads nothing from the network */
+    .fas { font-style: normal; }
+    .fa-check::before, .fa-check-circle::before { content: '\\2713'; }
+    .fa-times::before, .fa-times-circle::before { content: '\\2715'; }
+    .fa-minus::before, .fa-minus-circle::before { content: '\\2013'; }
+    .fa-hand-paper::before { content: '\\270B'; }
+    .fa-arrow-circle-up::before { content: '\\2191'; }
+    .fa-arrow-circle-down::before { content: '\\2193'; }
+    @media print {
+        body { padding: 0; }
+        * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        h2 { break-after: avoid; }
+    }
+`;
+
+function parseHeaders(json) {
+    if (!json) return null;
     try {
-        const response = await fetch(`/api/projects/${projectId}/export`);
-        if (!response.ok) {
-            throw new Error('Export failed');
-        }
-        
-        const data = await response.json();
-        
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${projectName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_export.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        window.app.showToast('success', 'Export Complete', `Project "${projectName}" exported successfully`);
-    } catch (err) {
-        window.app.showAlert('error', 'Export Failed', err.message);
+        return JSON.parse(json);
+    } catch (e) {
+        console.error('Failed to parse headers:', e);
+        return null;
     }
 }
 
-async function createProject() {
-    const name = document.getElementById('newProjectName').value;
-    const description = document.getElementById('newProjectDescription').value;
-    
-    if (!name) {
-        window.app.showAlert('warning', 'Validation Error', 'Please enter a project name');
-        return;
+// Copies a rendered results table body; returns an empty string when displayFinalResults left it empty
+function getReportTable(title, columns, bodyId) {
+    const body = document.getElementById(bodyId).innerHTML.trim();
+    if (!body) return '';
+    return `
+        <div>
+            <h5>${title}</h5>
+            <table>
+                ${columns ? `<thead><tr>${columns.map(c => `<th>${c}</th>`).join('')}</tr></thead>` : ''}
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function describeReportMode(execution) {
+    const loadProfile = parseLoadProfile(execution.loadProfileJson);
+    if (loadProfile?.type === 'arrival-rate') {
+        return `Arrival rate: ${loadProfile.rate} req/s for ${getLoadProfileDuration(loadProfile)}s (max ${getLoadProfilePeakUsers(loadProfile)} VUs)`;
     }
-    
-    const project = await window.app.createProject({
-        name,
-        description
+    if (loadProfile) {
+        const stages = (loadProfile.stages || []).map(s => `${s.target} VUs over ${s.duration}s`).join(', ');
+        return `Staged ramp: ${stages}`;
+    }
+    if (execution.targetRequests) return `${execution.targetRequests.toLocaleString()} requests`;
+    if (execution.targetDuration) return `${execution.targetDuration}s duration`;
+    return '--';
+}
+
+// Replaces the values of sensitive query parameters, e.g. ?api_key=..., keeping the rest of the URL readable
+function maskSensitiveQuery(url) {
+    const queryStart = url.indexOf('?');
+    if (queryStart < 0) return url;
+
+    const params = url.slice(queryStart + 1).split('&').map(param => {
+        const separator = param.indexOf('=');
+        if (separator < 0) return param;
+        let name = param.slice(0, separator);
+        try {
+            name = decodeURIComponent(name);
+        } catch {
+            // Keep the raw name when it is not valid percent-encoding
+        }
+        return SENSITIVE_NAME_PATTERN.test(name) ? `${param.slice(0, separator)}=masked` : param;
     });
-    
-    if (project) {
-        closeCreateProjectModal();
-        window.app.expandedProjects.add(project.id);
-        await window.app.loadProjects();
-        window.app.showToast('success', 'Success', `Project "${name}" created`);
+    return url.slice(0, queryStart + 1) + params.join('&');
+}
+
+function buildReportHtml({ title, execution, headers, sections, charts }) {
+    const escape = value => window.app.escapeHtml(value === null || value === undefined ? '' : String(value));
+    title = maskSensitiveQuery(title);
+    const configRows = [];
+    if (execution) {
+        configRows.push(['URL', escape(maskSensitiveQuery(execution.url))]);
+        configRows.push(['Method', escape(execution.method)]);
+        configRows.push(['Virtual Users', escape(execution.users)]);
+        configRows.push(['Mode', escape(describeReportMode(execution))]);
+        configRows.push(['Started', escape(new Date(execution.startedAt).toLocaleString())]);
+        if (execution.completedAt) {
+            configRows.push(['Completed', escape(new Date(execution.completedAt).toLocaleString())]);
+        }
+        configRows.push(['Status', escape(execution.abortReason ? 'Aborted' : execution.status)]);
     }
+    for (const [name, value] of Object.entries(headers || {})) {
+        const shown = SENSITIVE_NAME_PATTERN.test(name) ? '<span class="report-masked">masked</span>' : escape(value);
+        configRows.push([`Header: ${escape(name)}`, shown]);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>NFury Report - ${escape(title)}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <h1>${escape(title)}</h1>
+    <p class="report-meta">NFury load test report &middot; generated ${escape(new Date().toLocaleString())}</p>
+
+    <h2>Configuration</h2>
+    ${configRows.length > 0
+        ? `<table class="report-config"><tbody>${configRows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}</tbody></table>`
+        : '<p class="report-meta">The execution record could not be loaded.</p>'}
+
+    <h2>Results</h2>
+    ${sections.filter(Boolean).join('\n')}
+
+    <h2>Charts</h2>
+    ${charts.map(c => `
+        <div class="report-chart">
+            <h5>${escape(c.title)}</h5>
+            <img src="${c.image}" alt="${escape(c.title)}">
+        </div>
+    `).join('')}
+</body>
+</html>`;
 }
 
-async function saveEndpoint() {
-    await window.app.saveEndpoint();
+function downloadCopyAs() {
+    const spec = window.app.copyAsSpec;
+    const format = window.app.copyAsFormat || 'curl';
+    const extensions = { curl: 'sh', k6: 'js', http: 'http' };
+    const content = document.getElementById('copyAsOutput').value;
+
+    downloadFile(content, `${spec.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.${extensions[format]}`, 'text/plain');
 }
 
-function toggleProjectSaveOptions() {
-    const options = document.getElementById('projectSaveOptions');
-    const checked = document.getElementById('saveAsProject').checked;
-    options.classList.toggle('hidden', !checked);
-    
-    if (checked) {
-        populateProjectsDropdown();
+function getRequestHeaders(spec) {
+    const headers = { ...(spec.headers || {}) };
+    if (spec.body && !Object.keys(headers).some(k => k.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = spec.contentType;
     }
+    return headers;
 }
 
-async function populateProjectsDropdown() {
-    const select = document.getElementById('existingProject');
-    const projects = window.app.projects || [];
-    
-    select.innerHTML = '<option value="">-- Select a project --</option>';
-    
-    for (const project of projects) {
-        const option = document.createElement('option');
-        option.value = project.id;
-        option.textContent = project.name;
-        select.appendChild(option);
-    }
+function getAuthHeaderPrefix(auth) {
+    const prefix = auth.headerPrefix || '';
+    return prefix && !prefix.endsWith(' ') ? prefix + ' ' : prefix;
 }
 
-function selectProjectTab(tab) {
-    const tabs = document.querySelectorAll('.project-tab');
-    const existingSection = document.getElementById('existingProjectSection');
-    const newSection = document.getElementById('newProjectSection');
-    
-    tabs.forEach(t => t.classList.remove('active'));
-    
-    if (tab === 'existing') {
-        tabs[0].classList.add('active');
-        existingSection.classList.remove('hidden');
-        newSection.classList.add('hidden');
-    } else {
-        tabs[1].classList.add('active');
-        existingSection.classList.add('hidden');
-        newSection.classList.remove('hidden');
-    }
+function getAuthTokenSelector(auth) {
+    return (auth.tokenPath || 'access_token').replace(/^\$\.?/, '');
 }
 
-function toggleProjectNameInput() {
-    toggleProjectSaveOptions();
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
 }
 
-let quickBodyFile = null;
-let endpointBodyFile = null;
+function buildCurlCommand(spec) {
+    const lines = [];
 
-function toggleBodySource(context, source) {
-    const prefix = context === 'quick' ? '' : 'endpoint';
-    const textSection = document.getElementById(prefix ? `${prefix}BodyTextSection` : 'bodyTextSection');
-    const fileSection = document.getElementById(prefix ? `${prefix}BodyFileSection` : 'bodyFileSection');
-    const buttons = textSection.parentElement.querySelectorAll('.body-source-btn');
-    
-    buttons.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.source === source);
-    });
-    
-    if (source === 'text') {
-        textSection.classList.remove('hidden');
-        fileSection.classList.add('hidden');
-    } else {
-        textSection.classList.add('hidden');
-        fileSection.classList.remove('hidden');
+    if (spec.auth) {
+        const authParts = [`curl -s -X ${spec.auth.method || 'POST'} ${shellQuote(spec.auth.url)}`];
+        const authHeaders = { ...(spec.auth.headers || {}) };
+        if (spec.auth.body) authHeaders['Content-Type'] = spec.auth.contentType || 'application/json';
+        Object.entries(authHeaders).forEach(([key, value]) => authParts.push(`-H ${shellQuote(`${key}: ${value}`)}`));
+        if (spec.auth.body) authParts.push(`--data-raw ${shellQuote(spec.auth.body)}`);
+        if (spec.insecure) authParts.push('-k');
+
+        lines.push('# Authenticate and extract the token (requires jq)');
+        lines.push(`TOKEN=$(${authParts.join(' \\\n  ')} \\\n  | jq -r ${shellQuote('.' + getAuthTokenSelector(spec.auth))})`);
+        lines.push('');
+    }
+
+    const parts = [`curl -X ${spec.method} ${shellQuote(spec.url)}`];
+    Object.entries(getRequestHeaders(spec)).forEach(([key, value]) => parts.push(`-H ${shellQuote(`${key}: ${value}`)}`));
+    if (spec.auth) {
+        parts.push(`-H "${spec.auth.headerName || 'Authorization'}: ${getAuthHeaderPrefix(spec.auth)}$TOKEN"`);
     }
+    if (spec.body) parts.push(`--data-raw ${shellQuote(spec.body)}`);
+    if (spec.insecure) parts.push('-k');
+
+    lines.push(parts.join(' \\\n  '));
+    return lines.join('\n') + '\n';
 }
 
-function handleBodyFileSelect(context, input) {
-    const file = input.files[0];
-    if (!file) return;
-    
-    const prefix = context === 'quick' ? '' : 'endpoint';
-    const fileNameSpan = document.getElementById(prefix ? `${prefix}BodyFileName` : 'bodyFileName');
-    const dropZone = document.getElementById(prefix ? `${prefix}BodyFileDropZone` : 'bodyFileDropZone');
-    
-    if (context === 'quick') {
-        quickBodyFile = file;
+function buildK6Script(spec) {
+    const js = (value) => JSON.stringify(value ?? null);
+    const indent = (text, spaces) => text.split('\n').map((line, i) => i === 0 ? line : ' '.repeat(spaces) + line).join('\n');
+    const lines = [
+        `// ${spec.name}`,
+        "import http from 'k6/http';",
+        "import { check } from 'k6';",
+        '',
+        'export const options = {',
+        `    vus: ${spec.users},`
+    ];
+
+    if (spec.duration) {
+        lines.push(`    duration: '${spec.duration}s',`);
     } else {
-        endpointBodyFile = file;
+        lines.push(`    iterations: ${Math.max(spec.requests || 100, spec.users)},`);
+    }
+    if (spec.insecure) lines.push('    insecureSkipTLSVerify: true,');
+    lines.push('};', '');
+
+    if (spec.auth) {
+        const authHeaders = { ...(spec.auth.headers || {}) };
+        if (spec.auth.body) authHeaders['Content-Type'] = spec.auth.contentType || 'application/json';
+        lines.push(
+            'export function setup() {',
+            `    const res = http.request(${js(spec.auth.method || 'POST')}, ${js(spec.auth.url)}, ${js(spec.auth.body || null)}, {`,
+            `        headers: ${indent(JSON.stringify(authHeaders, null, 4), 8)},`,
+            '    });',
+            `    const token = res.json(${js(getAuthTokenSelector(spec.auth))});`,
+            "    if (!token) throw new Error('Authentication failed: token not found in response');",
+            '    return { token };',
+            '}',
+            ''
+        );
     }
-    
-    fileNameSpan.textContent = `${file.name} (${formatFileSize(file.size)})`;
-    dropZone.classList.add('has-file');
-}
 
-function formatFileSize(bytes) {
-    if (bytes < 1024) return bytes + ' B';
-    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    const headers = getRequestHeaders(spec);
+    lines.push(
+        `export default function (${spec.auth ? 'data' : ''}) {`,
+        `    const headers = ${indent(JSON.stringify(headers, null, 4), 4)};`
+    );
+    if (spec.auth) {
+        lines.push(`    headers[${js(spec.auth.headerName || 'Authorization')}] = ${js(getAuthHeaderPrefix(spec.auth))} + data.token;`);
+    }
+    lines.push(
+        '',
+        `    const res = http.request(${js(spec.method)}, ${js(spec.url)}, ${js(spec.body || null)}, { headers });`,
+        '    check(res, {',
+        "        'status is 2xx/3xx': (r) => r.status >= 200 && r.status < 400,",
+        '    });',
+        '}'
+    );
+
+    return lines.join('\n') + '\n';
 }
 
-function clearBodyFile(context) {
-    const prefix = context === 'quick' ? '' : 'endpoint';
-    const fileInput = document.getElementById(prefix ? `${prefix}BodyFile` : 'bodyFile');
-    const fileNameSpan = document.getElementById(prefix ? `${prefix}BodyFileName` : 'bodyFileName');
-    const dropZone = document.getElementById(prefix ? `${prefix}BodyFileDropZone` : 'bodyFileDropZone');
-    
-    if (context === 'quick') {
-        quickBodyFile = null;
-    } else {
-        endpointBodyFile = null;
+function buildHttpFileSnippet(spec) {
+    const lines = [];
+    const mode = spec.duration ? `${spec.duration}s` : `${spec.requests || 100} requests`;
+
+    if (spec.auth) {
+        const authHeaders = { ...(spec.auth.headers || {}) };
+        if (spec.auth.body) authHeaders['Content-Type'] = spec.auth.contentType || 'application/json';
+        lines.push('### Authenticate', '# @name auth', `${spec.auth.method || 'POST'} ${spec.auth.url}`);
+        Object.entries(authHeaders).forEach(([key, value]) => lines.push(`${key}: ${value}`));
+        if (spec.auth.body) lines.push('', spec.auth.body);
+        lines.push('', '');
     }
-    
-    fileInput.value = '';
-    fileNameSpan.textContent = 'Click or drag file here';
-    dropZone.classList.remove('has-file');
+
+    lines.push(`### ${spec.name}`, `# NFury load profile: ${spec.users} users, ${mode}`, `${spec.method} ${spec.url}`);
+    Object.entries(getRequestHeaders(spec)).forEach(([key, value]) => lines.push(`${key}: ${value}`));
+    if (spec.auth) {
+        lines.push(`${spec.auth.headerName || 'Authorization'}: ${getAuthHeaderPrefix(spec.auth)}{{auth.response.body.$.${getAuthTokenSelector(spec.auth)}}}`);
+    }
+    if (spec.body) lines.push('', spec.body);
+
+    return lines.join('\n') + '\n';
 }
 
-async function getBodyContent(context) {
-    const prefix = context === 'quick' ? '' : 'endpoint';
-    const textSection = document.getElementById(prefix ? `${prefix}BodyTextSection` : 'bodyTextSection');
-    const isTextMode = !textSection.classList.contains('hidden');
-    
-    if (isTextMode) {
-        const textarea = document.getElementById(prefix ? `${prefix}Body` : 'body');
-        return textarea.value || null;
-    } else {
-        const file = context === 'quick' ? quickBodyFile : endpointBodyFile;
-        if (!file) return null;
-        
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.readAsText(file);
-        });
+let curlImportContext = 'quick';
+
+function showCurlImportModal(context) {
+    curlImportContext = context;
+    document.getElementById('curlCommand').value = '';
+    document.getElementById('curlImportError').style.display = 'none';
+    document.getElementById('curlImportModal').classList.add('open');
+    document.getElementById('overlay').classList.add('visible');
+    document.getElementById('curlCommand').focus();
+}
+
+function closeCurlImportModal() {
+    document.getElementById('curlImportModal').classList.remove('open');
+    if (!document.querySelector('.modal.open')) {
+        document.getElementById('overlay').classList.remove('visible');
     }
 }
 
-function initBodyFileDragDrop() {
-    ['bodyFileDropZone', 'endpointBodyFileDropZone'].forEach(id => {
-        const dropZone = document.getElementById(id);
-        if (!dropZone) return;
-        
-        dropZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            dropZone.classList.add('drag-over');
-        });
-        
-        dropZone.addEventListener('dragleave', () => {
-            dropZone.classList.remove('drag-over');
-        });
-        
-        dropZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            dropZone.classList.remove('drag-over');
-            
-            const file = e.dataTransfer.files[0];
-            if (file) {
-                const context = id === 'bodyFileDropZone' ? 'quick' : 'endpoint';
-                const input = document.getElementById(context === 'quick' ? 'bodyFile' : 'endpointBodyFile');
-                
-                const dt = new DataTransfer();
-                dt.items.add(file);
-                input.files = dt.files;
-                
-                handleBodyFileSelect(context, input);
+function tokenizeCurlCommand(command) {
+    const tokens = [];
+    let current = '';
+    let inToken = false;
+    let i = 0;
+    const text = command.replace(/\\\r?\n/g, ' ').replace(/\^\r?\n/g, ' ');
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            if (inToken) {
+                tokens.push(current);
+                current = '';
+                inToken = false;
             }
-        });
-    });
+            i++;
+        } else if (ch === "'") {
+            const end = text.indexOf("'", i + 1);
+            if (end === -1) throw new Error('Unterminated single quote');
+            current += text.substring(i + 1, end);
+            inToken = true;
+            i = end + 1;
+        } else if (ch === '$' && text[i + 1] === "'") {
+            i += 2;
+            const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
+            while (i < text.length && text[i] !== "'") {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    const next = text[i + 1];
+                    current += escapes[next] ?? '\\' + next;
+                    i += 2;
+                } else {
+                    current += text[i++];
+                }
+            }
+            if (i >= text.length) throw new Error('Unterminated quoted string');
+            inToken = true;
+            i++;
+        } else if (ch === '"') {
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && '"\\$`'.includes(text[i + 1])) {
+                    current += text[i + 1];
+                    i += 2;
+                } else {
+                    current += text[i++];
+                }
+            }
+            if (i >= text.length) throw new Error('Unterminated double quote');
+            inToken = true;
+            i++;
+        } else if (ch === '\\' && i + 1 < text.length) {
+            current += text[i + 1];
+            inToken = true;
+            i += 2;
+        } else {
+            current += ch;
+            inToken = true;
+            i++;
+        }
+    }
+
+    if (inToken) tokens.push(current);
+    return tokens;
 }
 
-document.addEventListener('DOMContentLoaded', initBodyFileDragDrop);
+function parseCurlCommand(command) {
+    const tokens = tokenizeCurlCommand(command.trim());
+    if (tokens.length === 0 || tokens[0] !== 'curl') {
+        throw new Error('Command must start with "curl"');
+    }
 
-function addHeader() {
-    const container = document.getElementById('headersContainer');
-    const row = document.createElement('div');
-    row.className = 'header-row';
-    row.innerHTML = `
-        <input type="text" class="header-key" placeholder="Header name">
-        <input type="text" class="header-value" placeholder="Header value">
-        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()">
-            <i class="fas fa-times"></i>
-        </button>
-    `;
-    container.appendChild(row);
+    const result = { method: null, url: null, headers: [], body: null, insecure: false, ignored: [] };
+    const dataParts = [];
+    let forceGet = false;
+
+    const optionsWithValue = {
+        '-X': 'method', '--request': 'method',
+        '-H': 'header', '--header': 'header',
+        '-d': 'data', '--data': 'data', '--data-binary': 'data', '--data-ascii': 'data',
+        '--data-raw': 'dataRaw',
+        '--data-urlencode': 'urlencode',
+        '--json': 'json',
+        '-u': 'user', '--user': 'user',
+        '-A': 'agent', '--user-agent': 'agent',
+        '-b': 'cookie', '--cookie': 'cookie',
+        '-e': 'referer', '--referer': 'referer',
+        '--url': 'url'
+    };
+
+    // Options NFury has no use for whose value must still be skipped, or it would be taken for the URL
+    const ignoredOptionsWithValue = new Set([
+        '-o', '--output', '-m', '--max-time', '--connect-timeout', '-w', '--write-out',
+        '-x', '--proxy', '-U', '--proxy-user', '-T', '--upload-file', '-F', '--form',
+        '-E', '--cert', '--key', '--cacert', '-c', '--cookie-jar', '-D', '--dump-header',
+        '-r', '--range', '-K', '--config', '-Y', '--speed-limit', '-y', '--speed-time',
+        '-z', '--time-cond', '-C', '--continue-at', '--retry', '--retry-delay', '--retry-max-time',
+        '--max-redirs', '--limit-rate', '--resolve', '--interface', '--max-filesize'
+    ]);
+
+    const shortFlags = { k: '--insecure', G: '--get', I: '--head', s: '--silent', S: '--show-error', L: '--location', v: '--verbose', i: '--include', f: '--fail' };
+    const silentOptions = new Set(['--compressed', '--location', '--silent', '--show-error', '--verbose', '--include', '--fail']);
+
+    const apply = (kind, value) => {
+        switch (kind) {
+            case 'method':
+                result.method = value.toUpperCase();
+                break;
+            case 'header': {
+                const separator = value.indexOf(':');
+                if (separator > 0) {
+                    result.headers.push({ key: value.substring(0, separator).trim(), value: value.substring(separator + 1).trim() });
+                }
+                break;
+            }
+            case 'data':
+                if (value.startsWith('@')) {
+                    result.ignored.push(`file body ${value}`);
+                } else {
+                    dataParts.push(value);
+                }
+                break;
+            case 'dataRaw':
+                dataParts.push(value);
+                break;
+            case 'urlencode': {
+                const separator = value.indexOf('=');
+                dataParts.push(separator >= 0
+                    ? value.substring(0, separator + 1) + encodeURIComponent(value.substring(separator + 1))
+                    : encodeURIComponent(value));
+                break;
+            }
+            case 'json':
+                dataParts.push(value);
+                result.headers.push({ key: 'Content-Type', value: 'application/json' });
+                result.headers.push({ key: 'Accept', value: 'application/json' });
+                break;
+            case 'user':
+                result.headers.push({ key: 'Authorization', value: 'Basic ' + btoa(value.includes(':') ? value : value + ':') });
+                break;
+            case 'agent':
+                result.headers.push({ key: 'User-Agent', value });
+                break;
+            case 'cookie':
+                result.headers.push({ key: 'Cookie', value });
+                break;
+            case 'referer':
+                result.headers.push({ key: 'Referer', value });
+                break;
+            case 'url':
+                result.url = value;
+                break;
+        }
+    };
+
+    const takesValue = (option) => Boolean(optionsWithValue[option]) || ignoredOptionsWithValue.has(option);
+
+    const applyValue = (option, value) => {
+        if (optionsWithValue[option]) {
+            apply(optionsWithValue[option], value);
+        } else {
+            result.ignored.push(`${option} ${value}`);
+        }
+    };
+
+    const applyFlag = (option) => {
+        if (option === '--insecure') {
+            result.insecure = true;
+        } else if (option === '--get') {
+            forceGet = true;
+        } else if (option === '--head') {
+            result.method = 'HEAD';
+        } else if (!silentOptions.has(option)) {
+            result.ignored.push(option);
+        }
+    };
+
+    for (let i = 1; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (takesValue(token)) {
+            if (i + 1 >= tokens.length) throw new Error(`Missing value for ${token}`);
+            applyValue(token, tokens[++i]);
+        } else if (token.startsWith('--')) {
+            applyFlag(token);
+        } else if (token.startsWith('-') && token.length > 1) {
+            // Short options can be bundled (-sk, -sX POST, -XPOST); one that takes a value uses the rest of the token or the next one
+            for (let j = 1; j < token.length; j++) {
+                const option = '-' + token[j];
+                if (takesValue(option)) {
+                    let value = token.substring(j + 1);
+                    if (!value) {
+                        if (i + 1 >= tokens.length) throw new Error(`Missing value for ${option}`);
+                        value = tokens[++i];
+                    }
+                    applyValue(option, value);
+                    break;
+                }
+                applyFlag(shortFlags[token[j]] || option);
+            }
+        } else if (!result.url) {
+            result.url = token;
+        }
+    }
+
+    if (!result.url) {
+        throw new Error('No URL found in command');
+    }
+
+    const data = dataParts.join('&');
+    if (forceGet) {
+        if (data) result.url += (result.url.includes('?') ? '&' : '?') + data;
+        result.method = result.method || 'GET';
+    } else if (data) {
+        result.body = data;
+        result.method = result.method || 'POST';
+    }
+    result.method = result.method || 'GET';
+
+    if (!/^https?:\/\//i.test(result.url)) {
+        result.url = 'https://' + result.url;
+    }
+
+    const contentTypeIndex = result.headers.findIndex(h => h.key.toLowerCase() === 'content-type');
+    if (contentTypeIndex >= 0) {
+        result.contentType = result.headers[contentTypeIndex].value.split(';')[0].trim();
+        result.headers = result.headers.filter(h => h.key.toLowerCase() !== 'content-type');
+    } else if (result.body) {
+        result.contentType = 'application/x-www-form-urlencoded';
+    }
+
+    return result;
 }
 
-function addEndpointHeader(key = '', value = '') {
-    const container = document.getElementById('endpointHeadersContainer');
-    const row = document.createElement('div');
-    row.className = 'header-row';
-    row.innerHTML = `
-        <input type="text" class="header-key" placeholder="Header name" value="${key}">
-        <input type="text" class="header-value" placeholder="Header value" value="${value}">
-        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()">
-            <i class="fas fa-times"></i>
-        </button>
-    `;
-    container.appendChild(row);
+function ensureSelectOption(select, value) {
+    if (![...select.options].some(option => option.value === value)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    }
+    select.value = value;
 }
 
-function addProjectAuthHeader(key = '', value = '') {
-    const container = document.getElementById('projectAuthHeadersContainer');
-    const row = document.createElement('div');
-    row.className = 'header-row';
-    row.innerHTML = `
-        <input type="text" class="header-key" placeholder="Header name" value="${key}">
-        <input type="text" class="header-value" placeholder="Header value" value="${value}">
-        <button type="button" class="btn-remove-header" onclick="this.parentElement.remove()">
-            <i class="fas fa-times"></i>
-        </button>
-    `;
-    container.appendChild(row);
+function applyCurlImport() {
+    const errorDiv = document.getElementById('curlImportError');
+    let parsed;
+    try {
+        parsed = parseCurlCommand(document.getElementById('curlCommand').value);
+    } catch (err) {
+        errorDiv.textContent = 'Could not parse cURL command: ' + err.message;
+        errorDiv.style.display = 'block';
+        return;
+    }
+
+    const isQuick = curlImportContext === 'quick';
+    const ids = isQuick
+        ? { schema: 'urlSchema', url: 'url', method: 'method', contentType: 'contentType', body: 'body', insecure: 'insecure', headers: 'headersContainer' }
+        : { schema: 'endpointUrlSchema', url: 'endpointUrl', method: 'endpointMethod', contentType: 'endpointContentType', body: 'endpointBody', insecure: 'endpointInsecure', headers: 'endpointHeadersContainer' };
+
+    window.app.setUrlWithSchema(ids.schema, ids.url, parsed.url);
+
+    const methodSelect = document.getElementById(ids.method);
+    ensureSelectOption(methodSelect, parsed.method);
+    methodSelect.dispatchEvent(new Event('change'));
+
+    if (parsed.contentType) {
+        ensureSelectOption(document.getElementById(ids.contentType), parsed.contentType);
+    }
+
+    toggleBodySource(curlImportContext, 'text');
+    clearBodyFile(curlImportContext);
+    document.getElementById(ids.body).value = parsed.body || '';
+    document.getElementById(ids.insecure).checked = parsed.insecure;
+
+    const container = document.getElementById(ids.headers);
+    container.innerHTML = '';
+    parsed.headers.forEach(({ key, value }) => {
+        if (isQuick) {
+            addHeader();
+        } else {
+            addEndpointHeader();
+        }
+        const rows = container.querySelectorAll('.header-row');
+        const lastRow = rows[rows.length - 1];
+        lastRow.querySelector('.header-key').value = key;
+        lastRow.querySelector('.header-value').value = value;
+    });
+
+    closeCurlImportModal();
+
+    if (parsed.ignored.length > 0) {
+        window.app.showToast('warning', 'cURL Imported', 'Ignored unsupported options: ' + window.app.escapeHtml(parsed.ignored.join(', ')));
+    } else {
+        window.app.showToast('success', 'cURL Imported', window.app.escapeHtml(`${parsed.method} ${parsed.url}`));
+    }
 }
 
 async function saveProjectAuth() {
@@ -2421,6 +6936,11 @@ function closeAlertModal() {
     window.app.closeAlertModal();
 }
 
+function onStatisticsProjectChanged() {
+    window.app.populateStatisticsEndpointFilter();
+    window.app.loadStatisticsOverview();
+}
+
 function closeComparisonModal() {
     const modal = document.getElementById('comparisonModal');
     const overlay = document.getElementById('overlay');
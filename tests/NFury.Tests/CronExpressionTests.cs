@@ -0,0 +1,95 @@
+using NFury.Web.Services;
+
+namespace NFury.Tests;
+
+/// <summary>
+/// Tests for parsing cron expressions and finding their next occurrence
+/// </summary>
+public class CronExpressionTests
+{
+    [Theory]
+    [InlineData("*/15 * * * *", "2025-01-01 10:07", "2025-01-01 10:15")]
+    [InlineData("*/15 * * * *", "2025-01-01 10:45", "2025-01-01 11:00")]
+    [InlineData("0-30/10 * * * *", "2025-01-01 10:30", "2025-01-01 11:00")]
+    [InlineData("5/20 * * * *", "2025-01-01 10:00", "2025-01-01 10:05")]
+    [InlineData("5/20 * * * *", "2025-01-01 10:45", "2025-01-01 11:05")]
+    [InlineData("0 */6 * * *", "2025-01-01 07:00", "2025-01-01 12:00")]
+    public void GetNextOccurrenceFollowsSteps(string expression, string after, string expected)
+    {
+        Assert.Equal(Time(expected), CronExpression.Parse(expression).GetNextOccurrence(Time(after)));
+    }
+
+    [Theory]
+    [InlineData("0 9-17 * * 1-5", "2025-01-03 17:30", "2025-01-06 09:00")]
+    [InlineData("0 9-17 * * 1-5", "2025-01-06 08:15", "2025-01-06 09:00")]
+    [InlineData("0,30 8,20 * * *", "2025-01-01 08:30", "2025-01-01 20:00")]
+    [InlineData("0 0 1 6-8 *", "2025-01-15 00:00", "2025-06-01 00:00")]
+    public void GetNextOccurrenceFollowsRangesAndLists(string expression, string after, string expected)
+    {
+        Assert.Equal(Time(expected), CronExpression.Parse(expression).GetNextOccurrence(Time(after)));
+    }
+
+    [Theory]
+    [InlineData("2025-01-01 00:00", "2025-01-03 00:00")]
+    [InlineData("2025-01-10 00:00", "2025-01-13 00:00")]
+    public void GetNextOccurrenceMatchesEitherDayFieldWhenBothAreRestricted(string after, string expected)
+    {
+        // The 13th of the month or any Friday
+        var cron = CronExpression.Parse("0 0 13 * 5");
+
+        Assert.Equal(Time(expected), cron.GetNextOccurrence(Time(after)));
+    }
+
+    [Fact]
+    public void GetNextOccurrenceMatchesBothDayFieldsWhenOnlyOneIsRestricted()
+    {
+        Assert.Equal(Time("2025-01-13 00:00"), CronExpression.Parse("0 0 13 * *").GetNextOccurrence(Time("2025-01-01 00:00")));
+        Assert.Equal(Time("2025-01-03 00:00"), CronExpression.Parse("0 0 * * 5").GetNextOccurrence(Time("2025-01-01 00:00")));
+    }
+
+    [Fact]
+    public void GetNextOccurrenceTreatsSevenAsSunday()
+    {
+        Assert.Equal(Time("2025-01-05 00:00"), CronExpression.Parse("0 0 * * 7").GetNextOccurrence(Time("2025-01-01 00:00")));
+    }
+
+    [Fact]
+    public void GetNextOccurrenceIsStrictlyAfterTheGivenTime()
+    {
+        var cron = CronExpression.Parse("0 12 * * *");
+
+        Assert.Equal(Time("2025-01-02 12:00"), cron.GetNextOccurrence(Time("2025-01-01 12:00")));
+        Assert.Equal(Time("2025-01-01 12:00"), cron.GetNextOccurrence(Time("2025-01-01 11:59").AddSeconds(30)));
+    }
+
+    [Fact]
+    public void GetNextOccurrenceKeepsTheKindOfTheGivenTime()
+    {
+        var after = new DateTime(2025, 1, 1, 10, 0, 0, DateTimeKind.Utc);
+
+        Assert.Equal(DateTimeKind.Utc, CronExpression.Parse("* * * * *").GetNextOccurrence(after).Kind);
+    }
+
+    [Theory]
+    [InlineData("* * * *")]
+    [InlineData("* * * * * *")]
+    [InlineData("60 * * * *")]
+    [InlineData("* 24 * * *")]
+    [InlineData("* * 0 * *")]
+    [InlineData("* * * 13 *")]
+    [InlineData("* * * * 8")]
+    [InlineData("*/0 * * * *")]
+    [InlineData("10-5 * * * *")]
+    [InlineData("a * * * *")]
+    [InlineData("-1 * * * *")]
+    [InlineData("0 0 31 2 *")]
+    public void ParseRejectsInvalidExpressions(string expression)
+    {
+        Assert.Throws<InvalidOperationException>(() => CronExpression.Parse(expression));
+    }
+
+    private static DateTime Time(string value)
+    {
+        return DateTime.SpecifyKind(DateTime.Parse(value, System.Globalization.CultureInfo.InvariantCulture), DateTimeKind.Unspecified);
+    }
+}
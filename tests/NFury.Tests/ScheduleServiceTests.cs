@@ -0,0 +1,61 @@
+using NFury.Web.Services;
+
+namespace NFury.Tests;
+
+/// <summary>
+/// Tests for working out when a schedule next runs
+/// </summary>
+public class ScheduleServiceTests
+{
+    // Clocks go forward from 02:00 to 03:00 on 30 March 2025
+    private static readonly TimeZoneInfo s_berlin = TimeZoneInfo.FindSystemTimeZoneById("Europe/Berlin");
+
+    [Fact]
+    public void GetNextRunAtSkipsADailyRunInTheHourThatDoesNotExist()
+    {
+        var next = ScheduleService.GetNextRunAt(ScheduleService.CronMode, null, "30 2 * * *", Utc(2025, 3, 29, 12, 0), s_berlin);
+
+        // 02:30 on 30 March never happens, so the next run is 02:30 CEST the day after
+        Assert.Equal(Utc(2025, 3, 31, 0, 30), next);
+    }
+
+    [Fact]
+    public void GetNextRunAtMovesAnHourlyRunPastTheSkippedHour()
+    {
+        // 01:30 CET; 02:00 is skipped, so the next hourly run is 03:00 CEST
+        var next = ScheduleService.GetNextRunAt(ScheduleService.CronMode, null, "0 * * * *", Utc(2025, 3, 30, 0, 30), s_berlin);
+
+        Assert.Equal(Utc(2025, 3, 30, 1, 0), next);
+    }
+
+    [Fact]
+    public void GetNextRunAtEvaluatesCronInTheGivenTimeZone()
+    {
+        // 02:00 in Berlin in winter is 01:00 UTC
+        var next = ScheduleService.GetNextRunAt(ScheduleService.CronMode, null, "0 2 * * *", Utc(2025, 1, 1, 0, 0), s_berlin);
+
+        Assert.Equal(Utc(2025, 1, 1, 1, 0), next);
+    }
+
+    [Fact]
+    public void GetNextRunAtAddsTheIntervalInIntervalMode()
+    {
+        var next = ScheduleService.GetNextRunAt(ScheduleService.IntervalMode, 6, null, Utc(2025, 3, 30, 0, 30), s_berlin);
+
+        Assert.Equal(Utc(2025, 3, 30, 6, 30), next);
+    }
+
+    [Theory]
+    [InlineData(ScheduleService.IntervalMode, 0, null)]
+    [InlineData(ScheduleService.CronMode, null, " ")]
+    [InlineData("weekly", 1, null)]
+    public void GetNextRunAtRejectsInvalidSchedules(string mode, int? intervalHours, string? cronExpression)
+    {
+        Assert.Throws<InvalidOperationException>(() => ScheduleService.GetNextRunAt(mode, intervalHours, cronExpression, Utc(2025, 1, 1, 0, 0)));
+    }
+
+    private static DateTime Utc(int year, int month, int day, int hour, int minute)
+    {
+        return new DateTime(year, month, day, hour, minute, 0, DateTimeKind.Utc);
+    }
+}
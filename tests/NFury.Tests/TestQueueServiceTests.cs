@@ -0,0 +1,133 @@
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Data.Sqlite;
+using NFury.Web.Data;
+using NFury.Web.Hubs;
+using NFury.Web.Services;
+
+namespace NFury.Tests;
+
+/// <summary>
+/// Tests for starting and queueing tests through the queue
+/// </summary>
+public sealed class TestQueueServiceTests : IAsyncLifetime
+{
+    private readonly string _databasePath = Path.Combine(Path.GetTempPath(), $"nfury-tests-{Guid.NewGuid()}.db");
+    private readonly ProjectService _projectService;
+    private readonly LoadTestService _loadTestService;
+    private readonly TestQueueService _queue;
+
+    public TestQueueServiceTests()
+    {
+        var database = new SqliteDatabase(_databasePath);
+        database.InitializeDatabase();
+
+        var hubContext = new NullHubContext();
+        _projectService = new ProjectService(database);
+        _loadTestService = new LoadTestService(hubContext, new ExecutionService(database), _projectService);
+        _queue = new TestQueueService(_loadTestService, _projectService, new ScheduleService(database), hubContext);
+    }
+
+    public Task InitializeAsync()
+    {
+        return Task.CompletedTask;
+    }
+
+    public async Task DisposeAsync()
+    {
+        await _loadTestService.StopTestAsync();
+        for (var waited = 0; _loadTestService.IsRunning && waited < 100; waited++)
+        {
+            await Task.Delay(100);
+        }
+
+        _queue.Dispose();
+        _loadTestService.Dispose();
+        SqliteConnection.ClearAllPools();
+        File.Delete(_databasePath);
+    }
+
+    [Fact]
+    public async Task StartEndpointTestAsyncRejectsAScheduledRunWhosePreviousRunIsStillQueued()
+    {
+        var endpointId = await CreateEndpointAsync();
+        await OccupyRunnerAsync(endpointId);
+
+        var first = await _queue.StartEndpointTestAsync(endpointId, triggeredBy: ExecutionService.ScheduledTrigger, scheduleId: 1);
+
+        Assert.NotNull(first.QueuedTest);
+        await Assert.ThrowsAsync<InvalidOperationException>(() => _queue.StartEndpointTestAsync(endpointId, triggeredBy: ExecutionService.ScheduledTrigger, scheduleId: 1));
+        Assert.Equal(1, _queue.Count);
+    }
+
+    [Fact]
+    public async Task StartEndpointTestAsyncQueuesRunsOfOtherSchedulesAndManualRuns()
+    {
+        var endpointId = await CreateEndpointAsync();
+        await OccupyRunnerAsync(endpointId);
+
+        await _queue.StartEndpointTestAsync(endpointId, triggeredBy: ExecutionService.ScheduledTrigger, scheduleId: 1);
+        await _queue.StartEndpointTestAsync(endpointId, triggeredBy: ExecutionService.ScheduledTrigger, scheduleId: 2);
+        await _queue.StartEndpointTestAsync(endpointId);
+        await _queue.StartEndpointTestAsync(endpointId);
+
+        Assert.Equal(4, _queue.Count);
+    }
+
+    private async Task<int> CreateEndpointAsync()
+    {
+        var project = await _projectService.CreateProjectAsync(new ProjectDto { Name = "Queue" });
+        var endpoint = await _projectService.CreateEndpointAsync(project.Id, new EndpointDto
+        {
+            Name = "Closed port",
+            Url = "http://127.0.0.1:9/",
+            Users = 1,
+            Requests = null,
+            Duration = 60
+        });
+
+        return endpoint.Id;
+    }
+
+    // Every later start has to queue while this test runs; it is stopped when the test class is disposed
+    private async Task OccupyRunnerAsync(int endpointId)
+    {
+        var result = await _queue.StartEndpointTestAsync(endpointId);
+
+        Assert.NotNull(result.TestId);
+        Assert.True(_loadTestService.IsRunning);
+    }
+
+    private sealed class NullHubContext : IHubContext<LoadTestHub>, IGroupManager
+    {
+        public IHubClients Clients { get; } = new NullHubClients();
+
+        public IGroupManager Groups => this;
+
+        public Task AddToGroupAsync(string connectionId, string groupName, CancellationToken cancellationToken = default) => Task.CompletedTask;
+
+        public Task RemoveFromGroupAsync(string connectionId, string groupName, CancellationToken cancellationToken = default) => Task.CompletedTask;
+    }
+
+    private sealed class NullHubClients : IHubClients, IClientProxy
+    {
+        public IClientProxy All => this;
+
+        public IClientProxy AllExcept(IReadOnlyList<string> excludedConnectionIds) => this;
+
+        public IClientProxy Client(string connectionId) => this;
+
+        public IClientProxy Clients(IReadOnlyList<string> connectionIds) => this;
+
+        public IClientProxy Group(string groupName) => this;
+
+        public IClientProxy GroupExcept(string groupName, IReadOnlyList<string> excludedConnectionIds) => this;
+
+        public IClientProxy Groups(IReadOnlyList<string> groupNames) => this;
+
+        public IClientProxy User(string userId) => this;
+
+        public IClientProxy Users(IReadOnlyList<string> userIds) => this;
+
+        public Task SendCoreAsync(string method, object?[] args, CancellationToken cancellationToken = default) => Task.CompletedTask;
+    }
+}